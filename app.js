@@ -0,0 +1,106 @@
+// Express application: middleware and routes. server.js configures storage and starts
+// listening; tests mount the same app without a network port or database.
+const express = require('express');
+const cors = require('cors');
+
+// Configure allowed origins via env (comma-separated), with sensible local defaults
+const defaultOrigins = [
+  'http://localhost:3000',
+  'http://127.0.0.1:3000',
+  'http://localhost:5173'
+];
+const envOrigins = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+const allowedOrigins = [...new Set([...defaultOrigins, ...envOrigins])];
+
+const corsOptions = {
+  origin: function (origin, callback) {
+    // Allow requests with no origin (like mobile apps, curl)
+    if (!origin) return callback(null, true);
+    // Allow all if '*' present
+    if (allowedOrigins.includes('*')) return callback(null, true);
+    // Exact match
+    if (allowedOrigins.includes(origin)) return callback(null, true);
+    // Support simple wildcard entries like *.vercel.app
+    const ok = allowedOrigins.some(o => {
+      if (o.startsWith('*.')) {
+        const base = o.slice(1); // remove leading '*'
+        return origin.endsWith(base);
+      }
+      return false;
+    });
+    if (ok) return callback(null, true);
+    return callback(new Error('CORS blocked: ' + origin), false);
+  },
+  credentials: true,
+  optionsSuccessStatus: 200,
+};
+
+const repository = require('./repositories');
+const { authenticate } = require('./middleware/auth');
+const { limitRequests } = require('./middleware/rateLimit');
+
+// Import routes
+const uploadRoutes = require('./routes/upload');
+const queryRoutes = require('./routes/query');
+const conversationRoutes = require('./routes/conversations');
+const authRoutes = require('./routes/auth');
+const workspaceRoutes = require('./routes/workspaces');
+const fileRoutes = require('./routes/files');
+
+const app = express();
+
+// Behind a reverse proxy (TRUST_PROXY=1 for one hop), req.ip is the client address from
+// X-Forwarded-For, so per-IP rate limits apply to clients rather than to the proxy
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Middleware
+app.use(cors(corsOptions));
+console.log('CORS allowed origins:', allowedOrigins.join(', ') || '(none)');
+// Large enough for text pasted into POST /api/upload/text
+app.use(express.json({ limit: '5mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+// Per-IP request limit for the whole API, including login and registration
+app.use('/api', limitRequests);
+
+// Routes; everything except registration, login and the health check needs a token or API key
+app.use('/api/auth', authRoutes);
+// Uploaded files are only served through GET /api/upload/:id/file; signed links need no token
+app.use('/api/upload', fileRoutes);
+app.use('/api/upload', authenticate, uploadRoutes);
+app.use('/api/query', authenticate, queryRoutes);
+app.use('/api/conversations', authenticate, conversationRoutes);
+app.use('/api/workspaces', authenticate, workspaceRoutes);
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'Server is running',
+    storage: repository.getBackendName(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error(error.stack);
+  res.status(500).json({ 
+    error: 'Something went wrong!', 
+    message: error.message 
+  });
+});
+
+// Root welcome (optional)
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({ error: 'Route not found' });
+});
+
+module.exports = app;
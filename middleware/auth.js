@@ -0,0 +1,61 @@
+// Authentication of API requests with a JWT (Authorization: Bearer <token>) or an
+// API key (X-API-Key: <key>, or as the bearer token)
+const { authenticateCredential, isApiKey } = require('../services/authService');
+const { HttpError, sendError } = require('../utils/errors');
+
+/**
+ * Read the credential sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token or API key
+ */
+function readCredential(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Require a valid JWT or API key and set req.user to the caller's account. Requests made
+ * with an API key also get req.apiKeyPrefix, so limits can apply per key.
+ */
+async function authenticate(req, res, next) {
+  try {
+    const credential = readCredential(req);
+    if (!credential) {
+      throw new HttpError(401, 'Authentication required', 'Send a token (Authorization: Bearer <token>) or an API key (X-API-Key)');
+    }
+    req.user = await authenticateCredential(credential);
+    // Keys look like qfy_<prefix>_<secret>
+    req.apiKeyPrefix = isApiKey(credential) ? credential.split('_')[1] : null;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Authentication failed');
+  }
+}
+
+/**
+ * Require the caller to be an admin; use after authenticate
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user || req.user.role !== 'admin') {
+    return sendError(res, new HttpError(403, 'Forbidden', 'This operation is only available to admins'));
+  }
+  next();
+}
+
+/**
+ * Check whether a document, query or conversation belongs to a user
+ * @param {Object} user - Caller (req.user)
+ * @param {Object} record - Record with an ownerId
+ * @returns {boolean} - True if the user owns it
+ */
+function isOwner(user, record) {
+  return record.ownerId != null && String(record.ownerId) === String(user._id);
+}
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  isOwner
+};
@@ -0,0 +1,181 @@
+// Sliding-window rate limits. Counts are kept in repository counters, so every server
+// sharing a MongoDB database enforces the same limits.
+const repository = require('../repositories');
+const { HttpError, RateLimitError, sendError } = require('../utils/errors');
+
+/**
+ * Read a limit from the environment; 0 disables the limit
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default limit
+ * @returns {number} - Limit
+ */
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+// All API requests per client IP
+const API_RATE_LIMIT = readLimit('API_RATE_LIMIT', 300);
+// LLM calls per API key (or user, for token logins); a batch counts one call per query
+const LLM_RATE_LIMIT = readLimit('LLM_RATE_LIMIT', 60);
+
+/**
+ * Count a request in a sliding window. The window is approximated from two fixed windows:
+ * the previous window's count is weighted by how much of it the sliding window still covers.
+ * Rejected requests are not counted.
+ * @param {string} key - Counter key prefix (limiter and client)
+ * @param {number} cost - Units the request uses
+ * @param {number} limit - Units allowed per window
+ * @param {number} windowMs - Window length
+ * @returns {Promise<Object>} - { remaining, resetSeconds }
+ * @throws {RateLimitError} - 429 with the time until the request would be allowed
+ */
+async function consume(key, cost, limit, windowMs) {
+  const now = Date.now();
+  const index = Math.floor(now / windowMs);
+  const elapsed = (now - index * windowMs) / windowMs;
+  const currentKey = `${key}:${index}`;
+  const previousKey = `${key}:${index - 1}`;
+  // The current window's count is still needed while it is the previous window
+  const expiresAt = new Date((index + 2) * windowMs);
+
+  const [current, counts] = await Promise.all([
+    repository.incrementCounter(currentKey, cost, expiresAt),
+    repository.getCounters([previousKey])
+  ]);
+  const previous = counts[previousKey];
+  const used = previous * (1 - elapsed) + current;
+  const resetSeconds = Math.ceil((1 - elapsed) * windowMs / 1000);
+
+  if (used <= limit) {
+    return { remaining: Math.floor(limit - used), resetSeconds };
+  }
+
+  await repository.incrementCounter(currentKey, -cost, expiresAt);
+
+  const before = current - cost;
+  let waitFraction;
+  if (before + cost <= limit) {
+    // Enough of the previous window has to slide out
+    waitFraction = 1 - (limit - before - cost) / previous - elapsed;
+  } else {
+    // Wait for the next window, and for enough of this one to slide out
+    waitFraction = 1 - elapsed + Math.min(1, 1 - (limit - cost) / before);
+  }
+  throw new RateLimitError('Too many requests',
+    `Rate limit of ${limit} per ${windowMs / 1000} seconds exceeded; try again later`,
+    waitFraction * windowMs / 1000);
+}
+
+/**
+ * Create a function counting a request against a limit. It sets <headerPrefix>-Limit,
+ * -Remaining and -Reset (seconds until the current window ends). If the counters cannot
+ * be read the request is let through.
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Name used in counter keys
+ * @param {number} options.limit - Units per window; 0 disables the limiter
+ * @param {Function} options.clientKey - req => key of the client being limited
+ * @param {string} [options.headerPrefix] - Response header prefix
+ * @param {number} [options.windowMs] - Window length
+ * @returns {Function} - async (req, res, units = 1) => void; throws RateLimitError (429,
+ *   with the time until the request would be allowed) or HttpError (400 for a cost above
+ *   the limit)
+ */
+function createLimiter({ name, limit, clientKey, headerPrefix = 'X-RateLimit', windowMs = RATE_LIMIT_WINDOW_MS }) {
+  return async (req, res, units = 1) => {
+    if (!limit) return;
+
+    if (units > limit) {
+      throw new HttpError(400, 'Request too large',
+        `This request counts as ${units} requests, more than the limit of ${limit} per ${windowMs / 1000} seconds`);
+    }
+
+    let usage;
+    try {
+      usage = await consume(`rate:${name}:${clientKey(req)}`, units, limit, windowMs);
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      console.error('Rate limit check failed:', error.message);
+      return;
+    }
+
+    res.set({
+      [`${headerPrefix}-Limit`]: String(limit),
+      [`${headerPrefix}-Remaining`]: String(usage.remaining),
+      [`${headerPrefix}-Reset`]: String(usage.resetSeconds)
+    });
+  };
+}
+
+/**
+ * Create rate-limiting middleware, answering 429 with Retry-After when the limit is reached
+ * @param {Object} options - Limiter options (see createLimiter)
+ * @param {Function} [options.cost] - req => units the request uses (default 1)
+ * @returns {Function} - Express middleware
+ */
+function rateLimit({ cost = () => 1, ...options }) {
+  const charge = createLimiter(options);
+  return async (req, res, next) => {
+    try {
+      await charge(req, res, cost(req));
+      next();
+    } catch (error) {
+      sendError(res, error, 'Rate limit exceeded');
+    }
+  };
+}
+
+/**
+ * Key of the caller for per-client limits: the API key used, else the user, else the IP
+ * @param {Object} req - Express request (after authenticate, if any)
+ * @returns {string} - Client key
+ */
+function callerKey(req) {
+  if (req.user && req.apiKeyPrefix) return `key:${req.user._id}:${req.apiKeyPrefix}`;
+  if (req.user) return `user:${req.user._id}`;
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Limit all API requests per client IP (mounted before authentication)
+ */
+const limitRequests = rateLimit({
+  name: 'api',
+  limit: API_RATE_LIMIT,
+  clientKey: req => `ip:${req.ip}`
+});
+
+const LLM_LIMITER = {
+  name: 'llm',
+  limit: LLM_RATE_LIMIT,
+  clientKey: callerKey,
+  headerPrefix: 'X-RateLimit-LLM'
+};
+
+/**
+ * Create middleware limiting LLM calls per API key or user; use after authenticate
+ * @param {Function} [cost] - req => number of LLM calls the request makes (default 1)
+ * @returns {Function} - Express middleware
+ */
+function limitLlmCalls(cost) {
+  return rateLimit({ ...LLM_LIMITER, cost });
+}
+
+/**
+ * Count LLM calls against the caller's limit from inside a route, for routes that only
+ * know once the request is authorized (or not answered from cache) whether they call an LLM
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Object} res - Express response, for the X-RateLimit-LLM headers
+ * @param {number} [units] - LLM calls made (default 1)
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} - 429 when the limit is reached
+ */
+const chargeLlmCalls = createLimiter(LLM_LIMITER);
+
+module.exports = {
+  rateLimit,
+  limitRequests,
+  limitLlmCalls,
+  chargeLlmCalls
+};
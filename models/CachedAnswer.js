@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Answer kept by the persistent tier of the answer cache (services/answerCache.js). Keys
+// hash the document versions, question, model and prompt version the answer was made for.
+const cachedAnswerSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Documents the answer is about, so replacing or deleting one drops its answers
+  documentIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    index: true
+  },
+  // Retrieved chunks (without text), parsed answer and verified citations
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Removed by MongoDB's TTL monitor after this time
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+cachedAnswerSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CachedAnswer', cachedAnswerSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Single message in a conversation
+const turnSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  queryId: {
+    type: mongoose.Schema.Types.ObjectId, // Query record holding the assistant's answer
+    ref: 'Query',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  // User the conversation belongs to; null for records created before user accounts
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+    default: null
+  },
+  documentIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    }],
+    validate: {
+      validator: ids => ids.length > 0,
+      message: 'A conversation needs at least one document'
+    }
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  turns: {
+    type: [turnSchema],
+    default: []
+  },
+  // Running summary of the oldest turns, once the history outgrows the prompt budget
+  summary: {
+    type: String,
+    default: ''
+  },
+  summarizedTurnCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Conversation', conversationSchema);
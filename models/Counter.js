@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Numeric counter for rate limits and token budgets. Keys name one time window (e.g.
+// "tokens:user:<id>:daily:2024-05-01"), so a counter is never reused once it expires.
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  // Removed by MongoDB's TTL monitor after this time
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+counterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,6 +1,101 @@
 const mongoose = require('mongoose');
 
+// Overlapping passage of extractedText used for retrieval
+const chunkSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  startOffset: {
+    type: Number,
+    required: true
+  },
+  endOffset: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Page of the document as a range of extractedText
+const pageSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  startOffset: {
+    type: Number,
+    required: true
+  },
+  endOffset: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Heading, paragraph, list item or table as a range of extractedText
+const blockSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['heading', 'paragraph', 'list-item', 'table'],
+    required: true
+  },
+  // Heading level (1 = most important) or list nesting depth
+  level: {
+    type: Number,
+    default: null
+  },
+  page: {
+    type: Number,
+    default: null
+  },
+  startOffset: {
+    type: Number,
+    required: true
+  },
+  endOffset: {
+    type: Number,
+    required: true
+  },
+  // Table cells, for tables
+  rows: {
+    type: [[String]],
+    default: undefined
+  }
+}, { _id: false });
+
+// OCR confidence (0-1) of one page of a scanned PDF or image
+const ocrPageSchema = new mongoose.Schema({
+  page: {
+    type: Number,
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  textLength: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 const documentSchema = new mongoose.Schema({
+  // User who uploaded the document; null for records created before user accounts.
+  // Documents outside a workspace are only accessible to this user.
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+    default: null
+  },
+  // Workspace sharing the document; access then follows the members' roles
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    index: true,
+    default: null
+  },
   filename: {
     type: String,
     required: true
@@ -21,10 +116,103 @@ const documentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // SHA-256 of the file, used to detect repeated uploads of the same content
+  contentHash: {
+    type: String,
+    index: true,
+    default: null
+  },
+  // How the document arrived: a file upload, a fetched URL or pasted text
+  source: {
+    type: String,
+    enum: ['upload', 'url', 'text'],
+    default: 'upload'
+  },
+  // Address the document was fetched from (after redirects), for source 'url'
+  sourceUrl: {
+    type: String,
+    default: null
+  },
+  // Version of the current file: 1 for the first upload, incremented by each replacement.
+  // Earlier versions are DocumentVersion records.
+  version: {
+    type: Number,
+    default: 1
+  },
   extractedText: {
     type: String,
     default: ''
   },
+  chunks: {
+    type: [chunkSchema],
+    default: []
+  },
+  // Pages (PDF and OCR only) and blocks of extractedText; empty for documents
+  // ingested before structure extraction
+  structure: {
+    pages: {
+      type: [pageSchema],
+      default: []
+    },
+    blocks: {
+      type: [blockSchema],
+      default: []
+    }
+  },
+  // How the text was obtained: 'pdf-text', 'ocr', 'word', 'odt', 'rtf', 'html', 'markdown',
+  // 'csv', 'xlsx', 'pptx', 'epub' or 'plain-text'
+  extractionMethod: {
+    type: String,
+    default: null
+  },
+  ocrPages: {
+    type: [ocrPageSchema],
+    default: []
+  },
+  // Text-length weighted average of the page confidences
+  ocrConfidence: {
+    type: Number,
+    default: null
+  },
+  // Grouping used to select documents for multi-document queries
+  collectionName: {
+    type: String,
+    index: true,
+    default: null
+  },
+  tags: {
+    type: [String],
+    index: true,
+    default: []
+  },
+  // Ingestion job state: uploads are queued and extracted by the ingestion worker.
+  // Documents stored before the queue existed have no status and count as ready.
+  status: {
+    type: String,
+    enum: ['queued', 'extracting', 'ready', 'failed'],
+    default: 'ready',
+    index: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  jobStartedAt: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
   uploadedAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Earlier version of a document, kept when its file is replaced. Stored apart from the
+// document so loading a document does not load the text of all its versions.
+const documentVersionSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  contentHash: {
+    type: String,
+    default: null
+  },
+  // Only the text is kept; chunks and structure exist for the current version alone
+  extractedText: {
+    type: String,
+    default: ''
+  },
+  // Length of extractedText, so versions can be listed without loading it
+  textLength: {
+    type: Number,
+    default: 0
+  },
+  extractionMethod: {
+    type: String,
+    default: null
+  },
+  uploadedAt: {
+    type: Date,
+    required: true
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+documentVersionSchema.index({ documentId: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('DocumentVersion', documentVersionSchema);
@@ -1,29 +1,168 @@
 const mongoose = require('mongoose');
 
+// Span of Document.extractedText supporting an answer
+const citationSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+  chunkId: {
+    type: Number,
+    default: null
+  },
+  startOffset: {
+    type: Number,
+    default: null
+  },
+  endOffset: {
+    type: Number,
+    default: null
+  },
+  // Page the quote starts on, for documents with page information
+  page: {
+    type: Number,
+    default: null
+  },
+  quote: {
+    type: String,
+    required: true
+  },
+  verified: {
+    type: Boolean, // false when the quote could not be found in the document
+    default: false
+  }
+}, { _id: false });
+
+// Chunks of one queried document that were used to build the prompt
+const sourceSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  chunkIds: {
+    type: [Number],
+    default: []
+  },
+  // Document version the chunks came from
+  version: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
 const querySchema = new mongoose.Schema({
+  // User the query belongs to; null for records created before user accounts
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+    default: null
+  },
   documentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Document',
     required: true
   },
+  // Every document queried; documentId is the first of these
+  documentIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    }],
+    index: true,
+    default: []
+  },
+  // Version of documentId the query ran against; null for queries made before versioning
+  documentVersion: {
+    type: Number,
+    default: null
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
   queryText: {
     type: String,
     required: true
   },
   response: {
     type: String,
-    required: true
+    // A stream aborted before any text arrived is still recorded
+    required: function () { return this.status !== 'aborted'; },
+    default: ''
   },
+  status: {
+    type: String,
+    enum: ['completed', 'aborted'],
+    default: 'completed'
+  },
+  // Null when the model's output could not be used (parseStatus 'invalid')
   confidence: {
     type: Number,
     min: 0,
     max: 1,
-    default: 0
+    default: null
+  },
+  // How the model's output matched the answer schema: as sent, 'repaired' (fixed without
+  // asking again), 'reasked' (fixed by the model when asked) or 'invalid'; null for aborted
+  // streams and queries recorded before validation
+  parseStatus: {
+    type: String,
+    enum: ['valid', 'repaired', 'reasked', 'invalid', null],
+    default: null
+  },
+  chunkIds: {
+    type: [Number], // chunks used to build the prompt (single-document queries)
+    default: []
+  },
+  sources: {
+    type: [sourceSchema],
+    default: []
+  },
+  citations: {
+    type: [citationSchema],
+    default: []
+  },
+  provider: {
+    type: String, // LLM provider that produced the response
+    default: 'gemini'
+  },
+  model: {
+    type: String,
+    default: ''
   },
   processingTime: {
     type: Number, // in milliseconds
     default: 0
   },
+  // Tokens of the LLM call as reported by the provider; null for queries recorded
+  // before token accounting
+  promptTokens: {
+    type: Number,
+    default: null
+  },
+  completionTokens: {
+    type: Number,
+    default: null
+  },
+  // True when the provider did not report usage and the counts were estimated from text length
+  tokensEstimated: {
+    type: Boolean,
+    default: false
+  },
+  // Answered from the answer cache, without calling the provider
+  cached: {
+    type: Boolean,
+    default: false
+  },
+  // USD, from the price table in services/pricing.js; null if the model has no price
+  cost: {
+    type: Number,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Long-lived credential for scripts and integrations; only its SHA-256 is stored
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    default: ''
+  },
+  // First characters of the key, so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  // bcrypt hash of the password
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  // Admins can see global stats and delete all documents
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  apiKeys: {
+    type: [apiKeySchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userSchema.index({ 'apiKeys.keyHash': 1 });
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Member of a workspace. Roles build on each other: viewers read documents and query
+// history, queriers can also ask questions, editors can also add, change and delete
+// documents, owners can also manage members.
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'querier', 'editor', 'owner'],
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,204 @@
+// Storage used by all routes. Both backends implement the same contract, so routes
+// behave identically whether MongoDB is available or not. test/repositories.test.js runs
+// one conformance suite against every backend.
+const mongoRepository = require('./mongoRepository');
+const { createMemoryRepository } = require('./memoryRepository');
+const { createJsonlRepository } = require('./jsonlRepository');
+
+/**
+ * Repository contract. Records are plain objects with an `_id`; ids may be passed
+ * as strings or ObjectIds. Lookups with malformed ids return null / empty results.
+ *
+ * Users
+ *   createUser(data)                     -> user
+ *   findUserById(id)                     -> user | null
+ *   findUserByEmail(email)               -> user | null (email compared in lower case)
+ *   findUserByApiKeyHash(hash)           -> user owning an API key with that SHA-256 | null
+ *   updateUser(id, changes)              -> user | null
+ *   countUsers()                         -> number
+ *   claimUnownedRecords(ownerId)         -> number of documents, queries and conversations
+ *                                           without an owner that were given this owner
+ * Workspaces
+ *   createWorkspace(data)                -> workspace
+ *   findWorkspaceById(id)                -> workspace | null
+ *   findWorkspacesByMember(userId)       -> workspaces the user is a member of, by name
+ *                                           (code point order: 'Zeta' before 'alpha')
+ *   updateWorkspace(id, changes)         -> workspace | null
+ * Documents
+ *   createDocument(data)                 -> document
+ *   findDocumentById(id)                 -> document | null
+ *   findDocumentsByIds(ids)              -> documents (unknown ids skipped)
+ *   findDocuments({ collection, tags, workspaceId, ownerId }, { limit }) -> documents, newest
+ *                                           first: those of workspaceId if given, else ownerId's
+ *                                           documents outside workspaces, else all
+ *   findDocumentByContentHash(hash, { workspaceId, ownerId }) -> oldest document with that
+ *                                           SHA-256 in workspaceId if given, else among ownerId's
+ *                                           documents outside workspaces (documents without an
+ *                                           owner if ownerId is null), that has not failed
+ *                                           ingestion | null
+ *   countDocuments()                     -> number
+ *   updateDocument(id, changes)          -> document | null
+ *   deleteDocument(id)                   -> boolean; also deletes the document's versions and
+ *                                           queries, and removes it from conversations
+ *   deleteAllDocuments()                 -> number deleted; also deletes all versions, queries
+ *                                           and conversations
+ *   claimNextDocumentJob({ staleBefore }) -> document | null; atomically marks the oldest due
+ *                                           'queued' document (or an 'extracting' one whose job
+ *                                           started before staleBefore or has no start time) as
+ *                                           'extracting' and increments its attempts
+ * Document versions (earlier versions of replaced documents, with their text)
+ *   saveDocumentVersion(data)            -> version; replaces the one stored with the same
+ *                                           documentId and version, if any
+ *   findDocumentVersions(documentId)     -> the document's versions without extractedText,
+ *                                           oldest first
+ *   findDocumentVersion(documentId, version) -> version with its extractedText | null
+ * Queries
+ *   createQuery(data)                    -> query
+ *   findQueriesByDocumentId(id, { limit }) -> queries involving the document, newest first
+ * Conversations
+ *   createConversation(data)             -> conversation
+ *   findConversationById(id)             -> conversation | null
+ *   updateConversation(id, changes)      -> conversation | null
+ *   appendConversationTurns(id, turns, changes) -> conversation | null; atomically adds turns
+ *                                           after the stored ones (turns appended concurrently
+ *                                           are all kept) and sets changes
+ * Stats
+ *   getStats({ ownerId })                -> { totalQueries, totalDocuments, averageConfidence,
+ *                                             averageProcessingTime, parseStatuses, recentQueries };
+ *                                             averageConfidence skips queries without one;
+ *                                             parseStatuses counts queries per parseStatus
+ *                                             ({ valid, repaired, reasked, invalid }); counts
+ *                                             only the owner's records if ownerId is given
+ *   getUsage({ ownerId, from, to, groupBy }) -> [{ key, queries, promptTokens, completionTokens,
+ *                                             cost, unpricedQueries }] grouped by UTC day
+ *                                             ('YYYY-MM-DD'), document (the first queried one)
+ *                                             or user (owner id), in key order; counts queries
+ *                                             created in [from, to), only the owner's if given
+ * Counters (rate limits and token budgets; the memory and jsonl backends keep them in
+ * memory only, so they start over when the server restarts)
+ *   incrementCounter(key, amount, expiresAt) -> value after atomically adding amount; a new
+ *                                           counter starts at 0 and is removed after expiresAt
+ *   getCounters(keys)                    -> { key: value } (0 for missing or expired counters)
+ * Answer cache (persistent tier of services/answerCache.js; the memory and jsonl backends
+ * keep it in memory only)
+ *   getCachedAnswer(key)                 -> { documentIds, value, expiresAt } | null (null once
+ *                                           expired)
+ *   setCachedAnswer(key, { documentIds, value, expiresAt }) -> stores or replaces the entry
+ *   deleteCachedAnswers(documentId)      -> number of entries about the document removed; all
+ *                                           entries if no id is given
+ * Migration (collection is 'users', 'workspaces', 'documents', 'documentVersions', 'queries'
+ * or 'conversations')
+ *   exportRecords(collection)            -> all records
+ *   importRecords(collection, records)   -> number imported; records keep their ids and
+ *                                           replace existing records with the same id
+ */
+const CONTRACT = [
+  'createUser',
+  'findUserById',
+  'findUserByEmail',
+  'findUserByApiKeyHash',
+  'updateUser',
+  'countUsers',
+  'claimUnownedRecords',
+  'createWorkspace',
+  'findWorkspaceById',
+  'findWorkspacesByMember',
+  'updateWorkspace',
+  'createDocument',
+  'findDocumentById',
+  'findDocumentsByIds',
+  'findDocuments',
+  'findDocumentByContentHash',
+  'countDocuments',
+  'updateDocument',
+  'deleteDocument',
+  'deleteAllDocuments',
+  'claimNextDocumentJob',
+  'saveDocumentVersion',
+  'findDocumentVersions',
+  'findDocumentVersion',
+  'createQuery',
+  'findQueriesByDocumentId',
+  'createConversation',
+  'findConversationById',
+  'updateConversation',
+  'appendConversationTurns',
+  'getStats',
+  'getUsage',
+  'incrementCounter',
+  'getCounters',
+  'getCachedAnswer',
+  'setCachedAnswer',
+  'deleteCachedAnswers',
+  'exportRecords',
+  'importRecords'
+];
+
+/**
+ * Parse a STORAGE setting: 'mongo' (default), 'memory' or 'jsonl:<directory>'
+ * @param {string} [setting] - Setting value
+ * @returns {Object} - { backend, location }
+ */
+function parseStorageSetting(setting) {
+  const [backend, ...rest] = String(setting || 'mongo').trim().split(':');
+  const location = rest.join(':');
+
+  if (backend === 'jsonl') {
+    return { backend, location: location || './data' };
+  }
+  if (backend === 'mongo' || backend === 'memory') {
+    return { backend, location: null };
+  }
+  throw new Error(`Unknown STORAGE setting "${setting}" (expected mongo, memory or jsonl:<directory>)`);
+}
+
+const backends = {
+  mongo: mongoRepository,
+  memory: createMemoryRepository()
+};
+
+let activeBackend = 'mongo';
+
+const repository = {
+  /**
+   * Switch the backend used by all routes
+   * @param {string} name - 'mongo', 'memory' or (once configured) 'jsonl'
+   */
+  useBackend(name) {
+    if (!backends[name]) {
+      throw new Error(`Unknown storage backend: ${name}`);
+    }
+    activeBackend = name;
+  },
+
+  /**
+   * Select the backend described by a STORAGE setting, opening file storage if needed.
+   * The mongo backend still needs mongoose.connect() to be called.
+   * @param {string} [setting] - STORAGE setting
+   * @returns {string} - Name of the selected backend
+   */
+  configure(setting) {
+    const { backend, location } = parseStorageSetting(setting);
+    if (backend === 'jsonl') {
+      backends.jsonl = createJsonlRepository(location);
+    }
+    this.useBackend(backend);
+    return backend;
+  },
+
+  /**
+   * @returns {string} - Name of the active backend
+   */
+  getBackendName() {
+    return activeBackend;
+  }
+};
+
+// Every contract method delegates to the active backend at call time
+for (const method of CONTRACT) {
+  repository[method] = (...args) => backends[activeBackend][method](...args);
+}
+
+module.exports = repository;
+module.exports.CONTRACT = CONTRACT;
+module.exports.parseStorageSetting = parseStorageSetting;
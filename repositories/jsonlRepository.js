@@ -0,0 +1,97 @@
+// File-backed storage backend for single-node deployments without MongoDB.
+// Records are kept in memory (see memoryRepository.js) and every write is appended
+// to <directory>/<collection>.jsonl, so data survives restarts.
+const fs = require('fs');
+const path = require('path');
+const { MODELS, createMemoryRepository } = require('./memoryRepository');
+
+/**
+ * Read a collection log, keeping the latest version of each record
+ * @param {string} filePath - Log file
+ * @returns {Object} - { records, lineCount }
+ */
+function readLog(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { records: [], lineCount: 0 };
+  }
+
+  const latest = new Map();
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+
+  lines.forEach((line, index) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A crash mid-write can leave a truncated last line; anything else is corruption
+      if (index === lines.length - 1) {
+        console.warn(`Ignoring truncated last line in ${filePath}`);
+        return;
+      }
+      throw new Error(`Corrupt storage log ${filePath} at line ${index + 1}: ${error.message}`);
+    }
+
+    if (entry.deleted) {
+      latest.delete(entry.id);
+    } else {
+      latest.set(entry.id, entry.record);
+    }
+  });
+
+  return { records: [...latest.values()], lineCount: lines.length };
+}
+
+/**
+ * Rewrite a log with one line per live record
+ * @param {string} filePath - Log file
+ * @param {Array<Object>} records - Live records
+ */
+function compactLog(filePath, records) {
+  const tempPath = `${filePath}.tmp`;
+  const content = records
+    .map(record => JSON.stringify({ id: String(record._id), record }) + '\n')
+    .join('');
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Open (or create) a JSON-lines repository. Existing logs are loaded and compacted
+ * synchronously so the backend is ready before the server accepts requests.
+ * @param {string} directory - Directory holding the collection logs
+ * @returns {Object} - Repository implementing the contract in repositories/index.js
+ */
+function createJsonlRepository(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+  const logPath = collection => path.join(directory, `${collection}.jsonl`);
+
+  // Appends are chained so concurrent writes land in the log in the order they were made;
+  // a failed append is reported to its caller and does not block later ones
+  let pendingWrite = Promise.resolve();
+
+  const repository = createMemoryRepository({
+    onChange(collection, id, record) {
+      const line = JSON.stringify(record ? { id, record } : { id, deleted: true }) + '\n';
+      pendingWrite = pendingWrite
+        .catch(() => {})
+        .then(() => fs.promises.appendFile(logPath(collection), line));
+      return pendingWrite;
+    }
+  });
+
+  for (const collection of Object.keys(MODELS)) {
+    const { records, lineCount } = readLog(logPath(collection));
+    repository.restore(collection, records);
+
+    if (lineCount > records.length) {
+      compactLog(logPath(collection), records);
+    }
+  }
+
+  console.log(`Loaded JSON-lines storage from ${path.resolve(directory)}`);
+  return repository;
+}
+
+module.exports = {
+  createJsonlRepository
+};
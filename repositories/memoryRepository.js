@@ -0,0 +1,497 @@
+// In-memory storage backend, used when MongoDB is not available.
+// Records are built with the Mongoose models (without touching the database) so
+// defaults, validation and id format match the Mongo backend.
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const Query = require('../models/Query');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+
+// Model used to build the records of each collection
+const MODELS = {
+  users: User,
+  workspaces: Workspace,
+  documents: Document,
+  documentVersions: DocumentVersion,
+  queries: Query,
+  conversations: Conversation
+};
+
+// Counter increments (or cached answers stored) between sweeps of expired entries
+const SWEEP_INTERVAL = 1000;
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+/**
+ * Deep-copy a record so callers cannot mutate stored state.
+ * ObjectIds and other class instances are immutable and kept as is.
+ * @param {*} value - Value to copy
+ * @returns {*} - Copy
+ */
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = clone(item);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Apply model defaults and validation, returning a plain record
+ * @param {Object} Model - Mongoose model
+ * @param {Object} data - Record data
+ * @returns {Promise<Object>} - Validated record
+ */
+async function build(Model, data) {
+  const doc = new Model(data);
+  await doc.validate();
+  return doc.toObject();
+}
+
+/**
+ * Create an in-memory repository
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onChange] - Called as onChange(collection, id, record|null) after every write
+ * @returns {Object} - Repository implementing the contract in repositories/index.js
+ */
+function createMemoryRepository({ onChange = () => {} } = {}) {
+  const collections = {
+    users: new Map(),
+    workspaces: new Map(),
+    documents: new Map(),
+    documentVersions: new Map(),
+    queries: new Map(),
+    conversations: new Map()
+  };
+
+  // Rate limit and token budget counters are short-lived and kept out of the collections,
+  // so they are neither written to JSON-lines logs nor migrated: { value, expiresAt }
+  const counters = new Map();
+  let incrementsSinceSweep = 0;
+  // Answer cache entries, kept out of the collections like counters: { documentIds, value, expiresAt }
+  const cachedAnswers = new Map();
+  let answersSinceSweep = 0;
+
+  // Drop expired entries of a map now and then so it does not grow without bound
+  function sweepExpired(entries) {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  // Store or delete a record, notifying the change listener
+  async function put(collection, record) {
+    collections[collection].set(String(record._id), record);
+    await onChange(collection, String(record._id), record);
+    return clone(record);
+  }
+
+  async function remove(collection, id) {
+    collections[collection].delete(String(id));
+    await onChange(collection, String(id), null);
+  }
+
+  const get = (collection, id) => collections[collection].get(String(id)) || null;
+  const all = collection => [...collections[collection].values()];
+  // Sort newest first; records created in the same millisecond keep reverse insertion order
+  const newestFirst = (records, field) => records.reverse().sort((a, b) => b[field] - a[field]);
+
+  // Same scoping as documentFilter in mongoRepository.js
+  const inScope = (doc, { workspaceId, ownerId }) => workspaceId
+    ? sameId(doc.workspaceId, workspaceId)
+    : !ownerId || (sameId(doc.ownerId, ownerId) && !doc.workspaceId);
+
+  const involvesDocument = (query, documentId) =>
+    sameId(query.documentId, documentId) || (query.documentIds || []).some(id => sameId(id, documentId));
+
+  return {
+    collections,
+
+    // User operations
+    async createUser(data) {
+      const user = await build(User, data);
+      // Mirrors the unique index on email in MongoDB
+      if (all('users').some(existing => existing.email === user.email)) {
+        const error = new Error(`E11000 duplicate key error: email ${user.email} already exists`);
+        error.code = 11000;
+        throw error;
+      }
+      return put('users', user);
+    },
+
+    async findUserById(id) {
+      return clone(get('users', id));
+    },
+
+    async findUserByEmail(email) {
+      const normalized = String(email).trim().toLowerCase();
+      return clone(all('users').find(user => user.email === normalized) || null);
+    },
+
+    async findUserByApiKeyHash(keyHash) {
+      return clone(all('users').find(user => user.apiKeys.some(key => key.keyHash === keyHash)) || null);
+    },
+
+    async updateUser(id, changes) {
+      const existing = get('users', id);
+      if (!existing) return null;
+      return put('users', await build(User, { ...existing, ...changes }));
+    },
+
+    async countUsers() {
+      return collections.users.size;
+    },
+
+    async claimUnownedRecords(ownerId) {
+      let count = 0;
+      for (const collection of ['documents', 'queries', 'conversations']) {
+        for (const record of all(collection).filter(record => !record.ownerId)) {
+          await put(collection, await build(MODELS[collection], { ...record, ownerId }));
+          count++;
+        }
+      }
+      return count;
+    },
+
+    // Workspace operations
+    async createWorkspace(data) {
+      return put('workspaces', await build(Workspace, data));
+    },
+
+    async findWorkspaceById(id) {
+      return clone(get('workspaces', id));
+    },
+
+    async findWorkspacesByMember(userId) {
+      return all('workspaces')
+        .filter(workspace => workspace.members.some(member => sameId(member.userId, userId)))
+        // Code point order, as MongoDB sorts strings
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .map(clone);
+    },
+
+    async updateWorkspace(id, changes) {
+      const existing = get('workspaces', id);
+      if (!existing) return null;
+      return put('workspaces', await build(Workspace, { ...existing, ...changes }));
+    },
+
+    // Document operations
+    async createDocument(data) {
+      return put('documents', await build(Document, data));
+    },
+
+    async findDocumentById(id) {
+      return clone(get('documents', id));
+    },
+
+    async findDocumentsByIds(ids) {
+      return ids.map(id => get('documents', id)).filter(Boolean).map(clone);
+    },
+
+    async findDocuments({ collection, tags, workspaceId, ownerId } = {}, { limit = 50 } = {}) {
+      const documents = all('documents')
+        .filter(doc => inScope(doc, { workspaceId, ownerId }))
+        .filter(doc => !collection || doc.collectionName === collection)
+        .filter(doc => !tags || tags.every(tag => (doc.tags || []).includes(tag)));
+      return newestFirst(documents, 'uploadedAt')
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    async findDocumentByContentHash(contentHash, { workspaceId, ownerId } = {}) {
+      const matches = all('documents')
+        .filter(doc => doc.contentHash === contentHash && doc.status !== 'failed')
+        .filter(doc => workspaceId
+          ? sameId(doc.workspaceId, workspaceId)
+          : (ownerId ? sameId(doc.ownerId, ownerId) : !doc.ownerId) && !doc.workspaceId);
+      const oldest = newestFirst(matches, 'uploadedAt').pop();
+      return oldest ? clone(oldest) : null;
+    },
+
+    async countDocuments() {
+      return collections.documents.size;
+    },
+
+    async updateDocument(id, changes) {
+      const existing = get('documents', id);
+      if (!existing) return null;
+      return put('documents', await build(Document, { ...existing, ...changes }));
+    },
+
+    async deleteDocument(id) {
+      if (!get('documents', id)) return false;
+      await remove('documents', id);
+
+      // Cascade: versions, queries involving the document, and its place in conversations
+      for (const version of all('documentVersions').filter(entry => sameId(entry.documentId, id))) {
+        await remove('documentVersions', version._id);
+      }
+      for (const query of all('queries').filter(q => involvesDocument(q, id))) {
+        await remove('queries', query._id);
+      }
+      for (const conversation of all('conversations')) {
+        if (!conversation.documentIds.some(docId => sameId(docId, id))) continue;
+        const documentIds = conversation.documentIds.filter(docId => !sameId(docId, id));
+        if (documentIds.length === 0) {
+          await remove('conversations', conversation._id);
+        } else {
+          await put('conversations', { ...conversation, documentIds });
+        }
+      }
+      return true;
+    },
+
+    async deleteAllDocuments() {
+      const count = collections.documents.size;
+      for (const collection of ['documents', 'documentVersions', 'queries', 'conversations']) {
+        for (const record of all(collection)) {
+          await remove(collection, record._id);
+        }
+      }
+      return count;
+    },
+
+    async claimNextDocumentJob({ staleBefore }) {
+      const now = new Date();
+      const isDue = doc =>
+        (doc.status === 'queued' && (!doc.nextAttemptAt || doc.nextAttemptAt <= now)) ||
+        (doc.status === 'extracting' && (!doc.jobStartedAt || doc.jobStartedAt < staleBefore));
+
+      const [next] = all('documents').filter(isDue).sort((a, b) => a.uploadedAt - b.uploadedAt);
+      if (!next) return null;
+
+      // put() stores the record before its first await, so claims cannot interleave
+      return put('documents', {
+        ...next,
+        status: 'extracting',
+        jobStartedAt: now,
+        attempts: (next.attempts || 0) + 1
+      });
+    },
+
+    // Document version operations
+    async saveDocumentVersion(data) {
+      const version = await build(DocumentVersion, data);
+      // Mirrors the unique index on documentId and version in MongoDB
+      const existing = all('documentVersions')
+        .find(entry => sameId(entry.documentId, version.documentId) && entry.version === version.version);
+      return put('documentVersions', existing ? { ...version, _id: existing._id } : version);
+    },
+
+    async findDocumentVersions(documentId) {
+      return all('documentVersions')
+        .filter(entry => sameId(entry.documentId, documentId))
+        .sort((a, b) => a.version - b.version)
+        .map(({ extractedText, ...summary }) => clone(summary));
+    },
+
+    async findDocumentVersion(documentId, version) {
+      const entry = all('documentVersions')
+        .find(candidate => sameId(candidate.documentId, documentId) && candidate.version === version);
+      return clone(entry || null);
+    },
+
+    // Query operations
+    async createQuery(data) {
+      return put('queries', await build(Query, data));
+    },
+
+    async findQueriesByDocumentId(documentId, { limit = 20 } = {}) {
+      const queries = all('queries').filter(query => involvesDocument(query, documentId));
+      return newestFirst(queries, 'createdAt')
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    // Conversation operations
+    async createConversation(data) {
+      return put('conversations', await build(Conversation, data));
+    },
+
+    async findConversationById(id) {
+      return clone(get('conversations', id));
+    },
+
+    async updateConversation(id, changes) {
+      const existing = get('conversations', id);
+      if (!existing) return null;
+      return put('conversations', await build(Conversation, { ...existing, ...changes }));
+    },
+
+    async appendConversationTurns(id, turns, changes = {}) {
+      if (!get('conversations', id)) return null;
+      const validated = await build(Conversation, { ...get('conversations', id), ...changes, turns });
+
+      // Read the record again after validation: put() stores it before its first await,
+      // so turns appended in the meantime are kept
+      const existing = get('conversations', id);
+      if (!existing) return null;
+      const changed = Object.fromEntries(Object.keys(changes).map(field => [field, validated[field]]));
+      return put('conversations', { ...existing, ...changed, turns: [...existing.turns, ...validated.turns] });
+    },
+
+    // Stats
+    async getStats({ ownerId } = {}) {
+      const owned = record => !ownerId || sameId(record.ownerId, ownerId);
+      const queries = all('queries').filter(owned);
+      // Like $avg, queries without the field are skipped
+      const average = field => {
+        const values = queries.map(q => q[field]).filter(value => typeof value === 'number');
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+      };
+
+      const parseStatuses = { valid: 0, repaired: 0, reasked: 0, invalid: 0 };
+      for (const query of queries) {
+        if (query.parseStatus in parseStatuses) parseStatuses[query.parseStatus]++;
+      }
+
+      const recentQueries = newestFirst([...queries], 'createdAt')
+        .slice(0, 5)
+        .map(query => {
+          const document = get('documents', query.documentId);
+          return {
+            _id: query._id,
+            documentId: document ? { _id: document._id, originalName: document.originalName } : null,
+            queryText: query.queryText,
+            response: query.response,
+            confidence: query.confidence,
+            createdAt: query.createdAt
+          };
+        });
+
+      return {
+        totalQueries: queries.length,
+        totalDocuments: all('documents').filter(owned).length,
+        averageConfidence: average('confidence'),
+        averageProcessingTime: average('processingTime'),
+        parseStatuses,
+        recentQueries
+      };
+    },
+
+    async getUsage({ ownerId, from, to, groupBy }) {
+      const groupKeys = {
+        day: query => query.createdAt.toISOString().slice(0, 10),
+        document: query => query.documentId,
+        user: query => query.ownerId
+      };
+
+      const groups = new Map();
+      for (const query of all('queries')) {
+        if (ownerId && !sameId(query.ownerId, ownerId)) continue;
+        if ((from && query.createdAt < from) || (to && query.createdAt >= to)) continue;
+
+        const key = groupKeys[groupBy](query);
+        const id = key == null ? '' : String(key);
+        if (!groups.has(id)) {
+          groups.set(id, { key, queries: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedQueries: 0 });
+        }
+        const group = groups.get(id);
+        group.queries++;
+        group.promptTokens += query.promptTokens || 0;
+        group.completionTokens += query.completionTokens || 0;
+        group.cost += query.cost || 0;
+        if (query.cost == null) group.unpricedQueries++;
+      }
+
+      return [...groups.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([, group]) => group);
+    },
+
+    // Counters
+    async incrementCounter(key, amount, expiresAt) {
+      if (++incrementsSinceSweep >= SWEEP_INTERVAL) {
+        incrementsSinceSweep = 0;
+        sweepExpired(counters);
+      }
+
+      const counter = counters.get(key) || { value: 0, expiresAt: new Date(expiresAt) };
+      counter.value += amount;
+      counters.set(key, counter);
+      return counter.value;
+    },
+
+    async getCounters(keys) {
+      const now = Date.now();
+      const values = {};
+      for (const key of keys) {
+        const counter = counters.get(key);
+        values[key] = counter && counter.expiresAt > now ? counter.value : 0;
+      }
+      return values;
+    },
+
+    // Answer cache
+    async getCachedAnswer(key) {
+      const entry = cachedAnswers.get(key);
+      return entry && entry.expiresAt > Date.now() ? clone(entry) : null;
+    },
+
+    async setCachedAnswer(key, { documentIds, value, expiresAt }) {
+      if (++answersSinceSweep >= SWEEP_INTERVAL) {
+        answersSinceSweep = 0;
+        sweepExpired(cachedAnswers);
+      }
+      cachedAnswers.set(key, clone({ documentIds, value, expiresAt: new Date(expiresAt) }));
+    },
+
+    async deleteCachedAnswers(documentId) {
+      let deleted = 0;
+      for (const [key, entry] of cachedAnswers) {
+        if (documentId === undefined || entry.documentIds.some(id => sameId(id, documentId))) {
+          cachedAnswers.delete(key);
+          deleted++;
+        }
+      }
+      return deleted;
+    },
+
+    // Migration
+    async exportRecords(collection) {
+      return all(collection).map(clone);
+    },
+
+    async importRecords(collection, records) {
+      for (const record of records) {
+        await put(collection, await build(MODELS[collection], record));
+      }
+      return records.length;
+    },
+
+    /**
+     * Load previously stored records without validation or change notifications.
+     * Ids and dates serialized as strings are cast back by the model.
+     * @param {string} collection - Collection name
+     * @param {Array<Object>} records - Stored records
+     */
+    restore(collection, records) {
+      for (const record of records) {
+        const restored = new MODELS[collection](record).toObject();
+        collections[collection].set(String(restored._id), restored);
+      }
+    },
+
+    // Clear all data
+    clearAll() {
+      for (const collection of Object.values(collections)) {
+        collection.clear();
+      }
+      counters.clear();
+      cachedAnswers.clear();
+    }
+  };
+}
+
+module.exports = {
+  MODELS,
+  createMemoryRepository
+};
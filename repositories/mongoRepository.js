@@ -0,0 +1,376 @@
+// MongoDB storage backend
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const Query = require('../models/Query');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Counter = require('../models/Counter');
+const CachedAnswer = require('../models/CachedAnswer');
+
+const MODELS = {
+  users: User,
+  workspaces: Workspace,
+  documents: Document,
+  documentVersions: DocumentVersion,
+  queries: Query,
+  conversations: Conversation
+};
+
+const isValidId = id => mongoose.isValidObjectId(id);
+
+/**
+ * Build the Mongo filter for a document selector
+ * @param {Object} selector - { collection, tags, workspaceId, ownerId }
+ * @returns {Object} - Mongo filter
+ */
+function documentFilter({ collection, tags, workspaceId, ownerId } = {}) {
+  const filter = {};
+  if (workspaceId) {
+    filter.workspaceId = workspaceId;
+  } else if (ownerId) {
+    filter.ownerId = ownerId;
+    filter.workspaceId = null;
+  }
+  if (collection) filter.collectionName = collection;
+  if (tags && tags.length > 0) filter.tags = { $all: tags };
+  return filter;
+}
+
+const mongoRepository = {
+  // User operations
+  async createUser(data) {
+    const user = await new User(data).save();
+    return user.toObject();
+  },
+
+  async findUserById(id) {
+    if (!isValidId(id)) return null;
+    return User.findById(id).lean();
+  },
+
+  async findUserByEmail(email) {
+    return User.findOne({ email: String(email).trim().toLowerCase() }).lean();
+  },
+
+  async findUserByApiKeyHash(keyHash) {
+    return User.findOne({ 'apiKeys.keyHash': keyHash }).lean();
+  },
+
+  async updateUser(id, changes) {
+    if (!isValidId(id)) return null;
+    return User.findByIdAndUpdate(id, { $set: changes }, { new: true, runValidators: true }).lean();
+  },
+
+  async countUsers() {
+    return User.countDocuments();
+  },
+
+  async claimUnownedRecords(ownerId) {
+    let count = 0;
+    for (const Model of [Document, Query, Conversation]) {
+      const result = await Model.updateMany({ ownerId: null }, { $set: { ownerId } });
+      count += result.modifiedCount;
+    }
+    return count;
+  },
+
+  // Workspace operations
+  async createWorkspace(data) {
+    const workspace = await new Workspace(data).save();
+    return workspace.toObject();
+  },
+
+  async findWorkspaceById(id) {
+    if (!isValidId(id)) return null;
+    return Workspace.findById(id).lean();
+  },
+
+  async findWorkspacesByMember(userId) {
+    if (!isValidId(userId)) return [];
+    return Workspace.find({ 'members.userId': userId }).sort({ name: 1 }).lean();
+  },
+
+  async updateWorkspace(id, changes) {
+    if (!isValidId(id)) return null;
+    return Workspace.findByIdAndUpdate(id, { $set: changes }, { new: true, runValidators: true }).lean();
+  },
+
+  // Document operations
+  async createDocument(data) {
+    const document = await new Document(data).save();
+    return document.toObject();
+  },
+
+  async findDocumentById(id) {
+    if (!isValidId(id)) return null;
+    return Document.findById(id).lean();
+  },
+
+  async findDocumentsByIds(ids) {
+    const validIds = ids.filter(isValidId);
+    return Document.find({ _id: { $in: validIds } }).lean();
+  },
+
+  async findDocuments(selector = {}, { limit = 50 } = {}) {
+    return Document.find(documentFilter(selector))
+      .sort({ uploadedAt: -1 })
+      .limit(Number.isFinite(limit) ? limit : 0) // 0 means no limit
+      .lean();
+  },
+
+  async findDocumentByContentHash(contentHash, { workspaceId, ownerId } = {}) {
+    const scope = workspaceId ? { workspaceId } : { ownerId: ownerId || null, workspaceId: null };
+    return Document.findOne({ contentHash, ...scope, status: { $ne: 'failed' } })
+      .sort({ uploadedAt: 1 })
+      .lean();
+  },
+
+  async countDocuments() {
+    return Document.countDocuments();
+  },
+
+  async updateDocument(id, changes) {
+    if (!isValidId(id)) return null;
+    return Document.findByIdAndUpdate(id, { $set: changes }, { new: true, runValidators: true }).lean();
+  },
+
+  async deleteDocument(id) {
+    if (!isValidId(id)) return false;
+
+    const deleted = await Document.findByIdAndDelete(id);
+    if (!deleted) return false;
+
+    // Cascade: versions, queries involving the document, and its place in conversations
+    await DocumentVersion.deleteMany({ documentId: id });
+    await Query.deleteMany({ $or: [{ documentId: id }, { documentIds: id }] });
+    await Conversation.updateMany({ documentIds: id }, { $pull: { documentIds: id } });
+    await Conversation.deleteMany({ documentIds: { $size: 0 } });
+    return true;
+  },
+
+  async deleteAllDocuments() {
+    const result = await Document.deleteMany({});
+    await DocumentVersion.deleteMany({});
+    await Query.deleteMany({});
+    await Conversation.deleteMany({});
+    return result.deletedCount;
+  },
+
+  async claimNextDocumentJob({ staleBefore }) {
+    const now = new Date();
+    return Document.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+          { status: 'extracting', $or: [{ jobStartedAt: null }, { jobStartedAt: { $lt: staleBefore } }] }
+        ]
+      },
+      { $set: { status: 'extracting', jobStartedAt: now }, $inc: { attempts: 1 } },
+      { new: true, sort: { uploadedAt: 1 } }
+    ).lean();
+  },
+
+  // Document version operations
+  async saveDocumentVersion(data) {
+    const version = new DocumentVersion(data);
+    await version.validate();
+    const { _id, ...fields } = version.toObject();
+    return DocumentVersion.findOneAndUpdate(
+      { documentId: version.documentId, version: version.version },
+      { $set: fields, $setOnInsert: { _id } },
+      { new: true, upsert: true }
+    ).lean();
+  },
+
+  async findDocumentVersions(documentId) {
+    if (!isValidId(documentId)) return [];
+    return DocumentVersion.find({ documentId })
+      .select('-extractedText')
+      .sort({ version: 1 })
+      .lean();
+  },
+
+  async findDocumentVersion(documentId, version) {
+    if (!isValidId(documentId)) return null;
+    return DocumentVersion.findOne({ documentId, version }).lean();
+  },
+
+  // Query operations
+  async createQuery(data) {
+    const query = await new Query(data).save();
+    return query.toObject();
+  },
+
+  async findQueriesByDocumentId(documentId, { limit = 20 } = {}) {
+    if (!isValidId(documentId)) return [];
+    return Query.find({ $or: [{ documentId }, { documentIds: documentId }] })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  },
+
+  // Conversation operations
+  async createConversation(data) {
+    const conversation = await new Conversation(data).save();
+    return conversation.toObject();
+  },
+
+  async findConversationById(id) {
+    if (!isValidId(id)) return null;
+    return Conversation.findById(id).lean();
+  },
+
+  async updateConversation(id, changes) {
+    if (!isValidId(id)) return null;
+    return Conversation.findByIdAndUpdate(id, { $set: changes }, { new: true, runValidators: true }).lean();
+  },
+
+  async appendConversationTurns(id, turns, changes = {}) {
+    if (!isValidId(id)) return null;
+    return Conversation.findByIdAndUpdate(
+      id,
+      { $push: { turns: { $each: turns } }, $set: changes },
+      { new: true, runValidators: true }
+    ).lean();
+  },
+
+  // Stats
+  async getStats({ ownerId } = {}) {
+    const filter = ownerId ? { ownerId: new mongoose.Types.ObjectId(String(ownerId)) } : {};
+    const totalQueries = await Query.countDocuments(filter);
+    const totalDocuments = await Document.countDocuments(filter);
+
+    const averages = await Query.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          avgConfidence: { $avg: '$confidence' },
+          avgProcessingTime: { $avg: '$processingTime' }
+        }
+      }
+    ]);
+
+    const parseStatuses = { valid: 0, repaired: 0, reasked: 0, invalid: 0 };
+    const statusCounts = await Query.aggregate([
+      { $match: { ...filter, parseStatus: { $in: Object.keys(parseStatuses) } } },
+      { $group: { _id: '$parseStatus', count: { $sum: 1 } } }
+    ]);
+    for (const { _id, count } of statusCounts) {
+      parseStatuses[_id] = count;
+    }
+
+    const recentQueries = await Query.find(filter)
+      .populate('documentId', 'originalName')
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .select('documentId queryText response confidence createdAt')
+      .lean();
+
+    return {
+      totalQueries,
+      totalDocuments,
+      averageConfidence: averages[0]?.avgConfidence || 0,
+      averageProcessingTime: averages[0]?.avgProcessingTime || 0,
+      parseStatuses,
+      recentQueries
+    };
+  },
+
+  async getUsage({ ownerId, from, to, groupBy }) {
+    const filter = {};
+    if (ownerId) filter.ownerId = new mongoose.Types.ObjectId(String(ownerId));
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lt = to;
+    }
+
+    const groupKeys = {
+      day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+      document: '$documentId',
+      user: '$ownerId'
+    };
+
+    const groups = await Query.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: groupKeys[groupBy],
+          queries: { $sum: 1 },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          cost: { $sum: '$cost' },
+          // Older queries have no cost field at all
+          unpricedQueries: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$cost', null] }, null] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return groups.map(({ _id, ...totals }) => ({ key: _id, ...totals }));
+  },
+
+  // Counters
+  async incrementCounter(key, amount, expiresAt) {
+    const increment = () => Counter.findOneAndUpdate(
+      { key },
+      { $inc: { value: amount }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    ).lean();
+
+    try {
+      return (await increment()).value;
+    } catch (error) {
+      // Two upserts of a new key raced; the second one can now update the existing counter
+      if (error.code === 11000) return (await increment()).value;
+      throw error;
+    }
+  },
+
+  async getCounters(keys) {
+    const counters = await Counter.find({ key: { $in: keys }, expiresAt: { $gt: new Date() } }).lean();
+    const values = {};
+    for (const key of keys) {
+      const counter = counters.find(entry => entry.key === key);
+      values[key] = counter ? counter.value : 0;
+    }
+    return values;
+  },
+
+  // Answer cache
+  async getCachedAnswer(key) {
+    return CachedAnswer.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  },
+
+  async setCachedAnswer(key, { documentIds, value, expiresAt }) {
+    await CachedAnswer.updateOne({ key }, { $set: { documentIds, value, expiresAt } }, { upsert: true });
+  },
+
+  async deleteCachedAnswers(documentId) {
+    if (documentId !== undefined && !isValidId(documentId)) return 0;
+    const filter = documentId === undefined ? {} : { documentIds: documentId };
+    return (await CachedAnswer.deleteMany(filter)).deletedCount;
+  },
+
+  // Migration
+  async exportRecords(collection) {
+    return MODELS[collection].find().lean();
+  },
+
+  async importRecords(collection, records) {
+    const Model = MODELS[collection];
+    if (records.length === 0) return 0;
+
+    // Replace by id so importing the same export twice does not duplicate records
+    await Model.bulkWrite(records.map(record => {
+      const doc = new Model(record).toObject();
+      return { replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } };
+    }));
+    return records.length;
+  }
+};
+
+module.exports = mongoRepository;
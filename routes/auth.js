@@ -0,0 +1,164 @@
+const express = require('express');
+const repository = require('../repositories');
+const {
+  JWT_EXPIRES_IN,
+  describeUser,
+  describeApiKey,
+  register,
+  login,
+  createApiKey,
+  revokeApiKey
+} = require('../services/authService');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/register
+ * Create an account: { email, password, name? }. Needs ALLOW_REGISTRATION=true, except for
+ * the ADMIN_EMAIL account, which becomes an admin.
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { user, token } = await register(req.body);
+
+    res.status(201).json({
+      success: true,
+      token,
+      expiresIn: JWT_EXPIRES_IN,
+      user: describeUser(user)
+    });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    sendError(res, error, 'Registration failed');
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange { email, password } for an access token
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { user, token } = await login(req.body);
+
+    res.json({
+      success: true,
+      token,
+      expiresIn: JWT_EXPIRES_IN,
+      user: describeUser(user)
+    });
+
+  } catch (error) {
+    console.error('Login error:', error.message);
+    sendError(res, error, 'Login failed');
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the caller's account
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: describeUser(req.user)
+  });
+});
+
+/**
+ * GET /api/auth/api-keys
+ * List the caller's API keys (without the keys themselves)
+ */
+router.get('/api-keys', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    apiKeys: req.user.apiKeys.map(describeApiKey)
+  });
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Create an API key: { name? }. The key is only shown in this response.
+ */
+router.post('/api-keys', authenticate, async (req, res) => {
+  try {
+    const { key, apiKey } = await createApiKey(req.user, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now; it cannot be shown again',
+      key,
+      apiKey: describeApiKey(apiKey)
+    });
+
+  } catch (error) {
+    console.error('API key creation error:', error);
+    sendError(res, error, 'Failed to create API key');
+  }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:keyId
+ * Revoke one of the caller's API keys
+ */
+router.delete('/api-keys/:keyId', authenticate, async (req, res) => {
+  try {
+    if (!await revokeApiKey(req.user, req.params.keyId)) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    console.error('API key revocation error:', error);
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+/**
+ * PATCH /api/auth/users/:id
+ * Change a user's role: { role: 'user' | 'admin' } (admins only)
+ */
+router.patch('/users/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (role !== 'user' && role !== 'admin') {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: 'role must be "user" or "admin"'
+      });
+    }
+    if (String(req.params.id) === String(req.user._id) && role !== 'admin') {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: 'Admins cannot remove their own admin role'
+      });
+    }
+
+    const user = await repository.updateUser(req.params.id, { role });
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: describeUser(user)
+    });
+
+  } catch (error) {
+    console.error('Update user error:', error);
+    sendError(res, error, 'Failed to update user');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const repository = require('../repositories');
+const { getProvider } = require('../services/llmProvider');
+const { buildHistory, buildRetrievalQuery } = require('../services/conversationService');
+const {
+  resolveDocuments,
+  answerQuery,
+  createQueryRecord,
+  formatQueryResponse
+} = require('../services/queryService');
+const { sendError } = require('../utils/errors');
+const { isOwner } = require('../middleware/auth');
+const { limitLlmCalls } = require('../middleware/rateLimit');
+const { reserveTokens, settleTokenUsage, setQuotaHeaders } = require('../services/quotaService');
+
+const router = express.Router();
+
+/**
+ * POST /api/conversations
+ * Start a conversation about one or more documents
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    // Same selectors as POST /api/query: documentId, documentIds, collection or tags
+    const documents = await resolveDocuments(req.body, req.user);
+
+    const conversation = await repository.createConversation({
+      ownerId: req.user._id,
+      documentIds: documents.map(doc => doc._id),
+      title: title || documents.map(doc => doc.originalName).join(', ')
+    });
+
+    res.status(201).json({
+      success: true,
+      conversation: {
+        id: conversation._id,
+        title: conversation.title,
+        documentIds: conversation.documentIds,
+        turns: [],
+        createdAt: conversation.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Conversation create error:', error);
+    sendError(res, error, 'Failed to create conversation');
+  }
+});
+
+/**
+ * POST /api/conversations/:id/messages
+ * Ask a follow-up question; prior turns are included in the prompt
+ */
+router.post('/:id/messages', limitLlmCalls(), async (req, res) => {
+  try {
+    const { message, provider: providerName } = req.body;
+
+    if (!message || message.trim().length < 3) {
+      return res.status(400).json({
+        error: 'Invalid message',
+        message: 'Message must be at least 3 characters long'
+      });
+    }
+
+    const provider = getProvider(providerName);
+
+    const conversation = await repository.findConversationById(req.params.id);
+    if (!conversation || !isOwner(req.user, conversation)) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    const documents = await resolveDocuments({ documentIds: conversation.documentIds }, req.user);
+    const quota = await reserveTokens(req.user, documents);
+
+    const summarizedTurnCount = conversation.summarizedTurnCount;
+    let history = null;
+    let result = null;
+    try {
+      history = await buildHistory(conversation, provider);
+      result = await answerQuery(documents, message, provider, {
+        history,
+        retrievalQuery: buildRetrievalQuery(conversation, message)
+      });
+    } finally {
+      // A summary made before a failed answer still used its tokens
+      const tokensUsed = (history ? history.tokensUsed : 0) + (result ? result.aiResponse.tokensUsed || 0 : 0);
+      setQuotaHeaders(res, await settleTokenUsage(quota, tokensUsed));
+    }
+
+    const queryRecord = await repository.createQuery(createQueryRecord({
+      ownerId: req.user._id, documents, query: message, provider, ...result,
+      conversationId: conversation._id
+    }));
+
+    // Appended atomically, so concurrent messages to the conversation are all kept.
+    // The summary is only written when buildHistory folded older turns into it.
+    const summarized = conversation.summarizedTurnCount > summarizedTurnCount
+      ? { summary: conversation.summary, summarizedTurnCount: conversation.summarizedTurnCount }
+      : {};
+    await repository.appendConversationTurns(conversation._id, [
+      { role: 'user', content: message },
+      { role: 'assistant', content: result.aiResponse.answer, queryId: queryRecord._id }
+    ], { ...summarized, updatedAt: new Date() });
+
+    res.json({
+      success: true,
+      conversationId: conversation._id,
+      query: formatQueryResponse(queryRecord, documents, result, result.provider)
+    });
+
+  } catch (error) {
+    console.error('Conversation message error:', error);
+    sendError(res, error, 'Query processing failed');
+  }
+});
+
+/**
+ * GET /api/conversations/:id
+ * Get a conversation with all of its turns
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const conversation = await repository.findConversationById(req.params.id);
+
+    if (!conversation || !isOwner(req.user, conversation)) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    const documents = await repository.findDocumentsByIds(conversation.documentIds);
+
+    res.json({
+      success: true,
+      conversation: {
+        id: conversation._id,
+        title: conversation.title,
+        documents: documents.map(doc => ({
+          id: doc._id,
+          originalName: doc.originalName
+        })),
+        summary: conversation.summary,
+        turns: conversation.turns,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Conversation fetch error:', error);
+    sendError(res, error, 'Failed to fetch conversation');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const repository = require('../repositories');
+const { verifyFileToken } = require('../services/authService');
+const { sendDocumentFile } = require('../utils/fileResponse');
+const { HttpError, sendError } = require('../utils/errors');
+
+// Signed file links, mounted ahead of the authenticated upload routes. Requests without
+// a token fall through to GET /api/upload/:id/file, which needs a login.
+const router = express.Router();
+
+/**
+ * GET /api/upload/:id/file?token=...
+ * Download a document's file with a link from POST /api/upload/:id/file-url
+ */
+router.get('/:id/file', async (req, res, next) => {
+  if (req.query.token === undefined) return next();
+
+  try {
+    const version = verifyFileToken(String(req.query.token), req.params.id);
+
+    const document = await repository.findDocumentById(req.params.id);
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+    if ((document.version || 1) !== version) {
+      throw new HttpError(403, 'Invalid file link', 'The file has been replaced since the link was created');
+    }
+
+    sendDocumentFile(req, res, document);
+
+  } catch (error) {
+    console.error('Signed file download error:', error.message);
+    sendError(res, error, 'Failed to send file');
+  }
+});
+
+module.exports = router;
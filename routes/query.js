@@ -1,155 +1,300 @@
 const express = require('express');
-const Document = require('../models/Document');
-const Query = require('../models/Query');
-const { processQueryWithGemini } = require('../services/geminiService');
+const repository = require('../repositories');
+const { getProvider, callWithFallback, listProviders } = require('../services/llmProvider');
+const { retrieveRelevantChunks } = require('../services/retrievalService');
+const {
+  resolveDocuments,
+  describeSources,
+  answerQuery,
+  createQueryRecord,
+  formatQueryResponse
+} = require('../services/queryService');
+const { verifyCitations } = require('../utils/citations');
+const { HttpError, sendError } = require('../utils/errors');
+const { authorizeDocuments } = require('../services/workspaceService');
+const { reserveTokens, settleTokenUsage, getQuotaStatus, setQuotaHeaders } = require('../services/quotaService');
+const { limitLlmCalls, chargeLlmCalls } = require('../middleware/rateLimit');
+const { getCachedAnswer, cacheAnswer } = require('../services/answerCache');
+const { priceOf } = require('../services/pricing');
 
 const router = express.Router();
 
+const MAX_BATCH_QUERIES = 10;
+
+/**
+ * Validate the query text of a request
+ * @param {string} query - Query text
+ * @returns {Object|null} - Error response body, or null if valid
+ */
+function validateQueryText(query) {
+  if (!query) {
+    return {
+      error: 'Missing required fields',
+      message: 'A query is required'
+    };
+  }
+
+  if (query.trim().length < 3) {
+    return {
+      error: 'Invalid query',
+      message: 'Query must be at least 3 characters long'
+    };
+  }
+
+  return null;
+}
+
 /**
  * POST /api/query
- * Process a query against a specific document
+ * Process a query against one or more documents
+ * (documentId, documentIds, or a collection / tags selector).
+ * Questions asked before about the same document versions are answered from the answer
+ * cache (cached: true in the response), which does not count against the LLM rate limit;
+ * cache: "bypass" asks the provider again.
  */
 router.post('/', async (req, res) => {
   try {
-    const { documentId, query } = req.body;
+    const { query, provider: providerName, cache } = req.body;
 
     // Validate input
-    if (!documentId || !query) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'Both documentId and query are required'
-      });
+    const invalid = validateQueryText(query);
+    if (invalid) {
+      return res.status(400).json(invalid);
     }
 
-    if (query.trim().length < 3) {
+    if (cache !== undefined && cache !== 'bypass') {
       return res.status(400).json({
-        error: 'Invalid query',
-        message: 'Query must be at least 3 characters long'
+        error: 'Invalid input',
+        message: 'cache must be "bypass" when given'
       });
     }
 
-    // Find the document
-    const document = await Document.findById(documentId);
-    if (!document) {
-      return res.status(404).json({
-        error: 'Document not found',
-        message: 'The specified document does not exist'
-      });
-    }
+    const provider = getProvider(providerName);
+    const documents = await resolveDocuments(req.body, req.user);
 
-    if (!document.extractedText || document.extractedText.trim().length === 0) {
-      return res.status(400).json({
-        error: 'No text content',
-        message: 'The document has no extractable text content'
-      });
-    }
+    let result = cache === 'bypass' ? null : await getCachedAnswer(documents, query, provider);
 
-  console.log(`Processing query for document: ${document.originalName}`);
+    if (result) {
+      console.log(`Answering query from cache for documents: ${documents.map(doc => doc.originalName).join(', ')}`);
+    } else {
+      await chargeLlmCalls(req, res);
+      const quota = await reserveTokens(req.user, documents);
 
-    // Process query with Gemini
-    const startTime = Date.now();
-    const aiResponse = await processQueryWithGemini(document.extractedText, query);
-    const processingTime = Date.now() - startTime;
+      console.log(`Processing query for documents: ${documents.map(doc => doc.originalName).join(', ')}`);
 
-    // Save query and response to database
-    const queryRecord = new Query({
-      documentId: document._id,
-      queryText: query,
-      response: aiResponse.answer,
-      confidence: aiResponse.confidence || 0.7,
-      processingTime: processingTime
-    });
+      // Retrieve the most relevant chunks and process query with the selected provider
+      try {
+        result = await answerQuery(documents, query, provider);
+      } finally {
+        setQuotaHeaders(res, await settleTokenUsage(quota, result ? result.aiResponse.tokensUsed : 0));
+      }
+      // A bypassed lookup still refreshes the cached answer; answers of the fallback
+      // provider are cached under its own name
+      await cacheAnswer(documents, query, result.provider, result);
+    }
 
-    await queryRecord.save();
+    // Save query and response to database
+    const queryRecord = await repository.createQuery(createQueryRecord({ ownerId: req.user._id, documents, query, provider, ...result }));
 
     // Return response to frontend
     res.json({
       success: true,
-      query: {
-        id: queryRecord._id,
-        documentName: document.originalName,
-        queryText: query,
-        answer: aiResponse.answer,
-        canAnswer: aiResponse.canAnswer,
-        confidence: aiResponse.confidence,
-        reasoning: aiResponse.reasoning,
-        processingTime: processingTime,
-        tokensUsed: aiResponse.tokensUsed || 0,
-        createdAt: queryRecord.createdAt
-      }
+      query: formatQueryResponse(queryRecord, documents, result, result.provider)
     });
 
   } catch (error) {
     console.error('Query processing error:', error);
-    
-    // Handle specific error types
-    if (error.message.includes('Gemini')) {
-      return res.status(503).json({
-        error: 'AI service unavailable',
-        message: error.message
-      });
+    sendError(res, error, 'Query processing failed');
+  }
+});
+
+/**
+ * Write a Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/query/stream
+ * Process a query and stream the answer as Server-Sent Events:
+ * start, token (answer deltas), citations, done (record id and timing), error
+ */
+router.post('/stream', limitLlmCalls(), async (req, res) => {
+  let streaming = false;
+
+  try {
+    const { query, provider: providerName } = req.body;
+
+    // Validate input before switching to an event stream, so errors keep their status codes
+    const invalid = validateQueryText(query);
+    if (invalid) {
+      return res.status(400).json(invalid);
     }
 
-    res.status(500).json({
-      error: 'Query processing failed',
+    const provider = getProvider(providerName);
+    const documents = await resolveDocuments(req.body, req.user);
+    const startTime = Date.now();
+    const chunks = await retrieveRelevantChunks(documents, query);
+
+    // Reserved last, so only the LLM call can fail before the reservation is settled
+    const quota = await reserveTokens(req.user, documents);
+    // Headers go out before the answer, so they show the budget left with this query's reservation
+    setQuotaHeaders(res, quota.status);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    streaming = true;
+
+    // Stop generating when the client disconnects
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    sendEvent(res, 'start', {
+      documents: documents.map(doc => ({ id: doc._id, originalName: doc.originalName })),
+      queryText: query,
+      sources: describeSources(chunks),
+      provider: provider.name,
+      model: provider.modelInfo().name
+    });
+
+    // The fallback provider can take over until the first text is sent
+    let streamedText = false;
+    let answered = null;
+    try {
+      answered = await callWithFallback(provider, candidate => candidate.streamAnswer(chunks, query, {
+        onToken: delta => {
+          streamedText = true;
+          sendEvent(res, 'token', { delta });
+        },
+        signal: abortController.signal
+      }), { canFallBack: () => !streamedText });
+    } finally {
+      await settleTokenUsage(quota, answered ? answered.result.tokensUsed : 0);
+    }
+    const { result: aiResponse, provider: answeredBy } = answered;
+
+    const citations = verifyCitations(documents, chunks, aiResponse.citations);
+    sendEvent(res, 'citations', { citations });
+
+    const processingTime = Date.now() - startTime;
+
+    // Persist completed and aborted streams alike
+    const queryRecord = await repository.createQuery(createQueryRecord({
+      ownerId: req.user._id, documents, query, provider: answeredBy, chunks, aiResponse, citations, processingTime,
+      status: aiResponse.aborted ? 'aborted' : 'completed'
+    }));
+
+    sendEvent(res, 'done', {
+      id: queryRecord._id,
+      status: queryRecord.status,
+      answer: aiResponse.answer,
+      canAnswer: aiResponse.canAnswer,
+      confidence: aiResponse.confidence,
+      reasoning: aiResponse.reasoning,
+      parseStatus: queryRecord.parseStatus,
+      provider: answeredBy.name,
+      model: answeredBy.modelInfo().name,
+      processingTime: processingTime,
+      tokensUsed: aiResponse.tokensUsed || 0,
+      promptTokens: queryRecord.promptTokens,
+      completionTokens: queryRecord.completionTokens,
+      cost: queryRecord.cost,
+      createdAt: queryRecord.createdAt
+    });
+    res.end();
+
+  } catch (error) {
+    console.error('Streaming query error:', error);
+
+    if (!streaming) {
+      return sendError(res, error, 'Query processing failed');
+    }
+
+    sendEvent(res, 'error', {
+      error: error.title || 'Query processing failed',
       message: error.message
     });
+    res.end();
   }
 });
 
 /**
  * POST /api/query/batch
- * Process multiple queries against a document
+ * Process multiple queries against one or more documents
  */
-router.post('/batch', async (req, res) => {
+// Each query of a batch is one LLM call
+const batchCost = req => (Array.isArray(req.body.queries)
+  ? Math.min(Math.max(req.body.queries.length, 1), MAX_BATCH_QUERIES)
+  : 1);
+
+router.post('/batch', limitLlmCalls(batchCost), async (req, res) => {
   try {
-    const { documentId, queries } = req.body;
+    const { queries, provider: providerName } = req.body;
 
     // Validate input
-    if (!documentId || !queries || !Array.isArray(queries)) {
+    if (!queries || !Array.isArray(queries)) {
       return res.status(400).json({
         error: 'Invalid input',
-        message: 'documentId and queries array are required'
+        message: 'A queries array is required'
       });
     }
 
-    if (queries.length === 0 || queries.length > 10) {
+    if (queries.length === 0 || queries.length > MAX_BATCH_QUERIES) {
       return res.status(400).json({
         error: 'Invalid query count',
-        message: 'Please provide between 1 and 10 queries'
+        message: `Please provide between 1 and ${MAX_BATCH_QUERIES} queries`
       });
     }
 
-    // Find the document
-    const document = await Document.findById(documentId);
-    if (!document) {
-      return res.status(404).json({
-        error: 'Document not found'
-      });
-    }
+    const provider = getProvider(providerName);
+    const documents = await resolveDocuments(req.body, req.user);
+    // Refuse the whole batch if the budget is already used up
+    let quota = await reserveTokens(req.user, documents);
 
     const results = [];
     
     // Process each query
     for (const query of queries) {
       try {
-        const aiResponse = await processQueryWithGemini(document.extractedText, query);
+        // Later queries fail individually once the budget runs out mid-batch
+        if (results.length > 0) {
+          quota = await reserveTokens(req.user, documents);
+        }
+        let result = null;
+        try {
+          result = await answerQuery(documents, query, provider);
+        } finally {
+          await settleTokenUsage(quota, result ? result.aiResponse.tokensUsed : 0);
+        }
         
         // Save to database
-        const queryRecord = new Query({
-          documentId: document._id,
-          queryText: query,
-          response: aiResponse.answer,
-          confidence: aiResponse.confidence || 0.7,
-          processingTime: aiResponse.processingTime || 0
-        });
-
-        await queryRecord.save();
+        const queryRecord = await repository.createQuery(createQueryRecord({ ownerId: req.user._id, documents, query, provider, ...result }));
 
         results.push({
           query: query,
-          answer: aiResponse.answer,
-          confidence: aiResponse.confidence,
+          answer: result.aiResponse.answer,
+          confidence: result.aiResponse.confidence,
+          parseStatus: queryRecord.parseStatus,
+          chunkIds: queryRecord.chunkIds,
+          sources: describeSources(result.chunks),
+          citations: result.citations,
+          processingTime: result.processingTime,
+          tokensUsed: result.aiResponse.tokensUsed || 0,
+          cost: queryRecord.cost,
           success: true
         });
 
@@ -163,18 +308,17 @@ router.post('/batch', async (req, res) => {
       }
     }
 
+    // Budgets as they are after the last query, whether it was answered or not
+    setQuotaHeaders(res, await getQuotaStatus(req.user, documents));
     res.json({
       success: true,
-      documentName: document.originalName,
+      documentName: documents.map(doc => doc.originalName).join(', '),
       results: results
     });
 
   } catch (error) {
     console.error('Batch query error:', error);
-    res.status(500).json({
-      error: 'Batch processing failed',
-      message: error.message
-    });
+    sendError(res, error, 'Batch processing failed');
   }
 });
 
@@ -187,19 +331,39 @@ router.get('/history/:documentId', async (req, res) => {
     const { documentId } = req.params;
     const limit = parseInt(req.query.limit) || 20;
 
-    const queries = await Query.find({ documentId })
-      .populate('documentId', 'originalName')
-      .sort({ createdAt: -1 })
-      .limit(limit);
+    // Viewers of a workspace can read its documents' history
+    const document = await repository.findDocumentById(documentId);
+    if (!document || (await authorizeDocuments(req.user, [document], 'viewer')).length === 0) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    // Includes multi-document queries that involved this document
+    const queries = await repository.findQueriesByDocumentId(documentId, { limit });
 
     res.json({
       success: true,
       queries: queries.map(q => ({
         id: q._id,
+        conversationId: q.conversationId,
         queryText: q.queryText,
         response: q.response,
         confidence: q.confidence,
+        parseStatus: q.parseStatus,
+        documentIds: q.documentIds,
+        documentVersion: q.documentVersion,
+        chunkIds: q.chunkIds,
+        sources: q.sources,
+        citations: q.citations,
+        provider: q.provider,
+        status: q.status,
         processingTime: q.processingTime,
+        promptTokens: q.promptTokens,
+        completionTokens: q.completionTokens,
+        tokensEstimated: q.tokensEstimated,
+        cached: q.cached,
+        cost: q.cost,
         createdAt: q.createdAt
       }))
     });
@@ -215,46 +379,143 @@ router.get('/history/:documentId', async (req, res) => {
 
 /**
  * GET /api/query/stats
- * Get overall query statistics
+ * Get query statistics for the caller's documents; ?scope=all (admins only) covers all users
  */
 router.get('/stats', async (req, res) => {
   try {
-    const totalQueries = await Query.countDocuments();
-    const totalDocuments = await Document.countDocuments();
-    
-    const avgConfidence = await Query.aggregate([
-      {
-        $group: {
-          _id: null,
-          avgConfidence: { $avg: '$confidence' },
-          avgProcessingTime: { $avg: '$processingTime' }
-        }
-      }
-    ]);
+    const global = req.query.scope === 'all';
+    if (global && req.user.role !== 'admin') {
+      throw new HttpError(403, 'Forbidden', 'Statistics of all users are only available to admins');
+    }
 
-    const recentQueries = await Query.find()
-      .populate('documentId', 'originalName')
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select('queryText response confidence createdAt');
+    const stats = await repository.getStats(global ? {} : { ownerId: req.user._id });
 
     res.json({
       success: true,
-      stats: {
-        totalQueries,
-        totalDocuments,
-        averageConfidence: avgConfidence[0]?.avgConfidence || 0,
-        averageProcessingTime: avgConfidence[0]?.avgProcessingTime || 0,
-        recentQueries
-      }
+      stats: stats
     });
 
   } catch (error) {
     console.error('Stats fetch error:', error);
-    res.status(500).json({
-      error: 'Failed to fetch statistics',
-      message: error.message
+    sendError(res, error, 'Failed to fetch statistics');
+  }
+});
+
+const USAGE_GROUPS = ['day', 'document', 'user'];
+
+/**
+ * Read a from / to parameter of the usage report. A plain date (YYYY-MM-DD) means the
+ * start of that UTC day; as `to` it includes the whole day.
+ * @param {string} value - Parameter value
+ * @param {string} name - Parameter name, for errors
+ * @param {boolean} end - True for the end of the range
+ * @returns {Date|null} - Time, or null if not given
+ * @throws {HttpError} - 400 for values that are not dates
+ */
+function parseUsageDate(value, name, end) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, 'Invalid date', `${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+  }
+  if (end && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+// Sums of floating-point costs are rounded back to a millionth of a dollar
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * GET /api/query/usage?groupBy=day|document|user&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Report tokens and cost (USD) of the caller's queries; ?scope=all (admins only) covers all users
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'day';
+    if (!USAGE_GROUPS.includes(groupBy)) {
+      throw new HttpError(400, 'Invalid groupBy', `groupBy must be one of: ${USAGE_GROUPS.join(', ')}`);
+    }
+    const global = req.query.scope === 'all';
+    if (global && req.user.role !== 'admin') {
+      throw new HttpError(403, 'Forbidden', 'Usage of all users is only available to admins');
+    }
+    const from = parseUsageDate(req.query.from, 'from', false);
+    const to = parseUsageDate(req.query.to, 'to', true);
+
+    const groups = await repository.getUsage({ ownerId: global ? null : req.user._id, from, to, groupBy });
+
+    // Name the documents and users the groups stand for
+    const labels = new Map();
+    if (groupBy === 'document') {
+      const documents = await repository.findDocumentsByIds(groups.map(group => group.key).filter(Boolean));
+      for (const document of documents) labels.set(String(document._id), document.originalName);
+    } else if (groupBy === 'user') {
+      for (const group of groups.filter(entry => entry.key)) {
+        const user = await repository.findUserById(group.key);
+        if (user) labels.set(String(group.key), user.email);
+      }
+    }
+
+    const totals = { queries: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedQueries: 0 };
+    for (const group of groups) {
+      for (const field of Object.keys(totals)) totals[field] += group[field];
+    }
+    totals.cost = roundCost(totals.cost);
+
+    res.json({
+      success: true,
+      groupBy,
+      from,
+      to,
+      currency: 'USD',
+      totals,
+      usage: groups.map(group => ({
+        [groupBy]: group.key,
+        label: groupBy === 'day' ? undefined : labels.get(String(group.key)) || null,
+        queries: group.queries,
+        promptTokens: group.promptTokens,
+        completionTokens: group.completionTokens,
+        cost: roundCost(group.cost),
+        unpricedQueries: group.unpricedQueries
+      }))
     });
+
+  } catch (error) {
+    console.error('Usage report error:', error);
+    sendError(res, error, 'Failed to fetch usage');
+  }
+});
+
+/**
+ * GET /api/query/providers
+ * List available LLM providers; pass ?validate=true to also check their API keys
+ */
+router.get('/providers', async (req, res) => {
+  try {
+    const validate = req.query.validate === 'true';
+    const defaultProvider = getProvider().name;
+
+    const providers = await Promise.all(listProviders().map(async name => {
+      const provider = getProvider(name);
+      return {
+        name: name,
+        default: name === defaultProvider,
+        model: provider.modelInfo(),
+        price: priceOf(provider.modelInfo().name),
+        keyValid: validate ? await provider.validateKey() : undefined
+      };
+    }));
+
+    res.json({
+      success: true,
+      providers: providers
+    });
+
+  } catch (error) {
+    console.error('Providers fetch error:', error);
+    sendError(res, error, 'Failed to fetch providers');
   }
 });
 
@@ -1,23 +1,38 @@
 /**
  * DELETE /api/upload
- * Delete all documents and their associated files
+ * Delete all documents of all users and their associated files (admins only)
  */
 
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
 const fsExtra = require('fs-extra');
-const Document = require('../models/Document');
-const { extractTextFromDocument, cleanText } = require('../utils/textExtractor');
-const { getMemoryStorage } = require('../utils/memoryStorage');
-const { generateRecommendedQuestions } = require('../services/geminiService');
+const { Transform, pipeline } = require('stream');
+const repository = require('../repositories');
+const { isReady, notifyIngestionWorker } = require('../services/ingestionService');
+const { detectFormat, isSupportedUpload } = require('../utils/extractors');
+const { getProvider } = require('../services/llmProvider');
+const { parseTags } = require('../services/queryService');
+const { HttpError, UnsupportedFormatError, sendError } = require('../utils/errors');
+const { fetchRemoteDocument, remoteFileName } = require('../utils/urlFetcher');
+const { unpackArchive } = require('../utils/archive');
+const { diffParagraphs } = require('../utils/textDiff');
+const { sendDocumentFile } = require('../utils/fileResponse');
+const { requireAdmin } = require('../middleware/auth');
+const { chargeLlmCalls } = require('../middleware/rateLimit');
+const { reserveTokens, settleTokenUsage, setQuotaHeaders } = require('../services/quotaService');
+const { buildRecommendationPrompt, estimateTokens } = require('../services/promptBuilder');
+const { signFileUrl } = require('../services/authService');
+const { authorizeWorkspace, authorizeDocuments } = require('../services/workspaceService');
+const { invalidateDocumentAnswers, clearAnswerCache } = require('../services/answerCache');
 
 const router = express.Router();
 
-router.delete('/', async (req, res) => {
+router.delete('/', requireAdmin, async (req, res) => {
   try {
-    const documents = await Document.find({});
+    const documents = await repository.findDocuments({}, { limit: Infinity });
     for (const document of documents) {
       try {
         await fs.promises.unlink(document.filePath);
@@ -25,7 +40,9 @@ router.delete('/', async (req, res) => {
         // Ignore file errors (file may not exist)
       }
     }
-    await Document.deleteMany({});
+    // Also removes all queries and conversations
+    await repository.deleteAllDocuments();
+    await clearAnswerCache();
     res.json({ success: true, message: 'All documents deleted successfully' });
   } catch (error) {
     console.error('Delete all documents error:', error);
@@ -46,42 +63,291 @@ const storage = multer.diskStorage({
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + extension);
+    cb(null, uniqueFilename(path.extname(file.originalname)));
   }
 });
 
-// File filter to accept only specific document types
+// File filter to accept only supported document types (by MIME type or extension);
+// the content itself is checked once the file is saved
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'application/pdf',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/msword',
-    'text/plain'
-  ];
-  
-  if (allowedTypes.includes(file.mimetype)) {
+  if (isSupportedUpload(file.mimetype, file.originalname)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF, Word documents, and text files are allowed.'), false);
+    cb(new UnsupportedFormatError('Invalid file type. Supported formats: PDF, Word (DOCX/DOC), OpenDocument text, RTF, HTML, Markdown, plain text, CSV/TSV, Excel (XLSX), PowerPoint (PPTX), EPUB and PNG, JPEG or TIFF images.'), false);
   }
 };
 
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit per document
+const BULK_MAX_FILES = parseInt(process.env.BULK_MAX_FILES) || 500;
+const BULK_MAX_ARCHIVE_SIZE = parseInt(process.env.BULK_MAX_ARCHIVE_SIZE) || 100 * 1024 * 1024;
+const BULK_MAX_TOTAL_SIZE = parseInt(process.env.BULK_MAX_TOTAL_SIZE) || 200 * 1024 * 1024;
+const ARCHIVE_TYPES = ['application/zip', 'application/x-zip-compressed'];
+// Tokens reserved for the answer of a recommended-questions call; OpenAI calls are capped at this
+const RECOMMENDATION_ANSWER_TOKENS = 300;
+
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_FILE_SIZE
   }
 });
 
+// Bulk uploads take every file and report unsupported or oversized ones individually,
+// so one bad file does not fail the batch. Only archives may exceed MAX_FILE_SIZE: of
+// other files, no more than that is written to disk, and the rest is counted but dropped.
+// A request whose files add up to more than BULK_MAX_TOTAL_SIZE is refused as a whole.
+const bulkStorage = {
+  _handleFile(req, file, cb) {
+    const filename = uniqueFilename(path.extname(file.originalname));
+    const filePath = path.join(uploadsDir, filename);
+    const limit = isArchive(file) ? Infinity : MAX_FILE_SIZE;
+    let size = 0;
+
+    const meter = new Transform({
+      transform(part, encoding, done) {
+        size += part.length;
+        req.bulkUploadSize = (req.bulkUploadSize || 0) + part.length;
+        if (req.bulkUploadSize > BULK_MAX_TOTAL_SIZE) {
+          return done(new HttpError(413, 'Upload too large', `A bulk upload may be at most ${BULK_MAX_TOTAL_SIZE} bytes`));
+        }
+        if (size <= limit) this.push(part);
+        done();
+      }
+    });
+
+    pipeline(file.stream, meter, fs.createWriteStream(filePath), error => {
+      if (error) {
+        return fs.unlink(filePath, () => cb(error));
+      }
+      // The real size, so the route can tell oversized files apart
+      cb(null, { destination: uploadsDir, filename, path: filePath, size });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path, cb);
+  }
+};
+
+const bulkUpload = multer({
+  storage: bulkStorage,
+  limits: {
+    fileSize: BULK_MAX_ARCHIVE_SIZE,
+    files: BULK_MAX_FILES
+  }
+});
+
+/**
+ * Answer a multipart upload that multer or a storage engine refused. Multer stops reading
+ * the request at that point, so the connection is closed after the response instead of
+ * being left waiting for the rest of the body. Limit errors are sent as 413.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from multer or a storage engine
+ */
+function rejectUpload(res, error) {
+  res.set('Connection', 'close');
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      error = new HttpError(413, 'File too large', 'A file is larger than the upload size limit');
+    } else if (error.code === 'LIMIT_FILE_COUNT') {
+      error = new HttpError(413, 'Too many files', `At most ${BULK_MAX_FILES} files can be uploaded at once`);
+    } else {
+      error = new HttpError(400, 'Invalid upload', error.message);
+    }
+  }
+  sendError(res, error, 'Upload failed');
+}
+
+/**
+ * Receive the "document" file, answering multer errors (such as a rejected type) as JSON
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const receiveDocument = (req, res, next) => {
+  upload.single('document')(req, res, error => {
+    if (error) {
+      return rejectUpload(res, error);
+    }
+    next();
+  });
+};
+
+/**
+ * Find the document named by the :id parameter, if the caller may act on it
+ * @param {Object} req - Express request
+ * @param {string} minimumRole - Role needed: 'viewer', 'querier' or 'editor' (see workspaceService)
+ * @returns {Promise<Object|null>} - Document, or null if it does not exist or the caller cannot see it
+ * @throws {HttpError} - 403 if the caller can see the document but their role is too low
+ */
+async function findDocumentFor(req, minimumRole) {
+  const document = await repository.findDocumentById(req.params.id);
+  if (!document) return null;
+  const [visible] = await authorizeDocuments(req.user, [document], minimumRole);
+  return visible || null;
+}
+
+/**
+ * Work out where new documents go: the workspace named by the workspaceId field (the caller
+ * must be an editor there), else the caller's personal documents
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { ownerId, workspaceId }
+ */
+async function uploadScope(req) {
+  const workspaceId = req.body && req.body.workspaceId;
+  if (!workspaceId) {
+    return { ownerId: req.user._id, workspaceId: null };
+  }
+  const workspace = await authorizeWorkspace(req.user, workspaceId, 'editor');
+  return { ownerId: req.user._id, workspaceId: workspace._id };
+}
+
+/**
+ * Generate a unique file name in the uploads directory
+ * @param {string} extension - File extension, including the dot
+ * @returns {string} - File name
+ */
+function uniqueFilename(extension) {
+  // Generate unique filename with timestamp
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return 'document-' + uniqueSuffix + extension;
+}
+
+/**
+ * SHA-256 of a file's content, as hex
+ * @param {Buffer} content - File content
+ * @returns {string} - Content hash
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read what to do when the same content was uploaded before: ?onDuplicate= or the
+ * onDuplicate body field. 'return' (default) answers with the existing document,
+ * 'new' ingests the content again as a new document.
+ * @param {Object} req - Express request
+ * @returns {string} - 'return' or 'new'
+ * @throws {HttpError} - 400 for other values
+ */
+function duplicatePolicy(req) {
+  const policy = req.query.onDuplicate || (req.body && req.body.onDuplicate) || 'return';
+  if (policy !== 'return' && policy !== 'new') {
+    throw new HttpError(400, 'Invalid onDuplicate', 'onDuplicate must be "return" or "new"');
+  }
+  return policy;
+}
+
+/**
+ * Find an earlier document with the same content in the same workspace (or among the
+ * caller's personal documents), if duplicates should be returned
+ * @param {string} contentHash - SHA-256 of the content
+ * @param {Object} scope - Result of uploadScope
+ * @param {string} policy - Result of duplicatePolicy
+ * @returns {Promise<Object|null>} - Existing document
+ */
+async function findDuplicate(contentHash, { ownerId, workspaceId }, policy) {
+  return policy === 'return' ? repository.findDocumentByContentHash(contentHash, { ownerId, workspaceId }) : null;
+}
+
+/**
+ * Body of the response to an upload
+ * @param {Object} document - Queued (or existing) document
+ * @param {string} message - Message for the response
+ * @param {boolean} duplicate - Whether the document already existed
+ * @returns {Object} - Response body
+ */
+function uploadResponse(document, message, duplicate) {
+  return {
+    success: true,
+    message,
+    duplicate,
+    jobId: document._id,
+    statusUrl: `/api/upload/${document._id}/status`,
+    document: {
+      id: document._id,
+      originalName: document.originalName,
+      fileSize: document.fileSize,
+      mimeType: document.mimeType,
+      source: document.source,
+      sourceUrl: document.sourceUrl,
+      version: document.version || 1,
+      status: document.status || 'ready',
+      workspaceId: document.workspaceId || null,
+      collection: document.collectionName,
+      tags: document.tags,
+      uploadedAt: document.uploadedAt
+    }
+  };
+}
+
+/**
+ * Record a received document and queue it for text extraction
+ * @param {Object} fields - Document fields (ownerId, workspaceId, file details, contentHash and source)
+ * @param {Object} body - Request body with optional collection and tags
+ * @param {string} message - Message for the response
+ * @returns {Promise<Object>} - Body of the 202 response
+ */
+async function queueDocument(fields, body, message) {
+  // Save document information to database; the ingestion worker fills in the text
+  const document = await repository.createDocument({
+    ...fields,
+    status: 'queued',
+    collectionName: body.collection || null,
+    tags: parseTags(body.tags)
+  });
+
+  notifyIngestionWorker();
+
+  return uploadResponse(document, message, false);
+}
+
+/**
+ * Write fetched or pasted content to the uploads directory and queue it, unless the
+ * same content exists and the duplicate policy says to return it
+ * @param {Buffer} content - Document content
+ * @param {Object} format - Detected format (from detectFormat)
+ * @param {Object} fields - Remaining document fields (ownerId, workspaceId, originalName, source, sourceUrl)
+ * @param {Object} body - Request body with optional collection and tags
+ * @param {string} message - Message for the response
+ * @param {string} policy - Result of duplicatePolicy
+ * @returns {Promise<Object>} - Body of the response; duplicate is true for an existing document (200)
+ */
+async function storeAndQueue(content, format, fields, body, message, policy) {
+  const contentHash = hashContent(content);
+  const existing = await findDuplicate(contentHash, fields, policy);
+  if (existing) {
+    return uploadResponse(existing, 'Document already uploaded', true);
+  }
+
+  const filename = uniqueFilename(format.extensions[0]);
+  const filePath = path.join(uploadsDir, filename);
+  await fs.promises.writeFile(filePath, content);
+
+  try {
+    return await queueDocument({
+      ...fields,
+      filename,
+      filePath,
+      fileSize: content.length,
+      mimeType: format.mimeTypes[0],
+      contentHash
+    }, body, message);
+  } catch (error) {
+    await fsExtra.remove(filePath);
+    throw error;
+  }
+}
+
 /**
  * POST /api/upload
- * Upload a document and extract its text content
+ * Upload a document and queue it for text extraction.
+ * Responds with 202; poll GET /api/upload/:id/status until the document is ready.
+ * If the same content was uploaded before, responds with 200, duplicate: true and the
+ * existing document instead; ?onDuplicate=new (or the form field) uploads it again.
  */
-router.post('/', upload.single('document'), async (req, res) => {
+router.post('/', receiveDocument, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
@@ -92,59 +358,31 @@ router.post('/', upload.single('document'), async (req, res) => {
 
   console.log('File uploaded:', req.file.originalname);
 
-    // Extract text from the uploaded document
-    let extractedText = '';
-    try {
-      console.log('🔍 Starting text extraction for:', req.file.originalname, 'Type:', req.file.mimetype);
-      extractedText = await extractTextFromDocument(req.file.path, req.file.mimetype);
-  // Extraction debug (trimmed)
-  console.log('Text length:', extractedText ? extractedText.length : 0);
-      
-      extractedText = cleanText(extractedText);
-  console.log('Cleaned text length:', extractedText ? extractedText.length : 0);
-      
-      if (!extractedText || extractedText.trim().length === 0) {
-  console.error('Text extraction resulted in empty content');
-        throw new Error('Document appears to be empty or contains no readable text');
-      }
-    } catch (extractionError) {
-      console.error('❌ Text extraction failed:', extractionError);
-      // Clean up the uploaded file if text extraction fails
-      try {
-        await fsExtra.remove(req.file.path);
-      } catch (cleanupError) {
-        console.error('File cleanup error:', cleanupError);
-      }
-      return res.status(400).json({
-        error: 'Text extraction failed',
-        message: extractionError.message
-      });
+    const policy = duplicatePolicy(req);
+    const scope = await uploadScope(req);
+    const content = await fs.promises.readFile(req.file.path);
+
+    // Reject content no extractor can read (415) now rather than failing in the background
+    const format = await detectFormat(content, req.file.mimetype, req.file.originalname);
+
+    const contentHash = hashContent(content);
+    const existing = await findDuplicate(contentHash, scope, policy);
+    if (existing) {
+      console.log('Duplicate of document', String(existing._id));
+      await fsExtra.remove(req.file.path);
+      return res.json(uploadResponse(existing, 'Document already uploaded', true));
     }
 
-    // Save document information to database
-    const document = new Document({
+    res.status(202).json(await queueDocument({
+      ...scope,
       filename: req.file.filename,
       originalName: req.file.originalname,
       filePath: req.file.path,
       fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      extractedText: extractedText
-    });
-
-    await document.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'Document uploaded and processed successfully',
-      document: {
-        id: document._id,
-        originalName: document.originalName,
-        fileSize: document.fileSize,
-        mimeType: document.mimeType,
-        textLength: extractedText.length,
-        uploadedAt: document.uploadedAt
-      }
-    });
+      mimeType: format.mimeTypes[0],
+      contentHash,
+      source: 'upload'
+    }, req.body, 'Document uploaded and queued for processing'));
 
   } catch (error) {
     console.error('Upload error:', error);
@@ -158,35 +396,753 @@ router.post('/', upload.single('document'), async (req, res) => {
       }
     }
 
-    res.status(500).json({
-      error: 'Upload failed',
-      message: error.message
+    sendError(res, error, 'Upload failed');
+  }
+});
+
+/**
+ * POST /api/upload/url
+ * Fetch a web page or remote document and queue it for text extraction.
+ * Body: { url, title?, collection?, tags?, onDuplicate? }. Responds like POST /api/upload.
+ */
+router.post('/url', async (req, res) => {
+  try {
+    const { url, title } = req.body;
+    const policy = duplicatePolicy(req);
+    const scope = await uploadScope(req);
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'URL is required',
+        message: 'Provide the address of the page or document to ingest'
+      });
+    }
+
+    const remote = await fetchRemoteDocument(url);
+    const remoteName = remoteFileName(remote.url);
+    console.log('URL fetched:', remote.url, 'Type:', remote.contentType, 'Size:', remote.body.length);
+
+    if (!isSupportedUpload(remote.contentType, remoteName)) {
+      throw new UnsupportedFormatError(`Unsupported content type: ${remote.contentType || 'none'}`);
+    }
+    const format = await detectFormat(remote.body, remote.contentType, remoteName);
+
+    const body = await storeAndQueue(remote.body, format, {
+      ...scope,
+      originalName: (typeof title === 'string' && title.trim()) || remoteName,
+      source: 'url',
+      sourceUrl: remote.url
+    }, req.body, 'URL fetched and queued for processing', policy);
+    res.status(body.duplicate ? 200 : 202).json(body);
+
+  } catch (error) {
+    console.error('URL ingestion error:', error);
+    sendError(res, error, 'URL ingestion failed');
+  }
+});
+
+/**
+ * Check whether an upload is a ZIP archive of documents (rather than a ZIP-based document)
+ * @param {Object} file - Multer file
+ * @returns {boolean} - True for .zip files
+ */
+function isArchive(file) {
+  return ARCHIVE_TYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+}
+
+/**
+ * Describe a failed file of a bulk upload
+ * @param {string} name - File name (archive entries as archive/path)
+ * @param {Error} error - Why it was not queued
+ * @returns {Object} - Result entry
+ */
+function rejectedResult(name, error) {
+  return {
+    name,
+    status: 'rejected',
+    error: error.title || 'Upload failed',
+    message: error.message
+  };
+}
+
+/**
+ * POST /api/upload/bulk
+ * Upload many files at once (multipart field "documents"), including ZIP archives of
+ * documents. Every document is queued like a single upload and put into one collection:
+ * the "collection" field, else the archive name for a single archive, else bulk-<timestamp>.
+ * Files already uploaded are reported as duplicates of the existing document (which keeps
+ * its collection) unless onDuplicate=new.
+ * Responds with 202 and a result per file, or 400 if nothing could be queued or matched.
+ */
+router.post('/bulk', (req, res, next) => {
+  bulkUpload.array('documents', BULK_MAX_FILES)(req, res, error => {
+    if (error) {
+      return rejectUpload(res, error);
+    }
+    next();
+  });
+}, async (req, res) => {
+  const files = req.files || [];
+  const results = [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded',
+        message: 'Attach the documents or ZIP archives as "documents"'
+      });
+    }
+
+    let policy;
+    let scope;
+    try {
+      policy = duplicatePolicy(req);
+      scope = await uploadScope(req);
+    } catch (error) {
+      // Nothing is queued yet, so all received files can go
+      await Promise.all(files.map(file => fsExtra.remove(file.path)));
+      throw error;
+    }
+
+    const archives = files.filter(isArchive);
+    const collection = (typeof req.body.collection === 'string' && req.body.collection.trim())
+      || (files.length === 1 && archives.length === 1
+        ? path.basename(files[0].originalname, path.extname(files[0].originalname))
+        : `bulk-${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}`);
+    const grouping = { collection, tags: req.body.tags };
+    console.log(`Bulk upload of ${files.length} files into collection ${collection}`);
+
+    /**
+     * Queue one document and record the outcome
+     * @param {string} name - Name for the report
+     * @param {Function} queue - Queues the document, resolving to the upload response body
+     */
+    const queueOne = async (name, queue) => {
+      try {
+        const queued = await queue();
+        results.push({
+          name,
+          status: queued.duplicate ? 'duplicate' : 'queued',
+          jobId: queued.jobId,
+          statusUrl: queued.statusUrl
+        });
+      } catch (error) {
+        results.push(rejectedResult(name, error));
+      }
+    };
+
+    for (const file of files) {
+      if (isArchive(file)) {
+        try {
+          const archive = await fs.promises.readFile(file.path);
+          for await (const entry of unpackArchive(archive, { maxEntryBytes: MAX_FILE_SIZE })) {
+            const name = `${file.originalname}/${entry.name}`;
+            if (entry.error) {
+              results.push(rejectedResult(name, entry.error));
+              continue;
+            }
+            const originalName = path.basename(entry.name);
+            await queueOne(name, async () => {
+              if (!isSupportedUpload('', originalName)) {
+                throw new UnsupportedFormatError(`Unsupported file type: ${path.extname(originalName) || 'no extension'}`);
+              }
+              const format = await detectFormat(entry.content, '', originalName);
+              return storeAndQueue(entry.content, format, { ...scope, originalName, source: 'upload' }, grouping, 'Queued', policy);
+            });
+          }
+        } catch (error) {
+          // Entries before the failure stay queued
+          results.push(rejectedResult(file.originalname, error));
+        } finally {
+          await fsExtra.remove(file.path);
+        }
+        continue;
+      }
+
+      await queueOne(file.originalname, async () => {
+        try {
+          if (!isSupportedUpload(file.mimetype, file.originalname)) {
+            throw new UnsupportedFormatError(`Unsupported file type: ${file.mimetype}`);
+          }
+          if (file.size > MAX_FILE_SIZE) {
+            throw new HttpError(413, 'File too large', `Documents may be at most ${MAX_FILE_SIZE} bytes`);
+          }
+          const content = await fs.promises.readFile(file.path);
+          const format = await detectFormat(content, file.mimetype, file.originalname);
+          const contentHash = hashContent(content);
+          const existing = await findDuplicate(contentHash, scope, policy);
+          if (existing) {
+            await fsExtra.remove(file.path);
+            return uploadResponse(existing, 'Document already uploaded', true);
+          }
+          return await queueDocument({
+            ...scope,
+            filename: file.filename,
+            originalName: file.originalname,
+            filePath: file.path,
+            fileSize: file.size,
+            mimeType: format.mimeTypes[0],
+            contentHash,
+            source: 'upload'
+          }, grouping, 'Queued');
+        } catch (error) {
+          await fsExtra.remove(file.path);
+          throw error;
+        }
+      });
+    }
+
+    const queued = results.filter(result => result.status === 'queued').length;
+    const duplicates = results.filter(result => result.status === 'duplicate').length;
+    const summary = { queued, duplicates, rejected: results.length - queued - duplicates };
+
+    if (queued === 0 && duplicates === 0) {
+      return res.status(400).json({
+        error: 'No documents queued',
+        message: 'None of the uploaded files could be processed',
+        collection,
+        summary,
+        results
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `${queued} documents queued for processing`,
+      collection,
+      summary,
+      results
     });
+
+  } catch (error) {
+    console.error('Bulk upload error:', error);
+    sendError(res, error, 'Bulk upload failed');
+  }
+});
+
+/**
+ * POST /api/upload/text
+ * Queue pasted text for ingestion.
+ * Body: { title, text, collection?, tags?, onDuplicate? }. Responds like POST /api/upload.
+ */
+router.post('/text', async (req, res) => {
+  try {
+    const { title, text } = req.body;
+    const policy = duplicatePolicy(req);
+    const scope = await uploadScope(req);
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        error: 'Title is required',
+        message: 'Give the pasted text a title'
+      });
+    }
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        error: 'Text is required',
+        message: 'Paste the text to ingest'
+      });
+    }
+
+    const content = Buffer.from(text, 'utf-8');
+    const format = await detectFormat(content, 'text/plain');
+
+    const body = await storeAndQueue(content, format, {
+      ...scope,
+      originalName: title.trim(),
+      source: 'text'
+    }, req.body, 'Text queued for processing', policy);
+    res.status(body.duplicate ? 200 : 202).json(body);
+
+  } catch (error) {
+    console.error('Text ingestion error:', error);
+    sendError(res, error, 'Text ingestion failed');
   }
 });
 
 /**
  * GET /api/upload/documents
- * Get list of uploaded documents
+ * Get list of the caller's personal documents, or with ?workspaceId= those of a workspace,
+ * optionally filtered by ?collection= and ?tags=a,b
  */
 router.get('/documents', async (req, res) => {
   try {
-    const documents = await Document.find()
-      .select('_id originalName fileSize mimeType uploadedAt')
-      .sort({ uploadedAt: -1 })
-      .limit(50);
+    const workspace = req.query.workspaceId
+      ? await authorizeWorkspace(req.user, req.query.workspaceId, 'viewer')
+      : null;
+
+    const documents = await repository.findDocuments({
+      workspaceId: workspace ? workspace._id : null,
+      ownerId: req.user._id,
+      collection: req.query.collection,
+      tags: req.query.tags ? parseTags(req.query.tags) : undefined
+    }, { limit: 50 });
 
     res.json({
       success: true,
-      documents: documents
+      documents: documents.map(doc => ({
+        _id: doc._id,
+        originalName: doc.originalName,
+        fileSize: doc.fileSize,
+        mimeType: doc.mimeType,
+        source: doc.source || 'upload',
+        sourceUrl: doc.sourceUrl || null,
+        version: doc.version || 1,
+        status: doc.status || 'ready',
+        ownerId: doc.ownerId,
+        workspaceId: doc.workspaceId || null,
+        collectionName: doc.collectionName,
+        tags: doc.tags,
+        uploadedAt: doc.uploadedAt
+      }))
     });
 
   } catch (error) {
     console.error('Error fetching documents:', error);
-    res.status(500).json({
-      error: 'Failed to fetch documents',
-      message: error.message
+    sendError(res, error, 'Failed to fetch documents');
+  }
+});
+
+/**
+ * GET /api/upload/:id/status
+ * Get the ingestion status of an uploaded document
+ */
+router.get('/:id/status', async (req, res) => {
+  try {
+    const document = await findDocumentFor(req, 'viewer');
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      document: {
+        id: document._id,
+        originalName: document.originalName,
+        source: document.source || 'upload',
+        sourceUrl: document.sourceUrl || null,
+        contentHash: document.contentHash || null,
+        ownerId: document.ownerId,
+        workspaceId: document.workspaceId || null,
+        version: document.version || 1,
+        status: document.status || 'ready',
+        error: document.error || null,
+        attempts: document.attempts || 0,
+        nextAttemptAt: document.nextAttemptAt || null,
+        textLength: (document.extractedText || '').length,
+        chunkCount: (document.chunks || []).length,
+        extractionMethod: document.extractionMethod || null,
+        ocrConfidence: document.ocrConfidence === undefined ? null : document.ocrConfidence,
+        ocrPages: document.ocrPages || [],
+        uploadedAt: document.uploadedAt,
+        processedAt: document.processedAt || null
+      }
     });
+
+  } catch (error) {
+    console.error('Document status error:', error);
+    sendError(res, error, 'Failed to fetch document status');
+  }
+});
+
+/**
+ * GET /api/upload/:id/file
+ * Download the document's file with its original name and type. Supports Range requests;
+ * ?download=true sends it as an attachment. Signed links (?token=) are served by
+ * routes/files.js without a login.
+ */
+router.get('/:id/file', async (req, res) => {
+  try {
+    const document = await findDocumentFor(req, 'viewer');
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    sendDocumentFile(req, res, document);
+
+  } catch (error) {
+    console.error('File download error:', error);
+    sendError(res, error, 'Failed to send file');
+  }
+});
+
+/**
+ * POST /api/upload/:id/file-url
+ * Create a short-lived link to the document's file that works without a token, for
+ * embedding in a viewer: { expiresIn? } in seconds, at most FILE_URL_TTL_SECONDS
+ */
+router.post('/:id/file-url', async (req, res) => {
+  try {
+    const document = await findDocumentFor(req, 'viewer');
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    const { url, expiresAt } = signFileUrl(document, req.body.expiresIn);
+
+    res.status(201).json({
+      success: true,
+      url,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('File link error:', error);
+    sendError(res, error, 'Failed to create file link');
+  }
+});
+
+/**
+ * GET /api/upload/:id/structure
+ * Get a document's pages and blocks (headings, paragraphs, list items, tables).
+ * ?page=N limits the blocks to one page.
+ */
+router.get('/:id/structure', async (req, res) => {
+  try {
+    const document = await findDocumentFor(req, 'viewer');
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    if (!isReady(document)) {
+      return res.status(409).json({
+        error: 'Document not ready',
+        message: `Document is ${document.status}; wait until its status is ready`
+      });
+    }
+
+    const structure = document.structure || {};
+    const text = document.extractedText || '';
+    const page = req.query.page !== undefined ? parseInt(req.query.page) : null;
+
+    if (!structure.blocks || structure.blocks.length === 0) {
+      return res.status(404).json({
+        error: 'Structure not available',
+        message: 'This document was processed before structure extraction; upload it again with onDuplicate=new to get its structure'
+      });
+    }
+
+    res.json({
+      success: true,
+      documentId: document._id,
+      extractionMethod: document.extractionMethod || null,
+      pageCount: structure.pages.length,
+      pages: structure.pages,
+      blocks: structure.blocks
+        .filter(block => page === null || block.page === page)
+        .map(block => ({
+          type: block.type,
+          level: block.level,
+          page: block.page,
+          startOffset: block.startOffset,
+          endOffset: block.endOffset,
+          text: text.slice(block.startOffset, block.endOffset),
+          ...(block.rows ? { rows: block.rows } : {})
+        }))
+    });
+
+  } catch (error) {
+    console.error('Document structure error:', error);
+    sendError(res, error, 'Failed to fetch document structure');
+  }
+});
+
+/**
+ * Summarise one version of a document
+ * @param {Object} version - Current document or earlier version from findDocumentVersions
+ * @param {boolean} current - Whether it is the current version
+ * @returns {Object} - Version details
+ */
+function describeVersion(version, current) {
+  return {
+    version: version.version || 1,
+    current,
+    originalName: version.originalName,
+    fileSize: version.fileSize,
+    mimeType: version.mimeType,
+    contentHash: version.contentHash || null,
+    extractionMethod: version.extractionMethod || null,
+    textLength: current ? (version.extractedText || '').length : version.textLength,
+    uploadedAt: version.uploadedAt,
+    processedAt: version.processedAt || null
+  };
+}
+
+/**
+ * GET /api/upload/:id/versions
+ * List a document's versions, oldest first; the last one is the current file
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const document = await findDocumentFor(req, 'viewer');
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      documentId: document._id,
+      currentVersion: document.version || 1,
+      status: document.status || 'ready',
+      versions: [
+        ...(await repository.findDocumentVersions(document._id)).map(version => describeVersion(version, false)),
+        describeVersion(document, true)
+      ]
+    });
+
+  } catch (error) {
+    console.error('Document versions error:', error);
+    sendError(res, error, 'Failed to fetch document versions');
+  }
+});
+
+/**
+ * GET /api/upload/:id/diff?from=1&to=2
+ * Paragraph-level diff between the extracted text of two versions.
+ * to defaults to the current version and from to the version before it.
+ */
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const document = await findDocumentFor(req, 'viewer');
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    const currentVersion = document.version || 1;
+    const to = req.query.to !== undefined ? Number(req.query.to) : currentVersion;
+    const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      return res.status(400).json({
+        error: 'Invalid versions',
+        message: 'from and to must be version numbers (1, 2, ...)'
+      });
+    }
+
+    /**
+     * Extracted text of a version
+     * @param {number} number - Version number
+     * @returns {Promise<string>} - Text
+     */
+    const textOf = async number => {
+      if (number === currentVersion) {
+        if (!isReady(document)) {
+          throw new HttpError(409, 'Document not ready', `Version ${number} is ${document.status}; wait until its status is ready`);
+        }
+        return document.extractedText || '';
+      }
+      const version = await repository.findDocumentVersion(document._id, number);
+      if (!version) {
+        throw new HttpError(404, 'Version not found', `Document has no version ${number}`);
+      }
+      return version.extractedText || '';
+    };
+
+    const { summary, changes } = diffParagraphs(await textOf(from), await textOf(to));
+
+    res.json({
+      success: true,
+      documentId: document._id,
+      from,
+      to,
+      summary,
+      changes
+    });
+
+  } catch (error) {
+    console.error('Document diff error:', error);
+    sendError(res, error, 'Failed to compare document versions');
+  }
+});
+
+/**
+ * PATCH /api/upload/:id
+ * Update a document's collection and tags, or move it with workspaceId: into a workspace
+ * the caller edits, or (null) into the caller's personal documents. Moving a document out
+ * of a workspace, to either, needs the owner role in that workspace.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const changes = {};
+    if (req.body.collection !== undefined) {
+      changes.collectionName = req.body.collection || null;
+    }
+    if (req.body.tags !== undefined) {
+      changes.tags = parseTags(req.body.tags);
+    }
+
+    const existing = await findDocumentFor(req, 'editor');
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    const targetWorkspaceId = req.body.workspaceId === undefined ? undefined : req.body.workspaceId || null;
+    const moving = targetWorkspaceId !== undefined &&
+      String(targetWorkspaceId) !== String(existing.workspaceId || null);
+
+    if (moving) {
+      // Otherwise an editor could move a document through a workspace they own to take it over
+      if (existing.workspaceId) {
+        await authorizeWorkspace(req.user, existing.workspaceId, 'owner', 'move documents out of it');
+      }
+      if (targetWorkspaceId) {
+        const workspace = await authorizeWorkspace(req.user, targetWorkspaceId, 'editor', 'add documents to it');
+        changes.workspaceId = workspace._id;
+      } else {
+        changes.workspaceId = null;
+        changes.ownerId = req.user._id;
+      }
+    }
+
+    const document = await repository.updateDocument(req.params.id, changes);
+
+    res.json({
+      success: true,
+      document: {
+        id: document._id,
+        originalName: document.originalName,
+        workspaceId: document.workspaceId || null,
+        collection: document.collectionName,
+        tags: document.tags
+      }
+    });
+
+  } catch (error) {
+    console.error('Update document error:', error);
+    sendError(res, error, 'Failed to update document');
+  }
+});
+
+/**
+ * PUT /api/upload/:id
+ * Replace a document's file with a new version (multipart field "document"). The document
+ * keeps its id, collection, tags and query history; the text of the previous version is
+ * kept for GET /api/upload/:id/versions and /diff. A version whose ingestion failed is
+ * replaced rather than kept. Responds with 202 and queues the new version for extraction,
+ * or 200 with duplicate: true if the file is the same as the current version.
+ */
+router.put('/:id', receiveDocument, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please select the new version of the document'
+      });
+    }
+
+    const document = await findDocumentFor(req, 'editor');
+
+    if (!document) {
+      await fsExtra.remove(req.file.path);
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    if (document.status === 'queued' || document.status === 'extracting') {
+      await fsExtra.remove(req.file.path);
+      return res.status(409).json({
+        error: 'Document not ready',
+        message: `Document is ${document.status}; wait until its status is ready before replacing it`
+      });
+    }
+
+    const content = await fs.promises.readFile(req.file.path);
+    const format = await detectFormat(content, req.file.mimetype, req.file.originalname);
+    const contentHash = hashContent(content);
+
+    if (contentHash === document.contentHash) {
+      await fsExtra.remove(req.file.path);
+      return res.json(uploadResponse(document, 'File is the same as the current version', true));
+    }
+
+    const currentVersion = document.version || 1;
+    const failed = document.status === 'failed';
+    if (!failed) {
+      // Saved first: if the update below fails, the replacement can be retried
+      await repository.saveDocumentVersion({
+        documentId: document._id,
+        version: currentVersion,
+        originalName: document.originalName,
+        fileSize: document.fileSize,
+        mimeType: document.mimeType,
+        contentHash: document.contentHash || null,
+        extractedText: document.extractedText || '',
+        textLength: (document.extractedText || '').length,
+        extractionMethod: document.extractionMethod || null,
+        uploadedAt: document.uploadedAt,
+        processedAt: document.processedAt || null
+      });
+    }
+
+    const updated = await repository.updateDocument(document._id, {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      filePath: req.file.path,
+      fileSize: req.file.size,
+      mimeType: format.mimeTypes[0],
+      contentHash,
+      source: 'upload',
+      sourceUrl: null,
+      version: failed ? currentVersion : currentVersion + 1,
+      // Cleared until the ingestion worker has processed the new file
+      extractedText: '',
+      chunks: [],
+      structure: { pages: [], blocks: [] },
+      extractionMethod: null,
+      ocrPages: [],
+      ocrConfidence: null,
+      status: 'queued',
+      error: null,
+      attempts: 0,
+      nextAttemptAt: null,
+      jobStartedAt: null,
+      processedAt: null,
+      uploadedAt: new Date()
+    });
+
+    await invalidateDocumentAnswers(document._id);
+    notifyIngestionWorker();
+    console.log(`Document ${document._id} replaced with version ${updated.version}:`, req.file.originalname);
+
+    // The previous file is no longer needed once the new version is recorded
+    try {
+      await fsExtra.remove(document.filePath);
+    } catch (fileError) {
+      console.error('Error removing file:', fileError);
+    }
+
+    res.status(202).json(uploadResponse(updated, 'New version uploaded and queued for processing', false));
+
+  } catch (error) {
+    console.error('Replace document error:', error);
+
+    if (req.file && req.file.path) {
+      try {
+        await fsExtra.remove(req.file.path);
+      } catch (cleanupError) {
+        console.error('File cleanup error:', cleanupError);
+      }
+    }
+
+    sendError(res, error, 'Failed to replace document');
   }
 });
 
@@ -196,7 +1152,7 @@ router.get('/documents', async (req, res) => {
  */
 router.delete('/:id', async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id);
+    const document = await findDocumentFor(req, 'editor');
     
     if (!document) {
       return res.status(404).json({
@@ -211,8 +1167,9 @@ router.delete('/:id', async (req, res) => {
       console.error('Error removing file:', fileError);
     }
 
-    // Remove from database
-    await Document.findByIdAndDelete(req.params.id);
+    // Remove from database, along with its queries
+    await repository.deleteDocument(req.params.id);
+    await invalidateDocumentAnswers(req.params.id);
 
     res.json({
       success: true,
@@ -221,26 +1178,17 @@ router.delete('/:id', async (req, res) => {
 
   } catch (error) {
     console.error('Delete error:', error);
-    res.status(500).json({
-      error: 'Failed to delete document',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to delete document');
   }
 });
 
 // Get dynamic recommended questions for a document
 router.get('/:id/recommended-questions', async (req, res) => {
   try {
-    const documentId = req.params.id;
-    
+    const provider = getProvider(req.query.provider);
+
     // Find document
-    let document;
-    if (global.useMemoryStorage) {
-      const memoryStorage = getMemoryStorage();
-      document = memoryStorage.documents.find(doc => doc.id === documentId);
-    } else {
-      document = await Document.findById(documentId);
-    }
+    const document = await findDocumentFor(req, 'querier');
 
     if (!document) {
       return res.status(404).json({
@@ -248,20 +1196,39 @@ router.get('/:id/recommended-questions', async (req, res) => {
       });
     }
 
-    // Generate dynamic recommended questions
-    const questions = await generateRecommendedQuestions(document.extractedText);
-    
+    if (!isReady(document)) {
+      return res.status(409).json({
+        error: 'Document not ready',
+        message: `Document is ${document.status}; wait until its status is ready`
+      });
+    }
+
+    await chargeLlmCalls(req, res);
+    // The prompt is known in advance; the answer is a few short questions
+    const estimate = estimateTokens(buildRecommendationPrompt(document.extractedText)) + RECOMMENDATION_ANSWER_TOKENS;
+    const quota = await reserveTokens(req.user, [document], estimate);
+
+    // Generate dynamic recommended questions; providers serve the defaults when they fail,
+    // and charge nothing for a failed call
+    let recommendation = null;
+    try {
+      recommendation = await provider.recommendQuestions(document.extractedText);
+    } finally {
+      setQuotaHeaders(res, await settleTokenUsage(quota, recommendation ? recommendation.tokensUsed : 0));
+    }
+
     res.json({
       success: true,
-      questions: questions
+      questions: recommendation.questions,
+      // The generic default questions were served
+      fallback: recommendation.fallback,
+      // How the model output matched the questions schema; null if the call failed
+      parseStatus: recommendation.parseStatus
     });
 
   } catch (error) {
     console.error('Recommended questions error:', error);
-    res.status(500).json({
-      error: 'Failed to generate recommended questions',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to generate recommended questions');
   }
 });
 
@@ -0,0 +1,245 @@
+const express = require('express');
+const repository = require('../repositories');
+const { ROLES, authorizeWorkspace } = require('../services/workspaceService');
+const { HttpError, sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * Check a role sent by the client
+ * @param {string} role - Requested role
+ * @returns {string} - The role
+ * @throws {HttpError} - 400 if it is not a workspace role
+ */
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new HttpError(400, 'Invalid role', `role must be one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Check that a member change leaves the workspace with an owner
+ * @param {Array<Object>} members - Members after the change
+ * @throws {HttpError} - 409 if no owner would remain
+ */
+function requireOwnerLeft(members) {
+  if (!members.some(member => member.role === 'owner')) {
+    throw new HttpError(409, 'Last owner', 'A workspace must keep at least one owner');
+  }
+}
+
+/**
+ * Format a workspace for responses
+ * @param {Object} workspace - Workspace record
+ * @param {string} [role] - Caller's role
+ * @param {boolean} [withMembers] - Include members with their emails and names
+ * @returns {Promise<Object>} - Workspace description
+ */
+async function describeWorkspace(workspace, role, withMembers = false) {
+  const description = {
+    id: workspace._id,
+    name: workspace.name,
+    role,
+    memberCount: workspace.members.length,
+    createdAt: workspace.createdAt
+  };
+  if (withMembers) {
+    description.members = await Promise.all(workspace.members.map(async member => {
+      const user = await repository.findUserById(member.userId);
+      return {
+        userId: member.userId,
+        email: user ? user.email : null,
+        name: user ? user.name : null,
+        role: member.role,
+        addedAt: member.addedAt
+      };
+    }));
+  }
+  return description;
+}
+
+/**
+ * POST /api/workspaces
+ * Create a workspace: { name }. The caller becomes its owner.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({
+        error: 'Missing name',
+        message: 'name is required'
+      });
+    }
+
+    const workspace = await repository.createWorkspace({
+      name,
+      members: [{ userId: req.user._id, role: 'owner', addedAt: new Date() }]
+    });
+
+    res.status(201).json({
+      success: true,
+      workspace: await describeWorkspace(workspace, 'owner', true)
+    });
+
+  } catch (error) {
+    console.error('Workspace create error:', error);
+    sendError(res, error, 'Failed to create workspace');
+  }
+});
+
+/**
+ * GET /api/workspaces
+ * List the workspaces the caller is a member of
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await repository.findWorkspacesByMember(req.user._id);
+    const callerId = String(req.user._id);
+
+    res.json({
+      success: true,
+      workspaces: await Promise.all(workspaces.map(workspace => describeWorkspace(
+        workspace,
+        workspace.members.find(member => String(member.userId) === callerId).role
+      )))
+    });
+
+  } catch (error) {
+    console.error('Workspace list error:', error);
+    sendError(res, error, 'Failed to fetch workspaces');
+  }
+});
+
+/**
+ * GET /api/workspaces/:id
+ * Get a workspace with its members
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const workspace = await authorizeWorkspace(req.user, req.params.id, 'viewer');
+
+    res.json({
+      success: true,
+      workspace: await describeWorkspace(workspace, workspace.role, true)
+    });
+
+  } catch (error) {
+    console.error('Workspace fetch error:', error);
+    sendError(res, error, 'Failed to fetch workspace');
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/members
+ * Invite a user by email: { email, role } (owners only)
+ */
+router.post('/:id/members', async (req, res) => {
+  try {
+    const workspace = await authorizeWorkspace(req.user, req.params.id, 'owner');
+    const role = validateRole(req.body.role);
+
+    if (!req.body.email) {
+      return res.status(400).json({
+        error: 'Missing email',
+        message: 'email of the user to invite is required'
+      });
+    }
+
+    const user = await repository.findUserByEmail(req.body.email);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account uses this email; the user has to register first'
+      });
+    }
+    if (workspace.members.some(member => String(member.userId) === String(user._id))) {
+      return res.status(409).json({
+        error: 'Already a member',
+        message: 'Change the member\'s role with PATCH instead'
+      });
+    }
+
+    const updated = await repository.updateWorkspace(workspace._id, {
+      members: [...workspace.members, { userId: user._id, role, addedAt: new Date() }]
+    });
+
+    res.status(201).json({
+      success: true,
+      workspace: await describeWorkspace(updated, workspace.role, true)
+    });
+
+  } catch (error) {
+    console.error('Workspace invite error:', error);
+    sendError(res, error, 'Failed to add member');
+  }
+});
+
+/**
+ * PATCH /api/workspaces/:id/members/:userId
+ * Change a member's role: { role } (owners only)
+ */
+router.patch('/:id/members/:userId', async (req, res) => {
+  try {
+    const workspace = await authorizeWorkspace(req.user, req.params.id, 'owner');
+    const role = validateRole(req.body.role);
+
+    if (!workspace.members.some(member => String(member.userId) === req.params.userId)) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const members = workspace.members.map(member => (
+      String(member.userId) === req.params.userId ? { ...member, role } : member
+    ));
+    requireOwnerLeft(members);
+
+    const updated = await repository.updateWorkspace(workspace._id, { members });
+    const callerRole = members.find(member => String(member.userId) === String(req.user._id)).role;
+
+    res.json({
+      success: true,
+      workspace: await describeWorkspace(updated, callerRole, true)
+    });
+
+  } catch (error) {
+    console.error('Workspace member update error:', error);
+    sendError(res, error, 'Failed to update member');
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId
+ * Remove a member (owners only); any member can remove themselves to leave.
+ * The workspace's documents stay in it.
+ */
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const leaving = req.params.userId === String(req.user._id);
+    const workspace = await authorizeWorkspace(req.user, req.params.id, leaving ? 'viewer' : 'owner');
+
+    if (!workspace.members.some(member => String(member.userId) === req.params.userId)) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const members = workspace.members.filter(member => String(member.userId) !== req.params.userId);
+    requireOwnerLeft(members);
+
+    await repository.updateWorkspace(workspace._id, { members });
+
+    res.json({
+      success: true,
+      message: leaving ? 'You left the workspace' : 'Member removed'
+    });
+
+  } catch (error) {
+    console.error('Workspace member removal error:', error);
+    sendError(res, error, 'Failed to remove member');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+// Export and import all users, workspaces, documents (with their earlier versions), queries
+// and conversations, to move data between storage backends (for example from jsonl:./data
+// to MongoDB).
+//
+// Usage:
+//   node scripts/migrateStorage.js export <file> [--storage <setting>]
+//   node scripts/migrateStorage.js import <file> [--storage <setting>]
+//
+// <setting> uses the STORAGE format (mongo or jsonl:<directory>) and defaults to the
+// STORAGE environment variable. The export file holds one { collection, record } per line.
+// Uploaded files are not copied; move the uploads/ directory along with the data.
+const fs = require('fs');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const repository = require('../repositories');
+const { MODELS } = require('../repositories/memoryRepository');
+
+const COLLECTIONS = Object.keys(MODELS);
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - { command, file, storage }
+ */
+function parseArgs(args) {
+  const [command, file] = args;
+  const storageIndex = args.indexOf('--storage');
+  const storage = storageIndex !== -1 ? args[storageIndex + 1] : process.env.STORAGE;
+
+  if (!['export', 'import'].includes(command) || !file) {
+    throw new Error('Usage: node scripts/migrateStorage.js <export|import> <file> [--storage <setting>]');
+  }
+  return { command, file, storage };
+}
+
+/**
+ * Write every record of every collection to a JSON-lines file
+ * @param {string} file - Output file
+ * @returns {Promise<Object>} - Record count per collection
+ */
+async function exportData(file) {
+  const counts = {};
+  const lines = [];
+
+  for (const collection of COLLECTIONS) {
+    const records = await repository.exportRecords(collection);
+    counts[collection] = records.length;
+    for (const record of records) {
+      lines.push(JSON.stringify({ collection, record }) + '\n');
+    }
+  }
+
+  await fs.promises.writeFile(file, lines.join(''));
+  return counts;
+}
+
+/**
+ * Load records from an export file into the active backend
+ * @param {string} file - Export file
+ * @returns {Promise<Object>} - Record count per collection
+ */
+async function importData(file) {
+  const grouped = Object.fromEntries(COLLECTIONS.map(collection => [collection, []]));
+  const content = await fs.promises.readFile(file, 'utf8');
+
+  content.split('\n').filter(line => line.trim()).forEach((line, index) => {
+    const { collection, record } = JSON.parse(line);
+    if (!grouped[collection]) {
+      throw new Error(`Unknown collection "${collection}" on line ${index + 1}`);
+    }
+    grouped[collection].push(record);
+  });
+
+  // Users, workspaces and documents first, so other records never refer to missing ones
+  const counts = {};
+  for (const collection of COLLECTIONS) {
+    counts[collection] = await repository.importRecords(collection, grouped[collection]);
+  }
+  return counts;
+}
+
+async function main() {
+  const { command, file, storage } = parseArgs(process.argv.slice(2));
+
+  const backend = repository.configure(storage);
+  if (backend === 'memory') {
+    throw new Error('The memory backend does not persist data; use mongo or jsonl:<directory>');
+  }
+  if (backend === 'mongo') {
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  }
+
+  try {
+    const counts = command === 'export' ? await exportData(file) : await importData(file);
+    const summary = COLLECTIONS.map(collection => `${counts[collection]} ${collection}`).join(', ');
+    console.log(`${command === 'export' ? 'Exported' : 'Imported'} ${summary} (${backend} storage, ${file})`);
+  } finally {
+    if (backend === 'mongo') {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Storage migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+// Make an existing account an admin, and optionally give it the documents, queries and
+// conversations stored before user accounts existed (which have no owner).
+//
+// Usage:
+//   node scripts/setupAdmin.js <email> [--claim-records] [--storage <setting>]
+//
+// <setting> uses the STORAGE format (mongo or jsonl:<directory>) and defaults to the
+// STORAGE environment variable. Register the account first: with ADMIN_EMAIL set to its
+// address, or with ALLOW_REGISTRATION=true.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const repository = require('../repositories');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - { email, claimRecords, storage }
+ */
+function parseArgs(args) {
+  const [email] = args;
+  const storageIndex = args.indexOf('--storage');
+  const storage = storageIndex !== -1 ? args[storageIndex + 1] : process.env.STORAGE;
+
+  if (!email || email.startsWith('--')) {
+    throw new Error('Usage: node scripts/setupAdmin.js <email> [--claim-records] [--storage <setting>]');
+  }
+  return { email, claimRecords: args.includes('--claim-records'), storage };
+}
+
+async function main() {
+  const { email, claimRecords, storage } = parseArgs(process.argv.slice(2));
+
+  const backend = repository.configure(storage);
+  if (backend === 'memory') {
+    throw new Error('The memory backend does not persist data; use mongo or jsonl:<directory>');
+  }
+  if (backend === 'mongo') {
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  }
+
+  try {
+    const user = await repository.findUserByEmail(email);
+    if (!user) {
+      throw new Error(`No account with the email ${email}; register it first`);
+    }
+
+    if (user.role !== 'admin') {
+      await repository.updateUser(user._id, { role: 'admin' });
+    }
+    console.log(`${user.email} is an admin (${backend} storage)`);
+
+    if (claimRecords) {
+      const claimed = await repository.claimUnownedRecords(user._id);
+      console.log(`${user.email} now owns ${claimed} records that had no owner`);
+    }
+  } finally {
+    if (backend === 'mongo') {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Admin setup failed:', error.message);
+  process.exit(1);
+});
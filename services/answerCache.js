@@ -0,0 +1,190 @@
+// Cache of query answers, so a question asked again about the same documents does not call
+// the LLM again. Keys cover each document's version and content hash, the normalized
+// question, provider, model and prompt version, so an answer is never reused for changed
+// documents or prompts. Answers live in an in-process LRU; with ANSWER_CACHE_PERSISTENT=true
+// they are also stored through the repository, where servers sharing a MongoDB database
+// find each other's answers and they survive restarts.
+const crypto = require('crypto');
+const repository = require('../repositories');
+const { PROMPT_VERSION } = require('./promptBuilder');
+
+const ANSWER_CACHE_SIZE = parseInt(process.env.ANSWER_CACHE_SIZE) || 500;
+// 0 disables the cache
+const ANSWER_CACHE_TTL_SECONDS = Number.isNaN(parseInt(process.env.ANSWER_CACHE_TTL_SECONDS))
+  ? 24 * 60 * 60
+  : parseInt(process.env.ANSWER_CACHE_TTL_SECONDS);
+const ANSWER_CACHE_PERSISTENT = process.env.ANSWER_CACHE_PERSISTENT === 'true';
+
+// key -> { documentIds, value, expiresAt }, least recently used first
+const entries = new Map();
+
+/**
+ * Normalize a question so trivial variations share a cache entry: case, Unicode forms,
+ * repeated whitespace and trailing punctuation are ignored
+ * @param {string} query - User's query
+ * @returns {string} - Normalized question
+ */
+function normalizeQuestion(query) {
+  return query.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim().replace(/[\s?!.]+$/, '');
+}
+
+/**
+ * Build the cache key of a question
+ * @param {Array<Object>} documents - Queried documents, in request order
+ * @param {string} query - User's query
+ * @param {Object} provider - LLM provider
+ * @returns {string} - SHA-256 key
+ */
+function answerKey(documents, query, provider) {
+  const parts = {
+    documents: documents.map(doc => [String(doc._id), doc.version || 1, doc.contentHash || null]),
+    question: normalizeQuestion(query),
+    provider: provider.name,
+    model: provider.modelInfo().name,
+    promptVersion: PROMPT_VERSION
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Store an entry in the in-process cache as the most recently used one
+ * @param {string} key - Cache key
+ * @param {Object} entry - { documentIds, value, expiresAt }
+ */
+function remember(key, entry) {
+  entries.delete(key);
+  entries.set(key, entry);
+
+  // Evict the least recently used entries once the cache is full
+  while (entries.size > ANSWER_CACHE_SIZE) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Look up the answer to a question asked before
+ * @param {Array<Object>} documents - Queried documents
+ * @param {string} query - User's query
+ * @param {Object} provider - LLM provider
+ * @returns {Promise<Object|null>} - Result shaped like answerQuery's, with cached: true and no
+ *   tokens used, or null if the question is not cached
+ */
+async function getCachedAnswer(documents, query, provider) {
+  if (!ANSWER_CACHE_TTL_SECONDS) return null;
+
+  const startTime = Date.now();
+  const key = answerKey(documents, query, provider);
+  let entry = entries.get(key);
+
+  if (entry && entry.expiresAt <= startTime) {
+    entries.delete(key);
+    entry = null;
+  }
+
+  if (entry) {
+    remember(key, entry);
+  } else if (ANSWER_CACHE_PERSISTENT) {
+    try {
+      entry = await repository.getCachedAnswer(key);
+    } catch (error) {
+      console.error('Answer cache read failed:', error.message);
+    }
+    if (entry) remember(key, entry);
+  }
+
+  if (!entry) return null;
+
+  // Documents may have been renamed since the answer was cached
+  const names = new Map(documents.map(doc => [String(doc._id), doc.originalName]));
+
+  return {
+    chunks: entry.value.chunks.map(chunk => ({ ...chunk, documentName: names.get(String(chunk.documentId)) })),
+    aiResponse: {
+      ...entry.value.aiResponse,
+      tokensUsed: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      tokensEstimated: false
+    },
+    citations: entry.value.citations,
+    processingTime: Date.now() - startTime,
+    provider,
+    cached: true
+  };
+}
+
+/**
+ * Cache the answer to a question. Questions the documents could not answer are not cached,
+ * so they are asked again in case the provider failed or the retrieval missed.
+ * @param {Array<Object>} documents - Queried documents
+ * @param {string} query - User's query
+ * @param {Object} provider - LLM provider
+ * @param {Object} result - Result of answerQuery
+ */
+async function cacheAnswer(documents, query, provider, { chunks, aiResponse, citations }) {
+  if (!ANSWER_CACHE_TTL_SECONDS || !aiResponse.canAnswer) return;
+
+  const key = answerKey(documents, query, provider);
+  const { processingTime, tokensUsed, promptTokens, completionTokens, tokensEstimated, ...answer } = aiResponse;
+  const entry = {
+    documentIds: documents.map(doc => doc._id),
+    value: {
+      chunks: chunks.map(({ text, ...chunk }) => chunk),
+      aiResponse: answer,
+      citations
+    },
+    expiresAt: new Date(Date.now() + ANSWER_CACHE_TTL_SECONDS * 1000)
+  };
+  remember(key, entry);
+
+  if (ANSWER_CACHE_PERSISTENT) {
+    try {
+      await repository.setCachedAnswer(key, entry);
+    } catch (error) {
+      console.error('Answer cache write failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Drop the cached answers about a document, once it is replaced or deleted
+ * @param {string} documentId - Document id
+ */
+async function invalidateDocumentAnswers(documentId) {
+  for (const [key, entry] of entries) {
+    if (entry.documentIds.some(id => String(id) === String(documentId))) {
+      entries.delete(key);
+    }
+  }
+
+  if (ANSWER_CACHE_PERSISTENT) {
+    try {
+      await repository.deleteCachedAnswers(documentId);
+    } catch (error) {
+      console.error('Answer cache invalidation failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Drop all cached answers, once all documents are deleted
+ */
+async function clearAnswerCache() {
+  entries.clear();
+
+  if (ANSWER_CACHE_PERSISTENT) {
+    try {
+      await repository.deleteCachedAnswers();
+    } catch (error) {
+      console.error('Answer cache invalidation failed:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  normalizeQuestion,
+  getCachedAnswer,
+  cacheAnswer,
+  invalidateDocumentAnswers,
+  clearAnswerCache
+};
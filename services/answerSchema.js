@@ -0,0 +1,164 @@
+// Shape of the JSON answers models are asked for (a subset of JSON Schema: type,
+// properties, required, items, minItems, minLength, minimum, maximum), and its validation.
+// Validation repairs what can be read unambiguously and reports everything else.
+
+const CITATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    // 1-based document number, for answers about several documents
+    document: { type: 'integer', minimum: 1 },
+    chunkId: { type: 'integer', minimum: 0 },
+    quote: { type: 'string', minLength: 1 }
+  },
+  required: ['chunkId', 'quote']
+};
+
+const ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    canAnswer: { type: 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' },
+    citations: { type: 'array', items: CITATION_SCHEMA }
+  },
+  required: ['answer', 'canAnswer', 'confidence']
+};
+
+// Metadata after the marker of a streamed answer; the answer itself is the text before it
+const STREAM_METADATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    canAnswer: ANSWER_SCHEMA.properties.canAnswer,
+    confidence: ANSWER_SCHEMA.properties.confidence,
+    reasoning: ANSWER_SCHEMA.properties.reasoning,
+    citations: ANSWER_SCHEMA.properties.citations
+  },
+  required: ['canAnswer', 'confidence']
+};
+
+// Recommended questions about a document
+const QUESTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    questions: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }
+  },
+  required: ['questions']
+};
+
+/**
+ * Read a number sent as a string ("0.8", "85%")
+ * @param {*} value - Value
+ * @returns {number|null} - Number, or null if it is not one
+ */
+function readNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !/^\s*-?\d+(\.\d+)?\s*%?\s*$/.test(value)) return null;
+  const number = parseFloat(value);
+  return value.includes('%') ? number / 100 : number;
+}
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value, for errors
+ * @param {Object} state - { errors, repaired }, updated in place
+ * @returns {*} - Checked value (with coercions applied), undefined if invalid
+ */
+function checkValue(schema, value, path, state) {
+  const fail = message => {
+    state.errors.push(`${path} ${message}`);
+    return undefined;
+  };
+
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      const checked = {};
+      for (const [key, property] of Object.entries(schema.properties)) {
+        if (value[key] === undefined || value[key] === null) {
+          if ((schema.required || []).includes(key)) fail(`needs "${key}"`);
+          continue;
+        }
+        const item = checkValue(property, value[key], `${path}.${key}`, state);
+        if (item !== undefined) checked[key] = item;
+      }
+      return checked;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      // Items that do not match are dropped rather than failing the whole value
+      const checked = [];
+      value.forEach((item, i) => {
+        const itemState = { errors: [], repaired: false };
+        const checkedItem = checkValue(schema.items, item, `${path}[${i}]`, itemState);
+        if (itemState.errors.length > 0 || itemState.repaired) state.repaired = true;
+        if (itemState.errors.length === 0) checked.push(checkedItem);
+      });
+      if (schema.minItems && checked.length < schema.minItems) return fail(`needs at least ${schema.minItems} usable items`);
+      return checked;
+    }
+
+    case 'string': {
+      let text = value;
+      if (typeof text === 'number') {
+        text = String(text);
+        state.repaired = true;
+      }
+      if (typeof text !== 'string') return fail('must be a string');
+      if (schema.minLength && text.trim().length < schema.minLength) return fail('must not be empty');
+      return text;
+    }
+
+    case 'number':
+    case 'integer': {
+      let number = readNumber(value);
+      if (number === null || !Number.isFinite(number)) return fail(`must be a ${schema.type}`);
+      if (typeof value !== 'number') state.repaired = true;
+      // A 0-1 value given as a percentage (85 for 0.85)
+      if (schema.maximum === 1 && number > 1 && number <= 100) {
+        number = number / 100;
+        state.repaired = true;
+      }
+      if (schema.type === 'integer' && !Number.isInteger(number)) return fail('must be an integer');
+      if (schema.minimum !== undefined && number < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && number > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+      return number;
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') {
+        state.repaired = true;
+        return value === 'true';
+      }
+      return fail('must be true or false');
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate parsed model output against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} [schema] - ANSWER_SCHEMA (default), STREAM_METADATA_SCHEMA or QUESTIONS_SCHEMA
+ * @returns {Object} - { value, errors, repaired }: the checked value (unknown fields and
+ *   invalid citations dropped, strings read as numbers or booleans), what is wrong with it,
+ *   and whether anything had to be fixed
+ */
+function validateAnswer(value, schema = ANSWER_SCHEMA) {
+  const state = { errors: [], repaired: false };
+  const checked = checkValue(schema, value, 'response', state);
+  return { value: checked, errors: state.errors, repaired: state.repaired };
+}
+
+module.exports = {
+  ANSWER_SCHEMA,
+  STREAM_METADATA_SCHEMA,
+  QUESTIONS_SCHEMA,
+  validateAnswer
+};
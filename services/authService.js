@@ -0,0 +1,283 @@
+// User accounts: password hashing, JWT access tokens and API keys
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const repository = require('../repositories');
+const { HttpError } = require('../utils/errors');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+// Sign-ups are closed unless enabled; the ADMIN_EMAIL account can always be registered
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === 'true';
+// Account that becomes an admin when it registers (existing accounts: scripts/setupAdmin.js)
+const ADMIN_EMAIL = (process.env.ADMIN_EMAIL || '').trim().toLowerCase() || null;
+
+// API keys look like qfy_<prefix>_<secret> so they can be told apart from JWTs
+const API_KEY_PREFIX = 'qfy_';
+// lastUsedAt is written at most this often per key
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+// Signed file links are JWTs with this audience; they grant nothing else
+const FILE_TOKEN_AUDIENCE = 'file';
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS) || 300;
+
+// Example values from docs and templates; anyone could forge tokens signed with them
+const PLACEHOLDER_SECRETS = ['change-me', 'changeme', 'secret', 'your-secret', 'your-secret-key', 'your_jwt_secret', 'jwt-secret'];
+
+let jwtSecret = process.env.JWT_SECRET;
+if (jwtSecret && PLACEHOLDER_SECRETS.includes(jwtSecret.trim().toLowerCase())) {
+  throw new Error(`JWT_SECRET is set to the placeholder "${jwtSecret}"; set it to a long random value`);
+}
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('JWT_SECRET is not set; using a random secret, so tokens stop working when the server restarts');
+}
+
+/**
+ * Public view of a user, without credentials
+ * @param {Object} user - User record
+ * @returns {Object} - { id, email, name, role, createdAt }
+ */
+function describeUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * Public view of an API key, without its hash
+ * @param {Object} apiKey - Entry of user.apiKeys
+ * @returns {Object} - { id, name, prefix, createdAt, lastUsedAt }
+ */
+function describeApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    createdAt: apiKey.createdAt,
+    lastUsedAt: apiKey.lastUsedAt || null
+  };
+}
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User record
+ * @returns {string} - JWT
+ */
+function issueToken(user) {
+  return jwt.sign({ role: user.role }, jwtSecret, {
+    subject: String(user._id),
+    expiresIn: JWT_EXPIRES_IN
+  });
+}
+
+/**
+ * SHA-256 of an API key, as stored
+ * @param {string} key - API key
+ * @returns {string} - Hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether a credential is an API key (rather than a JWT)
+ * @param {string} credential - Bearer token or X-API-Key value
+ * @returns {boolean} - True for API keys
+ */
+function isApiKey(credential) {
+  return credential.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Create an account. The ADMIN_EMAIL account becomes an admin; emails are unique, so
+ * concurrent sign-ups cannot make a second admin. Records stored before accounts existed
+ * stay unowned until scripts/setupAdmin.js hands them over.
+ * @param {Object} details - { email, password, name }
+ * @returns {Promise<Object>} - { user, token }
+ * @throws {HttpError} - 400 invalid details, 403 registration closed, 409 email taken
+ */
+async function register({ email, password, name }) {
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    throw new HttpError(400, 'Invalid email', 'Provide a valid email address');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, 'Invalid password', `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  const admin = ADMIN_EMAIL !== null && email.trim().toLowerCase() === ADMIN_EMAIL;
+  if (!admin && !ALLOW_REGISTRATION) {
+    throw new HttpError(403, 'Registration closed', 'New accounts cannot be created on this server');
+  }
+  if (await repository.findUserByEmail(email)) {
+    throw new HttpError(409, 'Email already registered', 'An account with this email already exists');
+  }
+
+  let user;
+  try {
+    user = await repository.createUser({
+      email,
+      name: typeof name === 'string' ? name.trim() : '',
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      role: admin ? 'admin' : 'user'
+    });
+  } catch (error) {
+    // Lost a race with a concurrent registration of the same email
+    if (error.code === 11000) {
+      throw new HttpError(409, 'Email already registered', 'An account with this email already exists');
+    }
+    throw error;
+  }
+
+  if (admin) {
+    console.log(`Admin account ${user.email} registered`);
+  }
+
+  return { user, token: issueToken(user) };
+}
+
+/**
+ * Check an email and password
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} - { user, token }
+ * @throws {HttpError} - 401 if they do not match an account
+ */
+async function login({ email, password }) {
+  const user = typeof email === 'string' ? await repository.findUserByEmail(email) : null;
+  const valid = user && typeof password === 'string' && await bcrypt.compare(password, user.passwordHash);
+  if (!valid) {
+    throw new HttpError(401, 'Invalid credentials', 'Email or password is incorrect');
+  }
+  return { user, token: issueToken(user) };
+}
+
+/**
+ * Find the user a JWT or API key belongs to
+ * @param {string} credential - Bearer token or X-API-Key value
+ * @returns {Promise<Object>} - User record
+ * @throws {HttpError} - 401 for invalid, expired or revoked credentials
+ */
+async function authenticateCredential(credential) {
+  if (isApiKey(credential)) {
+    const keyHash = hashApiKey(credential);
+    const user = await repository.findUserByApiKeyHash(keyHash);
+    if (!user) {
+      throw new HttpError(401, 'Invalid API key', 'The API key is not valid or has been revoked');
+    }
+
+    const apiKey = user.apiKeys.find(key => key.keyHash === keyHash);
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > API_KEY_TOUCH_INTERVAL_MS) {
+      apiKey.lastUsedAt = new Date();
+      await repository.updateUser(user._id, { apiKeys: user.apiKeys });
+    }
+    return user;
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(credential, jwtSecret);
+  } catch (error) {
+    throw new HttpError(401, 'Invalid token', error.name === 'TokenExpiredError'
+      ? 'The token has expired; log in again'
+      : 'The token is not valid');
+  }
+  if (payload.aud) {
+    throw new HttpError(401, 'Invalid token', 'The token is not an access token');
+  }
+
+  // Loaded on every request so deleted accounts and role changes take effect at once
+  const user = await repository.findUserById(payload.sub);
+  if (!user) {
+    throw new HttpError(401, 'Invalid token', 'The account no longer exists');
+  }
+  return user;
+}
+
+/**
+ * Create an API key for a user. The key is only returned here; it is stored hashed.
+ * @param {Object} user - User record
+ * @param {string} [name] - Label for the key
+ * @returns {Promise<Object>} - { key, apiKey } where apiKey is the stored entry
+ */
+async function createApiKey(user, name) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${API_KEY_PREFIX}${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const updated = await repository.updateUser(user._id, {
+    apiKeys: [
+      ...user.apiKeys,
+      { name: typeof name === 'string' ? name.trim() : '', prefix, keyHash: hashApiKey(key) }
+    ]
+  });
+  return { key, apiKey: updated.apiKeys[updated.apiKeys.length - 1] };
+}
+
+/**
+ * Revoke one of a user's API keys
+ * @param {Object} user - User record
+ * @param {string} keyId - Id of the key
+ * @returns {Promise<boolean>} - False if the user has no such key
+ */
+async function revokeApiKey(user, keyId) {
+  const apiKeys = user.apiKeys.filter(key => String(key._id) !== String(keyId));
+  if (apiKeys.length === user.apiKeys.length) return false;
+  await repository.updateUser(user._id, { apiKeys });
+  return true;
+}
+
+/**
+ * Sign a short-lived link to a document's file. The link names the document version, so
+ * it stops working once the file is replaced.
+ * @param {Object} document - Document record
+ * @param {number} [expiresIn] - Lifetime in seconds, at most FILE_URL_TTL_SECONDS
+ * @returns {Object} - { url, expiresAt }
+ */
+function signFileUrl(document, expiresIn) {
+  const lifetime = Math.min(Math.max(parseInt(expiresIn) || FILE_URL_TTL_SECONDS, 1), FILE_URL_TTL_SECONDS);
+  const token = jwt.sign({ version: document.version || 1 }, jwtSecret, {
+    subject: String(document._id),
+    audience: FILE_TOKEN_AUDIENCE,
+    expiresIn: lifetime
+  });
+  return {
+    url: `/api/upload/${document._id}/file?token=${token}`,
+    expiresAt: new Date(Date.now() + lifetime * 1000)
+  };
+}
+
+/**
+ * Check a signed file link
+ * @param {string} token - token query parameter
+ * @param {string} documentId - Document the link is used for
+ * @returns {number} - Document version the link was signed for
+ * @throws {HttpError} - 403 if the token is invalid, expired or for another document
+ */
+function verifyFileToken(token, documentId) {
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret, { audience: FILE_TOKEN_AUDIENCE, subject: String(documentId) });
+  } catch (error) {
+    throw new HttpError(403, 'Invalid file link', error.name === 'TokenExpiredError'
+      ? 'The link has expired; request a new one'
+      : 'The link is not valid');
+  }
+  return payload.version;
+}
+
+module.exports = {
+  JWT_EXPIRES_IN,
+  describeUser,
+  describeApiKey,
+  isApiKey,
+  register,
+  login,
+  authenticateCredential,
+  createApiKey,
+  revokeApiKey,
+  signFileUrl,
+  verifyFileToken
+};
@@ -0,0 +1,71 @@
+// Prompt history for multi-turn conversations
+const { buildSummaryPrompt, estimateTokens } = require('./promptBuilder');
+
+const HISTORY_BUDGET = parseInt(process.env.CONVERSATION_HISTORY_BUDGET) || 4000; // characters
+const MIN_RECENT_TURNS = 2;
+
+/**
+ * Build the history to include in the prompt for the next message.
+ * When the unsummarized turns exceed the budget, the oldest ones are folded into
+ * the conversation's running summary (this mutates the conversation; the caller saves it).
+ * @param {Object} conversation - Conversation document
+ * @param {Object} provider - LLM provider used for summarization
+ * @returns {Promise<Object>} - { summary, turns: [{ role, content }], tokensUsed } where
+ *   tokensUsed estimates the tokens spent on summarizing (0 if nothing was summarized)
+ */
+async function buildHistory(conversation, provider) {
+  const pending = conversation.turns.slice(conversation.summarizedTurnCount);
+  const size = pending.reduce((sum, turn) => sum + turn.content.length, conversation.summary.length);
+
+  let recent = pending;
+  let tokensUsed = 0;
+  if (size > HISTORY_BUDGET) {
+    // Keep the newest turns verbatim within half the budget, summarize the rest
+    let keep = 0;
+    let keptSize = 0;
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const length = pending[i].content.length;
+      if (keep >= MIN_RECENT_TURNS && keptSize + length > HISTORY_BUDGET / 2) break;
+      keep++;
+      keptSize += length;
+    }
+
+    const toFold = pending.slice(0, pending.length - keep);
+    recent = pending.slice(pending.length - keep);
+
+    if (toFold.length > 0) {
+      try {
+        const prompt = buildSummaryPrompt(conversation.summary, toFold);
+        conversation.summary = await provider.summarize(conversation.summary, toFold);
+        tokensUsed = estimateTokens(prompt + conversation.summary);
+        conversation.summarizedTurnCount += toFold.length;
+      } catch (error) {
+        // Answer anyway with the recent turns; summarization is retried on the next message
+        console.warn('Conversation summarization failed:', error.message);
+      }
+    }
+  }
+
+  return {
+    summary: conversation.summary,
+    turns: recent.map(turn => ({ role: turn.role, content: turn.content })),
+    tokensUsed
+  };
+}
+
+/**
+ * Text used to retrieve chunks for a follow-up: the message plus the previous
+ * question, so references like "the second clause" still find their passages
+ * @param {Object} conversation - Conversation document
+ * @param {string} message - New user message
+ * @returns {string} - Retrieval query
+ */
+function buildRetrievalQuery(conversation, message) {
+  const previousQuestion = [...conversation.turns].reverse().find(turn => turn.role === 'user');
+  return previousQuestion ? `${message} ${previousQuestion.content}` : message;
+}
+
+module.exports = {
+  buildHistory,
+  buildRetrievalQuery
+};
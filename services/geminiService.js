@@ -1,8 +1,35 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const {
+  buildAnswerPrompt,
+  buildStreamingAnswerPrompt,
+  createStreamSplitter,
+  buildSummaryPrompt,
+  buildRecommendationPrompt,
+  parseAnswer,
+  parseQuestions,
+  fallbackQuestions,
+  countTokens,
+  addTokenCounts
+} = require('./promptBuilder');
+const { ProviderError } = require('../utils/errors');
+const { callProvider, toProviderError } = require('./resilience');
 
 // Initialize Google Generative AI client
 let genAI;
 let model;
+// Same model, set up to answer in JSON where it can (see supportsJsonMode)
+let answerModel;
+let modelName = process.env.GEMINI_MODEL || "gemini-1.5-flash";
+
+/**
+ * Whether a Gemini model accepts responseMimeType: 'application/json' (1.5 and later; the
+ * field is only accepted by the v1beta API, which the SDK uses since 0.3)
+ * @param {string} name - Model name
+ * @returns {boolean}
+ */
+function supportsJsonMode(name) {
+  return process.env.LLM_JSON_MODE !== 'false' && /^gemini-(1\.5|[2-9])/.test(name);
+}
 
 function initializeGemini() {
   if (!process.env.GEMINI_API_KEY) {
@@ -12,20 +39,41 @@ function initializeGemini() {
   genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
   // Try different models in order of preference
   try {
-    model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+    model = genAI.getGenerativeModel({ model: modelName });
   } catch (error) {
-    console.warn('Failed to load gemini-1.5-flash, trying gemini-pro');
-    model = genAI.getGenerativeModel({ model: "gemini-pro" });
+    console.warn(`Failed to load ${modelName}, trying gemini-pro`);
+    modelName = "gemini-pro";
+    model = genAI.getGenerativeModel({ model: modelName });
   }
+
+  answerModel = supportsJsonMode(modelName)
+    ? genAI.getGenerativeModel({ model: modelName, generationConfig: { responseMimeType: 'application/json' } })
+    : model;
 }
 
 /**
- * Process query against document text using Google Gemini
- * @param {string} documentText - Extracted text from document
+ * Read the token counts Gemini reports with a response
+ * @param {Object} [usageMetadata] - response.usageMetadata
+ * @returns {Object} - { promptTokens, completionTokens }, undefined where not reported
+ */
+function reportedUsage(usageMetadata) {
+  if (!usageMetadata) return {};
+  return {
+    promptTokens: usageMetadata.promptTokenCount,
+    // Absent when the model returned no text
+    completionTokens: usageMetadata.candidatesTokenCount || 0
+  };
+}
+
+/**
+ * Process query against the relevant chunks of a document using Google Gemini
+ * @param {Array<Object>} chunks - Retrieved chunks ({ index, text })
  * @param {string} userQuery - User's query
+ * @param {Object} [options] - Query options
+ * @param {Object} [options.history] - Prior conversation turns ({ summary, turns })
  * @returns {Promise<Object>} - Response with answer and confidence
  */
-async function processQueryWithGemini(documentText, userQuery) {
+async function processQueryWithGemini(chunks, userQuery, { history } = {}) {
   try {
     // Initialize Gemini if not already done
     if (!model) {
@@ -34,68 +82,25 @@ async function processQueryWithGemini(documentText, userQuery) {
 
     const startTime = Date.now();
     
-    // Create an optimized, concise prompt for faster processing
-    const prompt = `Document: ${documentText.substring(0, 2000)}${documentText.length > 2000 ? '...' : ''}
-
-Question: ${userQuery}
-
-Answer this question based on the document content. Respond in JSON format:
-{"answer": "your answer", "canAnswer": true/false, "confidence": 0.0-1.0, "reasoning": "brief explanation"}`;
-
-    // Add retry logic for overloaded API
-    let result, response, responseText;
-    let retries = 3;
-    
-    while (retries > 0) {
-      try {
-        result = await model.generateContent(prompt);
-        response = await result.response;
-        responseText = response.text();
-        break; // Success, exit retry loop
-      } catch (apiError) {
-        console.warn(`Gemini API attempt failed (${4 - retries}/3):`, apiError.message);
-        
-        if (apiError.message.includes('overloaded') && retries > 1) {
-          // Wait before retrying for overloaded API
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          retries--;
-          continue;
-        } else {
-          // Re-throw non-retryable errors or final attempt
-          throw apiError;
-        }
-      }
-    }
+    // Build the prompt from the retrieved excerpts only
+    const prompt = buildAnswerPrompt(chunks, userQuery, history);
 
-    const processingTime = Date.now() - startTime;
-
-    // Try to parse the JSON response
-    let parsedResponse;
-    try {
-      // Clean the response text (remove any markdown formatting)
-      const cleanedText = responseText.replace(/```json\n?|\n?```/g, '').trim();
-      parsedResponse = JSON.parse(cleanedText);
-    } catch (parseError) {
-      console.warn('JSON parsing failed, creating fallback response:', parseError);
-      // If JSON parsing fails, create a fallback response
-      parsedResponse = {
-        answer: responseText,
-        canAnswer: true,
-        confidence: 0.7,
-        reasoning: "Response generated but not in expected JSON format"
-      };
-    }
+    // Overload, rate limits and timeouts are retried by the resilience policy
+    const response = await callProvider('gemini', async signal => (await answerModel.generateContent(prompt, { signal })).response);
+    const responseText = response.text();
+    let tokens = countTokens(prompt, responseText, reportedUsage(response.usageMetadata));
 
-    // Ensure required fields exist
-    parsedResponse.answer = parsedResponse.answer || responseText;
-    parsedResponse.canAnswer = parsedResponse.canAnswer !== undefined ? parsedResponse.canAnswer : true;
-    parsedResponse.confidence = parsedResponse.confidence || 0.7;
-    parsedResponse.reasoning = parsedResponse.reasoning || "Analysis completed";
+    // Output that does not match the answer schema is sent back once to be fixed
+    const parsedResponse = await parseAnswer(responseText, chunks, async repairPrompt => {
+      const repair = await callProvider('gemini', async signal => (await answerModel.generateContent(repairPrompt, { signal })).response);
+      tokens = addTokenCounts(tokens, countTokens(repairPrompt, repair.text(), reportedUsage(repair.usageMetadata)));
+      return repair.text();
+    });
 
     return {
       ...parsedResponse,
-      processingTime,
-      tokensUsed: estimateTokens(prompt + responseText) // Rough estimation
+      processingTime: Date.now() - startTime,
+      ...tokens
     };
 
   } catch (error) {
@@ -103,26 +108,86 @@ Answer this question based on the document content. Respond in JSON format:
     
     // Handle specific Gemini errors with better messages
     if (error.message.includes('API_KEY')) {
-      throw new Error('Invalid Gemini API key. Please check your configuration.');
+      throw new ProviderError('Invalid Gemini API key. Please check your configuration.');
     } else if (error.message.includes('quota')) {
-      throw new Error('Gemini API quota exceeded. Please try again later.');
+      throw toProviderError(error, 'Gemini API quota exceeded. Please try again later.');
     } else if (error.message.includes('SAFETY')) {
-      throw new Error('Content was blocked by Gemini safety filters. Please try a different query.');
-    } else if (error.message.includes('overloaded')) {
-      // Provide a fallback response when API is overloaded
-      console.warn('Gemini API is overloaded, providing fallback response');
-      return {
-        answer: `I apologize, but the AI service is currently overloaded. However, I can see that you're asking: "${userQuery}". Please try again in a few moments, or try rephrasing your question. The document appears to contain relevant information that I could analyze once the service is available.`,
-        canAnswer: false,
-        confidence: 0.0,
-        reasoning: "Gemini API is temporarily overloaded",
-        processingTime: Date.now() - (Date.now() - 1000),
-        tokensUsed: 0
-      };
+      throw new ProviderError('Content was blocked by Gemini safety filters. Please try a different query.');
     } else {
-      throw new Error(`Gemini processing failed: ${error.message}`);
+      throw toProviderError(error, `Gemini processing failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Stream an answer from Google Gemini, forwarding answer text as it is generated
+ * @param {Array<Object>} chunks - Retrieved chunks ({ index, text })
+ * @param {string} userQuery - User's query
+ * @param {Object} options - Streaming options
+ * @param {Function} options.onToken - Called with each piece of answer text
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+ * @param {Object} [options.history] - Prior conversation turns ({ summary, turns })
+ * @returns {Promise<Object>} - Final response (same shape as processQueryWithGemini), with aborted flag
+ */
+async function streamQueryWithGemini(chunks, userQuery, { onToken, signal, history } = {}) {
+  const startTime = Date.now();
+  const prompt = buildStreamingAnswerPrompt(chunks, userQuery, history);
+  const splitter = createStreamSplitter(onToken);
+  // The last part of a completed stream carries the usage of the whole call
+  let usageMetadata;
+
+  try {
+    if (!model) {
+      initializeGemini();
+    }
+
+    // Only starting the stream is retried; text already sent cannot be taken back. The
+    // signal also cancels the request on timeout, and on client abort once it is streaming.
+    const result = await callProvider('gemini', streamSignal => model.generateContentStream(prompt, { signal: streamSignal }), { signal });
+    // The aggregated response is not used; its rejection when the stream fails is reported below
+    result.response.catch(() => {});
+    for await (const part of result.stream) {
+      splitter.push(part.text());
+      usageMetadata = part.usageMetadata || usageMetadata;
+    }
+
+  } catch (error) {
+    // A client abort cancels the request; keep whatever was generated so far
+    if (!(signal && signal.aborted)) {
+      console.error('Gemini streaming error:', error);
+      throw toProviderError(error, `Gemini processing failed: ${error.message}`);
     }
   }
+
+  const { responseText, ...parsedResponse } = splitter.finish();
+
+  return {
+    ...parsedResponse,
+    aborted: Boolean(signal && signal.aborted),
+    processingTime: Date.now() - startTime,
+    ...countTokens(prompt, responseText, reportedUsage(usageMetadata))
+  };
+}
+
+/**
+ * Fold conversation turns into a running summary using Google Gemini
+ * @param {string} previousSummary - Summary of turns folded earlier ('' if none)
+ * @param {Array<Object>} turns - Turns to fold in ({ role, content })
+ * @returns {Promise<string>} - New summary
+ */
+async function summarizeConversationWithGemini(previousSummary, turns) {
+  try {
+    if (!model) {
+      initializeGemini();
+    }
+
+    const prompt = buildSummaryPrompt(previousSummary, turns);
+    const response = await callProvider('gemini', async signal => (await model.generateContent(prompt, { signal })).response);
+    return response.text().trim();
+  } catch (error) {
+    console.error('Gemini summarization error:', error);
+    throw toProviderError(error, `Gemini summarization failed: ${error.message}`);
+  }
 }
 
 /**
@@ -150,13 +215,34 @@ async function validateGeminiKey() {
 }
 
 /**
- * Rough token estimation for Gemini (approximate)
- * @param {string} text - Text to estimate tokens for
- * @returns {number} - Estimated token count
+ * Embed texts with the Gemini embedding model (used by the embedding retrieval scorer)
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} - One vector per text
  */
-function estimateTokens(text) {
-  // Rough estimation: ~4 characters per token
-  return Math.ceil(text.length / 4);
+async function embedTexts(texts) {
+  if (!genAI) {
+    initializeGemini();
+  }
+
+  const embeddingModel = genAI.getGenerativeModel({ model: process.env.GEMINI_EMBEDDING_MODEL || 'embedding-001' });
+  const vectors = [];
+
+  // The batch endpoint accepts at most 100 requests per call
+  for (let i = 0; i < texts.length; i += 100) {
+    const batch = texts.slice(i, i + 100);
+    try {
+      const result = await callProvider('gemini', signal => embeddingModel.batchEmbedContents({
+        requests: batch.map(text => ({
+          content: { role: 'user', parts: [{ text }] }
+        }))
+      }, { signal }));
+      vectors.push(...result.embeddings.map(embedding => embedding.values));
+    } catch (error) {
+      throw toProviderError(error, `Gemini embedding failed: ${error.message}`);
+    }
+  }
+
+  return vectors;
 }
 
 /**
@@ -165,9 +251,9 @@ function estimateTokens(text) {
  */
 function getModelInfo() {
   return {
-    name: "gemini-pro",
+    name: modelName,
     provider: "Google",
-    maxTokens: 30720, // Gemini Pro context window
+    maxTokens: modelName === "gemini-pro" ? 30720 : 1048576, // context window
     pricing: "Free tier: 60 requests/minute, 1500 requests/day"
   };
 }
@@ -175,7 +261,8 @@ function getModelInfo() {
 /**
  * Generate recommended questions based on document content
  * @param {string} documentText - Extracted text from document
- * @returns {Promise<Array>} - Array of recommended questions
+ * @returns {Promise<Object>} - { questions, fallback, parseStatus, promptTokens, completionTokens,
+ *   tokensUsed, tokensEstimated }; fallback is true when the default questions are served instead
  */
 async function generateRecommendedQuestions(documentText) {
   try {
@@ -183,46 +270,33 @@ async function generateRecommendedQuestions(documentText) {
       initializeGemini();
     }
 
-    // Use a shorter text sample for faster processing
-    const textSample = documentText.substring(0, 1000);
-    
-    const prompt = `Based on this document excerpt: "${textSample}"
-
-Generate 3 relevant questions that would help someone understand this document better. Respond in JSON format:
-{"questions": ["question 1", "question 2", "question 3"]}`;
+    const prompt = buildRecommendationPrompt(documentText);
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
+    const response = await callProvider('gemini', async signal => (await answerModel.generateContent(prompt, { signal })).response);
     const responseText = response.text();
+    let tokens = countTokens(prompt, responseText, reportedUsage(response.usageMetadata));
 
-    try {
-      const cleanedText = responseText.replace(/```json\n?|\n?```/g, '').trim();
-      const parsed = JSON.parse(cleanedText);
-      return parsed.questions || [
-        "What is the main topic of this document?",
-        "Can you summarize the key points?",
-        "What are the most important findings?"
-      ];
-    } catch (parseError) {
-      console.warn('Failed to parse recommended questions, using defaults');
-      return [
-        "What is the main topic of this document?",
-        "Can you summarize the key points?", 
-        "What are the most important findings?"
-      ];
-    }
+    // Output that does not match the questions schema is sent back once to be fixed
+    const parsedQuestions = await parseQuestions(responseText, async repairPrompt => {
+      const repair = await callProvider('gemini', async signal => (await answerModel.generateContent(repairPrompt, { signal })).response);
+      tokens = addTokenCounts(tokens, countTokens(repairPrompt, repair.text(), reportedUsage(repair.usageMetadata)));
+      return repair.text();
+    });
+
+    return { ...parsedQuestions, ...tokens };
   } catch (error) {
     console.error('Error generating recommended questions:', error);
-    return [
-      "What is the main topic of this document?",
-      "Can you summarize the key points?",
-      "What are the most important findings?"
-    ];
+    // Failed calls are not charged
+    return { ...fallbackQuestions(), ...countTokens('', '') };
   }
 }
 
 module.exports = {
   processQueryWithGemini,
+  streamQueryWithGemini,
+  summarizeConversationWithGemini,
   validateGeminiKey,
-  generateRecommendedQuestions
+  generateRecommendedQuestions,
+  embedTexts,
+  getModelInfo
 };
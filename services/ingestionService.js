@@ -0,0 +1,157 @@
+// Background ingestion: uploads are stored as 'queued' documents and a worker loop
+// extracts and chunks their text, retrying failures with backoff
+const repository = require('../repositories');
+const { extractDocument } = require('../utils/textExtractor');
+const { chunkText } = require('../utils/chunker');
+
+const MAX_ATTEMPTS = parseInt(process.env.INGESTION_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.INGESTION_RETRY_DELAY_MS) || 5000;
+const POLL_INTERVAL_MS = parseInt(process.env.INGESTION_POLL_INTERVAL_MS) || 2000;
+// A job still 'extracting' after this long is assumed lost (e.g. the server crashed) and is retried
+const JOB_TIMEOUT_MS = parseInt(process.env.INGESTION_JOB_TIMEOUT_MS) || 10 * 60 * 1000;
+
+let running = false;
+let pollTimer = null;
+let wakeUp = null;
+
+/**
+ * Whether a document has finished ingestion and can be queried
+ * @param {Object} document - Document record
+ * @returns {boolean} - True if ready
+ */
+function isReady(document) {
+  // Documents stored before the ingestion queue have no status
+  return (document.status || 'ready') === 'ready';
+}
+
+/**
+ * Extract and chunk a claimed document's text
+ * @param {Object} document - Document being ingested
+ * @returns {Promise<Object>} - Fields to store on success
+ */
+async function ingestDocument(document) {
+  console.log('🔍 Starting text extraction for:', document.originalName, 'Type:', document.mimeType);
+  const { text: extractedText, structure, extractionMethod, ocrPages, ocrConfidence, mimeType } =
+    await extractDocument(document.filePath, document.mimeType, document.originalName);
+  console.log('Text length:', extractedText.length, 'Method:', extractionMethod,
+    'Pages:', structure.pages.length, 'Blocks:', structure.blocks.length);
+
+  if (!extractedText || extractedText.trim().length === 0) {
+    const error = new Error('Document appears to be empty or contains no readable text');
+    error.retryable = false;
+    throw error;
+  }
+
+  return {
+    extractedText,
+    chunks: chunkText(extractedText),
+    structure,
+    extractionMethod,
+    // The type sniffed from the content replaces the one the client sent
+    mimeType,
+    ocrPages: ocrPages || [],
+    ocrConfidence: ocrConfidence === undefined ? null : ocrConfidence
+  };
+}
+
+/**
+ * Run one claimed job and record its outcome
+ * @param {Object} document - Claimed document
+ */
+async function runJob(document) {
+  try {
+    const result = await ingestDocument(document);
+    await repository.updateDocument(document._id, {
+      ...result,
+      status: 'ready',
+      error: null,
+      nextAttemptAt: null,
+      processedAt: new Date()
+    });
+    console.log(`Ingested ${document.originalName} (${result.chunks.length} chunks)`);
+
+  } catch (error) {
+    const retry = error.retryable !== false && document.attempts < MAX_ATTEMPTS;
+    console.error(`❌ Ingestion of ${document.originalName} failed (attempt ${document.attempts}):`, error.message);
+
+    await repository.updateDocument(document._id, retry
+      ? {
+        status: 'queued',
+        error: error.message,
+        // Exponential backoff: RETRY_DELAY_MS, then 2x, 4x, ...
+        nextAttemptAt: new Date(Date.now() + RETRY_DELAY_MS * 2 ** (document.attempts - 1))
+      }
+      : {
+        status: 'failed',
+        error: error.message,
+        nextAttemptAt: null,
+        processedAt: new Date()
+      });
+  }
+}
+
+/**
+ * Process due jobs one at a time until the queue is empty
+ * @returns {Promise<number>} - Number of jobs processed
+ */
+async function drainQueue() {
+  let processed = 0;
+  let document;
+  while (running && (document = await repository.claimNextDocumentJob({
+    staleBefore: new Date(Date.now() - JOB_TIMEOUT_MS)
+  }))) {
+    await runJob(document);
+    processed++;
+  }
+  return processed;
+}
+
+/**
+ * Start the worker loop. It drains the queue, then sleeps until the next poll
+ * or until notifyIngestionWorker() is called.
+ */
+function startIngestionWorker() {
+  if (running) return;
+  running = true;
+  console.log('Ingestion worker started');
+
+  (async () => {
+    while (running) {
+      try {
+        await drainQueue();
+      } catch (error) {
+        console.error('Ingestion worker error:', error);
+      }
+
+      await new Promise(resolve => {
+        wakeUp = resolve;
+        pollTimer = setTimeout(resolve, POLL_INTERVAL_MS);
+      });
+      clearTimeout(pollTimer);
+      wakeUp = null;
+    }
+  })();
+}
+
+/**
+ * Wake the worker so a new upload is picked up without waiting for the next poll
+ */
+function notifyIngestionWorker() {
+  if (wakeUp) wakeUp();
+}
+
+/**
+ * Stop the worker loop after the current job
+ */
+function stopIngestionWorker() {
+  running = false;
+  notifyIngestionWorker();
+}
+
+module.exports = {
+  isReady,
+  drainQueue,
+  startIngestionWorker,
+  notifyIngestionWorker,
+  stopIngestionWorker
+};
@@ -0,0 +1,120 @@
+// Registry of LLM providers sharing one interface:
+//   answer(chunks, query, { history }) -> { answer, canAnswer, confidence, reasoning, citations, parseStatus,
+//                                           processingTime, promptTokens, completionTokens, tokensUsed,
+//                                           tokensEstimated }
+//     (model output is validated against the answer schema, see answerSchema.js; parseStatus
+//     is 'invalid' with null canAnswer and confidence when it could not be used)
+//   streamAnswer(chunks, query, { onToken, signal, history }) -> same as answer, plus aborted
+//   summarize(previousSummary, turns)  -> string
+//   recommendQuestions(documentText)  -> { questions, fallback, parseStatus, promptTokens, completionTokens,
+//                                         tokensUsed, tokensEstimated }; output is validated like
+//                                         answers, and fallback is true when the default questions
+//                                         are served because the call failed (parseStatus null) or
+//                                         its output was unusable (parseStatus 'invalid')
+//   validateKey()                     -> boolean
+//   modelInfo()                       -> { name, provider, maxTokens, pricing }
+// Failed calls throw ProviderError; transient failures (retried first, see resilience.js)
+// are marked retryable and may be answered by LLM_FALLBACK_PROVIDER instead.
+const gemini = require('./geminiService');
+const openai = require('./openaiService');
+const mock = require('./mockService');
+const { HttpError } = require('../utils/errors');
+
+const providers = {
+  gemini: {
+    name: 'gemini',
+    answer: gemini.processQueryWithGemini,
+    streamAnswer: gemini.streamQueryWithGemini,
+    summarize: gemini.summarizeConversationWithGemini,
+    recommendQuestions: gemini.generateRecommendedQuestions,
+    validateKey: gemini.validateGeminiKey,
+    modelInfo: gemini.getModelInfo
+  },
+  openai: {
+    name: 'openai',
+    answer: openai.processQueryWithOpenAI,
+    streamAnswer: openai.streamQueryWithOpenAI,
+    summarize: openai.summarizeConversationWithOpenAI,
+    recommendQuestions: openai.generateRecommendedQuestions,
+    validateKey: openai.validateOpenAIKey,
+    modelInfo: openai.getModelInfo
+  },
+  mock: {
+    name: 'mock',
+    answer: mock.processQueryWithMock,
+    streamAnswer: mock.streamQueryWithMock,
+    summarize: mock.summarizeConversationWithMock,
+    recommendQuestions: mock.generateRecommendedQuestions,
+    validateKey: mock.validateMockKey,
+    modelInfo: mock.getModelInfo
+  }
+};
+
+/**
+ * Get an LLM provider by name
+ * @param {string} [name] - Provider name; defaults to LLM_PROVIDER (or gemini)
+ * @returns {Object} - Provider implementing the shared interface
+ */
+function getProvider(name) {
+  const providerName = (name || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new HttpError(400, 'Unknown provider',
+      `Provider "${providerName}" is not supported. Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Get the provider that answers when another one is unavailable (LLM_FALLBACK_PROVIDER)
+ * @param {Object} provider - Provider that failed
+ * @returns {Object|null} - Fallback provider, or null if none is configured for it
+ */
+function getFallbackProvider(provider) {
+  const name = (process.env.LLM_FALLBACK_PROVIDER || '').toLowerCase();
+  if (!name || name === provider.name) return null;
+
+  if (!providers[name]) {
+    console.warn(`Ignoring LLM_FALLBACK_PROVIDER: provider "${name}" is not supported`);
+    return null;
+  }
+  return providers[name];
+}
+
+/**
+ * Call a provider, falling back to LLM_FALLBACK_PROVIDER when it is unavailable (its calls
+ * failed transiently after retries, or its circuit is open)
+ * @param {Object} provider - Requested provider
+ * @param {Function} call - async provider => result
+ * @param {Object} [options] - Call options
+ * @param {Function} [options.canFallBack] - () => boolean; false once the failed call's output
+ *   cannot be replaced (a stream that has sent text)
+ * @returns {Promise<Object>} - { result, provider } with the provider that answered
+ */
+async function callWithFallback(provider, call, { canFallBack = () => true } = {}) {
+  try {
+    return { result: await call(provider), provider };
+  } catch (error) {
+    const fallback = getFallbackProvider(provider);
+    if (!fallback || !error.retryable || !canFallBack()) throw error;
+
+    console.warn(`${provider.name} is unavailable (${error.message}); answering with ${fallback.name}`);
+    return { result: await call(fallback), provider: fallback };
+  }
+}
+
+/**
+ * List available provider names
+ * @returns {Array<string>} - Provider names
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+module.exports = {
+  getProvider,
+  callWithFallback,
+  listProviders
+};
@@ -0,0 +1,162 @@
+// Deterministic offline provider: answers by quoting the best matching sentence.
+// Used for local development and CI, where no network or API key is available.
+const { tokenize } = require('./retrievalService');
+const { countTokens, parseAnswer } = require('./promptBuilder');
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Trimmed, non-empty sentences
+ */
+function splitSentences(text) {
+  return (text.match(/[^.!?\n]+[.!?]?/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Answer a query by returning the excerpt sentence sharing the most terms with it
+ * @param {Array<Object>} chunks - Retrieved chunks ({ index, text })
+ * @param {string} userQuery - User's query
+ * @returns {Promise<Object>} - Response with answer and confidence
+ */
+async function processQueryWithMock(chunks, userQuery) {
+  const startTime = Date.now();
+  const queryTerms = new Set(tokenize(userQuery));
+
+  let best = null;
+  for (const chunk of chunks) {
+    for (const sentence of splitSentences(chunk.text)) {
+      const overlap = tokenize(sentence).filter(term => queryTerms.has(term)).length;
+      if (!best || overlap > best.overlap) {
+        best = { chunk, sentence, overlap };
+      }
+    }
+  }
+
+  // Answers are checked against the answer schema like the output of a real model
+  if (!best || best.overlap === 0) {
+    const parsedResponse = await parseAnswer(JSON.stringify({
+      answer: 'The document excerpts do not contain information to answer this question.',
+      canAnswer: false,
+      confidence: 0,
+      reasoning: 'No excerpt sentence shares terms with the question (mock provider)',
+      citations: []
+    }), chunks);
+
+    return {
+      ...parsedResponse,
+      processingTime: Date.now() - startTime,
+      promptTokens: 0,
+      completionTokens: 0,
+      tokensUsed: 0,
+      tokensEstimated: false
+    };
+  }
+
+  const parsedResponse = await parseAnswer(JSON.stringify({
+    answer: best.sentence,
+    canAnswer: true,
+    confidence: Math.round(Math.min(1, best.overlap / (queryTerms.size || 1)) * 100) / 100,
+    reasoning: `Matched ${best.overlap} of ${queryTerms.size} question terms (mock provider)`,
+    citations: [{ document: best.chunk.documentNumber || 1, chunkId: best.chunk.index, quote: best.sentence }]
+  }), chunks);
+
+  return {
+    ...parsedResponse,
+    processingTime: Date.now() - startTime,
+    // Nothing is sent anywhere; counted as if the question and answer were the whole exchange
+    ...countTokens(userQuery, best.sentence)
+  };
+}
+
+/**
+ * Stream the mock answer word by word
+ * @param {Array<Object>} chunks - Retrieved chunks ({ index, text })
+ * @param {string} userQuery - User's query
+ * @param {Object} options - Streaming options
+ * @param {Function} options.onToken - Called with each piece of answer text
+ * @param {AbortSignal} [options.signal] - Stops streaming when aborted
+ * @returns {Promise<Object>} - Final response (same shape as processQueryWithMock), with aborted flag
+ */
+async function streamQueryWithMock(chunks, userQuery, { onToken, signal } = {}) {
+  const response = await processQueryWithMock(chunks, userQuery);
+  const words = response.answer.split(/(?<=\s)/);
+  let streamed = '';
+
+  for (const word of words) {
+    if (signal && signal.aborted) {
+      return { ...response, answer: streamed.trim(), citations: [], aborted: true };
+    }
+    onToken(word);
+    streamed += word;
+    // Yield so the delta is flushed and aborts can be observed
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return { ...response, aborted: false };
+}
+
+/**
+ * Fold conversation turns into a summary by keeping the first sentence of each turn
+ * @param {string} previousSummary - Summary of turns folded earlier ('' if none)
+ * @param {Array<Object>} turns - Turns to fold in ({ role, content })
+ * @returns {Promise<string>} - New summary
+ */
+async function summarizeConversationWithMock(previousSummary, turns) {
+  const lines = turns.map(turn => {
+    const firstSentence = splitSentences(turn.content)[0] || '';
+    return `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${firstSentence}`;
+  });
+  return [previousSummary, ...lines].filter(Boolean).join(' ');
+}
+
+/**
+ * Generate recommended questions from the opening sentences of the document
+ * @param {string} documentText - Extracted text from document
+ * @returns {Promise<Object>} - { questions, fallback: false, parseStatus: 'valid' } and token
+ *   counts (see countTokens)
+ */
+async function generateRecommendedQuestions(documentText) {
+  const opening = documentText.substring(0, 1000);
+  const topics = splitSentences(opening)
+    .map(sentence => tokenize(sentence).slice(0, 3).join(' '))
+    .filter(topic => topic.length > 0)
+    .slice(0, 3);
+
+  const questions = topics.map(topic => `What does the document say about ${topic}?`);
+  while (questions.length < 3) {
+    questions.push('Can you summarize the key points?');
+  }
+  return { questions, fallback: false, parseStatus: 'valid', ...countTokens(opening, questions.join('\n')) };
+}
+
+/**
+ * The mock provider needs no credentials
+ * @returns {Promise<boolean>} - Always true
+ */
+async function validateMockKey() {
+  return true;
+}
+
+/**
+ * Get model information
+ * @returns {Object} - Model details
+ */
+function getModelInfo() {
+  return {
+    name: "mock-echo",
+    provider: "Local",
+    maxTokens: null, // no context limit
+    pricing: "Free (offline, deterministic)"
+  };
+}
+
+module.exports = {
+  processQueryWithMock,
+  streamQueryWithMock,
+  summarizeConversationWithMock,
+  validateMockKey,
+  generateRecommendedQuestions,
+  getModelInfo
+};
@@ -1,54 +1,162 @@
 const OpenAI = require('openai');
+const {
+  ANSWER_SYSTEM_INSTRUCTION,
+  buildAnswerPrompt,
+  buildStreamingAnswerPrompt,
+  createStreamSplitter,
+  buildSummaryPrompt,
+  buildRecommendationPrompt,
+  parseAnswer,
+  parseQuestions,
+  fallbackQuestions,
+  countTokens,
+  addTokenCounts
+} = require('./promptBuilder');
+const { ProviderError } = require('../utils/errors');
+const { callProvider, toProviderError } = require('./resilience');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const modelName = process.env.OPENAI_MODEL || "gpt-3.5-turbo";
+
+// Initialize OpenAI client lazily so the server starts without an OpenAI key
+let openai;
 
 /**
- * Process query against document text using OpenAI
- * @param {string} documentText - Extracted text from document
+ * Whether an OpenAI model accepts response_format: { type: 'json_object' }
+ * @param {string} name - Model name
+ * @returns {boolean}
+ */
+function supportsJsonMode(name) {
+  return process.env.LLM_JSON_MODE !== 'false' &&
+    /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-\d{4}-preview|gpt-3\.5-turbo|o\d)/.test(name) &&
+    !/-(0301|0314|0613)$/.test(name);
+}
+
+/**
+ * Ask OpenAI for a JSON answer
+ * @param {string} prompt - User prompt
+ * @returns {Promise<Object>} - Chat completion
+ */
+function requestAnswer(prompt) {
+  return callProvider('openai', signal => openai.chat.completions.create({
+    model: modelName,
+    messages: [
+      {
+        role: "system",
+        content: ANSWER_SYSTEM_INSTRUCTION
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ],
+    max_tokens: 1000,
+    temperature: 0.3, // Lower temperature for more consistent responses
+    ...(supportsJsonMode(modelName) && { response_format: { type: 'json_object' } }),
+  }, { signal }));
+}
+
+function initializeOpenAI() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not set in environment variables');
+  }
+
+  openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    // Retries and timeouts follow the policy in resilience.js
+    maxRetries: 0,
+  });
+}
+
+/**
+ * Read the token counts OpenAI reports with a completion
+ * @param {Object} [usage] - completion.usage
+ * @returns {Object} - { promptTokens, completionTokens }, undefined where not reported
+ */
+function reportedUsage(usage) {
+  if (!usage) return {};
+  return {
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens
+  };
+}
+
+/**
+ * Process query against the relevant chunks of a document using OpenAI
+ * @param {Array<Object>} chunks - Retrieved chunks ({ index, text })
  * @param {string} userQuery - User's query
+ * @param {Object} [options] - Query options
+ * @param {Object} [options.history] - Prior conversation turns ({ summary, turns })
  * @returns {Promise<Object>} - Response with answer and confidence
  */
-async function processQueryWithOpenAI(documentText, userQuery) {
+async function processQueryWithOpenAI(chunks, userQuery, { history } = {}) {
   try {
+    if (!openai) {
+      initializeOpenAI();
+    }
+
     const startTime = Date.now();
-    
-    // Create a comprehensive prompt for OpenAI
-    const prompt = `
-You are an AI assistant that analyzes documents and answers questions based on their content.
-
-Document Content:
-"""
-${documentText}
-"""
-
-User Query: "${userQuery}"
-
-Instructions:
-1. Analyze the document content carefully
-2. Determine if the query can be answered based on the document
-3. If the information is available, provide a clear and accurate answer
-4. If the information is not available, clearly state that it cannot be determined from the document
-5. Provide a confidence level (0-1) for your answer
-6. Be concise but thorough in your response
-
-Please respond in the following JSON format:
-{
-  "answer": "Your detailed answer here",
-  "canAnswer": true/false,
-  "confidence": 0.0-1.0,
-  "reasoning": "Brief explanation of how you arrived at this answer"
+    const prompt = buildAnswerPrompt(chunks, userQuery, history);
+
+    const completion = await requestAnswer(prompt);
+    const responseText = completion.choices[0].message.content || '';
+    let tokens = countTokens(ANSWER_SYSTEM_INSTRUCTION + prompt, responseText, reportedUsage(completion.usage));
+
+    // Output that does not match the answer schema is sent back once to be fixed
+    const parsedResponse = await parseAnswer(responseText, chunks, async repairPrompt => {
+      const repair = await requestAnswer(repairPrompt);
+      const repairText = repair.choices[0].message.content || '';
+      tokens = addTokenCounts(tokens, countTokens(ANSWER_SYSTEM_INSTRUCTION + repairPrompt, repairText, reportedUsage(repair.usage)));
+      return repairText;
+    });
+
+    return {
+      ...parsedResponse,
+      processingTime: Date.now() - startTime,
+      ...tokens
+    };
+
+  } catch (error) {
+    console.error('OpenAI API error:', error);
+
+    // Handle specific OpenAI errors
+    if (error.code === 'insufficient_quota') {
+      throw new ProviderError('OpenAI API quota exceeded. Please check your billing.');
+    } else if (error.code === 'invalid_api_key') {
+      throw new ProviderError('Invalid OpenAI API key. Please check your configuration.');
+    } else {
+      throw toProviderError(error, `OpenAI processing failed: ${error.message}`);
+    }
+  }
 }
-`;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
+/**
+ * Stream an answer from OpenAI, forwarding answer text as it is generated
+ * @param {Array<Object>} chunks - Retrieved chunks ({ index, text })
+ * @param {string} userQuery - User's query
+ * @param {Object} options - Streaming options
+ * @param {Function} options.onToken - Called with each piece of answer text
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+ * @param {Object} [options.history] - Prior conversation turns ({ summary, turns })
+ * @returns {Promise<Object>} - Final response (same shape as processQueryWithOpenAI), with aborted flag
+ */
+async function streamQueryWithOpenAI(chunks, userQuery, { onToken, signal, history } = {}) {
+  const startTime = Date.now();
+  const prompt = buildStreamingAnswerPrompt(chunks, userQuery, history);
+  const splitter = createStreamSplitter(onToken);
+  let usage;
+
+  try {
+    if (!openai) {
+      initializeOpenAI();
+    }
+
+    // Only starting the stream is retried; text already sent cannot be taken back
+    const stream = await callProvider('openai', streamSignal => openai.chat.completions.create({
+      model: modelName,
       messages: [
         {
           role: "system",
-          content: "You are a helpful assistant that analyzes documents and provides accurate answers based on their content. Always respond in valid JSON format."
+          content: "You are a helpful assistant that analyzes documents and provides accurate answers based on their content."
         },
         {
           role: "user",
@@ -56,43 +164,58 @@ Please respond in the following JSON format:
         }
       ],
       max_tokens: 1000,
-      temperature: 0.3, // Lower temperature for more consistent responses
-    });
+      temperature: 0.3,
+      stream: true,
+      // Adds a final part with the usage of the whole call
+      stream_options: { include_usage: true },
+    }, { signal: streamSignal }), { signal });
 
-    const processingTime = Date.now() - startTime;
-    const responseText = completion.choices[0].message.content;
-
-    // Try to parse the JSON response
-    let parsedResponse;
-    try {
-      parsedResponse = JSON.parse(responseText);
-    } catch (parseError) {
-      // If JSON parsing fails, create a fallback response
-      parsedResponse = {
-        answer: responseText,
-        canAnswer: true,
-        confidence: 0.7,
-        reasoning: "Response generated but not in expected JSON format"
-      };
+    for await (const part of stream) {
+      splitter.push(part.choices[0]?.delta?.content || '');
+      usage = part.usage || usage;
     }
 
-    return {
-      ...parsedResponse,
-      processingTime,
-      tokensUsed: completion.usage?.total_tokens || 0
-    };
-
   } catch (error) {
-    console.error('OpenAI API error:', error);
-    
-    // Handle specific OpenAI errors
-    if (error.code === 'insufficient_quota') {
-      throw new Error('OpenAI API quota exceeded. Please check your billing.');
-    } else if (error.code === 'invalid_api_key') {
-      throw new Error('Invalid OpenAI API key. Please check your configuration.');
-    } else {
-      throw new Error(`OpenAI processing failed: ${error.message}`);
+    // A client abort cancels the request; keep whatever was generated so far
+    if (!(signal && signal.aborted)) {
+      console.error('OpenAI streaming error:', error);
+      throw toProviderError(error, `OpenAI processing failed: ${error.message}`);
+    }
+  }
+
+  const { responseText, ...parsedResponse } = splitter.finish();
+
+  return {
+    ...parsedResponse,
+    aborted: Boolean(signal && signal.aborted),
+    processingTime: Date.now() - startTime,
+    ...countTokens(prompt, responseText, reportedUsage(usage))
+  };
+}
+
+/**
+ * Fold conversation turns into a running summary using OpenAI
+ * @param {string} previousSummary - Summary of turns folded earlier ('' if none)
+ * @param {Array<Object>} turns - Turns to fold in ({ role, content })
+ * @returns {Promise<string>} - New summary
+ */
+async function summarizeConversationWithOpenAI(previousSummary, turns) {
+  try {
+    if (!openai) {
+      initializeOpenAI();
     }
+
+    const completion = await callProvider('openai', signal => openai.chat.completions.create({
+      model: modelName,
+      messages: [{ role: "user", content: buildSummaryPrompt(previousSummary, turns) }],
+      max_tokens: 400,
+      temperature: 0.2,
+    }, { signal }));
+
+    return completion.choices[0].message.content.trim();
+  } catch (error) {
+    console.error('OpenAI summarization error:', error);
+    throw toProviderError(error, `OpenAI summarization failed: ${error.message}`);
   }
 }
 
@@ -102,6 +225,11 @@ Please respond in the following JSON format:
  */
 async function validateOpenAIKey() {
   try {
+    if (!process.env.OPENAI_API_KEY) {
+      return false;
+    }
+
+    initializeOpenAI();
     await openai.models.list();
     return true;
   } catch (error) {
@@ -110,7 +238,72 @@ async function validateOpenAIKey() {
   }
 }
 
+/**
+ * Get model information
+ * @returns {Object} - Model details
+ */
+function getModelInfo() {
+  return {
+    name: modelName,
+    provider: "OpenAI",
+    maxTokens: 16385, // gpt-3.5-turbo context window
+    pricing: "Pay as you go"
+  };
+}
+
+/**
+ * Ask OpenAI for recommended questions as JSON
+ * @param {string} prompt - User prompt
+ * @returns {Promise<Object>} - Chat completion
+ */
+function requestQuestions(prompt) {
+  return callProvider('openai', signal => openai.chat.completions.create({
+    model: modelName,
+    messages: [{ role: "user", content: prompt }],
+    max_tokens: 300,
+    temperature: 0.5,
+    ...(supportsJsonMode(modelName) && { response_format: { type: 'json_object' } }),
+  }, { signal }));
+}
+
+/**
+ * Generate recommended questions based on document content
+ * @param {string} documentText - Extracted text from document
+ * @returns {Promise<Object>} - { questions, fallback, parseStatus, promptTokens, completionTokens,
+ *   tokensUsed, tokensEstimated }; fallback is true when the default questions are served instead
+ */
+async function generateRecommendedQuestions(documentText) {
+  try {
+    if (!openai) {
+      initializeOpenAI();
+    }
+
+    const prompt = buildRecommendationPrompt(documentText);
+    const completion = await requestQuestions(prompt);
+    const responseText = completion.choices[0].message.content || '';
+    let tokens = countTokens(prompt, responseText, reportedUsage(completion.usage));
+
+    // Output that does not match the questions schema is sent back once to be fixed
+    const parsedQuestions = await parseQuestions(responseText, async repairPrompt => {
+      const repair = await requestQuestions(repairPrompt);
+      const repairText = repair.choices[0].message.content || '';
+      tokens = addTokenCounts(tokens, countTokens(repairPrompt, repairText, reportedUsage(repair.usage)));
+      return repairText;
+    });
+
+    return { ...parsedQuestions, ...tokens };
+  } catch (error) {
+    console.error('Error generating recommended questions:', error);
+    // Failed calls are not charged
+    return { ...fallbackQuestions(), ...countTokens('', '') };
+  }
+}
+
 module.exports = {
   processQueryWithOpenAI,
-  validateOpenAIKey
+  streamQueryWithOpenAI,
+  summarizeConversationWithOpenAI,
+  validateOpenAIKey,
+  generateRecommendedQuestions,
+  getModelInfo
 };
@@ -0,0 +1,80 @@
+// Model prices for cost reporting, in USD per million tokens. A model uses the price of the
+// longest name it starts with, so dated snapshots (gpt-4o-2024-08-06) share their family's
+// price. MODEL_PRICES='{"my-model": {"input": 1, "output": 2}}' adds or replaces entries.
+const DEFAULT_PRICES = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'mock-echo': { input: 0, output: 0 }
+};
+
+/**
+ * Read price overrides from MODEL_PRICES
+ * @returns {Object} - { model: { input, output } }
+ */
+function readPriceOverrides() {
+  if (!process.env.MODEL_PRICES) return {};
+
+  try {
+    const overrides = JSON.parse(process.env.MODEL_PRICES);
+    for (const [model, price] of Object.entries(overrides)) {
+      if (!price || !Number.isFinite(price.input) || !Number.isFinite(price.output)) {
+        throw new Error(`price of ${model} needs numeric input and output`);
+      }
+    }
+    return overrides;
+  } catch (error) {
+    console.error(`Ignoring MODEL_PRICES: ${error.message}`);
+    return {};
+  }
+}
+
+const PRICES = { ...DEFAULT_PRICES, ...readPriceOverrides() };
+
+// Models already reported as missing from the price table
+const unpricedModels = new Set();
+
+/**
+ * Find the price of a model
+ * @param {string} model - Model name
+ * @returns {Object|null} - { input, output } in USD per million tokens, or null if unknown
+ */
+function priceOf(model) {
+  const name = String(model || '');
+  const match = Object.keys(PRICES)
+    .filter(key => name === key || name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? PRICES[match] : null;
+}
+
+/**
+ * Compute the cost of an LLM call
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number|null} - Cost in USD (to a millionth of a dollar), or null for models without a price
+ */
+function computeCost(model, promptTokens, completionTokens) {
+  const price = priceOf(model);
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      console.warn(`No price for model ${model}; add it to MODEL_PRICES to report its cost`);
+    }
+    return null;
+  }
+
+  const cost = ((promptTokens || 0) * price.input + (completionTokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = {
+  priceOf,
+  computeCost
+};
@@ -0,0 +1,481 @@
+// Prompts and response handling shared by all LLM providers
+const { ANSWER_SCHEMA, STREAM_METADATA_SCHEMA, QUESTIONS_SCHEMA, validateAnswer } = require('./answerSchema');
+
+const DEFAULT_QUESTIONS = [
+  "What is the main topic of this document?",
+  "Can you summarize the key points?",
+  "What are the most important findings?"
+];
+
+// Format recommended questions are asked for (see QUESTIONS_SCHEMA)
+const QUESTIONS_FORMAT = '{"questions": ["question 1", "question 2", "question 3"]}';
+
+// Separates the streamed answer text from the trailing JSON metadata
+const STREAM_METADATA_MARKER = '###METADATA###';
+
+// Version of the answer prompts and their parsing; bump it whenever either changes so the
+// answer cache stops serving answers made with the old prompts
+const PROMPT_VERSION = 2;
+
+// Characters of an unusable response shown to the model when asking it to fix it
+const MAX_REPAIR_TEXT = 4000;
+
+const ANSWER_SYSTEM_INSTRUCTION = "You are a helpful assistant that analyzes documents and provides accurate answers based on their content. Always respond in valid JSON format.";
+
+/**
+ * Whether the retrieved chunks come from more than one document
+ * @param {Array<Object>} chunks - Retrieved chunks
+ * @returns {boolean}
+ */
+function isMultiDocument(chunks) {
+  return new Set(chunks.map(chunk => chunk.documentNumber || 1)).size > 1;
+}
+
+/**
+ * Describe the pages a chunk spans, for excerpt labels
+ * @param {Object} chunk - Retrieved chunk
+ * @returns {string} - e.g. ', page 12' or ', pages 12-13' ('' without page information)
+ */
+function pageLabel(chunk) {
+  if (!chunk.pageStart) return '';
+  return chunk.pageEnd && chunk.pageEnd !== chunk.pageStart
+    ? `, pages ${chunk.pageStart}-${chunk.pageEnd}`
+    : `, page ${chunk.pageStart}`;
+}
+
+/**
+ * Whether any retrieved chunk carries page numbers
+ * @param {Array<Object>} chunks - Retrieved chunks
+ * @returns {boolean}
+ */
+function hasPages(chunks) {
+  return chunks.some(chunk => chunk.pageStart);
+}
+
+/**
+ * Format retrieved chunks as labelled excerpts for the prompt
+ * @param {Array<Object>} chunks - Retrieved chunks with text
+ * @returns {string} - Prompt section
+ */
+function formatExcerpts(chunks) {
+  const multiDocument = isMultiDocument(chunks);
+
+  return chunks
+    .map(chunk => {
+      const label = multiDocument
+        ? `[document ${chunk.documentNumber} "${chunk.documentName}", chunk ${chunk.index}${pageLabel(chunk)}]`
+        : `[chunk ${chunk.index}${pageLabel(chunk)}]`;
+      return `${label}\n${chunk.text.trim()}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Example citation for the JSON response format
+ * @param {Array<Object>} chunks - Retrieved chunks
+ * @returns {string} - JSON snippet
+ */
+function citationExample(chunks) {
+  return isMultiDocument(chunks)
+    ? '{"document": 1, "chunkId": 0, "quote": "exact text from that chunk"}'
+    : '{"chunkId": 0, "quote": "exact text from that chunk"}';
+}
+
+/**
+ * Instruction to refer to page numbers, when the excerpts have them
+ * @param {Array<Object>} chunks - Retrieved chunks
+ * @returns {string} - Prompt sentence (with leading space) or ''
+ */
+function pageInstruction(chunks) {
+  return hasPages(chunks)
+    ? ' Where it helps the reader, say which page the information is on (for example "see page 12"), using the page numbers in the excerpt labels.'
+    : '';
+}
+
+/**
+ * Format prior conversation turns for the prompt
+ * @param {Object} [history] - { summary, turns: [{ role, content }] }
+ * @returns {string} - Prompt section (empty when there is no history)
+ */
+function formatHistory(history) {
+  if (!history || (!history.summary && (!history.turns || history.turns.length === 0))) {
+    return '';
+  }
+
+  const lines = [];
+  if (history.summary) {
+    lines.push(`Summary of earlier conversation: ${history.summary}`);
+  }
+  for (const turn of history.turns || []) {
+    lines.push(`${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.content}`);
+  }
+
+  return `Conversation so far:
+${lines.join('\n')}
+
+`;
+}
+
+/**
+ * Build the question-answering prompt from retrieved excerpts
+ * @param {Array<Object>} chunks - Retrieved chunks ({ index, text })
+ * @param {string} userQuery - User's query
+ * @param {Object} [history] - Prior conversation ({ summary, turns })
+ * @returns {string} - Prompt text
+ */
+function buildAnswerPrompt(chunks, userQuery, history) {
+  const historySection = formatHistory(history);
+
+  return `${historySection}Document excerpts:
+${formatExcerpts(chunks)}
+
+Question: ${userQuery}
+
+Answer this question based only on the document excerpts above${historySection ? ', using the conversation so far to resolve what the question refers to' : ''}.${pageInstruction(chunks)} Support the answer with citations: each quote must be copied word for word from the excerpt it came from${isMultiDocument(chunks) ? ' and name the document it belongs to' : ''}. Respond in JSON format:
+{"answer": "your answer", "canAnswer": true/false, "confidence": 0.0-1.0, "reasoning": "brief explanation", "citations": [${citationExample(chunks)}]}`;
+}
+
+/**
+ * Build the prompt for streamed answers: plain answer text first, so it can be
+ * forwarded token by token, then a marker line followed by JSON metadata
+ * @param {Array<Object>} chunks - Retrieved chunks ({ index, text })
+ * @param {string} userQuery - User's query
+ * @param {Object} [history] - Prior conversation ({ summary, turns })
+ * @returns {string} - Prompt text
+ */
+function buildStreamingAnswerPrompt(chunks, userQuery, history) {
+  const historySection = formatHistory(history);
+
+  return `${historySection}Document excerpts:
+${formatExcerpts(chunks)}
+
+Question: ${userQuery}
+
+Answer this question based only on the document excerpts above${historySection ? ', using the conversation so far to resolve what the question refers to' : ''}.${pageInstruction(chunks)} Write the answer as plain text first. Then, on a new line, write ${STREAM_METADATA_MARKER} followed by JSON supporting the answer with citations, where each quote is copied word for word from the excerpt it came from${isMultiDocument(chunks) ? ' and names the document it belongs to' : ''}:
+{"canAnswer": true/false, "confidence": 0.0-1.0, "reasoning": "brief explanation", "citations": [${citationExample(chunks)}]}`;
+}
+
+/**
+ * Create a splitter for streamed model output that forwards answer text as it
+ * arrives and holds back everything from the metadata marker on
+ * @param {Function} onToken - Called with each new piece of answer text
+ * @returns {Object} - { push(text), finish() } where finish() returns the parsed answer
+ */
+function createStreamSplitter(onToken) {
+  let buffer = '';
+  let emitted = 0;
+  let markerIndex = -1;
+
+  return {
+    push(text) {
+      buffer += text;
+      if (markerIndex > -1) return;
+
+      markerIndex = buffer.indexOf(STREAM_METADATA_MARKER);
+      // Hold back a possible partial marker at the end of the buffer
+      const safeEnd = markerIndex > -1
+        ? markerIndex
+        : Math.max(emitted, buffer.length - STREAM_METADATA_MARKER.length + 1);
+
+      if (safeEnd > emitted) {
+        onToken(buffer.slice(emitted, safeEnd));
+        emitted = safeEnd;
+      }
+    },
+
+    /**
+     * @returns {Object} - { answer, canAnswer, confidence, reasoning, citations, responseText }
+     */
+    finish() {
+      if (markerIndex === -1 && buffer.length > emitted) {
+        onToken(buffer.slice(emitted));
+        emitted = buffer.length;
+      }
+
+      const answer = (markerIndex > -1 ? buffer.slice(0, markerIndex) : buffer).trim();
+      const metadata = markerIndex > -1
+        ? readModelOutput(buffer.slice(markerIndex + STREAM_METADATA_MARKER.length), STREAM_METADATA_SCHEMA)
+        : { status: 'invalid', errors: ['response has no metadata after the answer'] };
+
+      // The text has been sent already, so a stream cannot be asked again
+      if (!answer || metadata.status === 'invalid') {
+        console.warn(`Unusable streamed answer: ${answer ? metadata.errors.join('; ') : 'the answer text is empty'}`);
+        return { ...unusableAnswer(answer), responseText: buffer };
+      }
+
+      return {
+        reasoning: '',
+        citations: [],
+        ...metadata.value,
+        answer: answer,
+        parseStatus: metadata.status,
+        responseText: buffer
+      };
+    }
+  };
+}
+
+/**
+ * Build the prompt that folds older conversation turns into a running summary
+ * @param {string} previousSummary - Summary of turns folded earlier ('' if none)
+ * @param {Array<Object>} turns - Turns to fold in ({ role, content })
+ * @returns {string} - Prompt text
+ */
+function buildSummaryPrompt(previousSummary, turns) {
+  return `${formatHistory({ summary: previousSummary, turns })}Summarize the conversation above in at most 5 sentences. Keep every fact, name, number and document reference a follow-up question might refer to. Respond with the summary text only.`;
+}
+
+/**
+ * Build the recommended-questions prompt
+ * @param {string} documentText - Extracted text from document
+ * @returns {string} - Prompt text
+ */
+function buildRecommendationPrompt(documentText) {
+  // Use a shorter text sample for faster processing
+  const textSample = documentText.substring(0, 1000);
+
+  return `Based on this document excerpt: "${textSample}"
+
+Generate 3 relevant questions that would help someone understand this document better. Respond in JSON format:
+${QUESTIONS_FORMAT}`;
+}
+
+/**
+ * Build the prompt asking a model to rewrite a response that did not match its format
+ * @param {string} responseText - Unusable model output
+ * @param {Array<string>} errors - What is wrong with it
+ * @param {string} format - Example of the expected JSON
+ * @returns {string} - Prompt text
+ */
+function buildFormatRepairPrompt(responseText, errors, format) {
+  return `Your previous response could not be used: ${errors.join('; ')}.
+
+Previous response:
+${responseText.slice(0, MAX_REPAIR_TEXT)}
+
+Rewrite it as a single JSON object in exactly this format, keeping its content, and respond with the JSON only:
+${format}`;
+}
+
+/**
+ * Build the prompt asking a model to rewrite a response that did not match the answer format
+ * @param {Array<Object>} chunks - Retrieved chunks the answer is about
+ * @param {string} responseText - Unusable model output
+ * @param {Array<string>} errors - What is wrong with it
+ * @returns {string} - Prompt text
+ */
+function buildRepairPrompt(chunks, responseText, errors) {
+  return buildFormatRepairPrompt(responseText, errors,
+    `{"answer": "your answer", "canAnswer": true/false, "confidence": 0.0-1.0, "reasoning": "brief explanation", "citations": [${citationExample(chunks)}]}`);
+}
+
+/**
+ * Parse a JSON object out of model output, tolerating markdown code fences and text
+ * around the object
+ * @param {string} responseText - Raw model output
+ * @returns {Object} - Parsed object
+ */
+function parseModelJson(responseText) {
+  const cleanedText = responseText.replace(/```json\n?|\n?```/g, '').trim();
+  try {
+    return JSON.parse(cleanedText);
+  } catch (parseError) {
+    const start = cleanedText.indexOf('{');
+    const end = cleanedText.lastIndexOf('}');
+    if (start === -1 || end <= start) throw parseError;
+    return JSON.parse(cleanedText.slice(start, end + 1));
+  }
+}
+
+/**
+ * Read model output that should be a JSON object matching a schema
+ * @param {string} responseText - Raw model output
+ * @param {Object} schema - ANSWER_SCHEMA or STREAM_METADATA_SCHEMA
+ * @returns {Object} - { value, parsed, status, errors }: the validated value; the parsed JSON
+ *   even if invalid; 'valid', 'repaired' (fences, surrounding text or values that had to be
+ *   converted) or 'invalid'; and what is wrong with invalid output
+ */
+function readModelOutput(responseText, schema) {
+  let parsed;
+  let repaired = false;
+  try {
+    parsed = JSON.parse(responseText.trim());
+  } catch (error) {
+    try {
+      parsed = parseModelJson(responseText);
+      repaired = true;
+    } catch (parseError) {
+      return { value: null, parsed: null, status: 'invalid', errors: ['response is not a JSON object'] };
+    }
+  }
+
+  const result = validateAnswer(parsed, schema);
+  if (result.errors.length > 0) {
+    return { value: null, parsed, status: 'invalid', errors: result.errors };
+  }
+  return { value: result.value, parsed, status: repaired || result.repaired ? 'repaired' : 'valid', errors: [] };
+}
+
+/**
+ * Answer fields for model output that could not be used. The text is kept as the answer,
+ * but nothing is claimed about it: no confidence, no citations.
+ * @param {string} answerText - Text to show as the answer
+ * @returns {Object} - { answer, canAnswer, confidence, reasoning, citations, parseStatus }
+ */
+function unusableAnswer(answerText) {
+  return {
+    answer: answerText.trim(),
+    canAnswer: null,
+    confidence: null,
+    reasoning: null,
+    citations: [],
+    parseStatus: 'invalid'
+  };
+}
+
+/**
+ * Read model output that should match a schema, sending unusable output back to the model
+ * once to be fixed
+ * @param {string} responseText - Raw model output
+ * @param {Object} schema - ANSWER_SCHEMA or QUESTIONS_SCHEMA
+ * @param {Function} buildPrompt - errors => prompt asking the model to fix its output
+ * @param {Function} [reask] - async prompt => text; asks the model again (not retried if omitted)
+ * @returns {Promise<Object>} - Result of readModelOutput for the first response, or for the
+ *   second one with status 'reasked' if only that matched
+ */
+async function readModelOutputWithRepair(responseText, schema, buildPrompt, reask) {
+  const first = readModelOutput(responseText, schema);
+  if (first.status !== 'invalid') return first;
+
+  console.warn(`Unusable model output: ${first.errors.join('; ')}`);
+  if (!reask) return first;
+
+  let second;
+  try {
+    second = readModelOutput(await reask(buildPrompt(first.errors)), schema);
+  } catch (error) {
+    console.warn('Asking the model to fix its output failed:', error.message);
+    return first;
+  }
+
+  if (second.status === 'invalid') {
+    console.warn(`Model output still unusable after asking again: ${second.errors.join('; ')}`);
+    return first;
+  }
+  return { ...second, status: 'reasked' };
+}
+
+/**
+ * Parse an answer from model output into the common response shape, validated against
+ * ANSWER_SCHEMA. Unusable output is sent back to the model once to be fixed.
+ * @param {string} responseText - Raw model output
+ * @param {Array<Object>} chunks - Retrieved chunks the answer is about
+ * @param {Function} [reask] - async prompt => text; asks the model again (not retried if omitted)
+ * @returns {Promise<Object>} - { answer, canAnswer, confidence, reasoning, citations, parseStatus }
+ *   where parseStatus is 'valid', 'repaired', 'reasked' (fixed by the model) or 'invalid'
+ */
+async function parseAnswer(responseText, chunks, reask) {
+  const output = await readModelOutputWithRepair(responseText, ANSWER_SCHEMA,
+    errors => buildRepairPrompt(chunks, responseText, errors), reask);
+  if (output.status !== 'invalid') {
+    return { reasoning: '', citations: [], ...output.value, parseStatus: output.status };
+  }
+
+  // Keep an answer field that was readable, rather than the raw JSON around it
+  const parsedAnswer = output.parsed && typeof output.parsed.answer === 'string' && output.parsed.answer.trim();
+  return unusableAnswer(parsedAnswer || responseText);
+}
+
+/**
+ * Parse recommended questions from model output, validated against QUESTIONS_SCHEMA.
+ * Unusable output is sent back to the model once to be fixed.
+ * @param {string} responseText - Raw model output
+ * @param {Function} [reask] - async prompt => text; asks the model again (not retried if omitted)
+ * @returns {Promise<Object>} - { questions, fallback, parseStatus } where parseStatus is as for
+ *   parseAnswer; invalid output gives a copy of the defaults with fallback true
+ */
+async function parseQuestions(responseText, reask) {
+  const output = await readModelOutputWithRepair(responseText, QUESTIONS_SCHEMA,
+    errors => buildFormatRepairPrompt(responseText, errors, QUESTIONS_FORMAT), reask);
+  if (output.status === 'invalid') {
+    return fallbackQuestions('invalid');
+  }
+  return { questions: output.value.questions, fallback: false, parseStatus: output.status };
+}
+
+/**
+ * Recommended questions to serve when the provider gave none
+ * @param {string|null} [parseStatus] - 'invalid' if the output was unusable; null (the
+ *   default) if the call failed, so there was nothing to parse
+ * @returns {Object} - { questions, fallback: true, parseStatus } with a copy of the defaults
+ */
+function fallbackQuestions(parseStatus = null) {
+  return { questions: [...DEFAULT_QUESTIONS], fallback: true, parseStatus };
+}
+
+/**
+ * Rough token estimation (approximate), for providers that do not report usage
+ * @param {string} text - Text to estimate tokens for
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  // Rough estimation: ~4 characters per token
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Token counts of an LLM call: the provider's own counts when it reported them, else
+ * estimates from the prompt and response text
+ * @param {string} prompt - Prompt text sent
+ * @param {string} responseText - Text received
+ * @param {Object} [reported] - { promptTokens, completionTokens } from the provider
+ * @returns {Object} - { promptTokens, completionTokens, tokensUsed, tokensEstimated }
+ */
+function countTokens(prompt, responseText, reported = {}) {
+  const exact = Number.isFinite(reported.promptTokens) && Number.isFinite(reported.completionTokens);
+  const promptTokens = exact ? reported.promptTokens : estimateTokens(prompt);
+  const completionTokens = exact ? reported.completionTokens : estimateTokens(responseText || '');
+  return {
+    promptTokens,
+    completionTokens,
+    tokensUsed: promptTokens + completionTokens,
+    tokensEstimated: !exact
+  };
+}
+
+/**
+ * Add the token counts of two LLM calls made for one answer
+ * @param {Object} counts - Result of countTokens
+ * @param {Object} [extra] - Result of countTokens for the other call
+ * @returns {Object} - Summed counts; estimated if either was
+ */
+function addTokenCounts(counts, extra) {
+  if (!extra) return counts;
+  return {
+    promptTokens: counts.promptTokens + extra.promptTokens,
+    completionTokens: counts.completionTokens + extra.completionTokens,
+    tokensUsed: counts.tokensUsed + extra.tokensUsed,
+    tokensEstimated: counts.tokensEstimated || extra.tokensEstimated
+  };
+}
+
+module.exports = {
+  DEFAULT_QUESTIONS,
+  ANSWER_SYSTEM_INSTRUCTION,
+  STREAM_METADATA_MARKER,
+  PROMPT_VERSION,
+  formatExcerpts,
+  buildAnswerPrompt,
+  buildStreamingAnswerPrompt,
+  createStreamSplitter,
+  formatHistory,
+  buildSummaryPrompt,
+  buildRecommendationPrompt,
+  parseModelJson,
+  parseAnswer,
+  parseQuestions,
+  fallbackQuestions,
+  estimateTokens,
+  countTokens,
+  addTokenCounts
+};
@@ -0,0 +1,236 @@
+// Shared steps of answering a query: selecting documents, retrieval, provider call,
+// citation checks and building the Query record
+const repository = require('../repositories');
+const { retrieveRelevantChunks } = require('./retrievalService');
+const { verifyCitations } = require('../utils/citations');
+const { isReady } = require('./ingestionService');
+const { HttpError } = require('../utils/errors');
+const { authorizeWorkspace, authorizeDocuments } = require('./workspaceService');
+const { computeCost } = require('./pricing');
+const { callWithFallback } = require('./llmProvider');
+
+const MAX_QUERY_DOCUMENTS = parseInt(process.env.MAX_QUERY_DOCUMENTS) || 10;
+
+/**
+ * Normalize a tag selector given as an array or comma-separated string
+ * @param {Array<string>|string} tags - Tags
+ * @returns {Array<string>} - Trimmed, non-empty tags
+ */
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Resolve the documents a request asks about. Querying needs at least the querier role
+ * for workspace documents; documents the caller cannot see count as missing.
+ * @param {Object} selector - Request body fields
+ * @param {string} [selector.documentId] - Single document
+ * @param {Array<string>} [selector.documentIds] - Several documents
+ * @param {string} [selector.collection] - All documents in a collection
+ * @param {Array<string>|string} [selector.tags] - All documents carrying every tag
+ * @param {string} [selector.workspaceId] - Select collection and tags (or all documents)
+ *   within a workspace instead of the caller's personal documents
+ * @param {Object} user - Caller
+ * @returns {Promise<Array<Object>>} - Documents with text, in request order
+ * @throws {HttpError} - 403 if the caller's role does not allow querying
+ */
+async function resolveDocuments({ documentId, documentIds, collection, tags, workspaceId }, user) {
+  let documents;
+
+  if (documentIds || documentId) {
+    const ids = documentIds || [documentId];
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new HttpError(400, 'Invalid input', 'documentIds must be a non-empty array');
+    }
+    if (ids.length > MAX_QUERY_DOCUMENTS) {
+      throw new HttpError(400, 'Too many documents', `At most ${MAX_QUERY_DOCUMENTS} documents can be queried at once`);
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    const found = await authorizeDocuments(user, await repository.findDocumentsByIds(uniqueIds), 'querier');
+    if (found.length !== uniqueIds.length) {
+      throw new HttpError(404, 'Document not found',
+        uniqueIds.length === 1 ? 'The specified document does not exist' : 'One or more of the specified documents do not exist');
+    }
+    documents = uniqueIds.map(id => found.find(doc => String(doc._id) === id));
+
+    const pending = documents.find(doc => !isReady(doc));
+    if (pending) {
+      throw new HttpError(409, 'Document not ready',
+        `${pending.originalName} is ${pending.status}; wait until its status is ready`);
+    }
+
+  } else if (collection || tags || workspaceId) {
+    const workspace = workspaceId ? await authorizeWorkspace(user, workspaceId, 'querier') : null;
+    documents = await repository.findDocuments(
+      {
+        workspaceId: workspace ? workspace._id : null,
+        ownerId: user._id,
+        collection,
+        tags: tags ? parseTags(tags) : undefined
+      },
+      { limit: MAX_QUERY_DOCUMENTS + 1 }
+    );
+
+    if (documents.length === 0) {
+      throw new HttpError(404, 'Document not found', 'No documents match the selection');
+    }
+    if (documents.length > MAX_QUERY_DOCUMENTS) {
+      throw new HttpError(400, 'Too many documents', `The selection matches more than ${MAX_QUERY_DOCUMENTS} documents; narrow it down`);
+    }
+
+    // Documents still being ingested are left out of collection and tag selections
+    documents = documents.filter(isReady);
+    if (documents.length === 0) {
+      throw new HttpError(409, 'Document not ready', 'None of the matching documents have finished processing');
+    }
+
+  } else {
+    throw new HttpError(400, 'Missing required fields', 'One of documentId, documentIds, collection, tags or workspaceId is required');
+  }
+
+  const withText = documents.filter(doc => doc.extractedText && doc.extractedText.trim().length > 0);
+  if (withText.length === 0) {
+    throw new HttpError(400, 'No text content',
+      documents.length === 1 ? 'The document has no extractable text content' : 'None of the documents have extractable text content');
+  }
+
+  return withText;
+}
+
+/**
+ * Group retrieved chunk ids and the pages they span by document
+ * @param {Array<Object>} chunks - Retrieved chunks
+ * @returns {Array<Object>} - [{ documentId, documentName, chunkIds, pages }]
+ */
+function describeSources(chunks) {
+  const sources = [];
+  for (const chunk of chunks) {
+    let source = sources.find(s => String(s.documentId) === String(chunk.documentId));
+    if (!source) {
+      source = { documentId: chunk.documentId, documentName: chunk.documentName, chunkIds: [], pages: [] };
+      sources.push(source);
+    }
+    source.chunkIds.push(chunk.index);
+    for (let page = chunk.pageStart; page && page <= chunk.pageEnd; page++) {
+      if (!source.pages.includes(page)) source.pages.push(page);
+    }
+  }
+  for (const source of sources) {
+    source.pages.sort((a, b) => a - b);
+  }
+  return sources;
+}
+
+/**
+ * Retrieve relevant chunks, ask the provider (or the fallback provider, if it is
+ * unavailable) and verify the citations
+ * @param {Array<Object>} documents - Documents to query
+ * @param {string} query - User's query
+ * @param {Object} provider - LLM provider
+ * @param {Object} [options] - Query options
+ * @param {Object} [options.history] - Prior conversation turns ({ summary, turns })
+ * @param {string} [options.retrievalQuery] - Text to retrieve chunks with (defaults to the query)
+ * @returns {Promise<Object>} - { chunks, aiResponse, citations, processingTime, provider }
+ *   with the provider that answered
+ */
+async function answerQuery(documents, query, provider, { history, retrievalQuery } = {}) {
+  const startTime = Date.now();
+  const chunks = await retrieveRelevantChunks(documents, retrievalQuery || query);
+  const { result: aiResponse, provider: answeredBy } =
+    await callWithFallback(provider, candidate => candidate.answer(chunks, query, { history }));
+  const citations = verifyCitations(documents, chunks, aiResponse.citations);
+
+  return {
+    chunks,
+    aiResponse,
+    citations,
+    processingTime: Date.now() - startTime,
+    provider: answeredBy
+  };
+}
+
+/**
+ * Build the Query record data for an answered query (saved with repository.createQuery)
+ * @param {Object} params - Record fields
+ * @returns {Object} - Query record data
+ */
+function createQueryRecord({ ownerId, documents, query, provider, chunks, aiResponse, citations, processingTime, conversationId, status, cached }) {
+  const model = provider.modelInfo().name;
+  const promptTokens = aiResponse.promptTokens ?? null;
+  const completionTokens = aiResponse.completionTokens ?? null;
+
+  return {
+    ownerId,
+    documentId: documents[0]._id,
+    documentIds: documents.map(doc => doc._id),
+    documentVersion: documents[0].version || 1,
+    conversationId: conversationId || null,
+    queryText: query,
+    response: aiResponse.answer,
+    status: status || 'completed',
+    confidence: aiResponse.confidence ?? null,
+    // An aborted stream never got its metadata, so it was not parsed
+    parseStatus: status === 'aborted' ? null : aiResponse.parseStatus || null,
+    chunkIds: documents.length === 1 ? chunks.map(chunk => chunk.index) : [],
+    sources: describeSources(chunks).map(({ documentId, chunkIds }) => ({
+      documentId,
+      chunkIds,
+      version: documents.find(doc => String(doc._id) === String(documentId)).version || 1
+    })),
+    citations: citations,
+    provider: provider.name,
+    model,
+    processingTime: processingTime,
+    promptTokens,
+    completionTokens,
+    tokensEstimated: Boolean(aiResponse.tokensEstimated),
+    cached: Boolean(cached),
+    cost: cached ? 0 : promptTokens === null ? null : computeCost(model, promptTokens, completionTokens)
+  };
+}
+
+/**
+ * Shape an answered query for the API response
+ * @param {Object} queryRecord - Saved Query record
+ * @param {Array<Object>} documents - Queried documents
+ * @param {Object} result - Result of answerQuery
+ * @param {Object} provider - LLM provider
+ * @returns {Object} - Response payload
+ */
+function formatQueryResponse(queryRecord, documents, { chunks, aiResponse, citations, processingTime, cached }, provider) {
+  return {
+    id: queryRecord._id,
+    documentName: documents.map(doc => doc.originalName).join(', '),
+    documents: documents.map(doc => ({ id: doc._id, originalName: doc.originalName })),
+    queryText: queryRecord.queryText,
+    answer: aiResponse.answer,
+    canAnswer: aiResponse.canAnswer,
+    confidence: aiResponse.confidence,
+    reasoning: aiResponse.reasoning,
+    parseStatus: queryRecord.parseStatus,
+    chunkIds: queryRecord.chunkIds,
+    sources: describeSources(chunks),
+    citations: citations,
+    provider: provider.name,
+    model: provider.modelInfo().name,
+    processingTime: processingTime,
+    cached: Boolean(cached),
+    tokensUsed: aiResponse.tokensUsed || 0,
+    promptTokens: queryRecord.promptTokens,
+    completionTokens: queryRecord.completionTokens,
+    tokensEstimated: queryRecord.tokensEstimated,
+    cost: queryRecord.cost,
+    createdAt: queryRecord.createdAt
+  };
+}
+
+module.exports = {
+  parseTags,
+  resolveDocuments,
+  describeSources,
+  answerQuery,
+  createQueryRecord,
+  formatQueryResponse
+};
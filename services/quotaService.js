@@ -0,0 +1,221 @@
+// Daily and monthly LLM token budgets. Every user has a budget, and so does every workspace
+// whose documents are queried; a call is refused while any of them is used up. Usage is
+// kept in repository counters per UTC day and month. A call reserves an estimate of its
+// tokens before the LLM is called and settles the difference once it reports its usage,
+// so concurrent calls see each other's spending.
+const repository = require('../repositories');
+const { RateLimitError } = require('../utils/errors');
+
+/**
+ * Read a budget from the environment; 0 (or unset) means unlimited
+ * @param {string} name - Variable name
+ * @returns {number} - Tokens
+ */
+function readBudget(name) {
+  return parseInt(process.env[name]) || 0;
+}
+
+const BUDGETS = {
+  user: {
+    daily: readBudget('USER_DAILY_TOKEN_LIMIT'),
+    monthly: readBudget('USER_MONTHLY_TOKEN_LIMIT')
+  },
+  workspace: {
+    daily: readBudget('WORKSPACE_DAILY_TOKEN_LIMIT'),
+    monthly: readBudget('WORKSPACE_MONTHLY_TOKEN_LIMIT')
+  }
+};
+
+// Tokens reserved for an LLM call whose prompt size is not known in advance
+const DEFAULT_RESERVATION = parseInt(process.env.QUOTA_TOKEN_RESERVATION) || 2000;
+
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * Find the UTC day or month containing a time
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Date} now - Time
+ * @returns {Object} - { id: '2024-05-01' or '2024-05', endsAt }
+ */
+function periodOf(period, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  if (period === 'daily') {
+    return {
+      id: now.toISOString().slice(0, 10),
+      endsAt: new Date(Date.UTC(year, month, now.getUTCDate() + 1))
+    };
+  }
+  return {
+    id: now.toISOString().slice(0, 7),
+    endsAt: new Date(Date.UTC(year, month + 1, 1))
+  };
+}
+
+/**
+ * List the budgets a call is charged to: the caller's, and those of the workspaces the
+ * documents belong to
+ * @param {Object} user - Caller
+ * @param {Array<Object>} documents - Documents the call is about
+ * @returns {Array<Object>} - [{ type: 'user' | 'workspace', id }]
+ */
+function budgetSubjects(user, documents) {
+  const subjects = [{ type: 'user', id: String(user._id) }];
+  for (const document of documents) {
+    const id = document.workspaceId && String(document.workspaceId);
+    if (id && !subjects.some(subject => subject.type === 'workspace' && subject.id === id)) {
+      subjects.push({ type: 'workspace', id });
+    }
+  }
+  return subjects;
+}
+
+/**
+ * List the counters of the budgets that apply to subjects
+ * @param {Array<Object>} subjects - Result of budgetSubjects
+ * @param {Date} now - Time
+ * @returns {Array<Object>} - [{ subject, period, limit, key, endsAt }]
+ */
+function budgetCounters(subjects, now) {
+  const counters = [];
+  for (const subject of subjects) {
+    for (const period of PERIODS) {
+      const { id, endsAt } = periodOf(period, now);
+      counters.push({
+        subject,
+        period,
+        limit: BUDGETS[subject.type][period],
+        key: `tokens:${subject.type}:${subject.id}:${period}:${id}`,
+        endsAt
+      });
+    }
+  }
+  return counters;
+}
+
+/**
+ * Summarize counters as the tightest remaining budget per period
+ * @param {Array<Object>} counters - Budget counters with `used`
+ * @returns {Object} - { daily, monthly }: { limit, remaining, resetAt }, only for limited periods
+ */
+function describeBudgets(counters) {
+  const status = {};
+  for (const counter of counters) {
+    if (!counter.limit) continue;
+    const remaining = Math.max(0, counter.limit - counter.used);
+    if (!status[counter.period] || remaining < status[counter.period].remaining) {
+      status[counter.period] = { limit: counter.limit, remaining, resetAt: counter.endsAt };
+    }
+  }
+  return status;
+}
+
+/**
+ * Read the budget counters that apply to a call
+ * @param {Array<Object>} subjects - Result of budgetSubjects
+ * @param {Date} now - Time
+ * @returns {Promise<Array<Object>>} - Budget counters with `used`
+ */
+async function readBudgetCounters(subjects, now) {
+  const counters = budgetCounters(subjects, now);
+  const values = await repository.getCounters(counters.map(counter => counter.key));
+  for (const counter of counters) {
+    counter.used = values[counter.key];
+  }
+  return counters;
+}
+
+/**
+ * Add to the budget counters of a call
+ * @param {Array<Object>} subjects - Result of budgetSubjects
+ * @param {number} amount - Tokens to add; negative to give tokens back
+ * @returns {Promise<Array<Object>>} - Budget counters with `used` after the change
+ */
+async function addToBudgets(subjects, amount) {
+  const counters = budgetCounters(subjects, new Date());
+  for (const counter of counters) {
+    counter.used = await repository.incrementCounter(counter.key, amount, counter.endsAt);
+  }
+  return counters;
+}
+
+/**
+ * Reserve tokens for an LLM call before making it. The reservation is refused if a budget
+ * was already used up; settle it with settleTokenUsage once the call is done or has failed.
+ * @param {Object} user - Caller
+ * @param {Array<Object>} [documents] - Documents the call is about
+ * @param {number} [estimate] - Tokens the call is expected to use; defaults to QUOTA_TOKEN_RESERVATION
+ * @returns {Promise<Object>} - Quota to pass to settleTokenUsage: { subjects, reserved, status }
+ * @throws {RateLimitError} - 429 if a budget is used up, with the time until it resets
+ */
+async function reserveTokens(user, documents = [], estimate = DEFAULT_RESERVATION) {
+  const now = new Date();
+  const subjects = budgetSubjects(user, documents);
+  const reserved = Math.max(0, Math.round(estimate));
+  const counters = await addToBudgets(subjects, reserved);
+
+  // Budgets used up before this reservation; it may itself go over a budget, like the call would
+  const exhausted = counters.filter(counter => counter.limit && counter.used - reserved >= counter.limit);
+  if (exhausted.length > 0) {
+    await addToBudgets(subjects, -reserved);
+    // Calls are possible again once every exhausted budget has reset
+    const last = exhausted.reduce((latest, counter) => (counter.endsAt > latest.endsAt ? counter : latest));
+    const owner = last.subject.type === 'user' ? 'Your' : 'The workspace\'s';
+    throw new RateLimitError('Token quota exceeded',
+      `${owner} ${last.period} budget of ${last.limit} tokens is used up; it resets at ${last.endsAt.toISOString()}`,
+      (last.endsAt - now) / 1000);
+  }
+
+  return { subjects, reserved, status: describeBudgets(counters) };
+}
+
+/**
+ * Charge the tokens an LLM call used to its budgets in place of its reservation
+ * @param {Object} quota - Result of reserveTokens; its reservation and status are updated
+ * @param {number} tokens - Tokens used; 0 if the call failed
+ * @returns {Promise<Object>} - Updated status (see describeBudgets)
+ */
+async function settleTokenUsage(quota, tokens) {
+  const amount = Math.max(0, Math.round(tokens || 0));
+  const counters = await addToBudgets(quota.subjects, amount - quota.reserved);
+  quota.reserved = amount;
+  quota.status = describeBudgets(counters);
+  return quota.status;
+}
+
+/**
+ * Read the remaining budgets without checking them, e.g. once a batch of calls is done
+ * @param {Object} user - Caller
+ * @param {Array<Object>} [documents] - Documents the calls were about
+ * @returns {Promise<Object>} - Budget status (see describeBudgets)
+ */
+async function getQuotaStatus(user, documents = []) {
+  return describeBudgets(await readBudgetCounters(budgetSubjects(user, documents), new Date()));
+}
+
+/**
+ * Expose the remaining budgets as X-Token-Quota-<Period>-Limit, -Remaining and -Reset
+ * (seconds until the period ends) headers
+ * @param {Object} res - Express response
+ * @param {Object} status - Budget status (see describeBudgets)
+ */
+function setQuotaHeaders(res, status) {
+  if (res.headersSent) return;
+  for (const period of PERIODS) {
+    const budget = status[period];
+    if (!budget) continue;
+    const name = period === 'daily' ? 'Daily' : 'Monthly';
+    res.set({
+      [`X-Token-Quota-${name}-Limit`]: String(budget.limit),
+      [`X-Token-Quota-${name}-Remaining`]: String(budget.remaining),
+      [`X-Token-Quota-${name}-Reset`]: String(Math.ceil((budget.resetAt - Date.now()) / 1000))
+    });
+  }
+}
+
+module.exports = {
+  reserveTokens,
+  settleTokenUsage,
+  getQuotaStatus,
+  setQuotaHeaders
+};
@@ -0,0 +1,225 @@
+// Timeout, retry and circuit-breaker policy for LLM provider calls. Transient failures
+// (429, 5xx, timeouts, network errors) are retried with exponential backoff and jitter.
+// A provider whose calls keep failing is skipped for a while (its circuit is open), so
+// requests fail fast with 503 instead of waiting on an outage. Circuits are per server.
+const { HttpError, ProviderError } = require('../utils/errors');
+
+/**
+ * Read a setting from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} - Value
+ */
+function readSetting(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Time to wait for a response (for streams, for the response to start); 0 waits forever
+const PROVIDER_TIMEOUT_MS = readSetting('PROVIDER_TIMEOUT_MS', 30000);
+const PROVIDER_MAX_RETRIES = readSetting('PROVIDER_MAX_RETRIES', 2);
+const PROVIDER_RETRY_BASE_MS = readSetting('PROVIDER_RETRY_BASE_MS', 500);
+// Longest wait before a retry; a provider asking for longer is not retried
+const PROVIDER_RETRY_MAX_MS = readSetting('PROVIDER_RETRY_MAX_MS', 8000);
+// Failed calls in a row that open a circuit; 0 disables the breaker
+const CIRCUIT_FAILURE_THRESHOLD = readSetting('CIRCUIT_FAILURE_THRESHOLD', 5);
+const CIRCUIT_OPEN_MS = readSetting('CIRCUIT_OPEN_MS', 30000);
+
+// Failures without an HTTP status that are worth retrying
+const TRANSIENT_MESSAGE = /overloaded|timed? ?out|fetch failed|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN/i;
+
+// Provider name -> { failures, openUntil, probing }
+const circuits = new Map();
+
+/**
+ * Find the HTTP status of a failed provider call
+ * @param {Error} error - Error thrown by a provider SDK
+ * @returns {number|null} - Status, or null if the request got no response
+ */
+function statusOf(error) {
+  if (Number.isInteger(error.status)) return error.status;
+  // The Gemini SDK only puts it in the message: "[503 Service Unavailable] ..."
+  const match = /\[(\d{3})\b/.exec(error.message || '');
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Whether a failed call may succeed if repeated
+ * @param {Error} error - Error thrown by a provider SDK
+ * @returns {boolean}
+ */
+function isTransient(error) {
+  if (error.timeout) return true;
+  // OpenAI reports an exhausted balance as 429 too
+  if (error.code === 'insufficient_quota') return false;
+
+  const status = statusOf(error);
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError' ||
+    TRANSIENT_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Read the wait a provider asked for with a 429 or 503
+ * @param {Error} error - Error thrown by a provider SDK
+ * @returns {number|null} - Seconds, or null if none was given
+ */
+function retryAfterOf(error) {
+  const headers = error.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+/**
+ * Wait before a retry: a random time up to an exponentially growing ceiling ("full
+ * jitter"), so requests that failed together do not retry together
+ * @param {number} attempt - Attempts made so far, minus one
+ * @param {number|null} retryAfter - Seconds the provider asked to wait
+ * @returns {number|null} - Milliseconds, or null if the wait is too long to retry
+ */
+function backoffDelay(attempt, retryAfter) {
+  const ceiling = Math.min(PROVIDER_RETRY_MAX_MS, PROVIDER_RETRY_BASE_MS * 2 ** attempt);
+  const delay = Math.random() * ceiling;
+  if (!retryAfter) return delay;
+  return retryAfter * 1000 <= PROVIDER_RETRY_MAX_MS ? Math.max(delay, retryAfter * 1000) : null;
+}
+
+/**
+ * Run an operation with PROVIDER_TIMEOUT_MS. The operation gets a signal that aborts on
+ * timeout or when the caller's signal aborts, even after the operation has resolved
+ * (so a stream it started stops when the client goes away).
+ * @param {Function} operation - signal => Promise
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @returns {Promise<*>} - Result of the operation
+ */
+function withTimeout(operation, signal) {
+  const controller = new AbortController();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    if (!PROVIDER_TIMEOUT_MS) return;
+    timer = setTimeout(() => {
+      const error = new Error(`No response within ${PROVIDER_TIMEOUT_MS}ms`);
+      error.timeout = true;
+      controller.abort();
+      reject(error);
+    }, PROVIDER_TIMEOUT_MS);
+  });
+
+  return Promise.race([operation(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Get the circuit of a provider
+ * @param {string} name - Provider name
+ * @returns {Object} - { failures, openUntil, probing }
+ */
+function circuitFor(name) {
+  if (!circuits.has(name)) {
+    circuits.set(name, { failures: 0, openUntil: 0, probing: false });
+  }
+  return circuits.get(name);
+}
+
+/**
+ * Let a call through unless the provider's circuit is open. Once the open period is over,
+ * one call is let through to probe the provider; others fail fast until it returns.
+ * @param {string} name - Provider name
+ * @throws {ProviderError} - 503 with the time until the next probe
+ */
+function enterCircuit(name) {
+  const circuit = circuitFor(name);
+  const now = Date.now();
+
+  if (circuit.openUntil > now || circuit.probing) {
+    throw new ProviderError(`The ${name} service is failing; requests to it are paused`,
+      { retryable: true, retryAfter: Math.max(1, (circuit.openUntil - now) / 1000) });
+  }
+  if (circuit.openUntil) {
+    circuit.probing = true;
+  }
+}
+
+/**
+ * Record the outcome of a call in the provider's circuit
+ * @param {string} name - Provider name
+ * @param {boolean} failed - The call failed transiently
+ */
+function leaveCircuit(name, failed) {
+  const circuit = circuitFor(name);
+
+  if (!failed) {
+    circuits.set(name, { failures: 0, openUntil: 0, probing: false });
+    return;
+  }
+
+  circuit.failures++;
+  if (circuit.probing || (CIRCUIT_FAILURE_THRESHOLD && circuit.failures >= CIRCUIT_FAILURE_THRESHOLD)) {
+    console.warn(`${name} failed ${circuit.failures} times in a row; pausing requests for ${CIRCUIT_OPEN_MS}ms`);
+    circuit.openUntil = Date.now() + CIRCUIT_OPEN_MS;
+    circuit.probing = false;
+  }
+}
+
+/**
+ * Call a provider with the timeout, retry and circuit-breaker policy
+ * @param {string} name - Provider name (each provider has its own circuit)
+ * @param {Function} operation - signal => Promise making one request; the signal aborts
+ *   on timeout or when the caller's signal aborts
+ * @param {Object} [options] - Call options
+ * @param {AbortSignal} [options.signal] - Caller's signal; once aborted, no retries are made
+ * @returns {Promise<*>} - Result of the operation
+ * @throws {ProviderError} - 503 if the circuit is open; otherwise the last error of the operation
+ */
+async function callProvider(name, operation, { signal } = {}) {
+  enterCircuit(name);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await withTimeout(operation, signal);
+      leaveCircuit(name, false);
+      return result;
+    } catch (error) {
+      if (signal && signal.aborted) {
+        circuitFor(name).probing = false;
+        throw error;
+      }
+
+      const transient = isTransient(error);
+      const delay = transient && attempt < PROVIDER_MAX_RETRIES ? backoffDelay(attempt, retryAfterOf(error)) : null;
+      if (delay === null) {
+        // A provider that answers with a client error is up, as far as the circuit goes
+        leaveCircuit(name, transient);
+        throw error;
+      }
+
+      console.warn(`${name} request failed (attempt ${attempt + 1} of ${PROVIDER_MAX_RETRIES + 1}): ${error.message}; retrying in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Wrap a failed provider call in a ProviderError for the client. Transient failures are
+ * marked retryable, with the wait the provider asked for. Errors that already carry an
+ * HTTP status (an open circuit) are returned as they are.
+ * @param {Error} error - Error thrown by callProvider
+ * @param {string} message - Message for the client
+ * @returns {HttpError} - Error to throw
+ */
+function toProviderError(error, message) {
+  if (error instanceof HttpError) return error;
+  const retryable = isTransient(error);
+  return new ProviderError(message, { retryable, retryAfter: retryable ? retryAfterOf(error) : null });
+}
+
+module.exports = {
+  callProvider,
+  toProviderError
+};
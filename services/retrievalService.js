@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { getDocumentChunks } = require('../utils/chunker');
+
+const DEFAULT_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K) || 4;
+const DEFAULT_SCORER = process.env.RETRIEVAL_SCORER || 'bm25';
+
+// BM25 tuning constants
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'does', 'do', 'for', 'from',
+  'has', 'have', 'how', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that',
+  'the', 'this', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'can', 'there', 'their', 'about', 'me', 'i'
+]);
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms with stopwords removed
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Lexical BM25 scorer
+ * @param {string} query - User's query
+ * @param {Array<Object>} chunks - Chunks with text
+ * @returns {Promise<Array<number>>} - One score per chunk
+ */
+async function bm25Scorer(query, chunks) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const chunkTerms = chunks.map(chunk => tokenize(chunk.text));
+  const avgLength = chunkTerms.reduce((sum, terms) => sum + terms.length, 0) / (chunkTerms.length || 1);
+
+  // Document frequency of each query term across chunks
+  const docFreq = {};
+  for (const term of queryTerms) {
+    docFreq[term] = chunkTerms.filter(terms => terms.includes(term)).length;
+  }
+
+  return chunkTerms.map(terms => {
+    const termFreq = {};
+    for (const term of terms) {
+      termFreq[term] = (termFreq[term] || 0) + 1;
+    }
+
+    return queryTerms.reduce((score, term) => {
+      const tf = termFreq[term] || 0;
+      if (tf === 0) return score;
+      const idf = Math.log(1 + (chunkTerms.length - docFreq[term] + 0.5) / (docFreq[term] + 0.5));
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (terms.length / (avgLength || 1)));
+      return score + idf * (tf * (BM25_K1 + 1)) / norm;
+    }, 0);
+  });
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity in [-1, 1]
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Create a scorer backed by an embedding function.
+ * Chunk embeddings are cached by content so repeated queries only embed the question.
+ * @param {Function} embed - async (texts: string[]) => number[][]
+ * @param {Object} options - Scorer options
+ * @param {number} options.cacheSize - Maximum number of cached chunk embeddings
+ * @returns {Function} - Scorer with the same signature as bm25Scorer
+ */
+function createEmbeddingScorer(embed, options = {}) {
+  const cacheSize = options.cacheSize || 5000;
+  const cache = new Map();
+
+  return async function embeddingScorer(query, chunks) {
+    const keys = chunks.map(chunk => crypto.createHash('sha1').update(chunk.text).digest('hex'));
+    const missing = chunks.filter((chunk, i) => !cache.has(keys[i]));
+    const missingKeys = keys.filter(key => !cache.has(key));
+
+    const [queryVector, ...chunkVectors] = await embed([query, ...missing.map(chunk => chunk.text)]);
+    chunkVectors.forEach((vector, i) => cache.set(missingKeys[i], vector));
+
+    // Evict oldest entries once the cache is full
+    while (cache.size > cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    return keys.map(key => cosineSimilarity(queryVector, cache.get(key)));
+  };
+}
+
+const scorers = {
+  bm25: bm25Scorer,
+  // Required lazily so the Gemini client is only initialized when this scorer is used
+  embedding: createEmbeddingScorer(texts => require('./geminiService').embedTexts(texts))
+};
+
+/**
+ * Register a chunk scorer that can be selected by name
+ * @param {string} name - Scorer name (e.g. "embedding")
+ * @param {Function} scorer - async (query, chunks) => number[]
+ */
+function registerScorer(name, scorer) {
+  scorers[name] = scorer;
+}
+
+/**
+ * Gather the chunks of one or more documents, tagged with the document they belong to
+ * @param {Array<Object>} documents - Document records
+ * @returns {Array<Object>} - Chunks with documentId, documentNumber (1-based) and documentName
+ */
+function collectChunks(documents) {
+  return documents.flatMap((document, i) => getDocumentChunks(document).map(chunk => ({
+    ...chunk,
+    documentId: document._id,
+    documentNumber: i + 1,
+    documentName: document.originalName
+  })));
+}
+
+/**
+ * Select the chunks most relevant to a query from one or more documents.
+ * When several documents are queried, each contributes at least one chunk so
+ * comparisons (e.g. a policy against its amendment) see both sides.
+ * @param {Object|Array<Object>} documents - Document record(s)
+ * @param {string} query - User's query
+ * @param {Object} options - Retrieval options
+ * @param {number} options.topK - Number of chunks to return (raised to the document count if lower)
+ * @param {string} options.scorer - Registered scorer name
+ * @returns {Promise<Array<Object>>} - Selected chunks in document order, each with a score
+ */
+async function retrieveRelevantChunks(documents, query, options = {}) {
+  documents = Array.isArray(documents) ? documents : [documents];
+  const topK = Math.max(options.topK || DEFAULT_TOP_K, documents.length);
+  const scorerName = options.scorer || DEFAULT_SCORER;
+  const chunks = collectChunks(documents);
+  const inDocumentOrder = (a, b) => a.documentNumber - b.documentNumber || a.index - b.index;
+
+  if (chunks.length <= topK) {
+    return chunks.map(chunk => ({ ...chunk, score: 0 }));
+  }
+
+  let scores;
+  const scorer = scorers[scorerName];
+  try {
+    if (!scorer) {
+      throw new Error(`Unknown retrieval scorer: ${scorerName}`);
+    }
+    scores = await scorer(query, chunks);
+  } catch (error) {
+    // Never fail a query because of the ranking step; fall back to lexical scoring
+    console.warn(`Retrieval scorer "${scorerName}" failed, falling back to bm25:`, error.message);
+    scores = await bm25Scorer(query, chunks);
+  }
+
+  // Nothing matched (e.g. "summarize this document"): use the opening chunks instead
+  const ranked = chunks
+    .map((chunk, i) => ({ ...chunk, score: scores[i] > 0 ? scores[i] : -chunk.index }))
+    .sort((a, b) => b.score - a.score);
+
+  // Best chunk of each document first, then the best of the rest
+  const selected = documents
+    .map((document, i) => ranked.find(chunk => chunk.documentNumber === i + 1))
+    .filter(Boolean);
+  for (const chunk of ranked) {
+    if (selected.length >= topK) break;
+    if (!selected.includes(chunk)) {
+      selected.push(chunk);
+    }
+  }
+
+  return selected
+    .map(chunk => ({ ...chunk, score: Math.max(chunk.score, 0) }))
+    .sort(inDocumentOrder);
+}
+
+module.exports = {
+  tokenize,
+  bm25Scorer,
+  createEmbeddingScorer,
+  registerScorer,
+  retrieveRelevantChunks
+};
@@ -0,0 +1,108 @@
+// Access control for documents: personal documents belong to their uploader, workspace
+// documents follow the roles of the workspace's members
+const repository = require('../repositories');
+const { HttpError } = require('../utils/errors');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'querier', 'editor', 'owner'];
+
+// What each minimum role allows, for error messages
+const ACTIONS = {
+  viewer: 'view documents',
+  querier: 'query documents',
+  editor: 'change documents',
+  owner: 'manage members'
+};
+
+/**
+ * Check whether a role grants at least another role
+ * @param {string} role - Role held
+ * @param {string} minimumRole - Role required
+ * @returns {boolean} - True if role is at least minimumRole
+ */
+function hasRole(role, minimumRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Find a user's role in a workspace
+ * @param {Object} workspace - Workspace record
+ * @param {Object} user - User record
+ * @returns {string|null} - Role, or null if the user is not a member
+ */
+function memberRole(workspace, user) {
+  const member = workspace.members.find(entry => String(entry.userId) === String(user._id));
+  return member ? member.role : null;
+}
+
+/**
+ * Load a workspace the user needs a minimum role in
+ * @param {Object} user - Caller
+ * @param {string} workspaceId - Workspace id
+ * @param {string} minimumRole - Role required
+ * @param {string} [action] - What the role is needed for, for the 403 message (default: what
+ *   the role allows in general)
+ * @returns {Promise<Object>} - Workspace, with the caller's role as `role`
+ * @throws {HttpError} - 404 if it does not exist or the user is not a member, 403 if the role is too low
+ */
+async function authorizeWorkspace(user, workspaceId, minimumRole, action = ACTIONS[minimumRole]) {
+  const workspace = await repository.findWorkspaceById(workspaceId);
+  const role = workspace && memberRole(workspace, user);
+  if (!role) {
+    throw new HttpError(404, 'Workspace not found', 'The workspace does not exist or you are not a member');
+  }
+  if (!hasRole(role, minimumRole)) {
+    throw new HttpError(403, 'Forbidden', `Your role in this workspace (${role}) does not allow you to ${action}`);
+  }
+  return { ...workspace, role };
+}
+
+/**
+ * Create a function giving the caller's role for documents, loading each workspace once
+ * @param {Object} user - Caller
+ * @returns {Function} - async document => role | null
+ */
+function documentRoles(user) {
+  const workspaces = new Map();
+  return async document => {
+    if (!document.workspaceId) {
+      return document.ownerId != null && String(document.ownerId) === String(user._id) ? 'owner' : null;
+    }
+    const id = String(document.workspaceId);
+    if (!workspaces.has(id)) {
+      workspaces.set(id, await repository.findWorkspaceById(id));
+    }
+    const workspace = workspaces.get(id);
+    return workspace ? memberRole(workspace, user) : null;
+  };
+}
+
+/**
+ * Check that the caller may act on documents
+ * @param {Object} user - Caller
+ * @param {Array<Object>} documents - Documents
+ * @param {string} minimumRole - Role required for every document
+ * @returns {Promise<Array<Object>>} - The documents the caller can see at all (others count as missing)
+ * @throws {HttpError} - 403 if the caller can see a document but their role is too low
+ */
+async function authorizeDocuments(user, documents, minimumRole) {
+  const roleOf = documentRoles(user);
+  const visible = [];
+  for (const document of documents) {
+    const role = await roleOf(document);
+    if (!role) continue;
+    if (!hasRole(role, minimumRole)) {
+      throw new HttpError(403, 'Forbidden', `Your role in the workspace of ${document.originalName} (${role}) does not allow you to ${ACTIONS[minimumRole]}`);
+    }
+    visible.push(document);
+  }
+  return visible;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  memberRole,
+  authorizeWorkspace,
+  authorizeDocuments
+};
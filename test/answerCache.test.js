@@ -0,0 +1,99 @@
+// The answer cache: keys, invalidation and the stored copy of answers
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.ANSWER_CACHE_PERSISTENT = 'true';
+process.env.ANSWER_CACHE_SIZE = '2';
+
+const repository = require('../repositories');
+const { getProvider } = require('../services/llmProvider');
+const {
+  normalizeQuestion,
+  getCachedAnswer,
+  cacheAnswer,
+  invalidateDocumentAnswers,
+  clearAnswerCache
+} = require('../services/answerCache');
+
+const provider = getProvider('mock');
+
+/**
+ * Build an answerQuery result about documents
+ * @param {Array<Object>} documents - Queried documents
+ * @param {string} answer - Answer text
+ * @returns {Object} - Result shaped like answerQuery's
+ */
+function answerAbout(documents, answer) {
+  return {
+    chunks: documents.map(doc => ({ documentId: doc._id, index: 0, text: 'Excerpt', score: 1 })),
+    aiResponse: { answer, canAnswer: true, confidence: 0.9, reasoning: '', citations: [], tokensUsed: 40 },
+    citations: []
+  };
+}
+
+describe('answer cache', () => {
+  const policy = { _id: 'doc-policy', originalName: 'policy.txt', version: 1, contentHash: 'a1' };
+  const terms = { _id: 'doc-terms', originalName: 'terms.txt', version: 1, contentHash: 'b1' };
+
+  before(() => {
+    repository.useBackend('memory');
+  });
+
+  beforeEach(async () => {
+    await clearAnswerCache();
+  });
+
+  it('answers repeated questions, ignoring case, spacing and trailing punctuation', async () => {
+    await cacheAnswer([policy], 'When is payment due?', provider, answerAbout([policy], 'On the first.'));
+    assert.strictEqual(normalizeQuestion('  WHEN is  payment due ?! '), 'when is payment due');
+
+    const cached = await getCachedAnswer([policy], '  WHEN is  payment due ?! ', provider);
+    assert.strictEqual(cached.cached, true);
+    assert.strictEqual(cached.aiResponse.answer, 'On the first.');
+    assert.strictEqual(cached.aiResponse.tokensUsed, 0);
+    assert.strictEqual(cached.chunks[0].documentName, 'policy.txt');
+  });
+
+  it('misses once a document has a new version or content', async () => {
+    await cacheAnswer([policy], 'When is payment due?', provider, answerAbout([policy], 'On the first.'));
+    assert.strictEqual(await getCachedAnswer([{ ...policy, version: 2 }], 'When is payment due?', provider), null);
+    assert.strictEqual(await getCachedAnswer([{ ...policy, contentHash: 'a2' }], 'When is payment due?', provider), null);
+  });
+
+  it('keeps answers in storage once the in-process cache has evicted them', async () => {
+    await cacheAnswer([policy], 'First?', provider, answerAbout([policy], 'One.'));
+    await cacheAnswer([policy], 'Second?', provider, answerAbout([policy], 'Two.'));
+    await cacheAnswer([policy], 'Third?', provider, answerAbout([policy], 'Three.'));
+    assert.strictEqual((await getCachedAnswer([policy], 'First?', provider)).aiResponse.answer, 'One.');
+  });
+
+  it('drops the answers about a replaced or deleted document, in process and in storage', async () => {
+    await cacheAnswer([policy], 'When is payment due?', provider, answerAbout([policy], 'On the first.'));
+    await cacheAnswer([policy, terms], 'What do they cover?', provider, answerAbout([policy, terms], 'Both.'));
+    await cacheAnswer([terms], 'How long do refunds take?', provider, answerAbout([terms], '14 days.'));
+
+    await invalidateDocumentAnswers(policy._id);
+
+    // A miss in process falls back to storage, so these show both were cleared
+    assert.strictEqual(await getCachedAnswer([policy], 'When is payment due?', provider), null);
+    assert.strictEqual(await getCachedAnswer([policy, terms], 'What do they cover?', provider), null);
+    assert.strictEqual((await getCachedAnswer([terms], 'How long do refunds take?', provider)).aiResponse.answer, '14 days.');
+  });
+
+  it('drops every answer once all documents are deleted', async () => {
+    await cacheAnswer([policy], 'When is payment due?', provider, answerAbout([policy], 'On the first.'));
+    await cacheAnswer([terms], 'How long do refunds take?', provider, answerAbout([terms], '14 days.'));
+
+    await clearAnswerCache();
+
+    assert.strictEqual(await getCachedAnswer([policy], 'When is payment due?', provider), null);
+    assert.strictEqual(await getCachedAnswer([terms], 'How long do refunds take?', provider), null);
+  });
+
+  it('does not cache questions the documents could not answer', async () => {
+    const result = answerAbout([policy], 'The document does not say.');
+    result.aiResponse.canAnswer = false;
+    await cacheAnswer([policy], 'Who wrote it?', provider, result);
+    assert.strictEqual(await getCachedAnswer([policy], 'Who wrote it?', provider), null);
+  });
+});
@@ -0,0 +1,98 @@
+// Unpacking of bulk-upload archives: zip-bomb limits and unsafe entries
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+// Low enough that small generated archives trip them
+process.env.ZIP_MAX_ENTRIES = '5';
+process.env.ZIP_MAX_UNCOMPRESSED_BYTES = String(1024 * 1024);
+
+const JSZip = require('jszip');
+const { unpackArchive } = require('../utils/archive');
+
+/**
+ * Build a compressed archive
+ * @param {Object} files - Entry path -> content (or [content, JSZip file options])
+ * @returns {Promise<Buffer>} - Archive contents
+ */
+function buildArchive(files) {
+  const zip = new JSZip();
+  for (const [name, file] of Object.entries(files)) {
+    const [content, options] = Array.isArray(file) ? file : [file, {}];
+    // No separate folder entries, so the entry counts stay as listed
+    zip.file(name, content, { createFolders: false, ...options });
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', platform: 'UNIX' });
+}
+
+/**
+ * Unpack an archive completely
+ * @param {Buffer} archive - Archive contents
+ * @param {number} maxEntryBytes - Uncompressed size allowed per file
+ * @returns {Promise<Array<Object>>} - Entries yielded by unpackArchive
+ */
+async function unpack(archive, maxEntryBytes) {
+  const entries = [];
+  for await (const entry of unpackArchive(archive, { maxEntryBytes })) {
+    entries.push(entry);
+  }
+  return entries;
+}
+
+describe('unpackArchive', () => {
+  it('unpacks files and leaves out folders and operating system metadata', async () => {
+    const archive = await buildArchive({
+      'docs/a.txt': 'First',
+      'b.md': '# Second',
+      '__MACOSX/docs/._a.txt': 'metadata',
+      'empty/': [null, { dir: true }],
+      'docs/.DS_Store': 'metadata'
+    });
+    const entries = await unpack(archive, 1024);
+    assert.deepStrictEqual(entries.map(entry => [entry.name, entry.content.toString()]), [
+      ['docs/a.txt', 'First'],
+      ['b.md', '# Second']
+    ]);
+  });
+
+  it('refuses archives with more than ZIP_MAX_ENTRIES entries before unpacking them', async () => {
+    const files = {};
+    for (let i = 0; i < 6; i++) files[`file-${i}.txt`] = `File ${i}`;
+    await assert.rejects(unpack(await buildArchive(files), 1024), { status: 413, title: 'Archive too large' });
+  });
+
+  it('reports files that decompress to more than the per-file limit', async () => {
+    const archive = await buildArchive({ 'bomb.txt': ' '.repeat(64 * 1024), 'small.txt': 'Small' });
+    const [bomb, small] = await unpack(archive, 1024);
+    assert.strictEqual(bomb.name, 'bomb.txt');
+    assert.strictEqual(bomb.error.status, 413);
+    assert.strictEqual(small.content.toString(), 'Small');
+  });
+
+  it('stops once the files decompress to more than ZIP_MAX_UNCOMPRESSED_BYTES in total', async () => {
+    const part = ' '.repeat(400 * 1024);
+    const archive = await buildArchive({ 'one.txt': part, 'two.txt': part, 'three.txt': part });
+    assert.ok(archive.length < 16 * 1024);
+
+    const entries = [];
+    await assert.rejects(async () => {
+      for await (const entry of unpackArchive(archive, { maxEntryBytes: 512 * 1024 })) {
+        entries.push(entry);
+      }
+    }, { status: 413, title: 'Archive too large' });
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['one.txt', 'two.txt']);
+  });
+
+  it('rejects entries that leave the archive root and symbolic links', async () => {
+    const archive = await buildArchive({
+      '../escape.txt': 'Outside',
+      'link.txt': ['/etc/passwd', { unixPermissions: 0o120777 }],
+      'safe.txt': 'Inside'
+    });
+    const entries = await unpack(archive, 1024);
+    assert.deepStrictEqual(entries.map(entry => [entry.name, entry.error ? entry.error.status : null]), [
+      ['../escape.txt', 400],
+      ['link.txt', 415],
+      ['safe.txt', null]
+    ]);
+  });
+});
@@ -0,0 +1,88 @@
+// Account registration with sign-ups closed, the ADMIN_EMAIL admin and scripts/setupAdmin.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = 'auth-tests-signing-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.ADMIN_EMAIL = 'Admin@Example.com';
+delete process.env.ALLOW_REGISTRATION;
+
+const repository = require('../repositories');
+const { register } = require('../services/authService');
+const { createJsonlRepository } = require('../repositories/jsonlRepository');
+
+const PASSWORD = 'correct horse battery';
+
+describe('registration', () => {
+  before(() => {
+    repository.useBackend('memory');
+  });
+
+  it('is closed to everyone but the ADMIN_EMAIL account by default', async () => {
+    await assert.rejects(register({ email: 'user@example.com', password: PASSWORD }), { status: 403 });
+    assert.strictEqual(await repository.findUserByEmail('user@example.com'), null);
+  });
+
+  it('makes the ADMIN_EMAIL account an admin without giving it records that have no owner', async () => {
+    const unowned = await repository.createDocument({
+      filename: 'old.txt', originalName: 'old.txt', filePath: 'uploads/old.txt', fileSize: 3, mimeType: 'text/plain'
+    });
+
+    // Emails are unique, so concurrent sign-ups cannot make a second admin
+    const results = await Promise.allSettled([1, 2, 3].map(() =>
+      register({ email: 'admin@example.com', password: PASSWORD })));
+    const registered = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const refused = results.filter(result => result.status === 'rejected').map(result => result.reason.status);
+    assert.strictEqual(registered.length, 1);
+    assert.deepStrictEqual(refused, [409, 409]);
+
+    assert.strictEqual(registered[0].user.role, 'admin');
+    assert.ok(registered[0].token);
+    assert.strictEqual((await repository.findDocumentById(unowned._id)).ownerId, null);
+  });
+});
+
+describe('scripts/setupAdmin.js', () => {
+  /**
+   * Run the script against a JSON-lines store
+   * @param {string} directory - Store directory
+   * @param {Array<string>} args - Script arguments
+   * @returns {Promise<Object>} - { code, stdout, stderr }
+   */
+  function runScript(directory, args) {
+    const script = path.join(__dirname, '..', 'scripts', 'setupAdmin.js');
+    return new Promise(resolve => {
+      execFile(process.execPath, [script, ...args, '--storage', `jsonl:${directory}`], { timeout: 30000 },
+        (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+  }
+
+  it('makes an existing account an admin and gives it records without an owner', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'querify-admin-'));
+    try {
+      const store = createJsonlRepository(directory);
+      const user = await store.createUser({ email: 'ops@example.com', passwordHash: 'hash' });
+      const document = await store.createDocument({
+        filename: 'old.txt', originalName: 'old.txt', filePath: 'uploads/old.txt', fileSize: 3, mimeType: 'text/plain'
+      });
+
+      const unknown = await runScript(directory, ['nobody@example.com']);
+      assert.notStrictEqual(unknown.code, 0);
+      assert.match(unknown.stderr, /No account with the email nobody@example.com/);
+
+      const { code, stdout } = await runScript(directory, ['ops@example.com', '--claim-records']);
+      assert.strictEqual(code, 0);
+      assert.match(stdout, /now owns 1 records/);
+
+      const reloaded = createJsonlRepository(directory);
+      assert.strictEqual((await reloaded.findUserById(user._id)).role, 'admin');
+      assert.strictEqual(String((await reloaded.findDocumentById(document._id)).ownerId), String(user._id));
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,93 @@
+// Verification of model citations against the document text
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { verifyCitations } = require('../utils/citations');
+
+const TEXT = 'Claims must be reported within 30 days.\n\nThe  “Deductible” is  100 dollars per claim.\n\n'
+  + 'Claims must be reported within 30 days.';
+
+// One chunk per paragraph; the last paragraph is on page 2
+const SECOND = TEXT.indexOf('The');
+const THIRD = TEXT.lastIndexOf('Claims');
+const document = {
+  _id: 'doc-1',
+  extractedText: TEXT,
+  chunks: [
+    { index: 0, startOffset: 0, endOffset: SECOND },
+    { index: 1, startOffset: SECOND, endOffset: THIRD },
+    { index: 2, startOffset: THIRD, endOffset: TEXT.length }
+  ],
+  structure: {
+    pages: [
+      { number: 1, startOffset: 0, endOffset: THIRD - 2 },
+      { number: 2, startOffset: THIRD, endOffset: TEXT.length }
+    ]
+  }
+};
+const chunks = document.chunks;
+
+describe('verifyCitations', () => {
+  it('takes offsets, page and quote from the document for an exact quote', () => {
+    const [citation] = verifyCitations(document, chunks, [{ chunkId: 2, quote: 'Claims must be reported within 30 days.' }]);
+    assert.deepStrictEqual(citation, {
+      documentId: 'doc-1',
+      chunkId: 2,
+      startOffset: THIRD,
+      endOffset: TEXT.length,
+      page: 2,
+      quote: 'Claims must be reported within 30 days.',
+      verified: true
+    });
+  });
+
+  it('prefers the cited chunk, then searches the whole document', () => {
+    const [first, uncited] = verifyCitations(document, chunks, [
+      { chunkId: 0, quote: 'reported within 30 days' },
+      { chunkId: 1, quote: 'reported within 30 days' }
+    ]);
+    assert.strictEqual(first.startOffset, 15);
+    assert.strictEqual(first.chunkId, 0);
+    // Not in chunk 1: the first occurrence in the document, credited to its own chunk
+    assert.strictEqual(uncited.startOffset, 15);
+    assert.strictEqual(uncited.chunkId, 0);
+  });
+
+  it('matches despite differences in case, whitespace and typographic quotes', () => {
+    const citations = verifyCitations(document, chunks, [
+      { chunkId: 1, quote: 'the "deductible" is 100 DOLLARS' },
+      { chunkId: 0, quote: 'the "deductible" is 100 dollars per claim' }
+    ]);
+    for (const citation of citations) {
+      assert.strictEqual(citation.verified, true);
+      assert.strictEqual(citation.chunkId, 1);
+      assert.strictEqual(citation.startOffset, SECOND);
+    }
+    assert.strictEqual(citations[0].quote, 'The  “Deductible” is  100 dollars');
+    assert.strictEqual(citations[1].quote, 'The  “Deductible” is  100 dollars per claim');
+  });
+
+  it('flags quotes that are not in the document or too short to check', () => {
+    const citations = verifyCitations(document, chunks, [
+      { chunkId: 0, quote: 'Claims are paid within a week.' },
+      { chunkId: 1, quote: 'claim' },
+      { quote: 42 }
+    ]);
+    assert.deepStrictEqual(citations.map(citation => citation.verified), [false, false, false]);
+    assert.deepStrictEqual(citations[0], {
+      documentId: 'doc-1', chunkId: 0, startOffset: null, endOffset: null, page: null,
+      quote: 'Claims are paid within a week.', verified: false
+    });
+  });
+
+  it('finds quotes in another queried document than the cited one', () => {
+    const other = { _id: 'doc-2', extractedText: 'Pets are not covered by this policy.', chunks: [] };
+    const [citation] = verifyCitations([document, other], [], [{ document: 1, quote: 'pets are not covered' }]);
+    assert.strictEqual(citation.documentId, 'doc-2');
+    assert.strictEqual(citation.quote, 'Pets are not covered');
+    assert.strictEqual(citation.chunkId, 0);
+  });
+
+  it('returns no citations when the model sent none', () => {
+    assert.deepStrictEqual(verifyCitations(document, chunks, undefined), []);
+  });
+});
@@ -0,0 +1,183 @@
+// Text extraction for every supported format, run against the sample files in test/fixtures
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Low enough that a small generated document trips it
+process.env.ZIP_MAX_ENTRY_BYTES = '65536';
+
+const JSZip = require('jszip');
+const { detectFormat, extractBlocks } = require('../utils/extractors');
+const { extractDocument } = require('../utils/textExtractor');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Extract a fixture the way ingestion does, with no client MIME type
+ * @param {string} name - Fixture file name
+ * @returns {Promise<Object>} - extractDocument result
+ */
+function extractFixture(name) {
+  return extractDocument(path.join(FIXTURES, name), '', name);
+}
+
+describe('document extraction', () => {
+  it('reads PDF text with headings, paragraphs and pages', async () => {
+    const result = await extractFixture('policy.pdf');
+    assert.strictEqual(result.format, 'pdf');
+    assert.strictEqual(result.extractionMethod, 'pdf-text');
+    assert.strictEqual(result.text, [
+      'Home Insurance Policy',
+      'This policy covers accidental damage to the insured property caused by sudden events. Claims must be reported within thirty days of the incident.',
+      'A second paragraph starts after a gap in the text flow here.',
+      'Exclusions',
+      '- Flood damage\n- Wear and tear\n- Intentional damage by the insured',
+      'Water Damage',
+      'The warranty covers water damage for a period of two years from the start date. After that, coverage ends unless renewed.'
+    ].join('\n\n'));
+    assert.deepStrictEqual(result.structure.pages.map(page => page.number), [1, 2]);
+    assert.deepStrictEqual(result.structure.blocks[0], {
+      type: 'heading', level: 1, page: 1, startOffset: 0, endOffset: 21
+    });
+  });
+
+  it('reads scanned PDFs without a text layer with OCR', async () => {
+    const result = await extractFixture('scan.pdf');
+    assert.strictEqual(result.format, 'pdf');
+    assert.strictEqual(result.extractionMethod, 'ocr');
+    assert.match(result.text, /warranty covers water damage/);
+    assert.deepStrictEqual(result.ocrPages.map(page => page.page), [1]);
+    assert.ok(result.ocrConfidence > 0.5);
+    assert.deepStrictEqual(result.structure.pages.map(page => page.number), [1]);
+  });
+
+  it('reads DOCX headings and tables', async () => {
+    const result = await extractFixture('handbook.docx');
+    assert.strictEqual(result.format, 'docx');
+    assert.strictEqual(result.text, 'Employee Handbook\n\nWelcome & thanks for joining.\n\nLeave\n\n'
+      + 'Staff get 25 days of leave per year.\n\nGrade | Days\nJunior | 25\nSenior | 30\n\nFinal words.');
+    assert.deepStrictEqual(
+      result.structure.blocks.map(block => [block.type, block.level]).slice(0, 3),
+      [['heading', 1], ['paragraph', null], ['heading', 2]]
+    );
+  });
+
+  it('reads legacy Word documents', async () => {
+    const result = await extractFixture('report.doc');
+    assert.strictEqual(result.format, 'doc');
+    assert.strictEqual(result.text, 'Annual Report\n\nRevenue grew 12% in 2023 – a record.\n\n'
+      + 'See the website for details\nsecond line\n\n• First point\n\nName | Score\nAnn | 90\n\n'
+      + 'After table café\n\nUnicode 荤 text');
+  });
+
+  it('reads OpenDocument text', async () => {
+    const result = await extractFixture('notes.odt');
+    assert.strictEqual(result.format, 'odt');
+    assert.strictEqual(result.text, 'Odt heading\n\nPara one tab\n\nBullet A\n\nc1 | c2');
+  });
+
+  it('reads EPUB chapters in spine order, one page per chapter', async () => {
+    const result = await extractFixture('book.epub');
+    assert.strictEqual(result.format, 'epub');
+    assert.strictEqual(result.text, 'Chapter Two\n\nComes first in the spine.\n\nChapter One\n\nFirst chapter text.');
+    assert.strictEqual(result.structure.pages.length, 2);
+  });
+
+  it('reads XLSX sheets as tables and skips empty sheets', async () => {
+    const result = await extractFixture('sales.xlsx');
+    assert.strictEqual(result.format, 'xlsx');
+    assert.strictEqual(result.text, 'Sales\n\nRegion | Total\nNorth |  | 42.5\nInline | TRUE');
+  });
+
+  it('reads PPTX slides in presentation order, one page per slide', async () => {
+    const result = await extractFixture('deck.pptx');
+    assert.strictEqual(result.format, 'pptx');
+    assert.strictEqual(result.text, 'Quarterly Review\n\nRevenue up\nEMEA strongest\n\nSecond slide\n\nFree text box\n\nK | V');
+    assert.strictEqual(result.structure.pages.length, 2);
+  });
+
+  it('reads RTF text, escapes and tables', async () => {
+    const result = await extractFixture('letter.rtf');
+    assert.strictEqual(result.format, 'rtf');
+    assert.strictEqual(result.text, 'Hello café world\n\nSecond 荤 paragraph\nwith break\n\nA1 | B1\nA2 | B2\n\nAfter table');
+  });
+
+  it('reads HTML without navigation, scripts or styles', async () => {
+    const result = await extractFixture('page.html');
+    assert.strictEqual(result.format, 'html');
+    assert.strictEqual(result.text, 'Refund policy\n\nRefunds are issued within 30 days & require a receipt.\n\n'
+      + 'Item one\nNested\nItem two\n\nPlan | Price\nBasic | $5');
+  });
+
+  it('reads Markdown without markup', async () => {
+    const result = await extractFixture('notes.md');
+    assert.strictEqual(result.format, 'markdown');
+    assert.strictEqual(result.text, 'Title\n\nSome bold and a link text.\n\nSection\n\n- one\n- two\n\n'
+      + 'A | B\n1 | 2\n\nconst a = 1;\n\nquoted line');
+  });
+
+  it('reads CSV with a detected delimiter and quoted fields', async () => {
+    const result = await extractFixture('stock.csv');
+    assert.strictEqual(result.format, 'csv');
+    assert.strictEqual(result.text, 'name | qty | note\nWidget, large | 3 | says "hi"\nBolt | 10 | ');
+  });
+
+  it('reads plain text paragraphs', async () => {
+    const result = await extractFixture('hours.txt');
+    assert.strictEqual(result.format, 'plain-text');
+    assert.strictEqual(result.text, 'Opening hours\n\nThe office is open from 9 to 5 on weekdays.\nIt is closed on public holidays.');
+  });
+
+  it('reads scanned images with OCR', async () => {
+    const result = await extractFixture('scan.png');
+    assert.strictEqual(result.format, 'png');
+    assert.strictEqual(result.extractionMethod, 'ocr');
+    assert.match(result.text, /warranty covers water damage/);
+    assert.ok(result.ocrConfidence > 0.5);
+  });
+});
+
+describe('format detection', () => {
+  it('goes by content when the client sends the wrong MIME type', async () => {
+    const fileBuffer = fs.readFileSync(path.join(FIXTURES, 'handbook.docx'));
+    const format = await detectFormat(fileBuffer, 'application/pdf', 'handbook.pdf');
+    assert.strictEqual(format.name, 'docx');
+  });
+
+  it('uses the file name for text formats sent as text/plain', async () => {
+    const fileBuffer = fs.readFileSync(path.join(FIXTURES, 'notes.md'));
+    const format = await detectFormat(fileBuffer, 'text/plain', 'notes.md');
+    assert.strictEqual(format.name, 'markdown');
+  });
+
+  it('rejects binary content with 415', async () => {
+    const fileBuffer = fs.readFileSync(path.join(FIXTURES, 'binary.dat'));
+    await assert.rejects(extractBlocks(fileBuffer, 'text/plain', 'binary.txt'), { status: 415 });
+  });
+
+  it('rejects Excel 97-2003 workbooks and encrypted Word documents with 415', async () => {
+    for (const name of ['legacy.xls', 'encrypted.doc']) {
+      const fileBuffer = fs.readFileSync(path.join(FIXTURES, name));
+      await assert.rejects(extractBlocks(fileBuffer, '', name), { status: 415 });
+    }
+  });
+
+  it('rejects EPUB files that refer to a malformed chapter path with 415', async () => {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/epub+zip');
+    zip.file('META-INF/container.xml', '<container><rootfiles><rootfile full-path="OEBPS/book.opf"/></rootfiles></container>');
+    zip.file('OEBPS/book.opf', '<package><manifest><item id="c1" href="chapter%E0%A4.xhtml" '
+      + 'media-type="application/xhtml+xml"/></manifest><spine><itemref idref="c1"/></spine></package>');
+    const fileBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+    await assert.rejects(extractBlocks(fileBuffer, '', 'book.epub'), { status: 415 });
+  });
+
+  it('rejects ZIP-based documents with an oversized entry with 413', async () => {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<Types/>');
+    zip.file('word/document.xml', ' '.repeat(1024 * 1024));
+    const fileBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    await assert.rejects(extractBlocks(fileBuffer, '', 'bomb.docx'), { status: 413 });
+  });
+});
@@ -0,0 +1,113 @@
+// Daily and monthly token budgets, with the clock mocked and in-memory counters
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.USER_DAILY_TOKEN_LIMIT = '1000';
+process.env.USER_MONTHLY_TOKEN_LIMIT = '1500';
+process.env.WORKSPACE_DAILY_TOKEN_LIMIT = '2000';
+delete process.env.WORKSPACE_MONTHLY_TOKEN_LIMIT;
+process.env.QUOTA_TOKEN_RESERVATION = '100';
+
+const repository = require('../repositories');
+const { reserveTokens, settleTokenUsage, getQuotaStatus } = require('../services/quotaService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('token quotas', () => {
+  let users = 0;
+  let user;
+
+  before(() => {
+    repository.useBackend('memory');
+  });
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 4, 10, 12) });
+    // A new user per test, so budgets do not carry over
+    user = { _id: `user-${++users}` };
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('charges what a call used in place of its reservation', async () => {
+    const quota = await reserveTokens(user);
+    assert.strictEqual(quota.status.daily.remaining, 900);
+
+    const status = await settleTokenUsage(quota, 240);
+    assert.deepStrictEqual([status.daily.limit, status.daily.remaining], [1000, 760]);
+    assert.deepStrictEqual([status.monthly.limit, status.monthly.remaining], [1500, 1260]);
+    assert.strictEqual(status.daily.resetAt.toISOString(), '2026-05-11T00:00:00.000Z');
+    assert.strictEqual(status.monthly.resetAt.toISOString(), '2026-06-01T00:00:00.000Z');
+  });
+
+  it('gives the reservation back when the call fails', async () => {
+    await settleTokenUsage(await reserveTokens(user, [], 500), 0);
+    assert.strictEqual((await getQuotaStatus(user)).daily.remaining, 1000);
+  });
+
+  it('refuses calls until the day ends once the daily budget is used up', async () => {
+    // A call may go over the budget; the next one is refused
+    await settleTokenUsage(await reserveTokens(user), 1100);
+    await assert.rejects(reserveTokens(user), error => {
+      assert.strictEqual(error.status, 429);
+      assert.strictEqual(error.title, 'Token quota exceeded');
+      assert.match(error.message, /daily budget of 1000 tokens/);
+      assert.strictEqual(error.retryAfter, 12 * 60 * 60);
+      return true;
+    });
+    // The refused reservation is not kept
+    assert.strictEqual((await getQuotaStatus(user)).monthly.remaining, 400);
+
+    mock.timers.tick(12 * HOUR);
+    const quota = await reserveTokens(user);
+    assert.strictEqual(quota.status.daily.remaining, 900);
+  });
+
+  it('refuses calls until the month ends once the monthly budget is used up', async () => {
+    await settleTokenUsage(await reserveTokens(user), 900);
+    mock.timers.tick(24 * HOUR);
+    await settleTokenUsage(await reserveTokens(user), 700);
+
+    mock.timers.tick(24 * HOUR);
+    await assert.rejects(reserveTokens(user), error => {
+      assert.match(error.message, /monthly budget of 1500 tokens/);
+      // From noon on May 12th to June 1st
+      assert.strictEqual(error.retryAfter, (19 * 24 + 12) * 60 * 60);
+      return true;
+    });
+  });
+
+  it('lets concurrent calls see each other\'s reservations', async () => {
+    // Each call expects to use the whole daily budget, so only one may go ahead
+    const results = await Promise.allSettled([1, 2, 3].map(() => reserveTokens(user, [], 1000)));
+    const reserved = results.filter(result => result.status === 'fulfilled');
+    assert.strictEqual(reserved.length, 1);
+    assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.status === 429));
+
+    // Settling for less frees the rest for the next call
+    await settleTokenUsage(reserved[0].value, 300);
+    assert.strictEqual((await reserveTokens(user)).status.daily.remaining, 600);
+  });
+
+  it('charges the workspaces of the documents and refuses their other members', async () => {
+    const documents = [{ workspaceId: 'workspace-1' }, { workspaceId: 'workspace-1' }, { workspaceId: null }];
+    const colleague = { _id: `user-${++users}` };
+
+    await settleTokenUsage(await reserveTokens(user, documents), 900);
+    mock.timers.tick(HOUR);
+    await settleTokenUsage(await reserveTokens(colleague, documents), 900);
+    // The workspace has 200 left, less than either member
+    assert.strictEqual((await getQuotaStatus(colleague, documents)).daily.remaining, 100);
+    assert.strictEqual((await getQuotaStatus({ _id: `user-${++users}` }, documents)).daily.remaining, 200);
+
+    await settleTokenUsage(await reserveTokens(colleague, documents), 300);
+    await assert.rejects(reserveTokens({ _id: `user-${++users}` }, documents), error => {
+      assert.match(error.message, /^The workspace's daily budget of 2000 tokens/);
+      return true;
+    });
+    // Calls about other documents are not charged to the workspace
+    await reserveTokens({ _id: `user-${++users}` });
+  });
+});
@@ -0,0 +1,129 @@
+// Sliding-window rate limiting, with the clock mocked and in-memory counters
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const repository = require('../repositories');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const WINDOW_MS = 60 * 1000;
+// The start of a window, so elapsed fractions are exact
+const WINDOW_START = Math.ceil(Date.UTC(2026, 4, 10, 12) / WINDOW_MS) * WINDOW_MS;
+
+/**
+ * Run a rate-limiting middleware for one request
+ * @param {Function} middleware - Result of rateLimit
+ * @param {Object} [body] - Request body
+ * @returns {Promise<Object>} - { passed, status, headers, body }
+ */
+async function send(middleware, body = {}) {
+  const result = { passed: false, status: 200, headers: {}, body: null };
+  const res = {
+    set(name, value) {
+      Object.assign(result.headers, typeof name === 'object' ? name : { [name]: value });
+      return this;
+    },
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(data) {
+      result.body = data;
+      return this;
+    }
+  };
+  await middleware({ ip: '203.0.113.7', body }, res, () => {
+    result.passed = true;
+  });
+  return result;
+}
+
+describe('rateLimit', () => {
+  let limiter;
+  let names = 0;
+
+  before(() => {
+    repository.useBackend('memory');
+  });
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: WINDOW_START });
+    // A new counter name per test, so counts do not carry over
+    limiter = options => rateLimit({ name: `test-${++names}`, clientKey: req => req.ip, windowMs: WINDOW_MS, ...options });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('lets requests through up to the limit and reports what is left', async () => {
+    const middleware = limiter({ limit: 3 });
+    const headers = [];
+    for (let i = 0; i < 3; i++) {
+      const result = await send(middleware);
+      assert.strictEqual(result.passed, true);
+      headers.push(result.headers);
+    }
+    assert.deepStrictEqual(headers.map(header => header['X-RateLimit-Remaining']), ['2', '1', '0']);
+    assert.strictEqual(headers[0]['X-RateLimit-Limit'], '3');
+    // Seconds until the window ends
+    assert.strictEqual(headers[0]['X-RateLimit-Reset'], '60');
+  });
+
+  it('refuses requests over the limit with 429 and Retry-After, without counting them', async () => {
+    const middleware = limiter({ limit: 4 });
+    for (let i = 0; i < 4; i++) await send(middleware);
+
+    const refused = await send(middleware);
+    assert.strictEqual(refused.passed, false);
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual(refused.body.error, 'Too many requests');
+    // A quarter of the next window has to pass before one of these four slides out
+    assert.strictEqual(refused.headers['Retry-After'], '75');
+
+    // Refused requests do not count, so waiting that long is enough
+    mock.timers.tick(75 * 1000);
+    assert.strictEqual((await send(middleware)).passed, true);
+  });
+
+  it('weights the previous window by how much of it the sliding window still covers', async () => {
+    const middleware = limiter({ limit: 4 });
+    for (let i = 0; i < 4; i++) await send(middleware);
+
+    // Halfway into the next window, half of the previous four still count
+    mock.timers.tick(WINDOW_MS * 1.5);
+    assert.strictEqual((await send(middleware)).headers['X-RateLimit-Remaining'], '1');
+    assert.strictEqual((await send(middleware)).headers['X-RateLimit-Remaining'], '0');
+    const refused = await send(middleware);
+    assert.strictEqual(refused.status, 429);
+    // A quarter of a window has to pass for one more of the previous requests to slide out
+    assert.strictEqual(refused.headers['Retry-After'], '15');
+
+    // A window later the first four no longer count, and the two since then all do
+    mock.timers.tick(WINDOW_MS / 2);
+    assert.strictEqual((await send(middleware)).headers['X-RateLimit-Remaining'], '1');
+  });
+
+  it('charges requests by their cost and refuses costs above the limit with 400', async () => {
+    const middleware = limiter({ limit: 5, cost: req => req.body.calls });
+    assert.strictEqual((await send(middleware, { calls: 3 })).headers['X-RateLimit-Remaining'], '2');
+    assert.strictEqual((await send(middleware, { calls: 3 })).status, 429);
+
+    const tooLarge = await send(middleware, { calls: 6 });
+    assert.strictEqual(tooLarge.status, 400);
+    assert.strictEqual(tooLarge.body.error, 'Request too large');
+  });
+
+  it('keeps separate counts per client', async () => {
+    const middleware = limiter({ limit: 1, clientKey: req => req.body.client });
+    assert.strictEqual((await send(middleware, { client: 'a' })).passed, true);
+    assert.strictEqual((await send(middleware, { client: 'b' })).passed, true);
+    assert.strictEqual((await send(middleware, { client: 'a' })).status, 429);
+  });
+
+  it('is disabled by a limit of 0', async () => {
+    const middleware = limiter({ limit: 0 });
+    const result = await send(middleware);
+    assert.strictEqual(result.passed, true);
+    assert.deepStrictEqual(result.headers, {});
+  });
+});
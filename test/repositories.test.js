@@ -0,0 +1,668 @@
+// Conformance suite for the storage contract in repositories/index.js, run against every
+// backend. The Mongo backend runs against MONGODB_TEST_URI if set (a throwaway database; it
+// is emptied before and after the run), else against a server started by
+// mongodb-memory-server, which downloads MongoDB on first use. SKIP_MONGO_TESTS=true skips
+// it where MongoDB cannot be downloaded.
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { CONTRACT } = require('../repositories');
+const mongoRepository = require('../repositories/mongoRepository');
+const { MODELS, createMemoryRepository } = require('../repositories/memoryRepository');
+const { createJsonlRepository } = require('../repositories/jsonlRepository');
+
+const BACKENDS = [
+  {
+    name: 'memory',
+    open: async () => createMemoryRepository()
+  },
+  {
+    name: 'jsonl',
+    directories: [],
+    async open() {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'querify-jsonl-'));
+      this.directories.push(directory);
+      return createJsonlRepository(directory);
+    },
+    async teardown() {
+      for (const directory of this.directories) {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'mongo',
+    skip: process.env.SKIP_MONGO_TESTS === 'true' ? 'SKIP_MONGO_TESTS is set' : false,
+    server: null,
+    async setup() {
+      let uri = process.env.MONGODB_TEST_URI;
+      if (!uri) {
+        // The version is pinned in package.json (config.mongodbMemoryServer) to one the
+        // MongoDB driver of mongoose supports
+        this.server = await MongoMemoryServer.create();
+        uri = this.server.getUri('querify-test');
+      }
+      await mongoose.connect(uri, { serverSelectionTimeoutMS: 5000 });
+      await mongoose.connection.dropDatabase();
+      // Unique indexes (user email, counter and cache keys) are part of the contract
+      for (const Model of Object.values(mongoose.models)) {
+        await Model.createIndexes();
+      }
+    },
+    async open() {
+      for (const Model of Object.values(mongoose.models)) {
+        await Model.deleteMany({});
+      }
+      return mongoRepository;
+    },
+    async teardown() {
+      if (mongoose.connection.readyState === 1) {
+        await mongoose.connection.dropDatabase();
+      }
+      await mongoose.disconnect();
+      if (this.server) await this.server.stop();
+    }
+  }
+];
+
+const newId = () => new mongoose.Types.ObjectId();
+const ids = records => records.map(record => String(record._id));
+
+/**
+ * Data for a valid document record
+ * @param {Object} [overrides] - Fields to set
+ * @returns {Object} - Document data
+ */
+function documentData(overrides = {}) {
+  return {
+    filename: 'document-1.txt',
+    originalName: 'notes.txt',
+    filePath: 'uploads/document-1.txt',
+    fileSize: 10,
+    mimeType: 'text/plain',
+    ...overrides
+  };
+}
+
+/**
+ * Data for a valid query record
+ * @param {Object} documentId - Queried document
+ * @param {Object} [overrides] - Fields to set
+ * @returns {Object} - Query data
+ */
+function queryData(documentId, overrides = {}) {
+  return {
+    documentId,
+    documentIds: [documentId],
+    queryText: 'What is covered?',
+    response: 'Everything.',
+    ...overrides
+  };
+}
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} repository`, { skip: backend.skip }, () => {
+    let repository;
+
+    if (backend.setup) before(() => backend.setup());
+    if (backend.teardown) after(() => backend.teardown());
+    beforeEach(async () => {
+      repository = await backend.open();
+    });
+
+    it('implements every contract method', () => {
+      for (const method of CONTRACT) {
+        assert.strictEqual(typeof repository[method], 'function', method);
+      }
+    });
+
+    describe('users', () => {
+      it('normalizes emails and finds users by email, id and API key hash', async () => {
+        const user = await repository.createUser({
+          email: ' Ann@Example.com ',
+          passwordHash: 'hash',
+          apiKeys: [{ prefix: 'qk_1', keyHash: 'abc' }]
+        });
+        assert.strictEqual(user.email, 'ann@example.com');
+        assert.strictEqual(user.role, 'user');
+
+        assert.strictEqual(String((await repository.findUserByEmail('ANN@example.com '))._id), String(user._id));
+        assert.strictEqual((await repository.findUserById(user._id)).email, 'ann@example.com');
+        assert.strictEqual(String((await repository.findUserByApiKeyHash('abc'))._id), String(user._id));
+        assert.strictEqual(await repository.findUserByApiKeyHash('other'), null);
+        assert.strictEqual(await repository.findUserById(newId()), null);
+        assert.strictEqual(await repository.findUserById('not-an-id'), null);
+        assert.strictEqual(await repository.countUsers(), 1);
+      });
+
+      it('rejects a second user with the same email as a duplicate key', async () => {
+        await repository.createUser({ email: 'ann@example.com', passwordHash: 'hash' });
+        await assert.rejects(
+          repository.createUser({ email: 'ANN@example.com', passwordHash: 'other' }),
+          { code: 11000 }
+        );
+      });
+
+      it('updates users and returns null for unknown ids', async () => {
+        const user = await repository.createUser({ email: 'ann@example.com', passwordHash: 'hash' });
+        const updated = await repository.updateUser(user._id, { name: 'Ann', role: 'admin' });
+        assert.strictEqual(updated.name, 'Ann');
+        assert.strictEqual(updated.role, 'admin');
+        assert.strictEqual((await repository.findUserById(user._id)).role, 'admin');
+        assert.strictEqual(await repository.updateUser(newId(), { name: 'Nobody' }), null);
+        assert.strictEqual(await repository.updateUser('not-an-id', { name: 'Nobody' }), null);
+      });
+
+      it('gives unowned documents, queries and conversations to a user', async () => {
+        const otherOwner = newId();
+        const unowned = await repository.createDocument(documentData());
+        await repository.createDocument(documentData({ ownerId: otherOwner }));
+        await repository.createQuery(queryData(unowned._id));
+        await repository.createConversation({ documentIds: [unowned._id] });
+
+        const ownerId = newId();
+        assert.strictEqual(await repository.claimUnownedRecords(ownerId), 3);
+        assert.strictEqual(String((await repository.findDocumentById(unowned._id)).ownerId), String(ownerId));
+        assert.strictEqual(await repository.claimUnownedRecords(newId()), 0);
+      });
+    });
+
+    describe('workspaces', () => {
+      it('lists the workspaces of a member by name', async () => {
+        const userId = newId();
+        const member = role => ({ userId, role });
+        await repository.createWorkspace({ name: 'beta', members: [member('viewer')] });
+        await repository.createWorkspace({ name: 'Zeta', members: [member('owner')] });
+        await repository.createWorkspace({ name: 'alpha', members: [member('editor')] });
+        await repository.createWorkspace({ name: 'Other', members: [{ userId: newId(), role: 'owner' }] });
+
+        const workspaces = await repository.findWorkspacesByMember(userId);
+        // Code point order, as MongoDB sorts strings
+        assert.deepStrictEqual(workspaces.map(workspace => workspace.name), ['Zeta', 'alpha', 'beta']);
+        assert.deepStrictEqual(await repository.findWorkspacesByMember('not-an-id'), []);
+      });
+
+      it('updates workspaces and returns null for unknown ids', async () => {
+        const workspace = await repository.createWorkspace({ name: ' Team ' });
+        assert.strictEqual(workspace.name, 'Team');
+        const updated = await repository.updateWorkspace(workspace._id, { name: 'Renamed' });
+        assert.strictEqual(updated.name, 'Renamed');
+        assert.strictEqual((await repository.findWorkspaceById(workspace._id)).name, 'Renamed');
+        assert.strictEqual(await repository.updateWorkspace(newId(), { name: 'x' }), null);
+        assert.strictEqual(await repository.findWorkspaceById('not-an-id'), null);
+      });
+    });
+
+    describe('documents', () => {
+      it('applies model defaults and rejects invalid records', async () => {
+        const document = await repository.createDocument(documentData());
+        assert.strictEqual(document.status, 'ready');
+        assert.strictEqual(document.version, 1);
+        assert.strictEqual(document.ownerId, null);
+        assert.deepStrictEqual(document.tags, []);
+        assert.ok(document.uploadedAt instanceof Date);
+
+        await assert.rejects(repository.createDocument({ originalName: 'missing fields' }));
+        await assert.rejects(repository.createDocument(documentData({ status: 'unknown' })));
+      });
+
+      it('finds documents by ids, skipping unknown and malformed ids', async () => {
+        const first = await repository.createDocument(documentData());
+        const second = await repository.createDocument(documentData());
+        const found = await repository.findDocumentsByIds([String(second._id), newId(), 'not-an-id', first._id]);
+        assert.deepStrictEqual(ids(found).sort(), ids([first, second]).sort());
+        assert.strictEqual(await repository.findDocumentById('not-an-id'), null);
+        assert.strictEqual(await repository.countDocuments(), 2);
+      });
+
+      it('scopes document lists to a workspace, an owner outside workspaces, or everything', async () => {
+        const ownerId = newId();
+        const workspaceId = newId();
+        const personal = await repository.createDocument(documentData({ ownerId, uploadedAt: new Date('2024-01-01') }));
+        const shared = await repository.createDocument(documentData({ ownerId, workspaceId, uploadedAt: new Date('2024-01-02') }));
+        const others = await repository.createDocument(documentData({ ownerId: newId(), uploadedAt: new Date('2024-01-03') }));
+        const unowned = await repository.createDocument(documentData({ uploadedAt: new Date('2024-01-04') }));
+
+        assert.deepStrictEqual(ids(await repository.findDocuments({ workspaceId })), ids([shared]));
+        assert.deepStrictEqual(ids(await repository.findDocuments({ workspaceId, ownerId: newId() })), ids([shared]));
+        assert.deepStrictEqual(ids(await repository.findDocuments({ ownerId })), ids([personal]));
+        // Newest first
+        assert.deepStrictEqual(ids(await repository.findDocuments({})), ids([unowned, others, shared, personal]));
+        assert.deepStrictEqual(ids(await repository.findDocuments({ ownerId: null })), ids([unowned, others, shared, personal]));
+      });
+
+      it('filters document lists by collection and tags, and applies the limit', async () => {
+        const older = await repository.createDocument(documentData({
+          collectionName: 'policies', tags: ['home', 'water'], uploadedAt: new Date('2024-01-01')
+        }));
+        const newer = await repository.createDocument(documentData({
+          collectionName: 'policies', tags: ['home'], uploadedAt: new Date('2024-01-02')
+        }));
+        await repository.createDocument(documentData({ collectionName: 'other', tags: ['home', 'water'] }));
+
+        assert.deepStrictEqual(ids(await repository.findDocuments({ collection: 'policies' })), ids([newer, older]));
+        assert.deepStrictEqual(ids(await repository.findDocuments({ collection: 'policies', tags: ['water', 'home'] })), ids([older]));
+        assert.deepStrictEqual(ids(await repository.findDocuments({ collection: 'policies' }, { limit: 1 })), ids([newer]));
+        assert.strictEqual((await repository.findDocuments({}, { limit: Infinity })).length, 3);
+      });
+
+      it('finds the oldest document with a content hash in the same scope, skipping failed ones', async () => {
+        const ownerId = newId();
+        const workspaceId = newId();
+        const create = data => repository.createDocument(documentData({ contentHash: 'h1', ...data }));
+        await create({ ownerId, status: 'failed', uploadedAt: new Date('2024-01-01') });
+        const personal = await create({ ownerId, uploadedAt: new Date('2024-01-02') });
+        await create({ ownerId, uploadedAt: new Date('2024-01-03') });
+        const shared = await create({ ownerId: newId(), workspaceId, uploadedAt: new Date('2024-01-04') });
+        const unowned = await create({ uploadedAt: new Date('2024-01-05') });
+
+        const find = scope => repository.findDocumentByContentHash('h1', scope);
+        assert.strictEqual(String((await find({ ownerId }))._id), String(personal._id));
+        assert.strictEqual(String((await find({ ownerId, workspaceId }))._id), String(shared._id));
+        // Documents without an owner are only matched by lookups without an owner
+        assert.strictEqual(String((await find({ ownerId: null }))._id), String(unowned._id));
+        assert.strictEqual(String((await find({}))._id), String(unowned._id));
+        assert.strictEqual(await find({ ownerId: newId() }), null);
+        assert.strictEqual(await find({ workspaceId: newId() }), null);
+        assert.strictEqual(await repository.findDocumentByContentHash('h2', { ownerId }), null);
+      });
+
+      it('updates documents and returns null for unknown ids', async () => {
+        const document = await repository.createDocument(documentData());
+        const updated = await repository.updateDocument(document._id, { status: 'failed', error: 'Unreadable' });
+        assert.strictEqual(updated.status, 'failed');
+        assert.strictEqual((await repository.findDocumentById(document._id)).error, 'Unreadable');
+        assert.strictEqual(await repository.updateDocument(newId(), { status: 'ready' }), null);
+        assert.strictEqual(await repository.updateDocument('not-an-id', { status: 'ready' }), null);
+      });
+
+      it('deletes a document with its queries and its place in conversations', async () => {
+        const kept = await repository.createDocument(documentData());
+        const deleted = await repository.createDocument(documentData());
+        await repository.createQuery(queryData(deleted._id));
+        await repository.createQuery(queryData(kept._id, { documentIds: [kept._id, deleted._id] }));
+        const keptQuery = await repository.createQuery(queryData(kept._id));
+        const onlyDeleted = await repository.createConversation({ documentIds: [deleted._id] });
+        const both = await repository.createConversation({ documentIds: [kept._id, deleted._id] });
+
+        assert.strictEqual(await repository.deleteDocument(deleted._id), true);
+        assert.strictEqual(await repository.findDocumentById(deleted._id), null);
+        assert.deepStrictEqual(ids(await repository.findQueriesByDocumentId(kept._id)), ids([keptQuery]));
+        assert.strictEqual(await repository.findConversationById(onlyDeleted._id), null);
+        assert.deepStrictEqual(
+          (await repository.findConversationById(both._id)).documentIds.map(String),
+          [String(kept._id)]
+        );
+
+        assert.strictEqual(await repository.deleteDocument(deleted._id), false);
+        assert.strictEqual(await repository.deleteDocument('not-an-id'), false);
+      });
+
+      it('deletes all documents, queries and conversations', async () => {
+        const document = await repository.createDocument(documentData());
+        await repository.createDocument(documentData());
+        await repository.createQuery(queryData(document._id));
+        const conversation = await repository.createConversation({ documentIds: [document._id] });
+
+        assert.strictEqual(await repository.deleteAllDocuments(), 2);
+        assert.strictEqual(await repository.countDocuments(), 0);
+        assert.deepStrictEqual(await repository.exportRecords('queries'), []);
+        assert.strictEqual(await repository.findConversationById(conversation._id), null);
+      });
+    });
+
+    describe('document versions', () => {
+      /**
+       * Data for a valid earlier version of a document
+       * @param {Object} documentId - Document the version belongs to
+       * @param {number} version - Version number
+       * @param {string} text - Extracted text
+       * @returns {Object} - Version data
+       */
+      const versionData = (documentId, version, text) => ({
+        documentId,
+        version,
+        originalName: `notes-v${version}.txt`,
+        fileSize: text.length,
+        mimeType: 'text/plain',
+        extractedText: text,
+        textLength: text.length,
+        uploadedAt: new Date(2024, 0, version)
+      });
+
+      it('lists versions oldest first without their text and finds one with its text', async () => {
+        const document = await repository.createDocument(documentData());
+        const other = await repository.createDocument(documentData());
+        await repository.saveDocumentVersion(versionData(document._id, 2, 'Second text'));
+        await repository.saveDocumentVersion(versionData(document._id, 1, 'First text'));
+        await repository.saveDocumentVersion(versionData(other._id, 1, 'Other text'));
+
+        const versions = await repository.findDocumentVersions(document._id);
+        assert.deepStrictEqual(versions.map(version => [version.version, version.textLength]), [[1, 10], [2, 11]]);
+        assert.ok(versions.every(version => !('extractedText' in version)));
+
+        const first = await repository.findDocumentVersion(document._id, 1);
+        assert.strictEqual(first.extractedText, 'First text');
+        assert.strictEqual(await repository.findDocumentVersion(document._id, 3), null);
+        assert.strictEqual(await repository.findDocumentVersion('not-an-id', 1), null);
+        assert.deepStrictEqual(await repository.findDocumentVersions('not-an-id'), []);
+      });
+
+      it('replaces a version saved again with the same number', async () => {
+        const document = await repository.createDocument(documentData());
+        await repository.saveDocumentVersion(versionData(document._id, 1, 'First try'));
+        const saved = await repository.saveDocumentVersion(versionData(document._id, 1, 'Second try'));
+        assert.strictEqual(saved.extractedText, 'Second try');
+
+        const versions = await repository.findDocumentVersions(document._id);
+        assert.deepStrictEqual(versions.map(version => String(version._id)), [String(saved._id)]);
+      });
+
+      it('deletes versions with their document', async () => {
+        const kept = await repository.createDocument(documentData());
+        const deleted = await repository.createDocument(documentData());
+        await repository.saveDocumentVersion(versionData(kept._id, 1, 'Kept text'));
+        await repository.saveDocumentVersion(versionData(deleted._id, 1, 'Deleted text'));
+
+        await repository.deleteDocument(deleted._id);
+        assert.deepStrictEqual(await repository.findDocumentVersions(deleted._id), []);
+        assert.strictEqual((await repository.findDocumentVersions(kept._id)).length, 1);
+
+        await repository.deleteAllDocuments();
+        assert.deepStrictEqual(await repository.exportRecords('documentVersions'), []);
+      });
+    });
+
+    describe('ingestion jobs', () => {
+      it('claims due jobs oldest first and counts attempts', async () => {
+        const now = Date.now();
+        const older = await repository.createDocument(documentData({ status: 'queued', uploadedAt: new Date(now - 2000) }));
+        const newer = await repository.createDocument(documentData({ status: 'queued', uploadedAt: new Date(now - 1000) }));
+        await repository.createDocument(documentData({ status: 'queued', nextAttemptAt: new Date(now + 60000) }));
+        await repository.createDocument(documentData({ status: 'ready' }));
+
+        const staleBefore = new Date(now - 60000);
+        const first = await repository.claimNextDocumentJob({ staleBefore });
+        assert.strictEqual(String(first._id), String(older._id));
+        assert.strictEqual(first.status, 'extracting');
+        assert.strictEqual(first.attempts, 1);
+        assert.ok(first.jobStartedAt instanceof Date);
+        assert.strictEqual((await repository.findDocumentById(older._id)).status, 'extracting');
+
+        assert.strictEqual(String((await repository.claimNextDocumentJob({ staleBefore }))._id), String(newer._id));
+        assert.strictEqual(await repository.claimNextDocumentJob({ staleBefore }), null);
+      });
+
+      it('claims jobs that were retried or lost again', async () => {
+        const now = Date.now();
+        const retried = await repository.createDocument(documentData({
+          status: 'queued', attempts: 1, nextAttemptAt: new Date(now - 1000), uploadedAt: new Date(now - 4000)
+        }));
+        const lost = await repository.createDocument(documentData({
+          status: 'extracting', attempts: 1, jobStartedAt: new Date(now - 120000), uploadedAt: new Date(now - 3000)
+        }));
+        const unstarted = await repository.createDocument(documentData({
+          status: 'extracting', attempts: 1, jobStartedAt: null, uploadedAt: new Date(now - 2000)
+        }));
+        await repository.createDocument(documentData({
+          status: 'extracting', attempts: 1, jobStartedAt: new Date(now), uploadedAt: new Date(now - 1000)
+        }));
+
+        const staleBefore = new Date(now - 60000);
+        const claimed = [];
+        let job;
+        while ((job = await repository.claimNextDocumentJob({ staleBefore }))) {
+          assert.strictEqual(job.attempts, 2);
+          claimed.push(job);
+        }
+        // An 'extracting' job without a start time counts as lost
+        assert.deepStrictEqual(ids(claimed), ids([retried, lost, unstarted]));
+      });
+    });
+
+    describe('queries and conversations', () => {
+      it('lists the queries involving a document, newest first', async () => {
+        const first = await repository.createDocument(documentData());
+        const second = await repository.createDocument(documentData());
+        const single = await repository.createQuery(queryData(first._id, { createdAt: new Date('2024-01-01') }));
+        const multi = await repository.createQuery(queryData(second._id, {
+          documentIds: [second._id, first._id], createdAt: new Date('2024-01-02')
+        }));
+        await repository.createQuery(queryData(second._id));
+
+        assert.deepStrictEqual(ids(await repository.findQueriesByDocumentId(first._id)), ids([multi, single]));
+        assert.deepStrictEqual(ids(await repository.findQueriesByDocumentId(first._id, { limit: 1 })), ids([multi]));
+        assert.deepStrictEqual(await repository.findQueriesByDocumentId('not-an-id'), []);
+      });
+
+      it('creates and updates conversations, which need a document', async () => {
+        const document = await repository.createDocument(documentData());
+        const conversation = await repository.createConversation({ documentIds: [document._id], title: 'Cover' });
+        assert.deepStrictEqual(conversation.turns, []);
+
+        const turns = [{ role: 'user', content: 'What is covered?' }];
+        const updated = await repository.updateConversation(conversation._id, { turns, summarizedTurnCount: 0 });
+        assert.strictEqual(updated.turns[0].content, 'What is covered?');
+        assert.strictEqual((await repository.findConversationById(conversation._id)).turns.length, 1);
+        assert.strictEqual(await repository.updateConversation(newId(), { title: 'x' }), null);
+        assert.strictEqual(await repository.findConversationById('not-an-id'), null);
+
+        await assert.rejects(repository.createConversation({ documentIds: [] }));
+      });
+
+      it('keeps every turn appended concurrently to a conversation', async () => {
+        const document = await repository.createDocument(documentData());
+        const conversation = await repository.createConversation({
+          documentIds: [document._id],
+          turns: [{ role: 'user', content: 'First question' }]
+        });
+
+        const updatedAt = new Date('2024-01-02');
+        await Promise.all(['Second', 'Third', 'Fourth'].map(content => repository.appendConversationTurns(
+          conversation._id,
+          [{ role: 'user', content }, { role: 'assistant', content: `${content} answer` }],
+          { updatedAt }
+        )));
+
+        const stored = await repository.findConversationById(conversation._id);
+        assert.strictEqual(stored.turns.length, 7);
+        assert.strictEqual(stored.turns[0].content, 'First question');
+        assert.deepStrictEqual(
+          stored.turns.slice(1).map(turn => turn.content).sort(),
+          ['Fourth', 'Fourth answer', 'Second', 'Second answer', 'Third', 'Third answer']
+        );
+        assert.strictEqual(stored.updatedAt.getTime(), updatedAt.getTime());
+
+        const summarized = await repository.appendConversationTurns(conversation._id, [], { summary: 'Asked four things', summarizedTurnCount: 4 });
+        assert.strictEqual(summarized.summary, 'Asked four things');
+        assert.strictEqual(summarized.turns.length, 7);
+        assert.strictEqual(await repository.appendConversationTurns(newId(), [{ role: 'user', content: 'x' }]), null);
+        await assert.rejects(repository.appendConversationTurns(conversation._id, [{ role: 'robot', content: 'x' }]));
+      });
+    });
+
+    describe('stats and usage', () => {
+      it('reports totals, averages, parse statuses and recent queries, optionally per owner', async () => {
+        const ownerId = newId();
+        const document = await repository.createDocument(documentData({ ownerId, originalName: 'policy.pdf' }));
+        await repository.createDocument(documentData());
+        const query = (overrides) => repository.createQuery(queryData(document._id, { ownerId, ...overrides }));
+        await query({ confidence: 0.5, processingTime: 100, parseStatus: 'valid', createdAt: new Date('2024-01-01') });
+        await query({ confidence: 1, processingTime: 300, parseStatus: 'reasked', createdAt: new Date('2024-01-02') });
+        const latest = await query({ confidence: null, processingTime: 200, parseStatus: 'invalid', createdAt: new Date('2024-01-03') });
+        await repository.createQuery(queryData(document._id, { confidence: 0.1, parseStatus: 'valid' }));
+
+        const stats = await repository.getStats({ ownerId });
+        assert.strictEqual(stats.totalQueries, 3);
+        assert.strictEqual(stats.totalDocuments, 1);
+        // Queries without a confidence are left out of the average
+        assert.strictEqual(stats.averageConfidence, 0.75);
+        assert.strictEqual(stats.averageProcessingTime, 200);
+        assert.deepStrictEqual(stats.parseStatuses, { valid: 1, repaired: 0, reasked: 1, invalid: 1 });
+        assert.strictEqual(String(stats.recentQueries[0]._id), String(latest._id));
+        assert.strictEqual(stats.recentQueries[0].documentId.originalName, 'policy.pdf');
+
+        const all = await repository.getStats({});
+        assert.strictEqual(all.totalQueries, 4);
+        assert.strictEqual(all.totalDocuments, 2);
+        assert.deepStrictEqual(all.parseStatuses, { valid: 2, repaired: 0, reasked: 1, invalid: 1 });
+      });
+
+      it('reports empty stats without records', async () => {
+        const stats = await repository.getStats({});
+        assert.deepStrictEqual(stats, {
+          totalQueries: 0,
+          totalDocuments: 0,
+          averageConfidence: 0,
+          averageProcessingTime: 0,
+          parseStatuses: { valid: 0, repaired: 0, reasked: 0, invalid: 0 },
+          recentQueries: []
+        });
+      });
+
+      it('groups token usage and cost by day, document or user within a time range', async () => {
+        const ownerId = newId();
+        const document = await repository.createDocument(documentData());
+        const query = (createdAt, overrides) => repository.createQuery(queryData(document._id, {
+          ownerId, promptTokens: 100, completionTokens: 10, cost: 0.5, createdAt: new Date(createdAt), ...overrides
+        }));
+        await query('2024-01-01T10:00:00Z');
+        await query('2024-01-01T23:00:00Z', { cost: null });
+        await query('2024-01-02T08:00:00Z');
+        await query('2024-01-03T08:00:00Z');
+        await query('2024-01-01T12:00:00Z', { ownerId: newId() });
+
+        const byDay = await repository.getUsage({
+          ownerId, from: new Date('2024-01-01'), to: new Date('2024-01-03'), groupBy: 'day'
+        });
+        assert.deepStrictEqual(byDay, [
+          { key: '2024-01-01', queries: 2, promptTokens: 200, completionTokens: 20, cost: 0.5, unpricedQueries: 1 },
+          { key: '2024-01-02', queries: 1, promptTokens: 100, completionTokens: 10, cost: 0.5, unpricedQueries: 0 }
+        ]);
+
+        const byDocument = await repository.getUsage({ groupBy: 'document' });
+        assert.strictEqual(byDocument.length, 1);
+        assert.strictEqual(String(byDocument[0].key), String(document._id));
+        assert.strictEqual(byDocument[0].queries, 5);
+
+        const byUser = await repository.getUsage({ groupBy: 'user' });
+        assert.deepStrictEqual(byUser.map(group => group.queries).sort(), [1, 4]);
+        assert.deepStrictEqual(await repository.getUsage({ ownerId: newId(), groupBy: 'day' }), []);
+      });
+    });
+
+    describe('counters', () => {
+      it('adds to counters and reads missing or expired ones as 0', async () => {
+        const expiresAt = new Date(Date.now() + 60000);
+        assert.strictEqual(await repository.incrementCounter('calls', 1, expiresAt), 1);
+        assert.strictEqual(await repository.incrementCounter('calls', 2.5, expiresAt), 3.5);
+        await repository.incrementCounter('expired', 5, new Date(Date.now() - 1000));
+
+        assert.deepStrictEqual(
+          await repository.getCounters(['calls', 'missing', 'expired']),
+          { calls: 3.5, missing: 0, expired: 0 }
+        );
+      });
+
+      it('does not lose concurrent increments of a new counter', async () => {
+        const expiresAt = new Date(Date.now() + 60000);
+        await Promise.all(Array.from({ length: 10 }, () => repository.incrementCounter('burst', 1, expiresAt)));
+        assert.deepStrictEqual(await repository.getCounters(['burst']), { burst: 10 });
+      });
+    });
+
+    describe('answer cache', () => {
+      it('stores, replaces, expires and deletes cached answers', async () => {
+        const documentId = newId();
+        const otherId = newId();
+        const expiresAt = new Date(Date.now() + 60000);
+        await repository.setCachedAnswer('a', { documentIds: [documentId], value: { answer: 'One' }, expiresAt });
+        await repository.setCachedAnswer('a', { documentIds: [documentId], value: { answer: 'Two' }, expiresAt });
+        await repository.setCachedAnswer('b', { documentIds: [documentId, otherId], value: { answer: 'B' }, expiresAt });
+        await repository.setCachedAnswer('c', { documentIds: [otherId], value: { answer: 'C' }, expiresAt });
+        await repository.setCachedAnswer('old', {
+          documentIds: [otherId], value: { answer: 'Old' }, expiresAt: new Date(Date.now() - 1000)
+        });
+
+        const entry = await repository.getCachedAnswer('a');
+        assert.deepStrictEqual(entry.value, { answer: 'Two' });
+        assert.deepStrictEqual(entry.documentIds.map(String), [String(documentId)]);
+        assert.strictEqual(entry.expiresAt.getTime(), expiresAt.getTime());
+        assert.strictEqual(await repository.getCachedAnswer('old'), null);
+        assert.strictEqual(await repository.getCachedAnswer('missing'), null);
+
+        assert.strictEqual(await repository.deleteCachedAnswers(documentId), 2);
+        assert.strictEqual(await repository.getCachedAnswer('b'), null);
+        assert.strictEqual(await repository.deleteCachedAnswers('not-an-id'), 0);
+        assert.ok(await repository.deleteCachedAnswers() >= 1);
+        assert.strictEqual(await repository.getCachedAnswer('c'), null);
+      });
+    });
+
+    describe('migration', () => {
+      it('exports records and imports them by id without duplicating', async () => {
+        const user = await repository.createUser({ email: 'ann@example.com', passwordHash: 'hash' });
+        const document = await repository.createDocument(documentData({ ownerId: user._id, tags: ['a'] }));
+        await repository.createQuery(queryData(document._id));
+
+        for (const collection of Object.keys(MODELS)) {
+          const records = await repository.exportRecords(collection);
+          assert.strictEqual(await repository.importRecords(collection, records), records.length);
+        }
+        assert.strictEqual(await repository.countUsers(), 1);
+        assert.strictEqual(await repository.countDocuments(), 1);
+
+        const [exported] = await repository.exportRecords('documents');
+        await repository.importRecords('documents', [{ ...exported, originalName: 'renamed.txt' }]);
+        const imported = await repository.findDocumentById(document._id);
+        assert.strictEqual(imported.originalName, 'renamed.txt');
+        assert.deepStrictEqual(imported.tags, ['a']);
+        assert.strictEqual(String(imported.ownerId), String(user._id));
+        assert.strictEqual(await repository.importRecords('queries', []), 0);
+      });
+    });
+
+    describe('isolation', () => {
+      it('returns copies that do not change stored records', async () => {
+        const document = await repository.createDocument(documentData({ tags: ['a'] }));
+        document.tags.push('b');
+        const found = await repository.findDocumentById(document._id);
+        found.tags.push('c');
+        assert.deepStrictEqual((await repository.findDocumentById(document._id)).tags, ['a']);
+      });
+    });
+  });
+}
+
+describe('jsonl repository persistence', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'querify-jsonl-'));
+  });
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('reloads the latest version of each record after a restart', async () => {
+    const repository = createJsonlRepository(directory);
+    const kept = await repository.createDocument(documentData({ uploadedAt: new Date('2024-01-01') }));
+    const deleted = await repository.createDocument(documentData());
+    await repository.updateDocument(kept._id, { status: 'failed', tags: ['x'] });
+    await repository.deleteDocument(deleted._id);
+
+    const reopened = createJsonlRepository(directory);
+    const [document] = await reopened.findDocuments({});
+    assert.strictEqual(await reopened.countDocuments(), 1);
+    assert.strictEqual(String(document._id), String(kept._id));
+    assert.strictEqual(document.status, 'failed');
+    assert.deepStrictEqual(document.tags, ['x']);
+    // Dates and ids are restored to their types, not left as JSON strings
+    assert.ok(document.uploadedAt instanceof Date);
+    assert.ok(document._id instanceof mongoose.Types.ObjectId);
+  });
+});
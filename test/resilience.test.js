@@ -0,0 +1,234 @@
+// Retries with backoff, timeouts and the circuit breaker of provider calls, and the
+// fallback provider. Operations are fakes, so no provider is contacted.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.PROVIDER_TIMEOUT_MS = '100';
+process.env.PROVIDER_MAX_RETRIES = '2';
+process.env.PROVIDER_RETRY_BASE_MS = '10';
+process.env.PROVIDER_RETRY_MAX_MS = '100';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '3';
+process.env.CIRCUIT_OPEN_MS = '30000';
+process.env.LLM_FALLBACK_PROVIDER = 'mock';
+
+const { callProvider, toProviderError } = require('../services/resilience');
+const { getProvider, callWithFallback } = require('../services/llmProvider');
+const { ProviderError } = require('../utils/errors');
+
+/**
+ * Build an error like the ones provider SDKs throw
+ * @param {number} status - HTTP status
+ * @param {Object} [fields] - Other fields, e.g. headers or code
+ * @returns {Error}
+ */
+function providerFailure(status, fields = {}) {
+  return Object.assign(new Error(`Request failed with status ${status}`), { status, ...fields });
+}
+
+/**
+ * Build an operation that fails with the given errors in turn, then succeeds
+ * @param {Array<Error>} errors - Errors to throw, one per attempt
+ * @returns {Function} - Operation for callProvider; its `attempts` counts the calls
+ */
+function failing(...errors) {
+  const operation = async () => {
+    const error = errors[operation.attempts++];
+    if (error) throw error;
+    return 'ok';
+  };
+  operation.attempts = 0;
+  return operation;
+}
+
+describe('callProvider', () => {
+  let circuits = 0;
+  let name;
+  let delays;
+
+  beforeEach(() => {
+    // A new circuit per test, so failures do not carry over
+    name = `provider-${++circuits}`;
+    // Always wait the longest backoff, and record the waits
+    mock.method(Math, 'random', () => 1);
+    delays = [];
+    const setTimeout = globalThis.setTimeout;
+    mock.method(globalThis, 'setTimeout', (callback, ms) => {
+      if (ms !== 100) delays.push(ms);
+      return setTimeout(callback, ms);
+    });
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it('retries transient failures with exponentially growing waits', async () => {
+    const operation = failing(providerFailure(503), providerFailure(429));
+    assert.strictEqual(await callProvider(name, operation), 'ok');
+    assert.strictEqual(operation.attempts, 3);
+    assert.deepStrictEqual(delays, [10, 20]);
+  });
+
+  it('gives up after PROVIDER_MAX_RETRIES retries with the last error', async () => {
+    const last = providerFailure(500);
+    const operation = failing(providerFailure(503), providerFailure(502), last);
+    await assert.rejects(callProvider(name, operation), error => error === last);
+    assert.strictEqual(operation.attempts, 3);
+  });
+
+  it('does not retry client errors or an exhausted balance', async () => {
+    for (const error of [providerFailure(400), providerFailure(429, { code: 'insufficient_quota' })]) {
+      const operation = failing(error);
+      await assert.rejects(callProvider(name, operation), error);
+      assert.strictEqual(operation.attempts, 1);
+    }
+    assert.deepStrictEqual(delays, []);
+  });
+
+  it('waits as long as the provider asks, unless that is longer than PROVIDER_RETRY_MAX_MS', async () => {
+    const operation = failing(providerFailure(429, { headers: { 'retry-after': '0.05' } }));
+    assert.strictEqual(await callProvider(name, operation), 'ok');
+    assert.deepStrictEqual(delays, [50]);
+
+    const tooLong = failing(providerFailure(429, { headers: new Headers({ 'retry-after': '5' }) }));
+    await assert.rejects(callProvider(name, tooLong), { status: 429 });
+    assert.strictEqual(tooLong.attempts, 1);
+  });
+
+  it('times out calls that get no response, aborts them and retries', async () => {
+    const signals = [];
+    const operation = signal => {
+      signals.push(signal);
+      // Only the last attempt answers
+      return signals.length < 3 ? new Promise(() => {}) : Promise.resolve('late');
+    };
+    assert.strictEqual(await callProvider(name, operation), 'late');
+    assert.deepStrictEqual(signals.map(signal => signal.aborted), [true, true, false]);
+  });
+
+  it('makes no retries once the caller has given up', async () => {
+    const controller = new AbortController();
+    const operation = async () => {
+      operation.attempts = (operation.attempts || 0) + 1;
+      controller.abort();
+      throw providerFailure(503);
+    };
+    await assert.rejects(callProvider(name, operation, { signal: controller.signal }), { status: 503 });
+    assert.strictEqual(operation.attempts, 1);
+  });
+
+  it('pauses a provider that keeps failing, then lets one call probe it', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 4, 10, 12) });
+    // Told to wait too long to retry, so each call fails once
+    const outage = () => providerFailure(503, { headers: { 'retry-after': '60' } });
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(callProvider(name, failing(outage())), { status: 503 });
+    }
+
+    // The circuit is open: calls fail fast without reaching the provider
+    const skipped = failing();
+    await assert.rejects(callProvider(name, skipped), error => {
+      assert.ok(error instanceof ProviderError);
+      assert.strictEqual(error.retryable, true);
+      assert.strictEqual(error.retryAfter, 30);
+      return true;
+    });
+    assert.strictEqual(skipped.attempts, 0);
+
+    // After CIRCUIT_OPEN_MS one call probes the provider while the others still fail fast
+    mock.timers.tick(30000);
+    let answer;
+    const probe = callProvider(name, () => new Promise(resolve => { answer = resolve; }));
+    await assert.rejects(callProvider(name, failing()), ProviderError);
+    answer('recovered');
+    assert.strictEqual(await probe, 'recovered');
+
+    // A successful probe closes the circuit
+    assert.strictEqual(await callProvider(name, failing()), 'ok');
+  });
+
+  it('opens the circuit again at once when the probe fails', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 4, 10, 12) });
+    const outage = () => providerFailure(503, { headers: { 'retry-after': '60' } });
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(callProvider(name, failing(outage())));
+    }
+
+    mock.timers.tick(30000);
+    await assert.rejects(callProvider(name, failing(outage())), { status: 503 });
+    const skipped = failing();
+    await assert.rejects(callProvider(name, skipped), ProviderError);
+    assert.strictEqual(skipped.attempts, 0);
+  });
+
+  it('does not count client errors against the circuit', async () => {
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(callProvider(name, failing(providerFailure(400))), { status: 400 });
+    }
+    assert.strictEqual(await callProvider(name, failing()), 'ok');
+  });
+});
+
+describe('toProviderError', () => {
+  it('marks transient failures retryable, with the wait the provider asked for', () => {
+    const error = toProviderError(providerFailure(429, { headers: { 'retry-after': '12' } }), 'Gemini is busy');
+    assert.ok(error instanceof ProviderError);
+    assert.deepStrictEqual([error.status, error.message, error.retryable, error.retryAfter], [503, 'Gemini is busy', true, 12]);
+
+    const permanent = toProviderError(providerFailure(401), 'Invalid API key');
+    assert.deepStrictEqual([permanent.retryable, permanent.retryAfter], [false, undefined]);
+  });
+
+  it('keeps errors that already have an HTTP status', () => {
+    const open = new ProviderError('Paused', { retryable: true, retryAfter: 5 });
+    assert.strictEqual(toProviderError(open, 'Other message'), open);
+  });
+});
+
+describe('callWithFallback', () => {
+  const openai = getProvider('openai');
+
+  /**
+   * Answer with the name of the provider, except with the failing one
+   * @param {Error} error - Error of the failing provider
+   * @returns {Function} - async provider => result
+   */
+  function answerUnless(error) {
+    return async provider => {
+      if (provider === openai) throw error;
+      return `answered by ${provider.name}`;
+    };
+  }
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('answers with LLM_FALLBACK_PROVIDER when the provider is unavailable', async () => {
+    const { result, provider } = await callWithFallback(openai, answerUnless(new ProviderError('Down', { retryable: true })));
+    assert.strictEqual(result, 'answered by mock');
+    assert.strictEqual(provider.name, 'mock');
+  });
+
+  it('keeps the provider that answered', async () => {
+    const { result, provider } = await callWithFallback(getProvider('mock'), answerUnless(new Error('Unused')));
+    assert.strictEqual(result, 'answered by mock');
+    assert.strictEqual(provider.name, 'mock');
+  });
+
+  it('does not fall back for failures another provider would not fix', async () => {
+    const invalidKey = new ProviderError('Invalid API key');
+    await assert.rejects(callWithFallback(openai, answerUnless(invalidKey)), error => error === invalidKey);
+  });
+
+  it('does not fall back once the failed call cannot be replaced', async () => {
+    const down = new ProviderError('Down', { retryable: true });
+    await assert.rejects(callWithFallback(openai, answerUnless(down), { canFallBack: () => false }), error => error === down);
+  });
+});
@@ -0,0 +1,480 @@
+// API routes end to end with the offline mock provider and in-memory storage: no network,
+// database or API key needed
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_SECRET = 'route-tests-signing-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.ALLOW_REGISTRATION = 'true';
+process.env.ADMIN_EMAIL = 'admin@example.com';
+process.env.INGESTION_POLL_INTERVAL_MS = '50';
+process.env.BULK_MAX_TOTAL_SIZE = String(16 * 1024 * 1024);
+
+const app = require('../app');
+const repository = require('../repositories');
+const { startIngestionWorker, stopIngestionWorker } = require('../services/ingestionService');
+const { getProvider } = require('../services/llmProvider');
+const { getCachedAnswer } = require('../services/answerCache');
+const { DEFAULT_QUESTIONS, fallbackQuestions, countTokens } = require('../services/promptBuilder');
+
+const POLICY_TEXT = 'The monthly fee is 50 dollars. Payment is due on the first day of each month. '
+  + 'Late payments cost an extra 5 dollars.';
+
+describe('API routes with the mock provider', () => {
+  let server;
+  let baseUrl;
+  let admin;
+  let other;
+  let documentId;
+
+  /**
+   * Call the API
+   * @param {string} method - HTTP method
+   * @param {string} url - Path below the server
+   * @param {Object} [options] - { user, body (JSON or FormData) }
+   * @returns {Promise<Object>} - { status, headers, body }
+   */
+  async function call(method, url, { user, body } = {}) {
+    const headers = {};
+    if (user) headers.Authorization = `Bearer ${user.token}`;
+    if (body && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers,
+      body: body instanceof FormData ? body : body && JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  /**
+   * Wait until the ingestion worker has finished a document
+   * @param {string} id - Document id
+   * @param {Object} user - Owner
+   * @returns {Promise<Object>} - Final document status
+   */
+  async function waitForIngestion(id, user) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const { body } = await call('GET', `/api/upload/${id}/status`, { user });
+      if (['ready', 'failed'].includes(body.document.status)) return body.document;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Document ${id} was not ingested in time`);
+  }
+
+  /**
+   * Register an account
+   * @param {string} email - Email address
+   * @returns {Promise<Object>} - { token, id }
+   */
+  async function register(email) {
+    const { status, body } = await call('POST', '/api/auth/register', {
+      body: { email, password: 'correct horse battery' }
+    });
+    assert.strictEqual(status, 201);
+    return { token: body.token, id: body.user.id, role: body.user.role };
+  }
+
+  before(async () => {
+    repository.useBackend('memory');
+    startIngestionWorker();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    other = await register('other@example.com');
+    admin = await register('admin@example.com');
+  });
+
+  after(async () => {
+    // Also removes the uploaded files
+    await call('DELETE', '/api/upload', { user: admin });
+    stopIngestionWorker();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('reports the storage backend in the health check', async () => {
+    const { status, body } = await call('GET', '/api/health');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.storage, 'memory');
+  });
+
+  it('makes the ADMIN_EMAIL account an admin, whenever it registers', () => {
+    assert.strictEqual(admin.role, 'admin');
+    assert.strictEqual(other.role, 'user');
+  });
+
+  it('refuses requests without a token', async () => {
+    const { status } = await call('POST', '/api/query', { body: { documentId: 'x', query: 'What is the fee?' } });
+    assert.strictEqual(status, 401);
+  });
+
+  it('queues pasted text and ingests it', async () => {
+    const { status, body } = await call('POST', '/api/upload/text', {
+      user: admin,
+      body: { title: 'Payment policy', text: POLICY_TEXT, tags: 'billing' }
+    });
+    assert.strictEqual(status, 202);
+    assert.strictEqual(body.document.status, 'queued');
+    documentId = body.jobId;
+
+    const document = await waitForIngestion(documentId, admin);
+    assert.strictEqual(document.status, 'ready');
+    assert.strictEqual(document.extractionMethod, 'plain-text');
+    assert.strictEqual(document.textLength, POLICY_TEXT.length);
+    assert.ok(document.chunkCount > 0);
+  });
+
+  it('returns the existing document when the same text is pasted again', async () => {
+    const { status, body } = await call('POST', '/api/upload/text', {
+      user: admin,
+      body: { title: 'Copy', text: POLICY_TEXT }
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.duplicate, true);
+    assert.strictEqual(body.jobId, documentId);
+  });
+
+  it('uploads and extracts a file', async () => {
+    const form = new FormData();
+    const content = fs.readFileSync(path.join(__dirname, 'fixtures', 'handbook.docx'));
+    form.append('document', new Blob([content]), 'handbook.docx');
+
+    const { status, body } = await call('POST', '/api/upload', { user: admin, body: form });
+    assert.strictEqual(status, 202);
+    assert.strictEqual(body.document.mimeType, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+
+    const document = await waitForIngestion(body.jobId, admin);
+    assert.strictEqual(document.status, 'ready');
+    assert.strictEqual(document.extractionMethod, 'word');
+  });
+
+  it('keeps earlier versions of a replaced document and compares them', async () => {
+    const upload = text => {
+      const form = new FormData();
+      form.append('document', new Blob([text]), 'terms.txt');
+      return form;
+    };
+    const first = await call('POST', '/api/upload', {
+      user: admin,
+      body: upload('Terms of service.\n\nRefunds take 14 days.\n\nSupport is open on weekdays.')
+    });
+    const id = first.body.jobId;
+    await waitForIngestion(id, admin);
+
+    const replaced = await call('PUT', `/api/upload/${id}`, {
+      user: admin,
+      body: upload('Terms of service.\n\nRefunds take 30 days.\n\nSupport is open on weekdays.')
+    });
+    assert.strictEqual(replaced.status, 202);
+    assert.strictEqual(replaced.body.document.version, 2);
+    await waitForIngestion(id, admin);
+
+    const { body } = await call('GET', `/api/upload/${id}/versions`, { user: admin });
+    assert.deepStrictEqual(body.versions.map(version => [version.version, version.current, version.textLength]), [
+      [1, false, 70],
+      [2, true, 70]
+    ]);
+
+    const diff = await call('GET', `/api/upload/${id}/diff`, { user: admin });
+    assert.strictEqual(diff.status, 200);
+    assert.deepStrictEqual(diff.body.summary, { added: 1, removed: 1, unchanged: 2 });
+    assert.deepStrictEqual(diff.body.changes, [
+      { type: 'removed', fromIndex: 1, text: 'Refunds take 14 days.' },
+      { type: 'added', toIndex: 1, text: 'Refunds take 30 days.' }
+    ]);
+
+    assert.strictEqual((await call('GET', `/api/upload/${id}/diff?from=3`, { user: admin })).status, 404);
+    assert.strictEqual((await call('GET', `/api/upload/${id}/diff?from=first`, { user: admin })).status, 400);
+    assert.strictEqual((await call('GET', `/api/upload/${id}/versions`, { user: other })).status, 404);
+
+    // The earlier version goes with the document
+    await call('DELETE', `/api/upload/${id}`, { user: admin });
+    assert.deepStrictEqual(await repository.findDocumentVersions(id), []);
+  });
+
+  it('rejects uploads no extractor can read with 415', async () => {
+    const form = new FormData();
+    form.append('document', new Blob([fs.readFileSync(path.join(__dirname, 'fixtures', 'binary.dat'))]), 'notes.txt');
+    const { status } = await call('POST', '/api/upload', { user: admin, body: form });
+    assert.strictEqual(status, 415);
+  });
+
+  it('rejects oversized documents of a bulk upload individually', async () => {
+    const form = new FormData();
+    form.append('documents', new Blob(['x'.repeat(11 * 1024 * 1024)]), 'huge.txt');
+    form.append('documents', new Blob(['A short note about the bulk upload limits.']), 'note.txt');
+
+    const { status, body } = await call('POST', '/api/upload/bulk', { user: admin, body: form });
+    assert.strictEqual(status, 202);
+    assert.deepStrictEqual(body.results.map(result => [result.name, result.status, result.error]), [
+      ['huge.txt', 'rejected', 'File too large'],
+      ['note.txt', 'queued', undefined]
+    ]);
+    await waitForIngestion(body.results[1].jobId, admin);
+  });
+
+  it('refuses bulk uploads over the total size limit and keeps none of their files', async () => {
+    const uploadsDir = path.join(__dirname, '..', 'uploads');
+    const before = fs.readdirSync(uploadsDir).length;
+    const form = new FormData();
+    for (const name of ['one.txt', 'two.txt', 'three.txt']) {
+      form.append('documents', new Blob(['x'.repeat(6 * 1024 * 1024)]), name);
+    }
+
+    const { status, body } = await call('POST', '/api/upload/bulk', { user: admin, body: form });
+    assert.strictEqual(status, 413);
+    assert.strictEqual(body.error, 'Upload too large');
+    assert.strictEqual(fs.readdirSync(uploadsDir).length, before);
+  });
+
+  it('lists the caller\'s documents only', async () => {
+    const own = await call('GET', '/api/upload/documents?tags=billing', { user: admin });
+    assert.deepStrictEqual(own.body.documents.map(doc => doc._id), [documentId]);
+    const others = await call('GET', '/api/upload/documents', { user: other });
+    assert.deepStrictEqual(others.body.documents, []);
+  });
+
+  it('answers a query with the matching sentence and a verified citation', async () => {
+    const { status, body } = await call('POST', '/api/query', {
+      user: admin,
+      body: { documentId, query: 'When is payment due?' }
+    });
+    assert.strictEqual(status, 200);
+    const { query } = body;
+    assert.strictEqual(query.provider, 'mock');
+    assert.strictEqual(query.answer, 'Payment is due on the first day of each month.');
+    assert.strictEqual(query.canAnswer, true);
+    assert.strictEqual(query.parseStatus, 'valid');
+    assert.strictEqual(query.cached, false);
+    assert.strictEqual(query.citations.length, 1);
+    assert.strictEqual(query.citations[0].verified, true);
+    assert.strictEqual(
+      POLICY_TEXT.slice(query.citations[0].startOffset, query.citations[0].endOffset),
+      'Payment is due on the first day of each month.'
+    );
+    assert.ok(query.tokensUsed > 0);
+  });
+
+  it('answers a repeated query from the cache', async () => {
+    const { body } = await call('POST', '/api/query', {
+      user: admin,
+      body: { documentId, query: 'When is payment due?' }
+    });
+    assert.strictEqual(body.query.cached, true);
+    assert.strictEqual(body.query.answer, 'Payment is due on the first day of each month.');
+  });
+
+  it('drops cached answers about a document once it is replaced or deleted', async () => {
+    const upload = text => {
+      const form = new FormData();
+      form.append('document', new Blob([text]), 'refunds.txt');
+      return form;
+    };
+    const ask = id => call('POST', '/api/query', { user: admin, body: { documentId: id, query: 'How long do refunds take?' } });
+    const provider = getProvider('mock');
+
+    const { body } = await call('POST', '/api/upload', { user: admin, body: upload('Refunds take 14 days.') });
+    const id = body.jobId;
+    await waitForIngestion(id, admin);
+    await ask(id);
+    const first = await repository.findDocumentById(id);
+    assert.ok(await getCachedAnswer([first], 'How long do refunds take?', provider));
+
+    await call('PUT', `/api/upload/${id}`, { user: admin, body: upload('Refunds take 30 days.') });
+    assert.strictEqual(await getCachedAnswer([first], 'How long do refunds take?', provider), null);
+
+    await waitForIngestion(id, admin);
+    const answered = await ask(id);
+    assert.strictEqual(answered.body.query.cached, false);
+    assert.strictEqual(answered.body.query.answer, 'Refunds take 30 days.');
+    const second = await repository.findDocumentById(id);
+    assert.ok(await getCachedAnswer([second], 'How long do refunds take?', provider));
+
+    await call('DELETE', `/api/upload/${id}`, { user: admin });
+    assert.strictEqual(await getCachedAnswer([second], 'How long do refunds take?', provider), null);
+  });
+
+  it('says when the document does not answer a query', async () => {
+    const { body } = await call('POST', '/api/query', {
+      user: admin,
+      body: { documentId, query: 'Which colour is the logo?' }
+    });
+    assert.strictEqual(body.query.canAnswer, false);
+    assert.deepStrictEqual(body.query.citations, []);
+  });
+
+  it('validates queries and hides other users\' documents', async () => {
+    const tooShort = await call('POST', '/api/query', { user: admin, body: { documentId, query: 'ab' } });
+    assert.strictEqual(tooShort.status, 400);
+
+    const unknownProvider = await call('POST', '/api/query', {
+      user: admin,
+      body: { documentId, query: 'What is the fee?', provider: 'nonexistent' }
+    });
+    assert.strictEqual(unknownProvider.status, 400);
+
+    const foreign = await call('POST', '/api/query', { user: other, body: { documentId, query: 'What is the fee?' } });
+    assert.strictEqual(foreign.status, 404);
+  });
+
+  it('streams an answer as server-sent events', async () => {
+    const { status, headers, body } = await call('POST', '/api/query/stream', {
+      user: admin,
+      body: { documentId, query: 'How much do late payments cost?' }
+    });
+    assert.strictEqual(status, 200);
+    assert.match(headers.get('content-type'), /text\/event-stream/);
+
+    const events = body.trim().split('\n\n').map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+    assert.strictEqual(events[0].event, 'start');
+    assert.strictEqual(events[0].data.provider, 'mock');
+
+    const streamed = events.filter(({ event }) => event === 'token').map(({ data }) => data.delta).join('');
+    const done = events[events.length - 1];
+    assert.strictEqual(done.event, 'done');
+    assert.strictEqual(done.data.status, 'completed');
+    assert.strictEqual(done.data.answer, 'Late payments cost an extra 5 dollars.');
+    assert.strictEqual(streamed.trim(), done.data.answer);
+    assert.ok(events.some(({ event }) => event === 'citations'));
+  });
+
+  it('answers a batch of queries', async () => {
+    const { status, body } = await call('POST', '/api/query/batch', {
+      user: admin,
+      body: { documentId, queries: ['What is the monthly fee?', 'When is payment due?'] }
+    });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.results.map(result => result.success), [true, true]);
+    assert.strictEqual(body.results[0].answer, 'The monthly fee is 50 dollars.');
+  });
+
+  it('keeps the turns of a conversation', async () => {
+    const created = await call('POST', '/api/conversations', { user: admin, body: { documentId } });
+    assert.strictEqual(created.status, 201);
+    const conversationId = created.body.conversation.id;
+
+    const reply = await call('POST', `/api/conversations/${conversationId}/messages`, {
+      user: admin,
+      body: { message: 'What is the monthly fee?' }
+    });
+    assert.strictEqual(reply.status, 200);
+    assert.strictEqual(reply.body.query.answer, 'The monthly fee is 50 dollars.');
+
+    const { body } = await call('GET', `/api/conversations/${conversationId}`, { user: admin });
+    assert.deepStrictEqual(
+      body.conversation.turns.map(turn => [turn.role, turn.content]),
+      [['user', 'What is the monthly fee?'], ['assistant', 'The monthly fee is 50 dollars.']]
+    );
+
+    const foreign = await call('GET', `/api/conversations/${conversationId}`, { user: other });
+    assert.strictEqual(foreign.status, 404);
+  });
+
+  it('records queries in the history and statistics', async () => {
+    const history = await call('GET', `/api/query/history/${documentId}`, { user: admin });
+    assert.ok(history.body.queries.length >= 6);
+    assert.ok(history.body.queries.every(query => query.provider === 'mock'));
+
+    const stats = await call('GET', '/api/query/stats', { user: admin });
+    assert.strictEqual(stats.body.stats.totalQueries, history.body.queries.length);
+    assert.ok(stats.body.stats.parseStatuses.valid > 0);
+  });
+
+  it('recommends questions about the document', async () => {
+    const { status, body } = await call('GET', `/api/upload/${documentId}/recommended-questions`, { user: admin });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.questions.length, 3);
+    assert.match(body.questions[0], /^What does the document say about /);
+    assert.strictEqual(body.fallback, false);
+    assert.strictEqual(body.parseStatus, 'valid');
+  });
+
+  it('says when the default questions are served because the provider failed', async () => {
+    const provider = getProvider('mock');
+    const recommendQuestions = provider.recommendQuestions;
+    provider.recommendQuestions = async () => ({ ...fallbackQuestions(), ...countTokens('', '') });
+    try {
+      const { status, body } = await call('GET', `/api/upload/${documentId}/recommended-questions`, { user: admin });
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(body.questions, DEFAULT_QUESTIONS);
+      assert.strictEqual(body.fallback, true);
+      assert.strictEqual(body.parseStatus, null);
+    } finally {
+      provider.recommendQuestions = recommendQuestions;
+    }
+  });
+
+  it('enforces workspace roles on documents, queries and members', async () => {
+    const [viewer, querier, editor] = await Promise.all(
+      ['viewer', 'querier', 'editor'].map(role => register(`${role}@example.com`)));
+    const created = await call('POST', '/api/workspaces', { user: admin, body: { name: 'Team' } });
+    assert.strictEqual(created.status, 201);
+    const workspaceId = created.body.workspace.id;
+    for (const role of ['viewer', 'querier', 'editor']) {
+      const invited = await call('POST', `/api/workspaces/${workspaceId}/members`, {
+        user: admin,
+        body: { email: `${role}@example.com`, role }
+      });
+      assert.strictEqual(invited.status, 201);
+    }
+
+    // Only owners manage members, and only members see the workspace
+    const invite = { email: 'other@example.com', role: 'viewer' };
+    assert.strictEqual((await call('POST', `/api/workspaces/${workspaceId}/members`, { user: editor, body: invite })).status, 403);
+    assert.strictEqual((await call('GET', `/api/workspaces/${workspaceId}`, { user: other })).status, 404);
+
+    // Editors add documents; viewers cannot
+    const text = { title: 'Team rules', text: 'Team meetings are held every Monday at nine.', workspaceId };
+    assert.strictEqual((await call('POST', '/api/upload/text', { user: viewer, body: text })).status, 403);
+    const uploaded = await call('POST', '/api/upload/text', { user: editor, body: text });
+    assert.strictEqual(uploaded.status, 202);
+    const id = uploaded.body.jobId;
+    await waitForIngestion(id, editor);
+
+    const listed = await call('GET', `/api/upload/documents?workspaceId=${workspaceId}`, { user: viewer });
+    assert.deepStrictEqual(listed.body.documents.map(doc => doc._id), [id]);
+    assert.strictEqual((await call('GET', `/api/upload/${id}/status`, { user: other })).status, 404);
+
+    // Querying needs querier, changing documents editor, moving them out owner
+    const question = { documentId: id, query: 'When are team meetings held?' };
+    assert.strictEqual((await call('POST', '/api/query', { user: viewer, body: question })).status, 403);
+    assert.strictEqual((await call('POST', '/api/query', { user: querier, body: question })).status, 200);
+    assert.strictEqual((await call('PATCH', `/api/upload/${id}`, { user: querier, body: { tags: 'team' } })).status, 403);
+    assert.strictEqual((await call('PATCH', `/api/upload/${id}`, { user: editor, body: { tags: 'team' } })).status, 200);
+    assert.strictEqual((await call('PATCH', `/api/upload/${id}`, { user: editor, body: { workspaceId: null } })).status, 403);
+    assert.strictEqual((await call('DELETE', `/api/upload/${id}`, { user: querier })).status, 403);
+
+    // The last owner cannot step down; members can leave
+    const demote = await call('PATCH', `/api/workspaces/${workspaceId}/members/${admin.id}`, {
+      user: admin,
+      body: { role: 'editor' }
+    });
+    assert.strictEqual(demote.status, 409);
+    assert.strictEqual((await call('DELETE', `/api/workspaces/${workspaceId}/members/${viewer.id}`, { user: viewer })).status, 200);
+    assert.strictEqual((await call('GET', `/api/upload/${id}/status`, { user: viewer })).status, 404);
+  });
+
+  it('lists the mock provider as the default', async () => {
+    const { body } = await call('GET', '/api/query/providers?validate=true', { user: admin });
+    const mock = body.providers.find(provider => provider.name === 'mock');
+    assert.strictEqual(mock.default, true);
+    assert.strictEqual(mock.keyValid, true);
+  });
+
+  it('deletes a document with its queries', async () => {
+    const { status } = await call('DELETE', `/api/upload/${documentId}`, { user: admin });
+    assert.strictEqual(status, 200);
+    const gone = await call('GET', `/api/upload/${documentId}/status`, { user: admin });
+    assert.strictEqual(gone.status, 404);
+    assert.deepStrictEqual(await repository.findQueriesByDocumentId(documentId), []);
+  });
+});
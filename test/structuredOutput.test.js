@@ -0,0 +1,106 @@
+// Model output checked against the answer and questions schemas: repairs, asking the
+// model again, and what is served when the output stays unusable
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_QUESTIONS, parseAnswer, parseQuestions } = require('../services/promptBuilder');
+
+const CHUNKS = [{ index: 0, text: 'Refunds take 14 days.' }];
+
+/**
+ * Build a reask function answering with the given text
+ * @param {string|Error} reply - Text to answer with, or an error to fail with
+ * @returns {Function} - async prompt => text; its `prompts` lists the prompts it got
+ */
+function reaskWith(reply) {
+  const reask = async prompt => {
+    reask.prompts.push(prompt);
+    if (reply instanceof Error) throw reply;
+    return reply;
+  };
+  reask.prompts = [];
+  return reask;
+}
+
+describe('parseQuestions', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reads questions that match the schema', async () => {
+    const reask = reaskWith('unused');
+    const result = await parseQuestions('{"questions": ["What is covered?", "Who can claim?"]}', reask);
+    assert.deepStrictEqual(result, { questions: ['What is covered?', 'Who can claim?'], fallback: false, parseStatus: 'valid' });
+    assert.deepStrictEqual(reask.prompts, []);
+  });
+
+  it('repairs code fences, text around the JSON and questions sent as numbers', async () => {
+    const result = await parseQuestions('Here you go:\n```json\n{"questions": ["What is covered?", 42, ""]}\n```');
+    // The empty question is dropped
+    assert.deepStrictEqual(result, { questions: ['What is covered?', '42'], fallback: false, parseStatus: 'repaired' });
+  });
+
+  it('asks the model again with what was wrong, once', async () => {
+    const reask = reaskWith('{"questions": ["How long do refunds take?"]}');
+    const result = await parseQuestions('{"question": "How long do refunds take?"}', reask);
+    assert.deepStrictEqual(result, { questions: ['How long do refunds take?'], fallback: false, parseStatus: 'reasked' });
+
+    assert.strictEqual(reask.prompts.length, 1);
+    assert.match(reask.prompts[0], /could not be used: response needs "questions"/);
+    assert.match(reask.prompts[0], /\{"question": "How long do refunds take\?"\}/);
+    assert.match(reask.prompts[0], /\{"questions": \["question 1", "question 2", "question 3"\]\}/);
+  });
+
+  it('serves the default questions when the output stays unusable', async () => {
+    for (const reask of [reaskWith('{"questions": []}'), reaskWith(new Error('Provider down')), undefined]) {
+      const result = await parseQuestions('Questions: what, who, when', reask);
+      assert.deepStrictEqual(result, { questions: DEFAULT_QUESTIONS, fallback: true, parseStatus: 'invalid' });
+      // A copy, so callers cannot change the defaults
+      assert.notStrictEqual(result.questions, DEFAULT_QUESTIONS);
+    }
+  });
+
+  it('treats an empty list of questions as unusable', async () => {
+    const reask = reaskWith('{"questions": ["Who can claim?"]}');
+    const result = await parseQuestions('{"questions": [" ", null]}', reask);
+    assert.strictEqual(result.parseStatus, 'reasked');
+    assert.match(reask.prompts[0], /response\.questions needs at least 1 usable items/);
+  });
+});
+
+describe('parseAnswer', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reads answers that match the schema', async () => {
+    const result = await parseAnswer('{"answer": "14 days.", "canAnswer": true, "confidence": "90%"}', CHUNKS);
+    assert.deepStrictEqual(result, {
+      answer: '14 days.', canAnswer: true, confidence: 0.9, reasoning: '', citations: [], parseStatus: 'repaired'
+    });
+  });
+
+  it('asks the model again with the answer format', async () => {
+    const reask = reaskWith('{"answer": "14 days.", "canAnswer": true, "confidence": 0.8}');
+    const result = await parseAnswer('{"answer": "14 days."}', CHUNKS, reask);
+    assert.strictEqual(result.parseStatus, 'reasked');
+    assert.strictEqual(result.confidence, 0.8);
+    assert.match(reask.prompts[0], /needs "canAnswer"; response needs "confidence"/);
+    assert.match(reask.prompts[0], /"citations": \[/);
+  });
+
+  it('keeps a readable answer, claiming nothing about it, when the output stays unusable', async () => {
+    const result = await parseAnswer('{"answer": "14 days.", "confidence": 2}', CHUNKS, reaskWith('Sorry'));
+    assert.deepStrictEqual(result, {
+      answer: '14 days.', canAnswer: null, confidence: null, reasoning: null, citations: [], parseStatus: 'invalid'
+    });
+  });
+});
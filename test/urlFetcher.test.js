@@ -0,0 +1,129 @@
+// Remote document fetching: the private-network (SSRF) checks, redirects and file names.
+// DNS answers and remote responses are faked, so no network is needed.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const http = require('http');
+const dns = require('dns');
+const { isPrivateAddress, fetchRemoteDocument, remoteFileName } = require('../utils/urlFetcher');
+
+const originalGet = http.get;
+const originalLookup = dns.lookup;
+
+/**
+ * Answer requests for the given URLs with canned responses; other URLs get a real request
+ * @param {Object} responses - URL -> { statusCode, headers, body }
+ */
+function fakeResponses(responses) {
+  http.get = (url, options) => {
+    const response = responses[url.href];
+    if (!response) return originalGet(url, options);
+
+    const req = new EventEmitter();
+    req.destroy = error => process.nextTick(() => req.emit('error', error));
+    process.nextTick(() => {
+      const res = new PassThrough();
+      res.statusCode = response.statusCode;
+      res.headers = response.headers || {};
+      req.emit('response', res);
+      res.end(response.body || '');
+    });
+    return req;
+  };
+}
+
+/**
+ * Resolve the given host names to fixed addresses
+ * @param {Object} records - Host name -> address
+ */
+function fakeDns(records) {
+  dns.lookup = (hostname, options, callback) => {
+    if (!(hostname in records)) return originalLookup(hostname, options, callback);
+    callback(null, [{ address: records[hostname], family: records[hostname].includes(':') ? 6 : 4 }]);
+  };
+}
+
+describe('isPrivateAddress', () => {
+  it('blocks loopback, private, link-local and reserved addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1']) {
+      assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('blocks private IPv4 addresses written as IPv6', () => {
+    for (const address of ['::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a00:1', '::127.0.0.1',
+      '::ffff:0:7f00:1', '64:ff9b::a00:1']) {
+      assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('allows public addresses', () => {
+    for (const address of ['93.184.215.14', '::ffff:93.184.215.14', '2606:2800:21f:cb07:6820:80da:af6b:8b2c']) {
+      assert.strictEqual(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('fetchRemoteDocument', () => {
+  beforeEach(() => {
+    fakeDns({ 'intranet.test': '10.0.0.5', 'mapped.test': '::ffff:192.168.0.10' });
+  });
+
+  afterEach(() => {
+    http.get = originalGet;
+    dns.lookup = originalLookup;
+  });
+
+  it('rejects literal private addresses before connecting', async () => {
+    for (const url of ['http://127.0.0.1/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://169.254.169.254/latest']) {
+      await assert.rejects(fetchRemoteDocument(url), { status: 400, title: 'URL not allowed' }, url);
+    }
+  });
+
+  it('rejects host names that resolve to private addresses', async () => {
+    for (const url of ['http://intranet.test/report.pdf', 'http://mapped.test/']) {
+      await assert.rejects(fetchRemoteDocument(url), { status: 400, title: 'URL not allowed' }, url);
+    }
+  });
+
+  it('rejects redirects to private addresses', async () => {
+    fakeResponses({
+      'http://public.test/doc': { statusCode: 302, headers: { location: 'http://127.0.0.1:8080/admin' } },
+      'http://rebind.test/doc': { statusCode: 301, headers: { location: 'http://intranet.test/' } }
+    });
+    await assert.rejects(fetchRemoteDocument('http://public.test/doc'), { status: 400, title: 'URL not allowed' });
+    await assert.rejects(fetchRemoteDocument('http://rebind.test/doc'), { status: 400, title: 'URL not allowed' });
+  });
+
+  it('fails with 502 for malformed redirects', async () => {
+    fakeResponses({ 'http://public.test/doc': { statusCode: 302, headers: { location: 'http://[oops/' } } });
+    await assert.rejects(fetchRemoteDocument('http://public.test/doc'), { status: 502, title: 'Fetch failed' });
+  });
+
+  it('follows redirects between public hosts', async () => {
+    fakeResponses({
+      'http://public.test/doc': { statusCode: 302, headers: { location: '/files/Annual%20Report.txt' } },
+      'http://public.test/files/Annual%20Report.txt': { statusCode: 200, headers: { 'content-type': 'text/plain' }, body: 'Report' }
+    });
+    const remote = await fetchRemoteDocument('http://public.test/doc');
+    assert.strictEqual(remote.url, 'http://public.test/files/Annual%20Report.txt');
+    assert.strictEqual(remote.contentType, 'text/plain');
+    assert.strictEqual(remote.body.toString(), 'Report');
+  });
+});
+
+describe('remoteFileName', () => {
+  it('decodes the last path segment', () => {
+    assert.strictEqual(remoteFileName('https://example.com/files/Annual%20Report.pdf'), 'Annual Report.pdf');
+  });
+
+  it('falls back to the host name for URLs without a path', () => {
+    assert.strictEqual(remoteFileName('https://example.com/'), 'example.com');
+  });
+
+  it('keeps names with malformed percent escapes as they are', () => {
+    assert.strictEqual(remoteFileName('https://example.com/report%E0%A4.pdf'), 'report%E0%A4.pdf');
+  });
+});
@@ -0,0 +1,180 @@
+// Unpacking of ZIP archives uploaded in bulk, and opening of ZIP-based documents (DOCX,
+// XLSX, PPTX, ODT, EPUB), with protection against zip bombs (entry count, per-entry and
+// total uncompressed size) and unsafe entry paths
+const JSZip = require('jszip');
+const { HttpError, UnsupportedFormatError } = require('./errors');
+
+const ZIP_MAX_ENTRIES = parseInt(process.env.ZIP_MAX_ENTRIES) || 1000;
+const ZIP_MAX_UNCOMPRESSED_BYTES = parseInt(process.env.ZIP_MAX_UNCOMPRESSED_BYTES) || 200 * 1024 * 1024;
+// Uncompressed size allowed per entry of a ZIP-based document
+const ZIP_MAX_ENTRY_BYTES = parseInt(process.env.ZIP_MAX_ENTRY_BYTES) || 10 * 1024 * 1024;
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+const SYMLINK_MODE = 0o120000;
+const FILE_TYPE_MASK = 0o170000;
+
+/**
+ * Read the entry count from the end of central directory record, before the archive is
+ * loaded, so archives with huge directories are refused without parsing them
+ * @param {Buffer} fileBuffer - Archive contents
+ * @returns {number} - Number of entries (65535 for ZIP64 archives, which store the real count elsewhere)
+ */
+function zipEntryCount(fileBuffer) {
+  // The record is 22 bytes plus a comment of up to 65535 bytes
+  const earliest = Math.max(fileBuffer.length - 22 - 65535, 0);
+  for (let offset = fileBuffer.length - 22; offset >= earliest; offset--) {
+    if (fileBuffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return fileBuffer.readUInt16LE(offset + 10);
+    }
+  }
+  throw new UnsupportedFormatError('Not a valid ZIP archive: end of central directory not found');
+}
+
+/**
+ * Check an entry path for traversal: absolute paths, drive letters, backslashes and ".." segments
+ * @param {string} name - Entry path
+ * @returns {boolean} - True if the path stays inside the archive root
+ */
+function isSafeEntryPath(name) {
+  if (!name || name.includes('\0') || name.includes('\\')) return false;
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) return false;
+  return !name.split('/').includes('..');
+}
+
+/**
+ * Decompress one entry, stopping as soon as it grows past a byte budget
+ * @param {Object} entry - JSZip entry
+ * @param {number} maxBytes - Bytes the entry may decompress to
+ * @param {Function} onPart - Called with each decompressed part
+ * @returns {Promise<number>} - Uncompressed size
+ * @throws {HttpError} - 413 if the entry is larger than maxBytes
+ */
+function streamLimited(entry, maxBytes, onPart) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const stream = entry.internalStream('nodebuffer');
+    stream
+      .on('data', part => {
+        size += part.length;
+        if (size > maxBytes) {
+          stream.pause();
+          reject(new HttpError(413, 'Archive entry too large', `${entry.name} decompresses to more than ${maxBytes} bytes`));
+          return;
+        }
+        onPart(part);
+      })
+      .on('error', error => reject(new UnsupportedFormatError(`Damaged archive entry ${entry.name}: ${error.message}`)))
+      .on('end', () => resolve(size))
+      .resume();
+  });
+}
+
+/**
+ * Decompress one entry into memory, stopping as soon as it grows past a byte budget
+ * @param {Object} entry - JSZip entry
+ * @param {number} maxBytes - Bytes the entry may decompress to
+ * @returns {Promise<Buffer>} - Entry contents
+ * @throws {HttpError} - 413 if the entry is larger than maxBytes
+ */
+async function readLimited(entry, maxBytes) {
+  const parts = [];
+  await streamLimited(entry, maxBytes, part => parts.push(part));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Load a ZIP archive, refusing archives with more than ZIP_MAX_ENTRIES entries
+ * @param {Buffer} fileBuffer - Archive contents
+ * @returns {Promise<Object>} - JSZip instance
+ * @throws {HttpError} - 413 for too many entries, 415 if it is not a ZIP archive
+ */
+async function loadZip(fileBuffer) {
+  const count = zipEntryCount(fileBuffer);
+  if (count > ZIP_MAX_ENTRIES) {
+    throw new HttpError(413, 'Archive too large', `The archive has more than ${ZIP_MAX_ENTRIES} entries`);
+  }
+
+  try {
+    return await JSZip.loadAsync(fileBuffer);
+  } catch (error) {
+    throw new UnsupportedFormatError(`Not a valid ZIP archive: ${error.message}`);
+  }
+}
+
+/**
+ * Open a ZIP-based document once its entries are known to unpack within the limits:
+ * ZIP_MAX_ENTRY_BYTES per entry and ZIP_MAX_UNCOMPRESSED_BYTES in total. Entries are
+ * decompressed once to measure them, without keeping their contents, so readers that
+ * unpack the whole document (JSZip, mammoth) can be given it afterwards.
+ * @param {Buffer} fileBuffer - Document contents
+ * @returns {Promise<Object>} - JSZip instance
+ * @throws {HttpError} - 413 when a limit is exceeded, 415 if it is not a ZIP archive
+ */
+async function openZipDocument(fileBuffer) {
+  const zip = await loadZip(fileBuffer);
+
+  let remaining = ZIP_MAX_UNCOMPRESSED_BYTES;
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+    try {
+      remaining -= await streamLimited(entry, Math.min(ZIP_MAX_ENTRY_BYTES, remaining), () => {});
+    } catch (error) {
+      if (remaining < ZIP_MAX_ENTRY_BYTES && error.status === 413) {
+        throw new HttpError(413, 'Archive too large', `The document decompresses to more than ${ZIP_MAX_UNCOMPRESSED_BYTES} bytes`);
+      }
+      throw error;
+    }
+  }
+  return zip;
+}
+
+/**
+ * Unpack the files of a ZIP archive one at a time. Directories, symbolic links and
+ * operating system metadata (__MACOSX/, .DS_Store and other dotfiles) are left out;
+ * entries with unsafe paths or over the size limit are reported instead of extracted.
+ * @param {Buffer} fileBuffer - Archive contents
+ * @param {Object} options - Limits
+ * @param {number} options.maxEntryBytes - Uncompressed size allowed per file
+ * @returns {AsyncGenerator<Object>} - { name, content } or { name, error } per file
+ * @throws {HttpError} - 413 when the archive has too many entries or exceeds the total
+ *   uncompressed size; files before that point have already been yielded
+ */
+async function* unpackArchive(fileBuffer, { maxEntryBytes }) {
+  const zip = await loadZip(fileBuffer);
+
+  let remaining = ZIP_MAX_UNCOMPRESSED_BYTES;
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+    const baseName = entry.name.split('/').pop();
+    if (entry.name.startsWith('__MACOSX/') || baseName.startsWith('.')) continue;
+
+    // JSZip normalises entry.name; check the path as stored in the archive
+    if (!isSafeEntryPath(entry.unsafeOriginalName || entry.name)) {
+      yield { name: entry.unsafeOriginalName || entry.name, error: new HttpError(400, 'Unsafe path', 'Entry path leaves the archive root') };
+      continue;
+    }
+    if (entry.unixPermissions && (entry.unixPermissions & FILE_TYPE_MASK) === SYMLINK_MODE) {
+      yield { name: entry.name, error: new UnsupportedFormatError('Symbolic links are not extracted') };
+      continue;
+    }
+
+    let content;
+    try {
+      content = await readLimited(entry, Math.min(maxEntryBytes, remaining));
+    } catch (error) {
+      if (remaining < maxEntryBytes && error.status === 413) {
+        throw new HttpError(413, 'Archive too large', `The archive decompresses to more than ${ZIP_MAX_UNCOMPRESSED_BYTES} bytes`);
+      }
+      yield { name: entry.name, error };
+      continue;
+    }
+    remaining -= content.length;
+    yield { name: entry.name, content };
+  }
+}
+
+module.exports = {
+  isSafeEntryPath,
+  openZipDocument,
+  unpackArchive
+};
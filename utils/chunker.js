@@ -0,0 +1,105 @@
+// Split extracted document text into overlapping passages for retrieval
+const { pageAt } = require('./structure');
+
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE) || 1200;
+const DEFAULT_CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP) || 200;
+
+/**
+ * Find a natural break point (sentence end, then whitespace) before `end`
+ * @param {string} text - Full text
+ * @param {number} start - Chunk start offset
+ * @param {number} end - Hard end offset
+ * @returns {number} - Offset to end the chunk at
+ */
+function findBreakPoint(text, start, end) {
+  if (end >= text.length) {
+    return text.length;
+  }
+
+  // Only look back over the last third of the chunk so chunks stay reasonably sized
+  const minEnd = start + Math.floor((end - start) * 2 / 3);
+  const window = text.slice(minEnd, end);
+
+  const sentenceEnd = Math.max(
+    window.lastIndexOf('. '),
+    window.lastIndexOf('? '),
+    window.lastIndexOf('! '),
+    window.lastIndexOf('\n')
+  );
+  if (sentenceEnd > -1) {
+    return minEnd + sentenceEnd + 1;
+  }
+
+  const space = window.lastIndexOf(' ');
+  if (space > -1) {
+    return minEnd + space + 1;
+  }
+
+  return end;
+}
+
+/**
+ * Split text into overlapping chunks
+ * @param {string} text - Extracted document text
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkSize - Target chunk length in characters
+ * @param {number} options.overlap - Characters shared between neighbouring chunks
+ * @returns {Array<Object>} - Chunks as { index, startOffset, endOffset }
+ */
+function chunkText(text, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const overlap = Math.min(options.overlap ?? DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+  const chunks = [];
+
+  if (!text) {
+    return chunks;
+  }
+
+  let start = 0;
+  while (start < text.length) {
+    const end = findBreakPoint(text, start, start + chunkSize);
+    chunks.push({ index: chunks.length, startOffset: start, endOffset: end });
+
+    if (end >= text.length) {
+      break;
+    }
+
+    // Step back by the overlap, then forward to the next word boundary
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(' ', next);
+    if (space > -1 && space < end) {
+      next = space + 1;
+    }
+    start = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Get the chunks of a document with their text and pages attached.
+ * Documents uploaded before chunking was introduced are chunked on the fly.
+ * @param {Object} document - Document record
+ * @returns {Array<Object>} - Chunks as { index, startOffset, endOffset, text, pageStart, pageEnd };
+ *   pages are null for documents without page information
+ */
+function getDocumentChunks(document) {
+  const text = document.extractedText || '';
+  const chunks = document.chunks && document.chunks.length > 0
+    ? document.chunks
+    : chunkText(text);
+
+  return chunks.map(chunk => ({
+    index: chunk.index,
+    startOffset: chunk.startOffset,
+    endOffset: chunk.endOffset,
+    text: text.slice(chunk.startOffset, chunk.endOffset),
+    pageStart: pageAt(document.structure, chunk.startOffset),
+    pageEnd: pageAt(document.structure, Math.max(chunk.endOffset - 1, chunk.startOffset))
+  }));
+}
+
+module.exports = {
+  chunkText,
+  getDocumentChunks
+};
@@ -0,0 +1,187 @@
+// Verification of model-provided citations against the document text
+const { getDocumentChunks } = require('./chunker');
+const { pageAt } = require('./structure');
+
+const UNVERIFIED_CITATIONS = process.env.UNVERIFIED_CITATIONS || 'flag'; // 'flag' or 'drop'
+const MIN_QUOTE_LENGTH = 8;
+
+/**
+ * Normalize text for lenient matching, keeping a map back to original offsets
+ * @param {string} text - Text to normalize
+ * @returns {Object} - { normalized, offsets } where offsets[i] is the source index of normalized[i]
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let previousSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+    if (/\s/.test(char)) {
+      if (previousSpace) continue;
+      char = ' ';
+      previousSpace = true;
+    } else {
+      previousSpace = false;
+      char = char
+        .replace(/[‘’‛]/, "'")
+        .replace(/[“”‟]/, '"')
+        .replace(/[–—]/, '-')
+        .toLowerCase();
+    }
+    normalized += char;
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+/**
+ * Find the first position in a sorted array whose value is at least a given value
+ * @param {Array<number>} values - Ascending values
+ * @param {number} target - Value to look for
+ * @returns {number} - Index (values.length if every value is smaller)
+ */
+function lowerBound(values, target) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (values[middle] < target) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+/**
+ * Locate a quote within a region of the document text
+ * @param {string} text - Full document text
+ * @param {Function} normalizeText - Returns normalizeWithOffsets(text), computed once per document
+ * @param {string} quote - Quote provided by the model
+ * @param {number} regionStart - Start of the region to search
+ * @param {number} regionEnd - End of the region to search
+ * @returns {Object|null} - { startOffset, endOffset } into text, or null if not found
+ */
+function locateQuote(text, normalizeText, quote, regionStart, regionEnd) {
+  const exact = text.indexOf(quote, regionStart);
+  if (exact > -1 && exact + quote.length <= regionEnd) {
+    return { startOffset: exact, endOffset: exact + quote.length };
+  }
+
+  // Tolerate whitespace, case and typographic quote differences
+  const needle = normalizeWithOffsets(quote.trim()).normalized;
+  if (needle.length === 0) {
+    return null;
+  }
+  const haystack = normalizeText();
+  const index = haystack.normalized.indexOf(needle, lowerBound(haystack.offsets, regionStart));
+  if (index === -1 || index + needle.length > lowerBound(haystack.offsets, regionEnd)) {
+    return null;
+  }
+
+  return {
+    startOffset: haystack.offsets[index],
+    endOffset: haystack.offsets[index + needle.length - 1] + 1
+  };
+}
+
+/**
+ * Find a quote in one document, preferring the cited chunk
+ * @param {Object} document - Document record with extractedText
+ * @param {Object} [chunk] - Chunk the model cited
+ * @param {string} quote - Quote provided by the model
+ * @param {Map} normalizedTexts - Normalized text of each document, shared by the citations of one answer
+ * @returns {Object|null} - { startOffset, endOffset, chunkId } or null if not found
+ */
+function findInDocument(document, chunk, quote, normalizedTexts) {
+  const text = document.extractedText || '';
+  const normalizeText = () => {
+    if (!normalizedTexts.has(document)) {
+      normalizedTexts.set(document, normalizeWithOffsets(text));
+    }
+    return normalizedTexts.get(document);
+  };
+  const location = (chunk && locateQuote(text, normalizeText, quote, chunk.startOffset, chunk.endOffset))
+    || locateQuote(text, normalizeText, quote, 0, text.length);
+
+  if (!location) {
+    return null;
+  }
+
+  const contains = c => location.startOffset >= c.startOffset && location.startOffset < c.endOffset;
+  const owner = chunk && contains(chunk) ? chunk : getDocumentChunks(document).find(contains);
+
+  return { ...location, chunkId: owner ? owner.index : null };
+}
+
+/**
+ * Check each citation returned by the model against the text of the queried documents.
+ * Verified citations get their offsets and quote taken from the document itself;
+ * citations that cannot be found are flagged (or dropped, if configured).
+ * @param {Object|Array<Object>} documents - Queried document record(s), in prompt order
+ * @param {Array<Object>} chunks - Chunks that were sent to the model
+ * @param {Array<Object>} rawCitations - Citations as returned by the model ({ document, chunkId, quote })
+ * @returns {Array<Object>} - Citations as { documentId, chunkId, startOffset, endOffset, page, quote, verified }
+ */
+function verifyCitations(documents, chunks, rawCitations) {
+  if (!Array.isArray(rawCitations)) {
+    return [];
+  }
+
+  documents = Array.isArray(documents) ? documents : [documents];
+  const citations = [];
+  const normalizedTexts = new Map();
+
+  for (const raw of rawCitations) {
+    const quote = typeof raw?.quote === 'string' ? raw.quote.trim() : '';
+    const chunkId = Number(raw?.chunkId);
+    // The document number is only asked for when several documents were queried
+    const documentNumber = documents.length === 1 ? 1 : Number(raw?.document);
+    const citedDocument = documents[documentNumber - 1];
+    const chunk = chunks.find(c => c.index === chunkId && (c.documentNumber || 1) === documentNumber);
+
+    // Look in the cited document first, then in the others
+    const candidates = citedDocument
+      ? [citedDocument, ...documents.filter(doc => doc !== citedDocument)]
+      : documents;
+
+    let match = null;
+    if (quote.length >= MIN_QUOTE_LENGTH) {
+      for (const document of candidates) {
+        const location = findInDocument(document, document === citedDocument ? chunk : null, quote, normalizedTexts);
+        if (location) {
+          match = { document, location };
+          break;
+        }
+      }
+    }
+
+    if (match) {
+      citations.push({
+        documentId: match.document._id,
+        chunkId: match.location.chunkId,
+        startOffset: match.location.startOffset,
+        endOffset: match.location.endOffset,
+        page: pageAt(match.document.structure, match.location.startOffset),
+        quote: match.document.extractedText.slice(match.location.startOffset, match.location.endOffset),
+        verified: true
+      });
+    } else if (UNVERIFIED_CITATIONS !== 'drop') {
+      citations.push({
+        documentId: citedDocument ? citedDocument._id : null,
+        chunkId: Number.isInteger(chunkId) ? chunkId : null,
+        startOffset: null,
+        endOffset: null,
+        page: null,
+        quote: quote,
+        verified: false
+      });
+    }
+  }
+
+  return citations;
+}
+
+module.exports = {
+  verifyCitations
+};
@@ -0,0 +1,82 @@
+/**
+ * Error carrying the HTTP status and short error title to send to the client.
+ * Routes respond with { error: title, message } for these.
+ */
+class HttpError extends Error {
+  constructor(status, title, message) {
+    super(message || title);
+    this.name = 'HttpError';
+    this.status = status;
+    this.title = title;
+  }
+}
+
+/**
+ * An LLM provider failed or is not usable (bad key, quota, outage). Failures that may pass
+ * (rate limits, overload, timeouts) are retryable, and sent with a Retry-After header when
+ * the wait is known.
+ */
+class ProviderError extends HttpError {
+  constructor(message, { retryable = false, retryAfter = null } = {}) {
+    super(503, 'AI service unavailable', message);
+    this.name = 'ProviderError';
+    this.retryable = retryable;
+    if (retryAfter) {
+      this.retryAfter = Math.max(1, Math.ceil(retryAfter));
+    }
+  }
+}
+
+/**
+ * An uploaded file is in a format the server cannot read. Extraction fails the same way
+ * on every attempt, so ingestion does not retry it.
+ */
+class UnsupportedFormatError extends HttpError {
+  constructor(message) {
+    super(415, 'Unsupported file format', message);
+    this.name = 'UnsupportedFormatError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * A rate limit or token budget is used up. Sent with a Retry-After header.
+ */
+class RateLimitError extends HttpError {
+  constructor(title, message, retryAfter) {
+    super(429, title, message);
+    this.name = 'RateLimitError';
+    this.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  }
+}
+
+/**
+ * Send an error as JSON, using its status when it is an HttpError
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to send
+ * @param {string} fallbackTitle - Title used for unexpected errors (HTTP 500)
+ */
+function sendError(res, error, fallbackTitle) {
+  if (error instanceof HttpError) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json({
+      error: error.title,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: fallbackTitle,
+    message: error.message
+  });
+}
+
+module.exports = {
+  HttpError,
+  ProviderError,
+  UnsupportedFormatError,
+  RateLimitError,
+  sendError
+};
@@ -0,0 +1,134 @@
+// Reader for the Compound File Binary format (OLE2), the container of legacy Office files.
+// Only reading whole streams by name is supported, which is all the extractors need.
+const { UnsupportedFormatError } = require('../errors');
+
+const SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+const END_OF_CHAIN = 0xFFFFFFFE;
+const FREE_SECTOR = 0xFFFFFFFF;
+const NO_STREAM = 0xFFFFFFFF;
+const HEADER_DIFAT_ENTRIES = 109;
+
+/**
+ * Create the error for a damaged compound file
+ * @param {string} message - What is wrong
+ * @returns {UnsupportedFormatError} - Error
+ */
+function corrupt(message) {
+  return new UnsupportedFormatError(`Damaged legacy Office file: ${message}`);
+}
+
+/**
+ * Open a compound file
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Object} - { streamNames, hasStream(name), readStream(name) }
+ * @throws {UnsupportedFormatError} - If the file is not a readable compound file
+ */
+function openCompoundFile(fileBuffer) {
+  if (fileBuffer.length < 512 || !fileBuffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw corrupt('missing compound file signature');
+  }
+
+  const sectorSize = 1 << fileBuffer.readUInt16LE(0x1E);
+  const miniSectorSize = 1 << fileBuffer.readUInt16LE(0x20);
+  const fatSectorCount = fileBuffer.readUInt32LE(0x2C);
+  const firstDirectorySector = fileBuffer.readUInt32LE(0x30);
+  const miniStreamCutoff = fileBuffer.readUInt32LE(0x38);
+  const firstMiniFatSector = fileBuffer.readUInt32LE(0x3C);
+  let difatSector = fileBuffer.readUInt32LE(0x44);
+  if (sectorSize !== 512 && sectorSize !== 4096) throw corrupt(`unexpected sector size ${sectorSize}`);
+
+  const sectorCount = Math.floor((fileBuffer.length - sectorSize) / sectorSize) + 1;
+  const sectorOffset = sector => (sector + 1) * sectorSize;
+  const entriesPerSector = sectorSize / 4;
+
+  // The DIFAT lists the sectors of the FAT: 109 entries in the header, the rest in a chain
+  const fatSectors = [];
+  for (let i = 0; i < HEADER_DIFAT_ENTRIES && fatSectors.length < fatSectorCount; i++) {
+    fatSectors.push(fileBuffer.readUInt32LE(0x4C + i * 4));
+  }
+  for (let hops = 0; fatSectors.length < fatSectorCount && difatSector < sectorCount && hops < sectorCount; hops++) {
+    const offset = sectorOffset(difatSector);
+    for (let i = 0; i < entriesPerSector - 1 && fatSectors.length < fatSectorCount; i++) {
+      fatSectors.push(fileBuffer.readUInt32LE(offset + i * 4));
+    }
+    difatSector = fileBuffer.readUInt32LE(offset + sectorSize - 4);
+  }
+
+  const fat = [];
+  for (const sector of fatSectors) {
+    if (sector >= sectorCount) throw corrupt('FAT sector out of range');
+    const offset = sectorOffset(sector);
+    for (let i = 0; i < entriesPerSector; i++) fat.push(fileBuffer.readUInt32LE(offset + i * 4));
+  }
+
+  /**
+   * Follow a sector chain through an allocation table
+   * @param {number} start - First sector
+   * @param {Array<number>} table - FAT or mini FAT
+   * @returns {Array<number>} - Sectors in order
+   */
+  const chain = (start, table) => {
+    const sectors = [];
+    for (let sector = start; sector !== END_OF_CHAIN && sector !== FREE_SECTOR; sector = table[sector]) {
+      if (sector >= table.length || sectors.length > table.length) throw corrupt('broken sector chain');
+      sectors.push(sector);
+    }
+    return sectors;
+  };
+  const readChain = (start, size) => {
+    const data = Buffer.concat(chain(start, fat).map(sector => {
+      if (sector >= sectorCount) throw corrupt('sector out of range');
+      return fileBuffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+    }));
+    return size === undefined ? data : data.subarray(0, size);
+  };
+
+  // Directory: 128-byte entries; the red-black tree structure is not needed to find names
+  const directory = readChain(firstDirectorySector);
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = directory.readUInt16LE(offset + 0x40);
+    const type = directory[offset + 0x42];
+    if (type === 0) continue; // Unused entry
+    entries.push({
+      name: directory.toString('utf16le', offset, offset + Math.max(nameLength - 2, 0)),
+      type,
+      start: directory.readUInt32LE(offset + 0x74),
+      size: directory.readUInt32LE(offset + 0x78)
+    });
+  }
+  const root = entries.find(entry => entry.type === 5);
+  if (!root) throw corrupt('missing root directory entry');
+
+  // Small streams live in the mini stream (held by the root entry), allocated by the mini FAT
+  let miniFat = null;
+  let miniStream = null;
+  const readMiniStream = (start, size) => {
+    if (!miniFat) {
+      const miniFatData = firstMiniFatSector === END_OF_CHAIN ? Buffer.alloc(0) : readChain(firstMiniFatSector);
+      miniFat = [];
+      for (let i = 0; i + 4 <= miniFatData.length; i += 4) miniFat.push(miniFatData.readUInt32LE(i));
+      miniStream = root.start === END_OF_CHAIN ? Buffer.alloc(0) : readChain(root.start, root.size);
+    }
+    const data = Buffer.concat(chain(start, miniFat).map(sector =>
+      miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize)));
+    return data.subarray(0, size);
+  };
+
+  const streams = new Map(entries.filter(entry => entry.type === 2).map(entry => [entry.name, entry]));
+
+  return {
+    streamNames: [...streams.keys()],
+    hasStream: name => streams.has(name),
+    readStream: name => {
+      const entry = streams.get(name);
+      if (!entry) throw corrupt(`missing ${name} stream`);
+      if (entry.size === 0 || entry.start === NO_STREAM) return Buffer.alloc(0);
+      return entry.size < miniStreamCutoff ? readMiniStream(entry.start, entry.size) : readChain(entry.start, entry.size);
+    }
+  };
+}
+
+module.exports = {
+  openCompoundFile
+};
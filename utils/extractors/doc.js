@@ -0,0 +1,267 @@
+// Legacy Word documents (.doc, Word 97-2003): the main text is read from the piece table
+// of the WordDocument stream ([MS-DOC] 2.4.1 "Retrieving Text")
+const { UnsupportedFormatError } = require('../errors');
+const { isListItem } = require('../structure');
+const { openCompoundFile } = require('./cfb');
+
+const WORD_IDENT = 0xA5EC;
+// nFib of Word 97; older files (Word 6/95) use a different, unsupported layout
+const WORD_97_NFIB = 0x00C1;
+const FLAG_ENCRYPTED = 0x0100;
+const FLAG_TABLE_STREAM = 0x0200;
+// Index of the fcClx/lcbClx pair in FibRgFcLcb97
+const CLX_INDEX = 33;
+
+// Windows-1252 characters that differ from Latin-1, for 8-bit ("compressed") pieces
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›',
+  0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+// Special characters in Word text
+const PARAGRAPH_END = '\r';
+const CELL_END = '\x07';
+const FIELD_BEGIN = '\x13';
+const FIELD_SEPARATOR = '\x14';
+const FIELD_END = '\x15';
+
+/**
+ * Read the File Information Block at the start of the WordDocument stream
+ * @param {Buffer} wordDocument - WordDocument stream
+ * @returns {Object} - { tableStream, ccpText, fcClx, lcbClx }
+ * @throws {UnsupportedFormatError} - For encrypted and pre-97 documents
+ */
+function readFib(wordDocument) {
+  if (wordDocument.length < 32 || wordDocument.readUInt16LE(0) !== WORD_IDENT) {
+    throw new UnsupportedFormatError('Not a Word document: invalid WordDocument stream');
+  }
+  const nFib = wordDocument.readUInt16LE(2);
+  const flags = wordDocument.readUInt16LE(0x0A);
+  if (nFib < WORD_97_NFIB) {
+    throw new UnsupportedFormatError('Word 6.0/95 documents are not supported; save the file as .docx');
+  }
+  if (flags & FLAG_ENCRYPTED) {
+    throw new UnsupportedFormatError('Password-protected Word documents cannot be read');
+  }
+
+  // FibBase (32 bytes), then three variable-length arrays, each preceded by its count
+  let offset = 32;
+  const csw = wordDocument.readUInt16LE(offset);
+  offset += 2 + csw * 2;
+  const cslw = wordDocument.readUInt16LE(offset);
+  const fibRgLw = offset + 2;
+  offset = fibRgLw + cslw * 4;
+  const cbRgFcLcb = wordDocument.readUInt16LE(offset);
+  const fibRgFcLcb = offset + 2;
+  if (cslw < 4 || cbRgFcLcb <= CLX_INDEX || fibRgFcLcb + (CLX_INDEX + 1) * 8 > wordDocument.length) {
+    throw new UnsupportedFormatError('Damaged Word document: truncated file information block');
+  }
+
+  return {
+    tableStream: flags & FLAG_TABLE_STREAM ? '1Table' : '0Table',
+    ccpText: wordDocument.readInt32LE(fibRgLw + 3 * 4),
+    fcClx: wordDocument.readUInt32LE(fibRgFcLcb + CLX_INDEX * 8),
+    lcbClx: wordDocument.readUInt32LE(fibRgFcLcb + CLX_INDEX * 8 + 4)
+  };
+}
+
+/**
+ * Find the piece table (PlcPcd) in the Clx: it follows any number of property records
+ * @param {Buffer} clx - Clx structure
+ * @returns {Array<Object>} - Pieces as { cpStart, cpEnd, fc, compressed }
+ */
+function readPieces(clx) {
+  let offset = 0;
+  while (offset < clx.length && clx[offset] === 0x01) {
+    offset += 3 + clx.readInt16LE(offset + 1); // Prc: clxt, cbGrpprl, grpprl
+  }
+  if (clx[offset] !== 0x02) {
+    throw new UnsupportedFormatError('Damaged Word document: piece table not found');
+  }
+
+  const lcb = clx.readUInt32LE(offset + 1);
+  const plc = clx.subarray(offset + 5, offset + 5 + lcb);
+  // PlcPcd: n + 1 character positions, then n 8-byte piece descriptors
+  const count = (plc.length - 4) / 12;
+  if (!Number.isInteger(count)) {
+    throw new UnsupportedFormatError('Damaged Word document: malformed piece table');
+  }
+
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    const descriptor = 4 * (count + 1) + i * 8;
+    const fcCompressed = plc.readUInt32LE(descriptor + 2);
+    const compressed = (fcCompressed & 0x40000000) !== 0;
+    const fc = fcCompressed & 0x3FFFFFFF;
+    pieces.push({
+      cpStart: plc.readUInt32LE(i * 4),
+      cpEnd: plc.readUInt32LE((i + 1) * 4),
+      // 8-bit pieces store their position doubled
+      fc: compressed ? fc / 2 : fc,
+      compressed
+    });
+  }
+  return pieces;
+}
+
+/**
+ * Read the main document text (without headers, footnotes and comments)
+ * @param {Buffer} wordDocument - WordDocument stream
+ * @param {Array<Object>} pieces - Piece table
+ * @param {number} ccpText - Characters in the main text
+ * @returns {string} - Raw text with Word's control characters
+ */
+function readMainText(wordDocument, pieces, ccpText) {
+  let text = '';
+  for (const piece of pieces) {
+    if (piece.cpStart >= ccpText) break;
+    const length = Math.min(piece.cpEnd, ccpText) - piece.cpStart;
+    if (piece.compressed) {
+      const bytes = wordDocument.subarray(piece.fc, piece.fc + length);
+      for (const byte of bytes) text += CP1252[byte] || String.fromCharCode(byte);
+    } else {
+      text += wordDocument.toString('utf16le', piece.fc, piece.fc + length * 2);
+    }
+  }
+  return text;
+}
+
+/**
+ * Drop field instructions (e.g. HYPERLINK "..." or PAGE) and keep the field results
+ * @param {string} text - Raw text
+ * @returns {string} - Text without field codes
+ */
+function removeFieldCodes(text) {
+  let result = '';
+  // One entry per open field: whether its instruction part has ended
+  const fields = [];
+  for (const char of text) {
+    if (char === FIELD_BEGIN) fields.push(false);
+    else if (char === FIELD_SEPARATOR && fields.length > 0) fields[fields.length - 1] = true;
+    else if (char === FIELD_END && fields.length > 0) fields.pop();
+    else if (fields.every(inResult => inResult)) result += char;
+  }
+  return result;
+}
+
+/**
+ * Clean up the text of one paragraph or cell
+ * @param {string} text - Raw text
+ * @returns {string} - Text
+ */
+function cleanParagraph(text) {
+  return text
+    .replace(/\x0B/g, '\n') // Manual line break
+    .replace(/\x1E/g, '-') // Non-breaking hyphen
+    .replace(/\xA0/g, ' ')
+    // Soft hyphens and anchors of pictures, footnotes and comments
+    .replace(/[\x00-\x06\x08\x0E-\x1D\x1F\xAD]/g, '')
+    .trim();
+}
+
+/**
+ * Split the main text into blocks. Word ends paragraphs with \r and table cells with \x07;
+ * a row ends with an extra, empty \x07 ("row end mark"). Headings are not recognised:
+ * their style lives in formatting tables this reader does not parse.
+ * @param {string} text - Main text without field codes
+ * @returns {Array<Object>} - Blocks
+ */
+function docBlocks(text) {
+  const blocks = [];
+  let table = null;
+  let row = [];
+  let current = '';
+  let previousEnd = null;
+
+  for (const char of text) {
+    if (char === CELL_END) {
+      if (current === '' && previousEnd === CELL_END && row.length > 0) {
+        // Row end mark
+        if (!table) {
+          table = { type: 'table', rows: [] };
+          blocks.push(table);
+        }
+        table.rows.push(row);
+        row = [];
+      } else {
+        row.push(cleanParagraph(current));
+      }
+      current = '';
+      previousEnd = CELL_END;
+    } else if (char === PARAGRAPH_END || char === '\x0C') {
+      if (row.length > 0) {
+        // Paragraphs inside a cell before its end mark
+        current += '\n';
+        continue;
+      }
+      table = null;
+      const paragraph = cleanParagraph(current);
+      if (paragraph) {
+        blocks.push({ type: isListItem(paragraph) ? 'list-item' : 'paragraph', text: paragraph });
+      }
+      current = '';
+      previousEnd = PARAGRAPH_END;
+    } else {
+      current += char;
+    }
+  }
+  const rest = cleanParagraph(current);
+  if (rest) blocks.push({ type: 'paragraph', text: rest });
+
+  return blocks.filter(block => block.type !== 'table' || block.rows.some(cells => cells.some(cell => cell)));
+}
+
+/**
+ * Open a Word 97-2003 document and read its File Information Block
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Object} - { file, wordDocument, fib }
+ * @throws {UnsupportedFormatError} - For other Office files, encrypted and pre-97 documents
+ */
+function openWordDocument(fileBuffer) {
+  const file = openCompoundFile(fileBuffer);
+  if (!file.hasStream('WordDocument')) {
+    const kind = file.hasStream('Workbook') || file.hasStream('Book') ? 'Excel 97-2003 workbooks (.xls) are'
+      : file.hasStream('PowerPoint Document') ? 'PowerPoint 97-2003 presentations (.ppt) are'
+        : 'Legacy Office files other than Word documents are';
+    throw new UnsupportedFormatError(`${kind} not supported`);
+  }
+  const wordDocument = file.readStream('WordDocument');
+  const fib = readFib(wordDocument);
+  if (!file.hasStream(fib.tableStream)) {
+    throw new UnsupportedFormatError(`Damaged Word document: missing ${fib.tableStream} stream`);
+  }
+  return { file, wordDocument, fib };
+}
+
+/**
+ * Check that a file is a Word document this reader can handle, without extracting it
+ * @param {Buffer} fileBuffer - File contents
+ * @throws {UnsupportedFormatError} - If it is not
+ */
+function checkDoc(fileBuffer) {
+  openWordDocument(fileBuffer);
+}
+
+/**
+ * Extract text from a Word 97-2003 document
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Object} - Extraction result
+ */
+function extractFromDoc(fileBuffer) {
+  const { file, wordDocument, fib } = openWordDocument(fileBuffer);
+  const table = file.readStream(fib.tableStream);
+  if (fib.fcClx + fib.lcbClx > table.length) {
+    throw new UnsupportedFormatError('Damaged Word document: piece table out of range');
+  }
+
+  const pieces = readPieces(table.subarray(fib.fcClx, fib.fcClx + fib.lcbClx));
+  const text = removeFieldCodes(readMainText(wordDocument, pieces, fib.ccpText));
+  return { blocks: docBlocks(text), extractionMethod: 'word' };
+}
+
+module.exports = {
+  checkDoc,
+  extractFromDoc
+};
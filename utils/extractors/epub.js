@@ -0,0 +1,57 @@
+// EPUB e-books: the XHTML chapters in reading (spine) order
+const { UnsupportedFormatError } = require('../errors');
+const { tokenize, htmlBlocks } = require('./markup');
+const { openZip, readEntry, resolveEntryPath } = require('./zip');
+
+/**
+ * Find the opening tags with a given name
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @param {string} name - Element name, without namespace prefix
+ * @returns {Array<Object>} - Matching tokens
+ */
+function elements(tokens, name) {
+  return tokens.filter(token => token.type === 'open' && token.name.split(':').pop() === name);
+}
+
+/**
+ * Extract text from an EPUB file. Each chapter of the spine counts as a page,
+ * so answers can point readers to the chapter they came from.
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractFromEpub(fileBuffer) {
+  const zip = await openZip(fileBuffer);
+
+  // container.xml points to the package document, which lists the chapters
+  const container = tokenize(await readEntry(zip, 'META-INF/container.xml'));
+  const rootfile = elements(container, 'rootfile')[0];
+  if (!rootfile || !rootfile.attrs['full-path']) {
+    throw new UnsupportedFormatError('EPUB container does not name a package document');
+  }
+  const packagePath = rootfile.attrs['full-path'];
+  const opf = tokenize(await readEntry(zip, packagePath));
+
+  const manifest = new Map(elements(opf, 'item').map(item => [item.attrs.id, item.attrs]));
+  const chapters = elements(opf, 'itemref')
+    .filter(itemref => itemref.attrs.linear !== 'no')
+    .map(itemref => manifest.get(itemref.attrs.idref))
+    .filter(item => item && /x?html/.test(item['media-type'] || ''));
+
+  const blocks = [];
+  let page = 0;
+  for (const chapter of chapters) {
+    const xhtml = await readEntry(zip, resolveEntryPath(packagePath, chapter.href), { required: false });
+    if (!xhtml) continue;
+    const chapterBlocks = htmlBlocks(xhtml, { page: page + 1 });
+    // Skip chapters without text (cover images, blank pages)
+    if (chapterBlocks.length === 0) continue;
+    page++;
+    blocks.push(...chapterBlocks);
+  }
+
+  return { blocks, extractionMethod: 'epub' };
+}
+
+module.exports = {
+  extractFromEpub
+};
@@ -0,0 +1,38 @@
+// Images, read with OCR
+const { ocrImage } = require('../ocr');
+const { blocksFromPlainText } = require('../structure');
+const { UnsupportedFormatError } = require('../errors');
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+
+/**
+ * Shape an OCR result as an extraction result, one set of blocks per page
+ * @param {Object} ocr - Result of ocrPdf / ocrImage
+ * @returns {Object} - Extraction result
+ */
+function ocrResult(ocr) {
+  return {
+    blocks: ocr.pageTexts.flatMap((text, index) => blocksFromPlainText(text, index + 1)),
+    extractionMethod: 'ocr',
+    ocrPages: ocr.pages,
+    ocrConfidence: ocr.confidence
+  };
+}
+
+/**
+ * Extract text from an image with OCR
+ * @param {Buffer} fileBuffer - PNG, JPEG or TIFF file
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractFromImage(fileBuffer) {
+  if (!OCR_ENABLED) {
+    throw new UnsupportedFormatError('OCR is disabled; image uploads cannot be processed');
+  }
+  return ocrResult(await ocrImage(fileBuffer));
+}
+
+module.exports = {
+  OCR_ENABLED,
+  ocrResult,
+  extractFromImage
+};
@@ -0,0 +1,204 @@
+// Extractor registry: every supported input format with its MIME types, file extensions
+// and extractor. The format of an upload is decided from its content (magic bytes, the
+// entries of ZIP containers) and only falls back to the client's MIME type and file
+// name for text formats, which have no signature.
+const path = require('path');
+const { UnsupportedFormatError } = require('../errors');
+const { extractFromPDF } = require('./pdf');
+const { OCR_ENABLED, extractFromImage } = require('./image');
+const { extractFromWord } = require('./word');
+const { checkDoc, extractFromDoc } = require('./doc');
+const { extractFromPlainText, extractFromMarkdown } = require('./text');
+const { extractFromHtml } = require('./markup');
+const { extractFromRtf } = require('./rtf');
+const { extractFromOdt } = require('./odt');
+const { extractFromEpub } = require('./epub');
+const { extractFromCsv, extractFromXlsx } = require('./spreadsheet');
+const { extractFromPptx } = require('./pptx');
+const { openZip } = require('./zip');
+
+const FORMATS = [
+  { name: 'pdf', mimeTypes: ['application/pdf'], extensions: ['.pdf'], extract: extractFromPDF },
+  {
+    name: 'docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    extract: extractFromWord
+  },
+  { name: 'doc', mimeTypes: ['application/msword'], extensions: ['.doc'], extract: extractFromDoc },
+  { name: 'odt', mimeTypes: ['application/vnd.oasis.opendocument.text'], extensions: ['.odt'], extract: extractFromOdt },
+  { name: 'epub', mimeTypes: ['application/epub+zip'], extensions: ['.epub'], extract: extractFromEpub },
+  {
+    name: 'xlsx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    extensions: ['.xlsx'],
+    extract: extractFromXlsx
+  },
+  {
+    name: 'pptx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extensions: ['.pptx'],
+    extract: extractFromPptx
+  },
+  { name: 'rtf', mimeTypes: ['application/rtf', 'text/rtf'], extensions: ['.rtf'], extract: extractFromRtf },
+  { name: 'html', mimeTypes: ['text/html', 'application/xhtml+xml'], extensions: ['.html', '.htm', '.xhtml'], extract: extractFromHtml },
+  { name: 'markdown', mimeTypes: ['text/markdown', 'text/x-markdown'], extensions: ['.md', '.markdown'], extract: extractFromMarkdown },
+  { name: 'csv', mimeTypes: ['text/csv', 'text/tab-separated-values'], extensions: ['.csv', '.tsv'], extract: extractFromCsv },
+  { name: 'plain-text', mimeTypes: ['text/plain'], extensions: ['.txt', '.text', '.log'], extract: extractFromPlainText },
+  // Scanned pages, read with OCR
+  { name: 'png', mimeTypes: ['image/png'], extensions: ['.png'], extract: extractFromImage, requiresOcr: true },
+  { name: 'jpeg', mimeTypes: ['image/jpeg'], extensions: ['.jpg', '.jpeg'], extract: extractFromImage, requiresOcr: true },
+  { name: 'tiff', mimeTypes: ['image/tiff'], extensions: ['.tif', '.tiff'], extract: extractFromImage, requiresOcr: true }
+];
+
+const FORMATS_BY_NAME = new Map(FORMATS.map(format => [format.name, format]));
+
+// Formats recognised by their leading bytes
+const SIGNATURES = [
+  { format: 'pdf', bytes: Buffer.from('%PDF-') },
+  { format: 'png', bytes: Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { format: 'jpeg', bytes: Buffer.from([0xFF, 0xD8, 0xFF]) },
+  { format: 'tiff', bytes: Buffer.from('II*\0', 'latin1') },
+  { format: 'tiff', bytes: Buffer.from('MM\0*', 'latin1') },
+  { format: 'rtf', bytes: Buffer.from('{\\rtf') }
+];
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+
+// OpenDocument and EPUB files name their type in an uncompressed "mimetype" entry
+const ZIP_MIME_TYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/epub+zip': 'epub'
+};
+
+/**
+ * Check whether a format can be processed with the current configuration
+ * @param {Object} format - Format from FORMATS
+ * @returns {boolean} - False for images when OCR is disabled
+ */
+function isEnabled(format) {
+  return !format.requiresOcr || OCR_ENABLED;
+}
+
+/**
+ * Find the format registered for a MIME type or file name
+ * @param {string} [mimeType] - Client-supplied MIME type
+ * @param {string} [filename] - Original file name
+ * @returns {Object|null} - Format, or null if neither is known
+ */
+function formatFromClaims(mimeType, filename) {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  const extension = path.extname(filename || '').toLowerCase();
+  const byType = FORMATS.find(format => format.mimeTypes.includes(type));
+  const byExtension = FORMATS.find(format => extension && format.extensions.includes(extension));
+  // Browsers send text/plain for Markdown and CSV files; prefer the more specific extension
+  return (type === 'text/plain' ? byExtension || byType : byType || byExtension) || null;
+}
+
+/**
+ * Identify the format of a ZIP-based document from its entries
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Promise<string|null>} - Format name
+ */
+async function zipFormat(fileBuffer) {
+  const zip = await openZip(fileBuffer);
+  const mimetypeEntry = zip.file('mimetype');
+  if (mimetypeEntry) {
+    const declared = (await mimetypeEntry.async('string')).trim();
+    return ZIP_MIME_TYPES[declared] || null;
+  }
+  if (zip.file('word/document.xml')) return 'docx';
+  if (zip.file('xl/workbook.xml')) return 'xlsx';
+  if (zip.file('ppt/presentation.xml')) return 'pptx';
+  return null;
+}
+
+/**
+ * Decide the format of a file from its content, using the client's MIME type and file
+ * name only to tell apart the text formats
+ * @param {Buffer} fileBuffer - File contents
+ * @param {string} [mimeType] - Client-supplied MIME type
+ * @param {string} [filename] - Original file name
+ * @returns {Promise<Object>} - Format from FORMATS
+ * @throws {UnsupportedFormatError} - If the content is not a supported format
+ */
+async function detectFormat(fileBuffer, mimeType, filename) {
+  const head = fileBuffer.subarray(0, 8192);
+  const claimed = formatFromClaims(mimeType, filename);
+
+  const signature = SIGNATURES.find(({ bytes }) => head.subarray(0, bytes.length).equals(bytes));
+  if (signature) {
+    const format = FORMATS_BY_NAME.get(signature.format);
+    if (!isEnabled(format)) {
+      throw new UnsupportedFormatError('OCR is disabled; image uploads cannot be processed');
+    }
+    return format;
+  }
+
+  if (head.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+    const name = await zipFormat(fileBuffer);
+    if (!name) throw new UnsupportedFormatError('ZIP archive is not a known document format');
+    return FORMATS_BY_NAME.get(name);
+  }
+
+  if (head.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE)) {
+    // Legacy Office files share one container format; only Word 97-2003 documents are supported
+    checkDoc(fileBuffer);
+    return FORMATS_BY_NAME.get('doc');
+  }
+
+  // Everything else must be text; UTF-16 files are recognised by their byte order mark
+  const utf16 = (head[0] === 0xFF && head[1] === 0xFE) || (head[0] === 0xFE && head[1] === 0xFF);
+  if (!utf16 && head.includes(0)) {
+    throw new UnsupportedFormatError(`Content does not match any supported format (sent as ${mimeType || 'unknown type'})`);
+  }
+
+  if (claimed && ['html', 'markdown', 'csv', 'plain-text'].includes(claimed.name)) {
+    // Web pages are often saved without an .html extension
+    if (claimed.name === 'plain-text' && looksLikeHtml(head)) return FORMATS_BY_NAME.get('html');
+    return claimed;
+  }
+  return FORMATS_BY_NAME.get(looksLikeHtml(head) ? 'html' : 'plain-text');
+}
+
+/**
+ * Check whether text starts like an HTML page
+ * @param {Buffer} head - First bytes of the file
+ * @returns {boolean} - Whether it starts with a doctype or <html> tag
+ */
+function looksLikeHtml(head) {
+  return /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype\s+html|html[\s>])/i.test(head.toString('utf-8').replace(/^﻿/, ''));
+}
+
+/**
+ * Check whether an upload claims a supported format. Used to reject obviously wrong uploads
+ * early; the content is checked again by detectFormat during ingestion.
+ * @param {string} mimeType - Client-supplied MIME type
+ * @param {string} filename - Original file name
+ * @returns {boolean} - Whether the MIME type or extension is supported
+ */
+function isSupportedUpload(mimeType, filename) {
+  const format = formatFromClaims(mimeType, filename);
+  return format !== null && isEnabled(format);
+}
+
+/**
+ * Extract blocks from a file in whatever format it turns out to be
+ * @param {Buffer} fileBuffer - File contents
+ * @param {string} [mimeType] - Client-supplied MIME type
+ * @param {string} [filename] - Original file name
+ * @returns {Promise<Object>} - Extraction result ({ blocks, extractionMethod, ... }) plus
+ *   the detected format name and canonical mimeType
+ */
+async function extractBlocks(fileBuffer, mimeType, filename) {
+  const format = await detectFormat(fileBuffer, mimeType, filename);
+  const result = await format.extract(fileBuffer);
+  return { ...result, format: format.name, mimeType: format.mimeTypes[0] };
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  isSupportedUpload,
+  extractBlocks
+};
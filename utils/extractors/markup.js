@@ -0,0 +1,189 @@
+// Lenient HTML/XML tokenizer and HTML-to-blocks conversion, shared by the HTML, EPUB,
+// Word and OpenDocument extractors
+const { decodeText } = require('./text');
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', deg: '°'
+};
+
+// Elements whose content is never document text
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'head', 'noscript', 'template', 'svg', 'nav']);
+
+// Elements that end the current paragraph
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'blockquote',
+  'pre', 'figure', 'figcaption', 'address', 'dd', 'dt', 'hr', 'body', 'caption'
+]);
+
+/**
+ * Decode character references and common named entities
+ * @param {string} text - Markup text
+ * @returns {string} - Plain text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Split markup into tags and text. Comments, doctypes and processing instructions are dropped.
+ * @param {string} markup - HTML or XML
+ * @returns {Array<Object>} - Tokens as { type: 'open'|'close'|'text', name, attrs, selfClosing, text }
+ */
+function tokenize(markup) {
+  const tokens = [];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[!?][^>]*>|<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)|</g;
+  let match;
+
+  while ((match = pattern.exec(markup))) {
+    const [whole, cdata, closing, name, rawAttrs, selfClosing, text] = match;
+    if (cdata !== undefined) {
+      tokens.push({ type: 'text', text: cdata });
+    } else if (text !== undefined) {
+      tokens.push({ type: 'text', text: decodeEntities(text) });
+    } else if (name) {
+      const attrs = {};
+      for (const [, key, , double, single, bare] of (rawAttrs || '').matchAll(/([^\s=/]+)\s*(=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+        attrs[key] = decodeEntities(double ?? single ?? bare ?? '');
+      }
+      tokens.push({ type: closing ? 'close' : 'open', name: name.toLowerCase(), attrs, selfClosing: Boolean(selfClosing) });
+    } else if (whole === '<') {
+      tokens.push({ type: 'text', text: '<' });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Turn HTML tokens into blocks: headings, paragraphs, list items (with nesting level) and tables
+ * @param {Array<Object>} tokens - Tokens from tokenize, using HTML element names
+ * @param {Object} [options] - Options
+ * @param {number|null} [options.page] - Page to tag every block with
+ * @returns {Array<Object>} - Blocks
+ */
+function blocksFromTokens(tokens, { page = null } = {}) {
+  const blocks = [];
+  let block = null;
+  let table = null;
+  let row = null;
+  let cell = null;
+  let listDepth = 0;
+  let skipDepth = 0;
+  let preformatted = 0;
+
+  const finishBlock = () => {
+    if (block && block.text.trim()) blocks.push(block);
+    block = null;
+  };
+
+  for (const token of tokens) {
+    if (skipDepth > 0) {
+      if (SKIPPED_ELEMENTS.has(token.name)) {
+        if (token.type === 'open' && !token.selfClosing) skipDepth++;
+        if (token.type === 'close') skipDepth--;
+      }
+      continue;
+    }
+
+    if (token.type === 'text') {
+      // Source line breaks are insignificant outside <pre>; <br> adds real ones
+      const text = preformatted ? token.text : token.text.replace(/\s+/g, ' ');
+      if (cell !== null) cell += text;
+      else if (block) block.text += text;
+      else if (text.trim()) block = { type: listDepth > 0 ? 'list-item' : 'paragraph', level: listDepth || null, text, page };
+      continue;
+    }
+
+    const { name } = token;
+    const heading = name.match(/^h([1-6])$/);
+
+    if (token.type === 'open') {
+      if (SKIPPED_ELEMENTS.has(name)) {
+        if (!token.selfClosing) skipDepth++;
+      } else if (name === 'br') {
+        if (cell !== null) cell += '\n';
+        else if (block) block.text += '\n';
+      } else if (table) {
+        if (name === 'tr') row = [];
+        else if (name === 'td' || name === 'th') cell = '';
+      } else if (name === 'table') {
+        finishBlock();
+        table = { type: 'table', rows: [], page };
+      } else if (name === 'ul' || name === 'ol') {
+        // A nested list ends the text of the item that contains it
+        finishBlock();
+        listDepth++;
+      } else if (name === 'li') {
+        finishBlock();
+        block = { type: 'list-item', level: listDepth || 1, text: '', page };
+      } else if (heading) {
+        finishBlock();
+        block = { type: 'heading', level: Number(heading[1]), text: '', page };
+      } else if (BLOCK_ELEMENTS.has(name) && !(listDepth > 0 && block && block.type === 'list-item')) {
+        finishBlock();
+        if (name === 'pre') preformatted++;
+        if (!token.selfClosing && name !== 'hr' && name !== 'body') {
+          block = { type: 'paragraph', text: '', page };
+        }
+      }
+    } else if (table) {
+      if (name === 'p' && cell !== null) cell += '\n';
+      else if ((name === 'td' || name === 'th') && row && cell !== null) {
+        // Paragraphs inside a cell are kept apart, but not from the next cell
+        row.push(cell.replace(/\n+$/, ''));
+        cell = null;
+      } else if (name === 'tr' && row) {
+        if (row.some(value => value.trim())) table.rows.push(row);
+        row = null;
+      } else if (name === 'table') {
+        if (table.rows.length > 0) blocks.push(table);
+        table = null;
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      finishBlock();
+      listDepth = Math.max(listDepth - 1, 0);
+    } else if (heading || name === 'li' || (BLOCK_ELEMENTS.has(name) && !(listDepth > 0 && block && block.type === 'list-item'))) {
+      finishBlock();
+      if (name === 'pre') preformatted = Math.max(preformatted - 1, 0);
+    }
+  }
+  finishBlock();
+  if (table && table.rows.length > 0) blocks.push(table);
+
+  return blocks;
+}
+
+/**
+ * Turn HTML into blocks
+ * @param {string} html - HTML (a full page or a fragment)
+ * @param {Object} [options] - Options for blocksFromTokens
+ * @returns {Array<Object>} - Blocks
+ */
+function htmlBlocks(html, options) {
+  return blocksFromTokens(tokenize(html), options);
+}
+
+/**
+ * Extract text from an HTML page
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Object} - Extraction result
+ */
+function extractFromHtml(fileBuffer) {
+  return { blocks: htmlBlocks(decodeText(fileBuffer)), extractionMethod: 'html' };
+}
+
+module.exports = {
+  decodeEntities,
+  tokenize,
+  blocksFromTokens,
+  htmlBlocks,
+  extractFromHtml
+};
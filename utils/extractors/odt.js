@@ -0,0 +1,63 @@
+// OpenDocument text (.odt): content.xml mapped onto the HTML block rules
+const { tokenize, blocksFromTokens } = require('./markup');
+const { openZip, readEntry } = require('./zip');
+
+// OpenDocument elements and the HTML element with the same role
+const ELEMENT_NAMES = {
+  'text:p': 'p',
+  'text:list': 'ul',
+  'text:list-item': 'li',
+  'text:list-header': 'li',
+  'text:line-break': 'br',
+  'table:table': 'table',
+  'table:table-row': 'tr',
+  'table:table-cell': 'td',
+  'table:covered-table-cell': 'td',
+  // Content that is not part of the running text
+  'office:automatic-styles': 'script',
+  'office:font-face-decls': 'script',
+  'office:scripts': 'script',
+  'text:tracked-changes': 'script',
+  'text:sequence-decls': 'script'
+};
+
+/**
+ * Rename OpenDocument tokens to their HTML equivalents
+ * @param {Array<Object>} tokens - Tokens of content.xml
+ * @returns {Array<Object>} - HTML tokens
+ */
+function toHtmlTokens(tokens) {
+  const result = [];
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      result.push(token);
+    } else if (token.name === 'text:s' && token.type === 'open') {
+      // Runs of spaces are stored as <text:s text:c="n"/>
+      result.push({ type: 'text', text: ' '.repeat(parseInt(token.attrs['text:c']) || 1) });
+    } else if (token.name === 'text:tab' && token.type === 'open') {
+      result.push({ type: 'text', text: '\t' });
+    } else if (token.name === 'text:h') {
+      const level = Math.min(Math.max(parseInt(token.attrs['text:outline-level']) || 1, 1), 6);
+      result.push({ ...token, name: `h${level}` });
+    } else if (ELEMENT_NAMES[token.name]) {
+      result.push({ ...token, name: ELEMENT_NAMES[token.name] });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extract text from an OpenDocument text file
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractFromOdt(fileBuffer) {
+  const zip = await openZip(fileBuffer);
+  const content = await readEntry(zip, 'content.xml');
+  return { blocks: blocksFromTokens(toHtmlTokens(tokenize(content))), extractionMethod: 'odt' };
+}
+
+module.exports = {
+  extractFromOdt
+};
@@ -0,0 +1,145 @@
+// PDF extraction: the text layer page by page, with OCR for scanned PDFs
+const pdfParse = require('pdf-parse');
+const { ocrPdf } = require('../ocr');
+const { isListItem } = require('../structure');
+const { OCR_ENABLED, ocrResult } = require('./image');
+
+// PDFs with fewer non-whitespace characters per page than this are treated as scanned
+const OCR_MIN_CHARS_PER_PAGE = parseInt(process.env.OCR_MIN_CHARS_PER_PAGE) || 100;
+
+// PDF lines set this much larger than the body text are headings
+const HEADING_SIZE_RATIO = 1.2;
+
+/**
+ * Group the text items of a PDF page into lines
+ * @param {Array<Object>} items - pdf.js text items ({ str, transform, width, height })
+ * @returns {Array<Object>} - Lines as { text, y, size }
+ */
+function groupPdfLines(items) {
+  const lines = [];
+  let line = null;
+  let lastEnd = null;
+
+  for (const item of items) {
+    const [, , , scaleY, x, y] = item.transform;
+    const size = Math.abs(scaleY) || item.height || 0;
+
+    if (!line || Math.abs(y - line.y) > Math.max(size, line.size, 1) / 2) {
+      line = { text: '', y, size };
+      lines.push(line);
+    } else if (lastEnd !== null && x - lastEnd > size * 0.2 && !/\s$/.test(line.text) && !/^\s/.test(item.str)) {
+      // pdf.js leaves out the space between separately positioned words
+      line.text += ' ';
+    }
+
+    line.text += item.str;
+    line.size = Math.max(line.size, item.str.trim() ? size : 0);
+    lastEnd = x + (item.width || 0);
+  }
+
+  return lines
+    .map(l => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() }))
+    .filter(l => l.text.length > 0);
+}
+
+/**
+ * Turn the lines of every PDF page into blocks. Headings are lines set noticeably
+ * larger than the body text; paragraphs are separated by larger vertical gaps.
+ * @param {Array<Array<Object>>} pageLines - Lines of each page
+ * @returns {Array<Object>} - Blocks
+ */
+function pdfBlocks(pageLines) {
+  // Body text size: the size covering the most characters
+  const charsBySize = new Map();
+  for (const line of pageLines.flat()) {
+    const size = Math.round(line.size * 2) / 2;
+    charsBySize.set(size, (charsBySize.get(size) || 0) + line.text.length);
+  }
+  const bodySize = [...charsBySize.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+  const isHeading = line => bodySize > 0 && line.size >= bodySize * HEADING_SIZE_RATIO && line.text.length <= 120;
+  // Larger heading sizes get lower (more important) levels
+  const headingSizes = [...new Set(pageLines.flat().filter(isHeading).map(line => Math.round(line.size * 2) / 2))]
+    .sort((a, b) => b - a);
+
+  const blocks = [];
+  pageLines.forEach((lines, pageIndex) => {
+    const page = pageIndex + 1;
+    let block = null;
+    let previous = null;
+
+    for (const line of lines) {
+      const gap = previous ? previous.y - line.y : 0;
+      const paragraphBreak = !previous || gap > Math.max(previous.size, line.size) * 1.6 || gap < 0;
+
+      if (isHeading(line)) {
+        const level = Math.min(headingSizes.indexOf(Math.round(line.size * 2) / 2) + 1, 6);
+        // Headings wrapped over two lines continue the previous heading line
+        if (block && block.type === 'heading' && block.level === level && !paragraphBreak) {
+          block.text += ` ${line.text}`;
+        } else {
+          block = { type: 'heading', level, text: line.text, page };
+          blocks.push(block);
+        }
+      } else if (isListItem(line.text)) {
+        block = { type: 'list-item', text: line.text, page };
+        blocks.push(block);
+      } else if (block && block.type !== 'heading' && !paragraphBreak) {
+        // Join wrapped lines, undoing hyphenation at the line end
+        block.text = /[a-z]-$/.test(block.text) && /^[a-z]/.test(line.text)
+          ? block.text.slice(0, -1) + line.text
+          : `${block.text} ${line.text}`;
+      } else {
+        block = { type: 'paragraph', text: line.text, page };
+        blocks.push(block);
+      }
+      previous = line;
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Extract text from PDF files page by page, falling back to OCR when the text layer is too sparse
+ * @param {Buffer} fileBuffer - File buffer
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractFromPDF(fileBuffer) {
+  const pageLines = [];
+  let data;
+  try {
+    // Copy into a standalone array: small files are read into Node's shared buffer
+    // pool, and the pdf.js bundled with pdf-parse ignores the buffer's byte offset
+    data = await pdfParse(new Uint8Array(fileBuffer), {
+      // pdf-parse renders pages in order; keep each page's lines for the structure
+      pagerender: async pageData => {
+        const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        const lines = groupPdfLines(textContent.items);
+        pageLines.push(lines);
+        return lines.map(line => line.text).join('\n');
+      }
+    });
+  } catch (error) {
+    throw new Error(`PDF extraction failed: ${error.message}`);
+  }
+
+  const textLayer = { blocks: pdfBlocks(pageLines), extractionMethod: 'pdf-text' };
+  const textLayerLength = data.text.replace(/\s/g, '').length;
+  const charsPerPage = textLayerLength / Math.max(data.numpages, 1);
+  if (!OCR_ENABLED || charsPerPage >= OCR_MIN_CHARS_PER_PAGE) {
+    return textLayer;
+  }
+
+  console.log(`PDF has ${Math.round(charsPerPage)} characters per page; running OCR`);
+  const ocr = await ocrPdf(fileBuffer);
+
+  // Keep the text layer if OCR did not find more (e.g. a short but genuine text PDF)
+  return ocr.text.replace(/\s/g, '').length > textLayerLength
+    ? ocrResult(ocr)
+    : textLayer;
+}
+
+module.exports = {
+  extractFromPDF
+};
@@ -0,0 +1,150 @@
+// PowerPoint presentations (.pptx): each slide counts as a page
+const { tokenize } = require('./markup');
+const { openZip, readEntry, resolveEntryPath } = require('./zip');
+
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle']);
+
+/**
+ * List the slide parts in presentation order
+ * @param {Object} zip - JSZip instance
+ * @returns {Promise<Array<string>>} - Archive paths of the slides
+ */
+async function slidePaths(zip) {
+  const presentation = await readEntry(zip, 'ppt/presentation.xml', { required: false });
+  const relationships = await readEntry(zip, 'ppt/_rels/presentation.xml.rels', { required: false });
+
+  if (presentation && relationships) {
+    const targets = new Map(tokenize(relationships)
+      .filter(token => token.name === 'relationship' && token.type === 'open')
+      .map(token => [token.attrs.Id, token.attrs.Target]));
+    const ordered = tokenize(presentation)
+      .filter(token => token.name === 'p:sldid' && token.type === 'open')
+      .map(token => targets.get(token.attrs['r:id']))
+      .filter(Boolean)
+      .map(target => resolveEntryPath('ppt/presentation.xml', target));
+    if (ordered.length > 0) return ordered;
+  }
+
+  // No presentation part: fall back to the slide file numbers
+  const slideNumber = name => parseInt(name.match(/slide(\d+)\.xml$/)[1]);
+  return Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+}
+
+/**
+ * Turn one slide into blocks: the title placeholder becomes a heading, body placeholders
+ * become list items (PowerPoint bullets) and other text boxes become paragraphs
+ * @param {string} xml - Slide XML
+ * @param {number} page - Slide number
+ * @returns {Array<Object>} - Blocks
+ */
+function slideBlocks(xml, page) {
+  const blocks = [];
+  let shape = null;
+  let paragraph = null;
+  let inText = false;
+  let table = null;
+  let row = null;
+  let cell = null;
+
+  for (const token of tokenize(xml)) {
+    if (token.type === 'text') {
+      if (inText && paragraph) paragraph.text += token.text;
+      continue;
+    }
+
+    const opening = token.type === 'open';
+    switch (token.name) {
+      case 'p:sp':
+        if (opening && !token.selfClosing) {
+          shape = { placeholder: null, paragraphs: [] };
+        } else if (!opening && shape) {
+          const texts = shape.paragraphs.filter(p => p.text.trim());
+          if (TITLE_PLACEHOLDERS.has(shape.placeholder)) {
+            const text = texts.map(p => p.text.trim()).join(' ');
+            if (text) blocks.push({ type: 'heading', level: 1, text, page });
+          } else {
+            for (const p of texts) {
+              blocks.push(shape.placeholder
+                ? { type: 'list-item', level: p.level + 1, text: p.text, page }
+                : { type: 'paragraph', text: p.text, page });
+            }
+          }
+          shape = null;
+        }
+        break;
+      case 'p:ph':
+        // A placeholder without a type is the slide body
+        if (opening && shape) shape.placeholder = token.attrs.type || 'body';
+        break;
+      case 'a:tbl':
+        if (opening) table = { type: 'table', rows: [], page };
+        else if (table) {
+          if (table.rows.length > 0) blocks.push(table);
+          table = null;
+        }
+        break;
+      case 'a:tr':
+        if (opening && table) row = [];
+        else if (row) {
+          if (row.some(value => value.trim())) table.rows.push(row);
+          row = null;
+        }
+        break;
+      case 'a:tc':
+        if (!row) break;
+        if (opening && token.selfClosing) row.push('');
+        else if (opening) cell = '';
+        else if (cell !== null) {
+          row.push(cell);
+          cell = null;
+        }
+        break;
+      case 'a:p':
+        if (opening && !token.selfClosing) {
+          paragraph = { text: '', level: 0 };
+        } else if (!opening && paragraph) {
+          if (cell !== null) cell += (cell ? '\n' : '') + paragraph.text;
+          else if (shape) shape.paragraphs.push(paragraph);
+          paragraph = null;
+        }
+        break;
+      case 'a:ppr':
+        if (opening && paragraph) paragraph.level = parseInt(token.attrs.lvl) || 0;
+        break;
+      case 'a:t':
+        inText = opening && !token.selfClosing;
+        break;
+      case 'a:br':
+        if (opening && paragraph) paragraph.text += '\n';
+        break;
+      default:
+        break;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Extract text from a PowerPoint presentation
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractFromPptx(fileBuffer) {
+  const zip = await openZip(fileBuffer);
+  const blocks = [];
+
+  const paths = await slidePaths(zip);
+  for (const [index, slidePath] of paths.entries()) {
+    const xml = await readEntry(zip, slidePath, { required: false });
+    if (xml) blocks.push(...slideBlocks(xml, index + 1));
+  }
+
+  return { blocks, extractionMethod: 'pptx' };
+}
+
+module.exports = {
+  extractFromPptx
+};
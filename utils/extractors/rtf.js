@@ -0,0 +1,133 @@
+// Rich Text Format: a small reader for the text, paragraphs and tables of RTF files
+const { blocksFromPlainText } = require('../structure');
+
+// Destination groups that hold no document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'headerf', 'footerl', 'footerr', 'footerf', 'listtable',
+  'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'pgdsctbl', 'revtbl', 'fldinst', 'bkmkstart', 'bkmkend'
+]);
+
+// Windows-1252 characters that differ from Latin-1 (0x80-0x9F)
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›',
+  0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+/**
+ * Extract text from an RTF file
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Object} - Extraction result
+ */
+function extractFromRtf(fileBuffer) {
+  const rtf = fileBuffer.toString('latin1');
+  const blocks = [];
+  let paragraph = '';
+  let row = null;
+  let table = null;
+
+  // Group state: whether text is skipped and how many fallback characters follow \uN
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+
+  const flushParagraph = () => {
+    if (table && row === null) {
+      // A normal paragraph after the last row ends the table
+      blocks.push(table);
+      table = null;
+    }
+    if (paragraph.trim()) blocks.push(...blocksFromPlainText(paragraph));
+    paragraph = '';
+  };
+  const emit = text => {
+    if (skip) return;
+    if (pendingSkip > 0) {
+      // Drop the ANSI fallback that follows a \uN character
+      const dropped = Math.min(pendingSkip, text.length);
+      pendingSkip -= dropped;
+      text = text.slice(dropped);
+    }
+    if (row !== null) row[row.length - 1] += text;
+    else paragraph += text;
+  };
+
+  const pattern = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/g;
+  let match;
+  let groupStart = false;
+
+  while ((match = pattern.exec(rtf))) {
+    const [, word, param, hex, symbol, brace, text] = match;
+    const atGroupStart = groupStart;
+    groupStart = false;
+
+    if (brace === '{') {
+      stack.push({ skip, unicodeSkip });
+      groupStart = true;
+    } else if (brace === '}') {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+    } else if (symbol !== undefined) {
+      if (symbol === '*' && atGroupStart) skip = true; // {\* ...} optional destination
+      else if (symbol === '~') emit(' ');
+      else if (symbol === '_' || symbol === '-') emit(symbol === '_' ? '-' : '');
+      else if (symbol === '\\' || symbol === '{' || symbol === '}') emit(symbol);
+      else if (symbol === '\n' || symbol === '\r') emit('\n');
+      groupStart = atGroupStart && symbol === '*';
+    } else if (hex !== undefined) {
+      const code = parseInt(hex, 16);
+      emit(CP1252[code] || String.fromCharCode(code));
+    } else if (word !== undefined) {
+      if (atGroupStart && SKIPPED_DESTINATIONS.has(word)) {
+        skip = true;
+      } else if (word === 'par' || word === 'sect' || word === 'page') {
+        if (!skip && row === null) flushParagraph();
+        else if (!skip) emit('\n');
+      } else if (word === 'line') {
+        emit('\n');
+      } else if (word === 'tab') {
+        emit('\t');
+      } else if (word === 'u') {
+        const code = Number(param);
+        emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+        pendingSkip = unicodeSkip;
+      } else if (word === 'uc') {
+        unicodeSkip = Number(param) || 0;
+      } else if (word === 'trowd' && !skip) {
+        // Row definition: starts a table row
+        if (row === null) {
+          if (paragraph.trim() && !table) flushParagraph();
+          row = [paragraph];
+          paragraph = '';
+          if (!table) table = { type: 'table', rows: [] };
+        }
+      } else if (word === 'cell' && !skip && row !== null) {
+        row.push('');
+      } else if (word === 'row' && !skip && row !== null) {
+        // The cell after the last \cell is empty
+        if (row.length > 1 && !row[row.length - 1].trim()) row.pop();
+        table.rows.push(row.map(cell => cell.trim()));
+        row = null;
+      } else if (word === 'emdash') emit('—');
+      else if (word === 'endash') emit('–');
+      else if (word === 'bullet') emit('•');
+      else if (word === 'lquote') emit('‘');
+      else if (word === 'rquote') emit('’');
+      else if (word === 'ldblquote') emit('“');
+      else if (word === 'rdblquote') emit('”');
+    } else if (text !== undefined) {
+      emit(text);
+    }
+  }
+  flushParagraph();
+  if (table) blocks.push(table);
+
+  return { blocks, extractionMethod: 'rtf' };
+}
+
+module.exports = {
+  extractFromRtf
+};
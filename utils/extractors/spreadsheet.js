@@ -0,0 +1,220 @@
+// Spreadsheets: CSV/TSV files and Excel workbooks (.xlsx), one table per sheet
+const { tokenize } = require('./markup');
+const { decodeText } = require('./text');
+const { openZip, readEntry, resolveEntryPath } = require('./zip');
+
+// Rows kept per sheet; larger sheets are truncated with a warning
+const SPREADSHEET_MAX_ROWS = parseInt(process.env.SPREADSHEET_MAX_ROWS) || 5000;
+
+/**
+ * Pick the delimiter of a delimited text file from its first line
+ * @param {string} text - File contents
+ * @returns {string} - Delimiter
+ */
+function sniffDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse delimited text (RFC 4180: quoted fields may contain delimiters, quotes and line breaks)
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} - Rows
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Cap the number of rows in a sheet
+ * @param {Array<Array<string>>} rows - Rows
+ * @param {string} name - Sheet name, for the warning
+ * @returns {Array<Array<string>>} - At most SPREADSHEET_MAX_ROWS rows
+ */
+function limitRows(rows, name) {
+  if (rows.length <= SPREADSHEET_MAX_ROWS) return rows;
+  console.warn(`Sheet "${name}" truncated to the first ${SPREADSHEET_MAX_ROWS} of ${rows.length} rows`);
+  return rows.slice(0, SPREADSHEET_MAX_ROWS);
+}
+
+/**
+ * Extract a CSV or TSV file as a single table
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Object} - Extraction result
+ */
+function extractFromCsv(fileBuffer) {
+  const text = decodeText(fileBuffer);
+  const rows = limitRows(parseDelimited(text, sniffDelimiter(text)), 'csv');
+  return { blocks: rows.length > 0 ? [{ type: 'table', rows }] : [], extractionMethod: 'csv' };
+}
+
+/**
+ * Convert a column reference (A, B, ..., AA) to a zero-based index
+ * @param {string} reference - Cell reference such as "C7"
+ * @returns {number} - Column index
+ */
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+$/, '').toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Collect the text inside an element, from its opening token to the matching closing token
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} start - Index of the opening token
+ * @param {string} textElement - Name of the elements whose text counts (e.g. 't')
+ * @returns {Object} - { text, end } where end is the index of the closing token
+ */
+function elementText(tokens, start, textElement) {
+  const name = tokens[start].name;
+  let depth = 0;
+  let inText = 0;
+  let text = '';
+  for (let i = start; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'text') {
+      if (inText > 0) text += token.text;
+    } else if (token.name === name) {
+      if (token.type === 'open' && !token.selfClosing) depth++;
+      if (token.type === 'close' && --depth === 0) return { text, end: i };
+      if (token.selfClosing && i === start) return { text, end: i };
+    } else if (token.name === textElement && !token.selfClosing) {
+      inText += token.type === 'open' ? 1 : -1;
+    }
+  }
+  return { text, end: tokens.length };
+}
+
+/**
+ * Read the rows of a worksheet
+ * @param {string} xml - Worksheet XML
+ * @param {Array<string>} sharedStrings - Workbook shared strings
+ * @returns {Array<Array<string>>} - Rows
+ */
+function worksheetRows(xml, sharedStrings) {
+  const tokens = tokenize(xml);
+  const rows = [];
+  let row = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.name === 'row') {
+      if (token.type === 'open') {
+        row = [];
+        if (token.selfClosing) row = null;
+      } else if (row) {
+        if (row.some(cell => cell && cell.trim())) rows.push(Array.from(row, cell => cell || ''));
+        row = null;
+      }
+    } else if (token.name === 'c' && token.type === 'open' && row) {
+      const { r: reference, t: type } = token.attrs;
+      const column = reference ? columnIndex(reference) : row.length;
+      let value = '';
+      if (!token.selfClosing) {
+        const valueText = type === 'inlineStr' ? elementText(tokens, i, 't') : elementText(tokens, i, 'v');
+        i = valueText.end;
+        value = valueText.text;
+        if (type === 's') value = sharedStrings[parseInt(value)] ?? '';
+        else if (type === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+      }
+      row[column] = value;
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Extract an Excel workbook: a heading and a table for each sheet
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractFromXlsx(fileBuffer) {
+  const zip = await openZip(fileBuffer);
+
+  // Shared strings: one <si> per string, possibly split into rich text runs
+  const sharedStrings = [];
+  const sharedXml = await readEntry(zip, 'xl/sharedStrings.xml', { required: false });
+  if (sharedXml) {
+    const tokens = tokenize(sharedXml);
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].name === 'si' && tokens[i].type === 'open') {
+        const { text, end } = elementText(tokens, i, 't');
+        sharedStrings.push(text);
+        i = end;
+      }
+    }
+  }
+
+  // Sheets in workbook order, resolved to their parts through the workbook relationships
+  const workbook = tokenize(await readEntry(zip, 'xl/workbook.xml'));
+  const relationships = tokenize(await readEntry(zip, 'xl/_rels/workbook.xml.rels', { required: false }) || '');
+  const targets = new Map(relationships
+    .filter(token => token.name === 'relationship' && token.type === 'open')
+    .map(token => [token.attrs.Id, token.attrs.Target]));
+
+  const blocks = [];
+  const sheets = workbook.filter(token => token.name === 'sheet' && token.type === 'open');
+  for (const [index, sheet] of sheets.entries()) {
+    const target = targets.get(sheet.attrs['r:id']) || `worksheets/sheet${index + 1}.xml`;
+    const xml = await readEntry(zip, resolveEntryPath('xl/workbook.xml', target), { required: false });
+    if (!xml) continue;
+
+    const name = sheet.attrs.name || `Sheet ${index + 1}`;
+    const rows = limitRows(worksheetRows(xml, sharedStrings), name);
+    if (rows.length === 0) continue;
+    blocks.push({ type: 'heading', level: 2, text: name });
+    blocks.push({ type: 'table', rows });
+  }
+
+  return { blocks, extractionMethod: 'xlsx' };
+}
+
+module.exports = {
+  elementText,
+  extractFromCsv,
+  extractFromXlsx
+};
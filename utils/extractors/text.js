@@ -0,0 +1,115 @@
+// Plain text and Markdown
+const { blocksFromPlainText } = require('../structure');
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+/**
+ * Decode a text file, honouring a UTF-8 or UTF-16 byte order mark
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {string} - Text
+ */
+function decodeText(fileBuffer) {
+  if (fileBuffer[0] === 0xFF && fileBuffer[1] === 0xFE) {
+    return fileBuffer.toString('utf16le', 2);
+  }
+  if (fileBuffer[0] === 0xFE && fileBuffer[1] === 0xFF) {
+    // Node has no UTF-16BE decoder; swap to little endian
+    const swapped = Buffer.from(fileBuffer.subarray(2));
+    return swapped.swap16().toString('utf16le');
+  }
+  return fileBuffer.toString('utf-8').replace(/^﻿/, '');
+}
+
+/**
+ * Extract text from a plain text file
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Object} - Extraction result
+ */
+function extractFromPlainText(fileBuffer) {
+  return { blocks: blocksFromPlainText(decodeText(fileBuffer)), extractionMethod: 'plain-text' };
+}
+
+/**
+ * Remove inline Markdown formatting
+ * @param {string} text - Markdown text
+ * @returns {string} - Plain text
+ */
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images: keep the alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links: keep the link text
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?=[^\w*]|$)/g, '$1$2')
+    .replace(/(^|[^\w])_(?!\s)(.+?)_(?=[^\w]|$)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1');
+}
+
+/**
+ * Split a Markdown table row into cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} - Cells
+ */
+function tableCells(line) {
+  return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => stripInlineMarkdown(cell.trim()));
+}
+
+/**
+ * Extract text from a Markdown file. Fenced code and tables become their own blocks;
+ * everything else goes through the plain text rules (# headings, list items, paragraphs).
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Object} - Extraction result
+ */
+function extractFromMarkdown(fileBuffer) {
+  const lines = decodeText(fileBuffer).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let prose = [];
+
+  const flushProse = () => {
+    const text = prose
+      .map(line => stripInlineMarkdown(line.replace(/^\s{0,3}>\s?/, ''))) // Drop blockquote markers
+      .join('\n')
+      // Setext headings (a line underlined with === or ---)
+      .replace(/^(.+)\n=+\s*$/gm, '# $1')
+      .replace(/^(.+)\n-+\s*$/gm, '## $1')
+      // Horizontal rules
+      .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '');
+    blocks.push(...blocksFromPlainText(text));
+    prose = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^\s*(```|~~~)/.test(line)) {
+      flushProse();
+      const fence = line.trim().slice(0, 3);
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence); i++) {
+        code.push(lines[i]);
+      }
+      if (code.join('').trim()) {
+        blocks.push({ type: 'paragraph', text: code.join('\n') });
+      }
+    } else if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1])) {
+      flushProse();
+      const rows = [tableCells(line)];
+      for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+        rows.push(tableCells(lines[i]));
+      }
+      i--;
+      blocks.push({ type: 'table', rows });
+    } else {
+      prose.push(line);
+    }
+  }
+  flushProse();
+
+  return { blocks, extractionMethod: 'markdown' };
+}
+
+module.exports = {
+  decodeText,
+  extractFromPlainText,
+  extractFromMarkdown
+};
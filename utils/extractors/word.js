@@ -0,0 +1,25 @@
+// Word documents, converted to HTML by mammoth and read from there
+const mammoth = require('mammoth');
+const { htmlBlocks } = require('./markup');
+const { openZip } = require('./zip');
+
+/**
+ * Extract structured text from Word documents
+ * @param {Buffer} fileBuffer - File buffer
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractFromWord(fileBuffer) {
+  // mammoth unpacks the whole document, so check its size limits first
+  await openZip(fileBuffer);
+
+  try {
+    const result = await mammoth.convertToHtml({ buffer: fileBuffer });
+    return { blocks: htmlBlocks(result.value), extractionMethod: 'word' };
+  } catch (error) {
+    throw new Error(`Word document extraction failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  extractFromWord
+};
@@ -0,0 +1,60 @@
+// Helpers for the ZIP-based formats (DOCX, OpenDocument, EPUB, XLSX, PPTX)
+const { UnsupportedFormatError } = require('../errors');
+const { openZipDocument } = require('../archive');
+
+/**
+ * Open a ZIP archive, checking the zip-bomb limits first (see openZipDocument), so its
+ * entries can be read whole
+ * @param {Buffer} fileBuffer - Archive contents
+ * @returns {Promise<Object>} - JSZip instance
+ * @throws {HttpError} - 413 if it unpacks to more than the limits, 415 if it is not a ZIP archive
+ */
+async function openZip(fileBuffer) {
+  return openZipDocument(fileBuffer);
+}
+
+/**
+ * Read a text entry from an archive
+ * @param {Object} zip - JSZip instance
+ * @param {string} name - Entry path
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.required] - Throw if the entry is missing (otherwise return null)
+ * @returns {Promise<string|null>} - Entry contents
+ */
+async function readEntry(zip, name, { required = true } = {}) {
+  const entry = zip.file(name);
+  if (!entry) {
+    if (!required) return null;
+    throw new UnsupportedFormatError(`Archive is missing ${name}`);
+  }
+  return entry.async('string');
+}
+
+/**
+ * Resolve a path relative to the directory of another archive entry
+ * @param {string} base - Path of the entry the reference appears in
+ * @param {string} target - Relative (or archive-absolute) path
+ * @returns {string} - Archive path
+ * @throws {UnsupportedFormatError} - If the path has a malformed percent escape
+ */
+function resolveEntryPath(base, target) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(target.split('#')[0]);
+  } catch (error) {
+    throw new UnsupportedFormatError(`Archive refers to a malformed path: ${target}`);
+  }
+
+  const parts = target.startsWith('/') ? [] : base.split('/').slice(0, -1);
+  for (const part of decoded.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  }
+  return parts.join('/');
+}
+
+module.exports = {
+  openZip,
+  readEntry,
+  resolveEntryPath
+};
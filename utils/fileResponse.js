@@ -0,0 +1,63 @@
+// Sending a document's stored file, with its original name and type and support for
+// Range requests (viewers fetch large PDFs a few pages at a time)
+const path = require('path');
+const { HttpError, sendError } = require('./errors');
+
+// Types browsers can display without running scripts from our origin; everything else
+// (HTML pages fetched by URL, Office files, ...) is always sent as an attachment
+const INLINE_TYPES = new Set(['application/pdf', 'text/plain', 'image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+/**
+ * Build a Content-Disposition header carrying the original file name. Non-ASCII names
+ * are sent in filename* (RFC 5987) with an ASCII fallback for old clients.
+ * @param {string} filename - Original file name
+ * @param {boolean} download - Attachment (save) instead of inline (display)
+ * @returns {string} - Header value
+ */
+function contentDisposition(filename, download) {
+  const name = path.basename(filename || 'document');
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${download ? 'attachment' : 'inline'}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Stream a document's file. Single byte ranges get 206 with Content-Range, unsatisfiable
+ * ones 416; conditional requests are answered with ETag and Last-Modified.
+ * @param {Object} req - Express request; ?download=true asks for an attachment
+ * @param {Object} res - Express response
+ * @param {Object} document - Document record
+ */
+function sendDocumentFile(req, res, document) {
+  const type = document.mimeType || 'application/octet-stream';
+  const download = req.query.download === 'true' || req.query.download === '1' || !INLINE_TYPES.has(type);
+
+  res.sendFile(path.resolve(document.filePath), {
+    headers: {
+      'Content-Type': type,
+      'Content-Disposition': contentDisposition(document.originalName, download),
+      'Cache-Control': 'private, no-cache',
+      'X-Content-Type-Options': 'nosniff'
+    }
+  }, error => {
+    if (!error || res.headersSent) return;
+
+    if (error.code === 'ENOENT' || error.status === 404) {
+      return sendError(res, new HttpError(404, 'File not found', 'The file of this document is no longer stored'));
+    }
+    if (error.status === 416) {
+      return sendError(res, new HttpError(416, 'Range not satisfiable', `The file is ${document.fileSize} bytes long`));
+    }
+    // Failed preconditions (If-Match, If-Unmodified-Since)
+    if (error.status && error.status < 500) {
+      return res.sendStatus(error.status);
+    }
+    console.error('File download error:', error);
+    sendError(res, error, 'Failed to send file');
+  });
+}
+
+module.exports = {
+  contentDisposition,
+  sendDocumentFile
+};
@@ -0,0 +1,128 @@
+// Local OCR for scanned PDFs and images. Uses Tesseract (tesseract.js) with the English
+// model bundled in @tesseract.js-data/eng, so no network access is needed.
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+
+const OCR_LANG_PATH = path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int');
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 50;
+// Render scale for PDF pages; 2 (144 DPI) is a good trade-off between accuracy and memory
+const OCR_RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE) || 2;
+
+/**
+ * Create a Tesseract worker that reads the bundled model and caches nothing on disk
+ * @returns {Promise<Object>} - Tesseract worker
+ */
+function createOcrWorker() {
+  return createWorker('eng', undefined, {
+    langPath: OCR_LANG_PATH,
+    gzip: true,
+    cacheMethod: 'none'
+  });
+}
+
+/**
+ * Run OCR over a list of page images
+ * @param {AsyncIterable<Buffer>|Array<Buffer>} images - Page images (PNG, JPEG, TIFF, ...)
+ * @returns {Promise<Object>} - { text, pageTexts, pages: [{ page, confidence, textLength }], confidence }
+ */
+async function recognizePages(images) {
+  const worker = await createOcrWorker();
+  const texts = [];
+  const pages = [];
+
+  try {
+    for await (const image of images) {
+      const { data } = await worker.recognize(image);
+      const text = (data.text || '').trim();
+      texts.push(text);
+      pages.push({
+        page: pages.length + 1,
+        confidence: Math.round(data.confidence) / 100, // Tesseract reports 0-100
+        textLength: text.length
+      });
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  // Average weighted by text length, so blank pages do not drag the score down
+  const totalLength = pages.reduce((sum, page) => sum + page.textLength, 0);
+  const confidence = totalLength > 0
+    ? pages.reduce((sum, page) => sum + page.confidence * page.textLength, 0) / totalLength
+    : 0;
+
+  return {
+    text: texts.join('\n\n'),
+    pageTexts: texts,
+    pages,
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
+
+/**
+ * Render PDF pages to PNG images, one at a time
+ * @param {Buffer} fileBuffer - PDF file
+ * @param {Object} [options] - Render options
+ * @param {number} [options.maxPages] - Pages to render at most
+ * @param {number} [options.scale] - Render scale (1 = 72 DPI)
+ * @returns {AsyncGenerator<Buffer>} - PNG image per page
+ */
+async function* renderPdfPages(fileBuffer, { maxPages = OCR_MAX_PAGES, scale = OCR_RENDER_SCALE } = {}) {
+  // pdfjs-dist is an ES module; its Node build renders with @napi-rs/canvas
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(fileBuffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pageCount = Math.min(pdf.numPages, maxPages);
+    if (pdf.numPages > maxPages) {
+      console.warn(`OCR limited to the first ${maxPages} of ${pdf.numPages} pages`);
+    }
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const canvasAndContext = pdf.canvasFactory.create(viewport.width, viewport.height);
+
+      await page.render({
+        canvasContext: canvasAndContext.context,
+        canvas: canvasAndContext.canvas,
+        viewport
+      }).promise;
+
+      const image = canvasAndContext.canvas.toBuffer('image/png');
+      pdf.canvasFactory.destroy(canvasAndContext);
+      page.cleanup();
+      yield image;
+    }
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * OCR a scanned PDF
+ * @param {Buffer} fileBuffer - PDF file
+ * @returns {Promise<Object>} - Result of recognizePages
+ */
+async function ocrPdf(fileBuffer) {
+  return recognizePages(renderPdfPages(fileBuffer));
+}
+
+/**
+ * OCR an image file
+ * @param {Buffer} fileBuffer - Image file
+ * @returns {Promise<Object>} - Result of recognizePages
+ */
+async function ocrImage(fileBuffer) {
+  return recognizePages([fileBuffer]);
+}
+
+module.exports = {
+  ocrPdf,
+  ocrImage
+};
@@ -0,0 +1,156 @@
+// Structured document representation: extractors produce typed blocks (headings,
+// paragraphs, list items, tables) tagged with their page, and buildDocumentText lays
+// them out as the document's extractedText, recording where each block and page sits.
+
+// Bullets and numbering that start a list item
+const LIST_ITEM_PATTERN = /^(?:[•◦▪‣●○■□–\-*]|\(?(?:\d{1,3}|[a-zA-Z]|[ivxIVX]{1,4})[.)])\s+/;
+
+/**
+ * Normalize whitespace within a piece of text, keeping line breaks
+ * @param {string} text - Raw text
+ * @returns {string} - Cleaned text
+ */
+function cleanText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n') // Normalize line endings
+    .replace(/[^\S\n]+/g, ' ') // Collapse spaces and tabs, but not newlines
+    .replace(/ ?\n ?/g, '\n') // Trim spaces around line breaks
+    .replace(/\n{3,}/g, '\n\n') // At most one blank line between paragraphs
+    .trim();
+}
+
+/**
+ * Whether a line starts like a list item
+ * @param {string} line - Line of text
+ * @returns {boolean}
+ */
+function isListItem(line) {
+  return LIST_ITEM_PATTERN.test(line);
+}
+
+/**
+ * Split plain text into blocks: blank lines separate paragraphs, Markdown-style
+ * "#" lines are headings and bulleted or numbered lines are list items
+ * @param {string} text - Plain text
+ * @param {number|null} [page] - Page the text is on
+ * @returns {Array<Object>} - Blocks ({ type, text, level, page })
+ */
+function blocksFromPlainText(text, page = null) {
+  const blocks = [];
+
+  for (const paragraph of cleanText(text).split(/\n\n+/)) {
+    let lines = [];
+    let inListItem = false;
+    const flush = () => {
+      if (lines.length > 0) {
+        blocks.push({ type: 'paragraph', text: lines.join('\n'), page });
+        lines = [];
+      }
+    };
+
+    for (const line of paragraph.split('\n')) {
+      const heading = line.match(/^(#{1,6})\s+(.+)$/);
+      if (heading) {
+        flush();
+        blocks.push({ type: 'heading', level: heading[1].length, text: heading[2], page });
+        inListItem = false;
+      } else if (isListItem(line)) {
+        flush();
+        blocks.push({ type: 'list-item', text: line, page });
+        inListItem = true;
+      } else if (inListItem) {
+        // Continuation line of a wrapped list item
+        blocks[blocks.length - 1].text += ` ${line}`;
+      } else {
+        lines.push(line);
+      }
+    }
+    flush();
+  }
+
+  return blocks.filter(block => block.text.trim().length > 0);
+}
+
+/**
+ * Lay out blocks as document text and record the position of every block and page
+ * @param {Array<Object>} blocks - Blocks ({ type, text, level, page, rows })
+ * @returns {Object} - { text, structure: { pages: [{ number, startOffset, endOffset }], blocks } }
+ */
+function buildDocumentText(blocks) {
+  let text = '';
+  const structureBlocks = [];
+  const pages = [];
+
+  for (const block of blocks) {
+    const rows = block.type === 'table'
+      ? (block.rows || []).map(row => row.map(cell => cleanText(cell).replace(/\n/g, ' ')))
+      : undefined;
+    const blockText = rows
+      ? rows.map(row => row.join(' | ')).join('\n')
+      : cleanText(block.text);
+    if (!blockText) continue;
+
+    // Consecutive list items stay on adjacent lines; everything else is a paragraph apart
+    const previous = structureBlocks[structureBlocks.length - 1];
+    if (text.length > 0) {
+      text += previous.type === 'list-item' && block.type === 'list-item' ? '\n' : '\n\n';
+    }
+    const startOffset = text.length;
+    text += blockText;
+    const endOffset = text.length;
+
+    structureBlocks.push({
+      type: block.type,
+      level: block.level || null,
+      page: block.page || null,
+      startOffset,
+      endOffset,
+      ...(rows ? { rows } : {})
+    });
+
+    if (block.page) {
+      const lastPage = pages[pages.length - 1];
+      if (lastPage && lastPage.number === block.page) {
+        lastPage.endOffset = endOffset;
+      } else {
+        pages.push({ number: block.page, startOffset, endOffset });
+      }
+    }
+  }
+
+  return { text, structure: { pages, blocks: structureBlocks } };
+}
+
+/**
+ * Find the page a text offset falls on
+ * @param {Object} [structure] - Document structure
+ * @param {number} offset - Offset into extractedText
+ * @returns {number|null} - Page number, or null if the document has no pages
+ */
+function pageAt(structure, offset) {
+  const pages = (structure && structure.pages) || [];
+  if (pages.length === 0 || offset == null) {
+    return null;
+  }
+
+  // Offsets between two pages (the separator) belong to the earlier page
+  let low = 0;
+  let high = pages.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pages[mid].startOffset <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return pages[low].number;
+}
+
+module.exports = {
+  cleanText,
+  isListItem,
+  blocksFromPlainText,
+  buildDocumentText,
+  pageAt
+};
@@ -0,0 +1,130 @@
+// Paragraph-level diff of two extracted texts, used to compare document versions
+
+// Beyond this many removed plus added paragraphs the texts are treated as rewritten;
+// the search keeps O(edits²) state, so unrelated large texts would exhaust memory
+const DIFF_MAX_EDITS = parseInt(process.env.DIFF_MAX_EDITS) || 2000;
+
+/**
+ * Split extracted text into paragraphs (separated by blank lines)
+ * @param {string} text - Extracted text
+ * @returns {Array<string>} - Non-empty paragraphs
+ */
+function splitParagraphs(text) {
+  return (text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.length > 0);
+}
+
+/**
+ * Find the shortest edit script between two sequences (Myers' O(ND) algorithm)
+ * @param {Array<string>} a - Old sequence
+ * @param {Array<string>} b - New sequence
+ * @returns {Array<Object>|null} - Operations in order: { type: 'equal'|'removed'|'added', aIndex?, bIndex? },
+ *   or null if the sequences differ by more than DIFF_MAX_EDITS
+ */
+function shortestEditScript(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Diagonals -d..d of v before each round d, to walk the path back
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > DIFF_MAX_EDITS) return null;
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk back from (n, m) through the saved rounds
+  const operations = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && previous[d + k - 1] < previous[d + k + 1]) ? k + 1 : k - 1;
+    const previousX = d === 0 ? 0 : previous[d + previousK];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      operations.push({ type: 'equal', aIndex: x, bIndex: y });
+    }
+    if (d > 0) {
+      if (x === previousX) operations.push({ type: 'added', bIndex: previousY });
+      else operations.push({ type: 'removed', aIndex: previousX });
+    }
+    x = previousX;
+    y = previousY;
+  }
+  return operations.reverse();
+}
+
+/**
+ * Compare two texts paragraph by paragraph. Unchanged paragraphs are counted but
+ * not listed; a rewritten paragraph shows up as removed and added.
+ * @param {string} fromText - Older text
+ * @param {string} toText - Newer text
+ * @returns {Object} - { summary: { added, removed, unchanged }, changes: [{ type, fromIndex|toIndex, text }] }
+ */
+function diffParagraphs(fromText, toText) {
+  const from = splitParagraphs(fromText);
+  const to = splitParagraphs(toText);
+
+  // Common leading and trailing paragraphs are matched directly, which keeps the
+  // edit script small for typical revisions
+  let start = 0;
+  while (start < from.length && start < to.length && from[start] === to[start]) start++;
+  let end = 0;
+  while (end < from.length - start && end < to.length - start
+    && from[from.length - 1 - end] === to[to.length - 1 - end]) end++;
+
+  const oldMiddle = from.slice(start, from.length - end);
+  const newMiddle = to.slice(start, to.length - end);
+  const operations = shortestEditScript(oldMiddle, newMiddle) || [
+    ...oldMiddle.map((paragraph, aIndex) => ({ type: 'removed', aIndex })),
+    ...newMiddle.map((paragraph, bIndex) => ({ type: 'added', bIndex }))
+  ];
+
+  const summary = { added: 0, removed: 0, unchanged: start + end };
+  const changes = [];
+  for (const operation of operations) {
+    if (operation.type === 'equal') {
+      summary.unchanged++;
+    } else if (operation.type === 'removed') {
+      summary.removed++;
+      const fromIndex = start + operation.aIndex;
+      changes.push({ type: 'removed', fromIndex, text: from[fromIndex] });
+    } else {
+      summary.added++;
+      const toIndex = start + operation.bIndex;
+      changes.push({ type: 'added', toIndex, text: to[toIndex] });
+    }
+  }
+
+  return { summary, changes };
+}
+
+module.exports = {
+  splitParagraphs,
+  diffParagraphs
+};
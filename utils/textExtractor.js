@@ -1,84 +1,43 @@
 const fs = require('fs');
-const path = require('path');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
+const { extractBlocks } = require('./extractors');
+const { cleanText, buildDocumentText } = require('./structure');
 
 /**
- * Extract text from various document types
+ * Extract text from a document in any supported format (see utils/extractors), using OCR
+ * for scanned PDFs and images
  * @param {string} filePath - Path to the uploaded file
- * @param {string} mimeType - MIME type of the file
- * @returns {Promise<string>} - Extracted text content
+ * @param {string} [mimeType] - MIME type reported by the client
+ * @param {string} [originalName] - Original file name, used for text formats without a signature
+ * @returns {Promise<Object>} - { text, structure, extractionMethod, ocrPages, ocrConfidence, format, mimeType };
+ *   mimeType is the detected type, which may differ from the one the client sent
  */
-async function extractTextFromDocument(filePath, mimeType) {
+async function extractDocument(filePath, mimeType, originalName) {
   try {
     const fileBuffer = fs.readFileSync(filePath);
-    
-    switch (mimeType) {
-      case 'application/pdf':
-        return await extractFromPDF(fileBuffer);
-      
-      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-      case 'application/msword':
-        return await extractFromWord(fileBuffer);
-      
-      case 'text/plain':
-        return fileBuffer.toString('utf-8');
-      
-      default:
-        // Try to read as text file for other formats
-        try {
-          return fileBuffer.toString('utf-8');
-        } catch (error) {
-          throw new Error(`Unsupported file type: ${mimeType}`);
-        }
-    }
+    const { blocks, ...details } = await extractBlocks(fileBuffer, mimeType, originalName);
+    return { ...buildDocumentText(blocks), ...details };
   } catch (error) {
     console.error('Text extraction error:', error);
-    throw new Error(`Failed to extract text: ${error.message}`);
-  }
-}
-
-/**
- * Extract text from PDF files
- * @param {Buffer} fileBuffer - File buffer
- * @returns {Promise<string>} - Extracted text
- */
-async function extractFromPDF(fileBuffer) {
-  try {
-    const data = await pdfParse(fileBuffer);
-    return data.text;
-  } catch (error) {
-    throw new Error(`PDF extraction failed: ${error.message}`);
+    const wrapped = new Error(`Failed to extract text: ${error.message}`);
+    if (error.retryable === false) wrapped.retryable = false;
+    throw wrapped;
   }
 }
 
 /**
- * Extract text from Word documents
- * @param {Buffer} fileBuffer - File buffer
- * @returns {Promise<string>} - Extracted text
- */
-async function extractFromWord(fileBuffer) {
-  try {
-    const result = await mammoth.extractRawText({ buffer: fileBuffer });
-    return result.value;
-  } catch (error) {
-    throw new Error(`Word document extraction failed: ${error.message}`);
-  }
-}
-
-/**
- * Clean and normalize extracted text
- * @param {string} text - Raw extracted text
- * @returns {string} - Cleaned text
+ * Extract text from various document types
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} [mimeType] - MIME type of the file
+ * @param {string} [originalName] - Original file name
+ * @returns {Promise<string>} - Extracted text content
  */
-function cleanText(text) {
-  return text
-    .replace(/\s+/g, ' ') // Replace multiple whitespaces with single space
-    .replace(/\n+/g, '\n') // Replace multiple newlines with single newline
-    .trim();
+async function extractTextFromDocument(filePath, mimeType, originalName) {
+  const { text } = await extractDocument(filePath, mimeType, originalName);
+  return text;
 }
 
 module.exports = {
+  extractDocument,
   extractTextFromDocument,
   cleanText
 };
@@ -0,0 +1,214 @@
+// Fetch remote documents for URL ingestion, with limits on size, time and redirects and
+// protection against requests to private networks (SSRF). The address check runs in the
+// DNS lookup of every connection, so it covers redirects and DNS rebinding as well.
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const { HttpError, UnsupportedFormatError } = require('./errors');
+
+const URL_FETCH_MAX_BYTES = parseInt(process.env.URL_FETCH_MAX_BYTES) || 10 * 1024 * 1024;
+const URL_FETCH_TIMEOUT_MS = parseInt(process.env.URL_FETCH_TIMEOUT_MS) || 15000;
+const URL_FETCH_MAX_REDIRECTS = parseInt(process.env.URL_FETCH_MAX_REDIRECTS) || 5;
+// Only for deployments that ingest from an intranet; never enable on a public server
+const URL_FETCH_ALLOW_PRIVATE = process.env.URL_FETCH_ALLOW_PRIVATE === 'true';
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  // ::/96 holds the unspecified and loopback addresses and the deprecated IPv4-compatible ones
+  ['::', 96], ['::ffff:0:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is in a private or otherwise non-public range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if requests to it must be refused
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup that refuses private addresses; passed to http(s).request
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked && !URL_FETCH_ALLOW_PRIVATE) {
+      return callback(new HttpError(400, 'URL not allowed', `${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Validate a URL given by a client
+ * @param {string} value - URL
+ * @returns {URL} - Parsed URL
+ * @throws {HttpError} - 400 for malformed, non-HTTP(S) or credential-bearing URLs and literal private IPs
+ */
+function parseRemoteUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (error) {
+    throw new HttpError(400, 'Invalid URL', 'Provide an absolute http:// or https:// URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new HttpError(400, 'Invalid URL', 'Only http:// and https:// URLs can be ingested');
+  }
+  if (url.username || url.password) {
+    throw new HttpError(400, 'Invalid URL', 'URLs with credentials are not accepted');
+  }
+  // Literal addresses skip DNS, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host) && !URL_FETCH_ALLOW_PRIVATE) {
+    throw new HttpError(400, 'URL not allowed', `${host} is a private address`);
+  }
+  return url;
+}
+
+/**
+ * Make one GET request, without following redirects
+ * @param {URL} url - URL to fetch
+ * @param {number} deadline - Time (ms since epoch) by which the whole fetch must finish
+ * @returns {Promise<Object>} - { statusCode, headers, body } (body is null for redirects)
+ */
+function request(url, deadline) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: safeLookup,
+      headers: {
+        'User-Agent': 'QueryFy-URL-Ingestion/1.0',
+        Accept: 'text/html,application/xhtml+xml,application/pdf,text/plain;q=0.9,*/*;q=0.5',
+        'Accept-Encoding': 'identity'
+      }
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(new HttpError(504, 'Fetch timed out', `No complete response from ${url.hostname} within ${URL_FETCH_TIMEOUT_MS}ms`));
+    }, Math.max(deadline - Date.now(), 0));
+
+    req.on('error', error => {
+      clearTimeout(timer);
+      reject(error instanceof HttpError
+        ? error
+        : new HttpError(502, 'Fetch failed', `Could not fetch ${url.hostname}: ${error.message}`));
+    });
+
+    req.on('response', res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        clearTimeout(timer);
+        res.resume();
+        return resolve({ statusCode: res.statusCode, headers: res.headers, body: null });
+      }
+
+      const declaredLength = parseInt(res.headers['content-length']);
+      if (declaredLength > URL_FETCH_MAX_BYTES) {
+        req.destroy(new HttpError(413, 'Document too large', `The remote document is larger than ${URL_FETCH_MAX_BYTES} bytes`));
+        return;
+      }
+
+      const parts = [];
+      let size = 0;
+      res.on('data', part => {
+        size += part.length;
+        if (size > URL_FETCH_MAX_BYTES) {
+          req.destroy(new HttpError(413, 'Document too large', `The remote document is larger than ${URL_FETCH_MAX_BYTES} bytes`));
+          return;
+        }
+        parts.push(part);
+      });
+      res.on('end', () => {
+        clearTimeout(timer);
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(parts) });
+      });
+      res.on('error', () => {}); // Reported through the request's error event
+    });
+  });
+}
+
+/**
+ * Fetch a remote document, following redirects
+ * @param {string} value - URL given by the client
+ * @returns {Promise<Object>} - { url (final URL), contentType, body }
+ * @throws {HttpError} - 400 invalid/blocked URL, 413 too large, 502 remote error, 504 timeout
+ */
+async function fetchRemoteDocument(value) {
+  let url = parseRemoteUrl(value);
+  const deadline = Date.now() + URL_FETCH_TIMEOUT_MS;
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await request(url, deadline);
+
+    if (response.body === null) {
+      if (redirects >= URL_FETCH_MAX_REDIRECTS) {
+        throw new HttpError(502, 'Fetch failed', `More than ${URL_FETCH_MAX_REDIRECTS} redirects`);
+      }
+      let location;
+      try {
+        location = new URL(response.headers.location, url);
+      } catch (error) {
+        throw new HttpError(502, 'Fetch failed', `${url.hostname} redirected to a malformed URL`);
+      }
+      url = parseRemoteUrl(location.href);
+      continue;
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new HttpError(502, 'Fetch failed', `${url.hostname} responded with HTTP ${response.statusCode}`);
+    }
+    if (response.body.length === 0) {
+      throw new UnsupportedFormatError('The remote document is empty');
+    }
+
+    return {
+      url: url.href,
+      contentType: (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+      body: response.body
+    };
+  }
+}
+
+/**
+ * Name a fetched document after the last segment of its URL path
+ * @param {string} value - Final URL of the document
+ * @returns {string} - Decoded file name, or the host name for URLs without a path
+ */
+function remoteFileName(value) {
+  const url = new URL(value);
+  const name = path.posix.basename(url.pathname);
+  try {
+    return decodeURIComponent(name) || url.hostname;
+  } catch (error) {
+    // Malformed percent escape: keep the name as it was sent
+    return name;
+  }
+}
+
+module.exports = {
+  isPrivateAddress,
+  fetchRemoteDocument,
+  remoteFileName
+};